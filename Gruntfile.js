@@ -83,6 +83,8 @@ module.exports = function(grunt) {
     /*esfmt-ignore-start*/
         tree: {                             /* ------------------------------ */
                                             /* <ROOT>                         */
+            'bin': {                        /*  |--- bin                      */
+            },                              /*  |                             */
             'lib': {                        /*  |--- lib                      */
             },                              /*  |                             */
             'test': {                       /*  |--- test                     */
@@ -112,6 +114,7 @@ module.exports = function(grunt) {
     })(ENV.ROOT, ENV.tree);
 
     // Shorthand references to key folders.
+    var BIN = ENV.ROOT.bin;
     var LIB = ENV.ROOT.lib;
     var TEST = ENV.ROOT.test;
 
@@ -152,6 +155,7 @@ module.exports = function(grunt) {
             },
             src: [
                 'Gruntfile.js',
+                BIN.allFilesPattern('js'),
                 LIB.allFilesPattern('js'),
                 TEST.allFilesPattern('js')
             ]
@@ -164,6 +168,7 @@ module.exports = function(grunt) {
         eslint: {
             dev: [
                 'Gruntfile.js',
+                BIN.allFilesPattern('js'),
                 LIB.allFilesPattern('js'),
                 TEST.allFilesPattern('js')
             ]
@@ -176,7 +181,7 @@ module.exports = function(grunt) {
          */
         watch: {
             allSources: {
-                files: [LIB.allFilesPattern(), TEST.allFilesPattern()],
+                files: [BIN.allFilesPattern(), LIB.allFilesPattern(), TEST.allFilesPattern()],
                 tasks: []
             }
         },
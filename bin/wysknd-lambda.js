@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/*eslint no-console: ["error", { allow: ["log", "error"] }] */
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const LocalInvoker = require('../lib/local-invoker');
+
+const USAGE = [
+    'Usage: wysknd-lambda invoke <module>#<export> [options]',
+    '',
+    'Invokes a lambda handler locally with a simulated lambda context.',
+    '',
+    'Options:',
+    '  --event <file>     JSON file that contains the event (default: {})',
+    '  --alias <alias>    Alias that qualifies the invoked function ARN',
+    '  --timeout <ms>     Invocation timeout in milliseconds (default: 3000)',
+    '  --region <region>  Region of the invoked function ARN (default: us-east-1)',
+    '  --account <id>     Account id of the invoked function ARN',
+    '  --name <name>      Function name (default: the module file name)',
+    '  --raw              Do not format log output'
+].join('\n');
+
+/**
+ * Loads the handler exported by a module.
+ *
+ * @private
+ * @param {String} modulePath The path to the module, relative to the current
+ *        working directory.
+ * @param {String} exportName The name of the export.
+ *
+ * @return {Function} The handler.
+ */
+function _loadHandler(modulePath, exportName) {
+    const handler = require(_path.resolve(process.cwd(), modulePath))[exportName];
+    if (typeof handler !== 'function') {
+        throw new Error(`Handler export is not a function (${modulePath}#${exportName})`);
+    }
+    return handler;
+}
+
+/**
+ * Loads the event for the invocation from a JSON file.
+ *
+ * @private
+ * @param {String} [file] The path to the file, relative to the current
+ *        working directory.
+ *
+ * @return {*} The event, or an empty object if no file was specified.
+ */
+function _loadEvent(file) {
+    if (file === undefined) {
+        return {};
+    }
+    try {
+        return JSON.parse(_fs.readFileSync(_path.resolve(process.cwd(), file), 'utf8'));
+    } catch (ex) {
+        throw new Error(`Unable to load event file (${file}). Details: ${ex.message}`);
+    }
+}
+
+/**
+ * Formats everything written to stdout, one line at a time, until the
+ * returned function is invoked.
+ *
+ * @private
+ * @return {Function} A function that flushes any partial line, and restores
+ *         the original stdout write method.
+ */
+function _formatOutput() {
+    const write = process.stdout.write;
+    let buffer = '';
+    process.stdout.write = (chunk, encoding, callback) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach((line) => {
+            write.call(process.stdout, `${LocalInvoker.formatLogLine(line)}\n`); // esfmt-ignore-line
+        });
+        if (typeof encoding === 'function') {
+            encoding();
+        } else if (typeof callback === 'function') {
+            callback();
+        }
+        return true;
+    };
+    return () => {
+        process.stdout.write = write;
+        if (buffer.length > 0) {
+            process.stdout.write(`${LocalInvoker.formatLogLine(buffer)}\n`); // esfmt-ignore-line
+        }
+    };
+}
+
+/**
+ * Exits the process with the specified exit code, once all output written to
+ * stdout and stderr has been flushed. The process is exited explicitly so
+ * that timers or connections left open by the handler do not keep it alive.
+ *
+ * @private
+ * @param {Number} code The exit code.
+ */
+function _exit(code) {
+    process.exitCode = code;
+    process.stdout.write('', () => {
+        process.stderr.write('', () => process.exit(code));
+    });
+}
+
+/**
+ * Parses the command line arguments, and invokes the handler.
+ *
+ * @private
+ * @return {Promise} A promise that is resolved with the exit code for the
+ *         process, once the outcome of the invocation has been written.
+ */
+function _run() {
+    let args = null;
+    let invoker = null;
+    let handler = null;
+    let event = null;
+    try {
+        args = LocalInvoker.parseArgs(process.argv.slice(2));
+        const options = args.options;
+        invoker = new LocalInvoker({
+            functionName: options.name || _path.basename(args.modulePath, _path.extname(args.modulePath)),
+            alias: options.alias,
+            timeout: options.timeout,
+            region: options.region,
+            accountId: options.account
+        });
+        handler = _loadHandler(args.modulePath, args.exportName);
+        event = _loadEvent(options.event);
+    } catch (ex) {
+        console.error(`${ex.message}\n\n${USAGE}`); // esfmt-ignore-line
+        return Promise.resolve(2);
+    }
+
+    const restoreOutput = args.options.raw ? () => undefined : _formatOutput();
+    return invoker.invoke(handler, event).then((result) => {
+        return {
+            result
+        };
+    }, (err) => {
+        return {
+            err,
+            isFailed: true
+        };
+    }).then((outcome) => {
+        try {
+            restoreOutput();
+        } finally {
+            if (outcome.isFailed) {
+                const err = outcome.err;
+                console.error(`Invocation failed: ${(err instanceof Error) ? err.stack : JSON.stringify(err)}`);
+            } else if (outcome.result !== undefined) {
+                console.log(JSON.stringify(outcome.result, null, 4));
+            }
+        }
+        return outcome.isFailed ? 1 : 0;
+    });
+}
+
+_run().then(_exit, (err) => {
+    console.error(`Unable to write invocation result: ${err.message}`);
+    _exit(1);
+});
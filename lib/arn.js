@@ -0,0 +1,370 @@
+'use strict';
+
+const PARTITIONS = ['aws', 'aws-cn', 'aws-us-gov'];
+const DELIMITERS = [':', '/'];
+const SERVICE_PATTERN = /^[a-z0-9-]+$/;
+const SEGMENT_PATTERN = /^[^:]*$/;
+const RESOURCE_TYPE_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const VERSION_PATTERN = /^([0-9]+|\$LATEST)$/;
+const ALIAS_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Descriptions of ARN components, used in error messages.
+ *
+ * @private
+ */
+const LABELS = {
+    partition: 'partition',
+    service: 'service',
+    region: 'region',
+    accountId: 'account id',
+    resourceType: 'resource type',
+    resourceDelimiter: 'resource delimiter',
+    resourceId: 'resource id',
+    qualifier: 'qualifier'
+};
+
+/**
+ * Splits the resource portion of an ARN into its resource type, delimiter,
+ * id and qualifier. Resources may be untyped ("my-queue"), typed using a "/"
+ * delimiter ("table/users"), or typed using a ":" delimiter
+ * ("function:my-fn"), in which case an optional qualifier may follow the id
+ * ("function:my-fn:prod"). S3 bucket and object ARNs (which do not specify a
+ * region or account) are always untyped.
+ *
+ * @private
+ * @param {String} service The service portion of the ARN.
+ * @param {String} accountId The account portion of the ARN.
+ * @param {String} resource The resource portion of the ARN.
+ *
+ * @return {Object} The parsed resource.
+ */
+function _parseResource(service, accountId, resource) {
+    const colonIndex = resource.indexOf(':');
+    const slashIndex = resource.indexOf('/');
+    const parsed = {
+        resourceId: resource
+    };
+    if (service === 's3' && accountId.length <= 0) {
+        return parsed;
+    }
+    if (colonIndex > 0 && (slashIndex < 0 || colonIndex < slashIndex)) {
+        const remainder = resource.substring(colonIndex + 1);
+        const qualifierIndex = remainder.indexOf(':');
+        parsed.resourceType = resource.substring(0, colonIndex);
+        parsed.resourceDelimiter = ':';
+        parsed.resourceId = (qualifierIndex < 0) ? remainder : remainder.substring(0, qualifierIndex);
+        parsed.qualifier = (qualifierIndex < 0) ? undefined : remainder.substring(qualifierIndex + 1);
+    } else if (slashIndex > 0) {
+        parsed.resourceType = resource.substring(0, slashIndex);
+        parsed.resourceDelimiter = '/';
+        parsed.resourceId = resource.substring(slashIndex + 1);
+    }
+    return parsed;
+}
+
+/**
+ * Parses an ARN string into its components.
+ *
+ * @private
+ * @param {*} value The value to parse.
+ *
+ * @return {Object} The components of the ARN, or undefined if the value is
+ *         not a valid ARN.
+ */
+function _parseArn(value) {
+    if (typeof value !== 'string') {
+        return;
+    }
+    const segments = value.split(':');
+    if (segments.length < 6 || segments[0] !== 'arn') {
+        return;
+    }
+    const resource = segments.slice(5).join(':');
+    const options = Object.assign({
+        partition: segments[1],
+        service: segments[2],
+        region: segments[3],
+        accountId: segments[4]
+    }, _parseResource(segments[2], segments[4], resource));
+
+    return (_getOptionsError(options) === undefined) ? options : undefined;
+}
+
+/**
+ * Validates the components of an ARN.
+ *
+ * @private
+ * @param {Object} options The components of the ARN.
+ *
+ * @return {String} The name of the first invalid component, or undefined if
+ *         all components are valid.
+ */
+function _getOptionsError(options) {
+    const isSegment = (value) => typeof value === 'string' && SEGMENT_PATTERN.test(value);
+    const hasType = options.resourceType !== undefined;
+
+    if (PARTITIONS.indexOf(options.partition) < 0) {
+        return 'partition';
+    }
+    if (typeof options.service !== 'string' || !SERVICE_PATTERN.test(options.service)) {
+        return 'service';
+    }
+    if (!isSegment(options.region)) {
+        return 'region';
+    }
+    if (!isSegment(options.accountId)) {
+        return 'accountId';
+    }
+    if (hasType && (typeof options.resourceType !== 'string' ||
+        !RESOURCE_TYPE_PATTERN.test(options.resourceType))) {
+        return 'resourceType';
+    }
+    if (hasType && DELIMITERS.indexOf(options.resourceDelimiter) < 0) {
+        return 'resourceDelimiter';
+    }
+    if (typeof options.resourceId !== 'string' || options.resourceId.length <= 0 ||
+        (options.resourceDelimiter === ':' && options.resourceId.indexOf(':') >= 0)) {
+        return 'resourceId';
+    }
+    if (options.qualifier !== undefined && (options.resourceDelimiter !== ':' ||
+        typeof options.qualifier !== 'string' || options.qualifier.length <= 0)) {
+        return 'qualifier';
+    }
+}
+
+/**
+ * Represents an Amazon Resource Name (ARN), of the form
+ * "arn:<partition>:<service>:<region>:<account>:<resource>". The resource
+ * portion is broken down into a resource type, id and qualifier, using
+ * either ":" or "/" as the delimiter between the type and the id, depending
+ * on the service. ARNs in the aws, aws-cn and aws-us-gov partitions are
+ * supported.
+ *
+ * ARNs can be parsed from strings using parse(), or built from their
+ * components using the constructor and toString().
+ */
+class Arn {
+    /**
+     * @param {Object} options The components of the ARN.
+     * @param {String} [options.partition='aws'] The partition.
+     * @param {String} options.service The service namespace (for example,
+     *        "lambda" or "dynamodb").
+     * @param {String} [options.region=''] The region. Omitted for global
+     *        resources such as S3 buckets.
+     * @param {String} [options.accountId=''] The account id. Omitted for
+     *        global resources such as S3 buckets.
+     * @param {String} [options.resourceType] The type of the resource (for
+     *        example, "function" or "table").
+     * @param {String} [options.resourceDelimiter='/'] The delimiter between
+     *        the resource type and id (":" or "/").
+     * @param {String} options.resourceId The id of the resource.
+     * @param {String} [options.qualifier] An optional qualifier, such as a
+     *        lambda function version or alias. Qualifiers can only be used
+     *        with the ":" delimiter.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            throw new Error('Invalid options specified (arg #1)');
+        }
+
+        const hasType = options.resourceType !== undefined;
+        options = {
+            partition: (options.partition === undefined) ? 'aws' : options.partition,
+            service: options.service,
+            region: (options.region === undefined) ? '' : options.region,
+            accountId: (options.accountId === undefined) ? '' : options.accountId,
+            resourceType: options.resourceType,
+            resourceDelimiter: (hasType && options.resourceDelimiter === undefined) ?
+                '/' : options.resourceDelimiter,
+            resourceId: options.resourceId,
+            qualifier: options.qualifier
+        };
+        if (!hasType && options.resourceDelimiter !== undefined) {
+            throw new Error('Invalid resource delimiter specified (options.resourceDelimiter)');
+        }
+        const error = _getOptionsError(options);
+        if (error !== undefined) {
+            throw new Error(`Invalid ${LABELS[error]} specified (options.${error})`);
+        }
+
+        this._partition = options.partition;
+        this._service = options.service;
+        this._region = options.region;
+        this._accountId = options.accountId;
+        this._resourceType = options.resourceType;
+        this._resourceDelimiter = options.resourceDelimiter;
+        this._resourceId = options.resourceId;
+        this._qualifier = options.qualifier;
+    }
+
+    /**
+     * The partitions that are supported.
+     *
+     * @return {Array}
+     */
+    static get PARTITIONS() {
+        return PARTITIONS.slice();
+    }
+
+    /**
+     * Parses an ARN string.
+     *
+     * @param {String} value The ARN to parse.
+     *
+     * @return {Arn} The parsed ARN.
+     */
+    static parse(value) {
+        const options = _parseArn(value);
+        if (!options) {
+            throw new Error('Invalid ARN specified (arg #1)');
+        }
+        return new Arn(options);
+    }
+
+    /**
+     * Determines whether or not the specified value is a valid ARN string.
+     *
+     * @param {*} value The value to check.
+     *
+     * @return {Boolean} True if the value can be parsed as an ARN, false
+     *         otherwise.
+     */
+    static isValid(value) {
+        return !!_parseArn(value);
+    }
+
+    /**
+     * The partition of the ARN.
+     *
+     * @return {String}
+     */
+    get partition() {
+        return this._partition;
+    }
+
+    /**
+     * The service namespace of the ARN.
+     *
+     * @return {String}
+     */
+    get service() {
+        return this._service;
+    }
+
+    /**
+     * The region of the ARN (empty for global resources).
+     *
+     * @return {String}
+     */
+    get region() {
+        return this._region;
+    }
+
+    /**
+     * The account id of the ARN (empty for global resources).
+     *
+     * @return {String}
+     */
+    get accountId() {
+        return this._accountId;
+    }
+
+    /**
+     * The resource type, or undefined if the resource is untyped.
+     *
+     * @return {String}
+     */
+    get resourceType() {
+        return this._resourceType;
+    }
+
+    /**
+     * The delimiter between the resource type and id, or undefined if the
+     * resource is untyped.
+     *
+     * @return {String}
+     */
+    get resourceDelimiter() {
+        return this._resourceDelimiter;
+    }
+
+    /**
+     * The id of the resource.
+     *
+     * @return {String}
+     */
+    get resourceId() {
+        return this._resourceId;
+    }
+
+    /**
+     * The qualifier of the resource, or undefined if the resource is not
+     * qualified.
+     *
+     * @return {String}
+     */
+    get qualifier() {
+        return this._qualifier;
+    }
+
+    /**
+     * The resource portion of the ARN, including the type, id and qualifier.
+     *
+     * @return {String}
+     */
+    get resource() {
+        const type = (this._resourceType === undefined) ? '' : `${this._resourceType}${this._resourceDelimiter}`;
+        const qualifier = (this._qualifier === undefined) ? '' : `:${this._qualifier}`;
+        return `${type}${this._resourceId}${qualifier}`;
+    }
+
+    /**
+     * The version that qualifies a lambda function ARN ("$LATEST" or a
+     * version number).
+     *
+     * @return {String} The version, or undefined if this is not a lambda
+     *         function ARN qualified by a version.
+     */
+    get version() {
+        const qualifier = this._getFunctionQualifier();
+        return (qualifier !== undefined && VERSION_PATTERN.test(qualifier)) ? qualifier : undefined;
+    }
+
+    /**
+     * The alias that qualifies a lambda function ARN.
+     *
+     * @return {String} The alias, or undefined if this is not a lambda
+     *         function ARN qualified by an alias.
+     */
+    get alias() {
+        const qualifier = this._getFunctionQualifier();
+        return (qualifier !== undefined && !VERSION_PATTERN.test(qualifier) &&
+        ALIAS_PATTERN.test(qualifier)) ? qualifier : undefined;
+    }
+
+    /**
+     * Returns the qualifier of a lambda function ARN.
+     *
+     * @private
+     * @return {String} The qualifier, or undefined if this is not a lambda
+     *         function ARN.
+     */
+    _getFunctionQualifier() {
+        if (this._service !== 'lambda' || this._resourceType !== 'function') {
+            return;
+        }
+        return this._qualifier;
+    }
+
+    /**
+     * Returns the ARN string.
+     *
+     * @return {String} The ARN string.
+     */
+    toString() {
+        return `arn:${this._partition}:${this._service}:${this._region}:${this._accountId}:${this.resource}`;
+    }
+}
+
+module.exports = Arn;
@@ -0,0 +1,144 @@
+/*eslint no-console: ["error", { allow: ["error"] }] */
+'use strict';
+
+const _path = require('path');
+const _config = require('config');
+
+const EXTENSIONS = ['js', 'json', 'json5', 'hjson', 'toml', 'yaml', 'yml', 'properties', 'xml'];
+const ENV_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Parses a JSON configuration override. Malformed overrides are reported and
+ * ignored, as they are by the config module.
+ *
+ * @private
+ * @param {String} [value] The JSON override.
+ * @param {String} source A description of the source of the override, used
+ *        in error messages.
+ *
+ * @return {Object} The parsed override, or an empty object if no override
+ *         was specified, or if the override could not be parsed.
+ */
+function _parseOverride(value, source) {
+    if (!value) {
+        return {};
+    }
+    try {
+        return JSON.parse(value);
+    } catch (ex) {
+        console.error(`${source} is malformed JSON`);
+        return {};
+    }
+}
+
+/**
+ * Utility class that loads environment specific configuration. Unlike the
+ * config module, which loads a single configuration based on the NODE_ENV
+ * variable at the time it is first required, this class loads a separate
+ * configuration object for each environment, and caches it for subsequent
+ * use. This allows a single container to serve invocations for multiple
+ * environments (for example, through different aliases) without mixing up
+ * configuration.
+ *
+ * Configuration files are read from the config directory using the same
+ * naming conventions as the config module (default, <env>, local and
+ * local-<env>). As with the config module, these are followed by the JSON
+ * overrides in the $NODE_CONFIG environment variable and the --NODE_CONFIG
+ * command line argument, and then by custom-environment-variables. The
+ * loaded objects expose the config module's get() and has() methods.
+ */
+class ConfigLoader {
+    /**
+     * @param {Object} [options={}] Options for the loader.
+     * @param {String} [options.configDir] The directory from which
+     *        configuration files are loaded. Defaults to the value of the
+     *        NODE_CONFIG_DIR variable, or "./config".
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        let configDir = options.configDir;
+        if (configDir === undefined) {
+            configDir = process.env.NODE_CONFIG_DIR || 'config';
+        }
+        if (typeof configDir !== 'string' || configDir.length <= 0) {
+            throw new Error('Invalid config directory specified (options.configDir)');
+        }
+
+        this._configDir = _path.resolve(process.cwd(), configDir);
+        this._cache = {};
+    }
+
+    /**
+     * The directory from which configuration files are loaded.
+     *
+     * @return {String}
+     */
+    get configDir() {
+        return this._configDir;
+    }
+
+    /**
+     * Loads configuration files for the specified environment from the config
+     * directory, and merges them into a single object.
+     *
+     * @private
+     * @param {String} env The environment to load configuration for.
+     *
+     * @return {Object} The merged configuration object.
+     */
+    _loadFiles(env) {
+        const util = _config.util;
+        const config = {};
+        ['default', env, 'local', `local-${env}`].forEach((baseName) => {
+            EXTENSIONS.forEach((extName) => {
+                const fileName = _path.join(this._configDir, `${baseName}.${extName}`);
+                const data = util.parseFile(fileName);
+                if (data) {
+                    util.extendDeep(config, data);
+                }
+            });
+        });
+        util.extendDeep(config, _parseOverride(process.env.NODE_CONFIG,
+            'The $NODE_CONFIG environment variable'));
+        util.extendDeep(config, _parseOverride(util.getCmdLineArg('NODE_CONFIG'),
+            'The --NODE_CONFIG={json} command line argument'));
+        util.extendDeep(config, util.getCustomEnvVars(this._configDir, EXTENSIONS));
+        util.resolveDeferredConfigs(config);
+
+        return util.attachProtoDeep(config);
+    }
+
+    /**
+     * Returns the configuration for the specified environment. Configuration
+     * is loaded from the file system the first time it is requested for an
+     * environment, and returned from cache thereafter.
+     *
+     * @param {String} env The environment to load configuration for. Must
+     *        only contain letters, digits, underscores and hyphens, so that
+     *        files outside the config directory cannot be loaded.
+     *
+     * @return {Object} The configuration object for the environment.
+     */
+    load(env) {
+        if (typeof env !== 'string' || !ENV_PATTERN.test(env)) {
+            throw new Error('Invalid environment specified (arg #1)');
+        }
+        if (!this._cache.hasOwnProperty(env)) {
+            this._cache[env] = this._loadFiles(env);
+        }
+        return this._cache[env];
+    }
+
+    /**
+     * Discards all cached configuration, causing configuration to be reloaded
+     * from the file system when it is next requested.
+     */
+    clearCache() {
+        this._cache = {};
+    }
+}
+
+module.exports = ConfigLoader;
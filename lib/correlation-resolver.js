@@ -0,0 +1,143 @@
+'use strict';
+
+const _shortId = require('shortid');
+const _eventAttributes = require('./event-attributes');
+
+const DEFAULT_HEADER = 'x-correlation-id';
+const DEFAULT_ATTRIBUTE = 'correlationId';
+const DEFAULT_FIELD = 'correlationId';
+
+/**
+ * Determines whether or not a value can be used as a correlation id.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a non empty string.
+ */
+function _isId(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Default generator for correlation ids. The request id of the invocation is
+ * used if available, so that the correlation id can be matched to the
+ * lambda logs of the invocation that started the request.
+ *
+ * @private
+ * @param {Object} event The lambda event.
+ * @param {Object} context The lambda context.
+ *
+ * @return {String} A new correlation id.
+ */
+function _generateId(event, context) {
+    const requestId = context && context.awsRequestId;
+    return _isId(requestId) ? requestId : _shortId.generate();
+}
+
+/**
+ * Utility class that determines the correlation id for a lambda invocation.
+ * Correlation ids identify a single request as it flows through multiple
+ * services, and are propagated from upstream callers using one of the
+ * following (checked in order):
+ *
+ * - A request header (API Gateway events). Header names are matched without
+ *   regard to case.
+ * - A message attribute of the first record (SQS and SNS events).
+ * - A field of the event, identified by a dot separated path.
+ *
+ * If none of these specify a correlation id, a new id is generated. Any of
+ * the sources can be disabled by setting the corresponding option to false.
+ */
+class CorrelationResolver {
+    /**
+     * @param {Object} [options={}] Options that control how correlation ids
+     *        are resolved.
+     * @param {String|Boolean} [options.header='x-correlation-id'] The name of
+     *        the request header that contains the correlation id.
+     * @param {String|Boolean} [options.attribute='correlationId'] The name of
+     *        the message attribute that contains the correlation id.
+     * @param {String|Boolean} [options.field='correlationId'] The path of
+     *        the event field that contains the correlation id.
+     * @param {Function} [options.generate] A function that will be invoked
+     *        with the event and context to generate a new correlation id.
+     *        By default, the request id of the invocation is used.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const defaults = {
+            header: DEFAULT_HEADER,
+            attribute: DEFAULT_ATTRIBUTE,
+            field: DEFAULT_FIELD
+        };
+        const sources = {};
+        Object.keys(defaults).forEach((prop) => {
+            const value = (options[prop] === undefined) ? defaults[prop] : options[prop];
+            if (value !== false && !_isId(value)) {
+                throw new Error(`Invalid ${prop} name specified (options.${prop})`);
+            }
+            sources[prop] = value;
+        });
+
+        const generate = (options.generate === undefined) ? _generateId : options.generate;
+        if (typeof generate !== 'function') {
+            throw new Error('Invalid generate function specified (options.generate)');
+        }
+
+        this._header = sources.header;
+        this._attribute = sources.attribute;
+        this._field = sources.field;
+        this._generate = generate;
+    }
+
+    /**
+     * The name of the request header that contains the correlation id, or
+     * false if headers are not checked. Handlers can use this header to
+     * forward the correlation id on outgoing HTTP calls.
+     *
+     * @return {String|Boolean}
+     */
+    get header() {
+        return this._header;
+    }
+
+    /**
+     * The name of the message attribute that contains the correlation id, or
+     * false if message attributes are not checked. Handlers can use this
+     * attribute to forward the correlation id on outgoing messages.
+     *
+     * @return {String|Boolean}
+     */
+    get attribute() {
+        return this._attribute;
+    }
+
+    /**
+     * Resolves the correlation id for a lambda invocation.
+     *
+     * @param {Object} event The lambda event.
+     * @param {Object} context The lambda context.
+     *
+     * @return {String} The correlation id specified by the upstream caller,
+     *         or a newly generated id.
+     */
+    resolve(event, context) {
+        if (event && typeof event === 'object') {
+            const ids = [
+                this._header ? _eventAttributes.getHeader(event, this._header) : undefined,
+                this._attribute ? _eventAttributes.getAttribute(event, this._attribute) : undefined,
+                this._field ? _eventAttributes.getPath(event, this._field) : undefined
+            ];
+            const id = ids.find(_isId);
+            if (id !== undefined) {
+                return id;
+            }
+        }
+        return String(this._generate(event, context));
+    }
+}
+
+module.exports = CorrelationResolver;
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Cancellation token that is bound to the time at which a lambda invocation
+ * is expected to time out. The token behaves like an AbortSignal - it can be
+ * aborted (typically by the handler wrapper, just before the lambda times
+ * out), and notifies registered listeners when this happens. Handlers can
+ * use the token to bound the duration of downstream calls, or to abandon
+ * work that cannot be completed in time.
+ *
+ * If the runtime supports AbortController, a native AbortSignal that is
+ * aborted along with the token is exposed via the signal property, and can
+ * be passed to APIs such as fetch() or the AWS SDK.
+ */
+class Deadline {
+    /**
+     * @param {Number} expiresAt The time (in milliseconds since the epoch) at
+     *        which the deadline expires. Infinity may be used to create a
+     *        deadline that never expires.
+     */
+    constructor(expiresAt) {
+        if (typeof expiresAt !== 'number' || isNaN(expiresAt)) {
+            throw new Error('Invalid expiry time specified (arg #1)');
+        }
+
+        this._expiresAt = expiresAt;
+        this._aborted = false;
+        this._reason = undefined;
+        this._listeners = [];
+        this._controller = (typeof global.AbortController === 'function') ?
+            new global.AbortController() : null;
+    }
+
+    /**
+     * The time (in milliseconds since the epoch) at which the deadline
+     * expires.
+     *
+     * @return {Number}
+     */
+    get expiresAt() {
+        return this._expiresAt;
+    }
+
+    /**
+     * Determines whether or not the deadline has been aborted.
+     *
+     * @return {Boolean}
+     */
+    get aborted() {
+        return this._aborted;
+    }
+
+    /**
+     * The reason provided when the deadline was aborted.
+     *
+     * @return {*}
+     */
+    get reason() {
+        return this._reason;
+    }
+
+    /**
+     * A native AbortSignal that is aborted along with the deadline, or
+     * undefined if the runtime does not support AbortController.
+     *
+     * @return {AbortSignal}
+     */
+    get signal() {
+        return this._controller ? this._controller.signal : undefined;
+    }
+
+    /**
+     * Returns the time remaining before the deadline expires.
+     *
+     * @return {Number} The remaining time in milliseconds. This value will
+     *         be 0 if the deadline has expired.
+     */
+    getRemainingTime() {
+        return Math.max(0, this._expiresAt - Date.now());
+    }
+
+    /**
+     * Registers a listener that will be invoked with the abort reason when
+     * the deadline is aborted. The listener is invoked immediately if the
+     * deadline has already been aborted.
+     *
+     * @param {Function} listener The listener to register.
+     *
+     * @return {Function} A function that can be invoked to unregister the
+     *         listener.
+     */
+    onAbort(listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('Invalid listener specified (arg #1)');
+        }
+        if (this._aborted) {
+            listener(this._reason);
+            return () => undefined;
+        }
+        this._listeners.push(listener);
+        return () => {
+            this._listeners = this._listeners.filter((item) => item !== listener);
+        };
+    }
+
+    /**
+     * Throws the abort reason if the deadline has been aborted.
+     */
+    throwIfAborted() {
+        if (this._aborted) {
+            throw this._reason;
+        }
+    }
+
+    /**
+     * Aborts the deadline, and notifies all registered listeners. Errors
+     * thrown by listeners are ignored. Aborting a deadline that has already
+     * been aborted has no effect.
+     *
+     * @param {*} [reason] The reason for aborting the deadline.
+     */
+    abort(reason) {
+        if (this._aborted) {
+            return;
+        }
+        this._aborted = true;
+        this._reason = reason;
+        if (this._controller) {
+            this._controller.abort(reason);
+        }
+
+        const listeners = this._listeners;
+        this._listeners = [];
+        listeners.forEach((listener) => {
+            try {
+                listener(reason);
+            } catch (ex) {
+                // Listener errors should not prevent other listeners from
+                // being notified.
+            }
+        });
+    }
+}
+
+module.exports = Deadline;
@@ -0,0 +1,216 @@
+'use strict';
+
+const Environment = require('./environment');
+const Arn = require('./arn');
+
+const DEFAULT_RESOLVERS = ['alias'];
+const DEFAULT_VARIABLE = 'STAGE';
+const DEFAULT_FALLBACK = 'na';
+const DEFAULT_SEPARATOR = '-';
+
+/**
+ * Returns the qualifier (alias) from the invoked function ARN. Unqualified
+ * invocations, and invocations qualified by "$LATEST" or a numeric version
+ * do not identify an environment.
+ *
+ * @private
+ * @param {Object} event The lambda event.
+ * @param {Object} context The lambda context.
+ *
+ * @return {String} The alias, or undefined if the invocation is not
+ *         qualified by an alias.
+ */
+function _resolveAlias(event, context) {
+    const arn = context && context.invokedFunctionArn;
+    if (!Arn.isValid(arn)) {
+        return;
+    }
+    return Arn.parse(arn).alias;
+}
+
+/**
+ * Returns the API Gateway stage from the event request context. The
+ * "$default" stage of HTTP APIs does not identify an environment.
+ *
+ * @private
+ * @param {Object} event The lambda event.
+ *
+ * @return {String} The stage, or undefined if the event does not specify one.
+ */
+function _resolveStage(event) {
+    const requestContext = event && event.requestContext;
+    if (!requestContext || typeof requestContext !== 'object') {
+        return;
+    }
+    const stage = requestContext.stage;
+    return (stage === '$default') ? undefined : stage;
+}
+
+/**
+ * Utility class that resolves the environment for a lambda invocation by
+ * trying a configured list of strategies in order, and returning the first
+ * environment that is found. The following strategies are supported:
+ *
+ * - "alias": The alias qualifier of the invoked function ARN. Invocations
+ *   qualified by "$LATEST" or numeric versions are ignored.
+ * - "functionName": A suffix of the function name (for example, "prod" for
+ *   "my-fn-prod"). Only suffixes that are present in the environment map
+ *   are matched.
+ * - "variable": The value of a process environment variable ("STAGE" by
+ *   default).
+ * - "stage": The API Gateway stage from the event request context.
+ * - A custom function that is invoked with the event and context, and
+ *   returns the environment.
+ *
+ * If an environment map is specified, resolved environments that are not
+ * present in the map are ignored.
+ */
+class EnvResolver {
+    /**
+     * @param {Object} [options={}] Options that control how the environment
+     *        is resolved.
+     * @param {Array} [options.resolvers=['alias']] An ordered list of
+     *        strategy names and/or custom resolver functions.
+     * @param {String} [options.variable='STAGE'] The name of the process
+     *        environment variable used by the "variable" strategy.
+     * @param {String} [options.separator='-'] The separator used by the
+     *        "functionName" strategy to identify the suffix.
+     * @param {String} [options.fallback='na'] The environment to use if none
+     *        of the strategies resolve an environment.
+     * @param {Object} [options.envMap] An optional environment map (see
+     *        Environment) that resolved environments are validated against.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const resolvers = (options.resolvers === undefined) ? DEFAULT_RESOLVERS : options.resolvers;
+        if (!(resolvers instanceof Array) || resolvers.length <= 0 ||
+            !resolvers.every((resolver) => typeof resolver === 'function' ||
+                EnvResolver.STRATEGIES.indexOf(resolver) >= 0)) {
+            throw new Error('Invalid resolvers specified (options.resolvers)');
+        }
+
+        const variable = (options.variable === undefined) ? DEFAULT_VARIABLE : options.variable;
+        if (typeof variable !== 'string' || variable.length <= 0) {
+            throw new Error('Invalid variable name specified (options.variable)');
+        }
+
+        const separator = (options.separator === undefined) ? DEFAULT_SEPARATOR : options.separator;
+        if (typeof separator !== 'string' || separator.length <= 0) {
+            throw new Error('Invalid separator specified (options.separator)');
+        }
+
+        const fallback = (options.fallback === undefined) ? DEFAULT_FALLBACK : options.fallback;
+        if (typeof fallback !== 'string' || fallback.length <= 0) {
+            throw new Error('Invalid fallback environment specified (options.fallback)');
+        }
+
+        const envMap = options.envMap;
+        if (envMap !== undefined && (!envMap || (envMap instanceof Array) || typeof envMap !== 'object')) {
+            throw new Error('Invalid environment map specified (options.envMap)');
+        }
+
+        this._resolvers = resolvers.slice();
+        this._variable = variable;
+        this._separator = separator;
+        this._fallback = fallback;
+        this._envMap = envMap;
+    }
+
+    /**
+     * The names of the supported resolution strategies.
+     *
+     * @return {Array}
+     */
+    static get STRATEGIES() {
+        return ['alias', 'functionName', 'variable', 'stage'];
+    }
+
+    /**
+     * Determines whether or not the specified value is a valid environment.
+     *
+     * @private
+     * @param {*} env The value to check.
+     *
+     * @return {Boolean} True if the value is a non empty string that is
+     *         present in the environment map (if one has been specified).
+     */
+    _isValid(env) {
+        if (typeof env !== 'string' || env.length <= 0) {
+            return false;
+        }
+        return !this._envMap || new Environment(env, this._envMap).isValid;
+    }
+
+    /**
+     * Returns the environment identified by the function name suffix.
+     *
+     * @private
+     * @param {Object} context The lambda context.
+     *
+     * @return {String} The environment, or undefined if the function name
+     *         does not end with a known environment.
+     */
+    _resolveFunctionName(context) {
+        const functionName = context && context.functionName;
+        if (typeof functionName !== 'string') {
+            return;
+        }
+        const index = functionName.lastIndexOf(this._separator);
+        if (index < 0) {
+            return;
+        }
+        const suffix = functionName.substring(index + this._separator.length);
+        return new Environment(suffix, this._envMap).isValid ? suffix : undefined;
+    }
+
+    /**
+     * Invokes a single resolution strategy.
+     *
+     * @private
+     * @param {String|Function} resolver The strategy name or custom resolver.
+     * @param {Object} event The lambda event.
+     * @param {Object} context The lambda context.
+     *
+     * @return {String} The environment resolved by the strategy.
+     */
+    _invokeResolver(resolver, event, context) {
+        if (typeof resolver === 'function') {
+            return resolver(event, context);
+        }
+        switch (resolver) {
+            case 'alias':
+                return _resolveAlias(event, context);
+            case 'functionName':
+                return this._resolveFunctionName(context);
+            case 'variable':
+                return process.env[this._variable];
+            default:
+                return _resolveStage(event);
+        }
+    }
+
+    /**
+     * Resolves the environment for a lambda invocation.
+     *
+     * @param {Object} event The lambda event.
+     * @param {Object} context The lambda context.
+     *
+     * @return {String} The resolved environment, or the fallback
+     *         environment if none of the strategies resolved a valid
+     *         environment.
+     */
+    resolve(event, context) {
+        for (let index = 0; index < this._resolvers.length; index++) {
+            const env = this._invokeResolver(this._resolvers[index], event, context);
+            if (this._isValid(env)) {
+                return env;
+            }
+        }
+        return this._fallback;
+    }
+}
+
+module.exports = EnvResolver;
@@ -1,24 +1,256 @@
 'use strict';
 
 const _clone = require('clone');
+const Arn = require('./arn');
+
+const FIFO_SUFFIX = '.fifo';
+const DEFAULT_DNS_SUFFIX = 'amazonaws.com';
+
+/**
+ * DNS suffixes of service endpoints, keyed by AWS partition. Partitions that
+ * are not listed use the default suffix.
+ *
+ * @private
+ */
+const DNS_SUFFIXES = {
+    'aws-cn': 'amazonaws.com.cn',
+    'aws-iso': 'c2s.ic.gov',
+    'aws-iso-b': 'sc2s.sgov.gov'
+};
+
+/**
+ * Naming rules for AWS resources, keyed by resource type.
+ *
+ * @private
+ */
+const RESOURCE_TYPES = {
+    table: {
+        label: 'DynamoDB table',
+        minLength: 3,
+        maxLength: 255,
+        pattern: /^[a-zA-Z0-9_.-]+$/
+    },
+    queue: {
+        label: 'SQS queue',
+        minLength: 1,
+        maxLength: 80,
+        pattern: /^[a-zA-Z0-9_-]+(\.fifo)?$/,
+        fifo: true
+    },
+    topic: {
+        label: 'SNS topic',
+        minLength: 1,
+        maxLength: 256,
+        pattern: /^[a-zA-Z0-9_-]+(\.fifo)?$/,
+        fifo: true
+    },
+    bucket: {
+        label: 'S3 bucket',
+        minLength: 3,
+        maxLength: 63,
+        pattern: /^[a-z0-9][a-z0-9.-]*[a-z0-9]$/
+    },
+    stream: {
+        label: 'Kinesis stream',
+        minLength: 1,
+        maxLength: 128,
+        pattern: /^[a-zA-Z0-9_.-]+$/
+    },
+    function: {
+        label: 'Lambda function',
+        minLength: 1,
+        maxLength: 64,
+        pattern: /^[a-zA-Z0-9_-]+$/
+    }
+};
+
+const ALIAS_PATTERN = /^(?![0-9]+$)[a-zA-Z0-9_-]{1,128}$/;
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+const VARIABLE_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Transforms that can be applied to template variables, keyed by name.
+ *
+ * @private
+ */
+const TEMPLATE_TRANSFORMS = {
+    lower: (value) => value.toLowerCase(),
+    upper: (value) => value.toUpperCase(),
+    trim: (value) => value.trim(),
+    sanitize: (value, separator) => value.replace(/[^a-zA-Z0-9_-]+/g, ' ').trim().replace(/ /g, separator)
+};
+
+/**
+ * Parses a naming template into a list of literal strings and variable
+ * placeholders. Placeholders are of the form "{variable}", optionally
+ * followed by a list of transforms ("{variable|lower|sanitize}").
+ *
+ * @private
+ * @param {String} template The template to parse.
+ *
+ * @return {Array} The parsed template, or undefined if the template is not
+ *         valid.
+ */
+function _parseTemplate(template) {
+    if (typeof template !== 'string' || template.length <= 0) {
+        return;
+    }
+    const parts = [];
+    let lastIndex = 0;
+    let isValid = true;
+    template.replace(PLACEHOLDER_PATTERN, (match, expression, offset) => {
+        const tokens = expression.split('|').map((token) => token.trim());
+        const variable = tokens.shift();
+        if (!VARIABLE_PATTERN.test(variable) ||
+            !tokens.every((transform) => TEMPLATE_TRANSFORMS.hasOwnProperty(transform))) {
+            isValid = false;
+        }
+        parts.push(template.substring(lastIndex, offset));
+        parts.push({
+            variable,
+            transforms: tokens
+        });
+        lastIndex = offset + match.length;
+        return match;
+    });
+    parts.push(template.substring(lastIndex));
+
+    const literals = parts.filter((part) => typeof part === 'string').join('');
+    if (!isValid || literals.indexOf('{') >= 0 || literals.indexOf('}') >= 0) {
+        return;
+    }
+    return parts.filter((part) => part !== '');
+}
+
+/**
+ * Normalizes an environment map entry into a metadata object. String entries
+ * (supported for backwards compatibility) are treated as both the prefix and
+ * suffix tokens for the environment.
+ *
+ * @private
+ * @param {String|Object} entry The environment map entry.
+ *
+ * @return {Object} The metadata for the entry, or undefined if the entry is
+ *         not valid.
+ */
+function _normalizeEntry(entry) {
+    if (typeof entry === 'string') {
+        return {
+            prefix: entry,
+            suffix: entry
+        };
+    }
+    if (!entry || (entry instanceof Array) || typeof entry !== 'object') {
+        return;
+    }
+    return entry;
+}
+
+/**
+ * Resolves the metadata for an environment by merging the metadata of the
+ * environment with that of its ancestors (identified by the parent property
+ * of each entry). Properties of an environment override those of its parent.
+ *
+ * @private
+ * @param {String} env The environment to resolve metadata for.
+ * @param {Object} envMap The environment map.
+ *
+ * @return {Object} An object with the resolved metadata, and the list of
+ *         ancestors of the environment (including the environment itself),
+ *         or undefined if the environment is not present in the map.
+ */
+function _resolveMetadata(env, envMap) {
+    const ancestors = [];
+    const entries = [];
+    let current = env;
+    while (current !== undefined) {
+        if (ancestors.indexOf(current) >= 0) {
+            throw new Error(`Circular environment inheritance detected (${ancestors.concat(current).join(' -> ')})`);
+        }
+        const entry = envMap.hasOwnProperty(current) ? _normalizeEntry(envMap[current]) : undefined;
+        if (!entry) {
+            if (current === env) {
+                return;
+            }
+            throw new Error(`Invalid parent environment specified (${current})`);
+        }
+        ancestors.push(current);
+        entries.unshift(entry);
+        current = entry.parent;
+    }
+
+    const metadata = Object.assign.apply(null, [{}].concat(entries));
+    metadata.parent = (ancestors.length > 1) ? ancestors[1] : undefined;
+    if (metadata.suffix === undefined) {
+        metadata.suffix = env;
+    }
+    if (metadata.prefix === undefined) {
+        metadata.prefix = metadata.suffix;
+    }
+    if (typeof metadata.suffix !== 'string' || typeof metadata.prefix !== 'string') {
+        throw new Error(`Invalid prefix or suffix token specified for environment (${env})`);
+    }
+    metadata.isProduction = !!metadata.isProduction;
+
+    return {
+        metadata,
+        ancestors
+    };
+}
 
 /**
  * Utility class that performs environment related checks, and exposes
  * methods for environment specific string generation.
+ *
+ * Each entry in the environment map may either be a string token (used as
+ * both prefix and suffix), or an object with metadata for the environment.
+ * The following metadata properties have special meaning:
+ *
+ * - suffix: The token used by getSuffixString() (defaults to the
+ *   environment name).
+ * - prefix: The token used by getPrefixString() (defaults to the suffix).
+ * - isProduction: Identifies production environments.
+ * - accountId: The AWS account id of the environment.
+ * - region: The AWS region of the environment.
+ * - parent: The name of an environment whose metadata is inherited.
+ * - template: A naming template for the environment, which overrides the
+ *   template specified when the object is created.
+ *
+ * Any other properties can be looked up using get().
+ *
+ * Naming templates are used by format() (and the resource name builders) to
+ * generate names. Templates contain "{variable}" placeholders, optionally
+ * followed by transforms ("{variable|lower|sanitize}"). The following
+ * variables are available, in addition to string metadata properties and
+ * variables passed to format():
+ *
+ * - name: The name being formatted.
+ * - env: The suffix token of the environment.
+ * - prefix: The prefix token of the environment.
+ * - envName: The name of the environment.
+ *
+ * Supported transforms are "lower", "upper", "trim" and "sanitize" (which
+ * replaces runs of characters other than letters, digits, "-" and "_" with
+ * the separator, and removes them from the start and end of the value).
+ * The default template ("{name}-{env}" for the default separator) produces
+ * the same names as getSuffixString() for non empty names.
  */
 class Environment {
     /**
      * @param {String} env The current environment value.
-     * @param {Array} [envMap = {
-     *            dev: { token: '-dev' },
-     *            qa: { token: '-qa' },
-     *            prod: { token: '-prod' }
+     * @param {Object} [envMap = {
+     *            dev: 'dev',
+     *            qa: 'qa',
+     *            prod: { suffix: 'prod', isProduction: true }
      *        } ] An optional environment map that maps supported environment
-     *        values to string generation tokens.
+     *        values to string generation tokens or metadata objects.
      * @param {String} [separator='-'] An optional separator value for
      *        generated strings.
+     * @param {String} [template='{name}<separator>{env}'] An optional
+     *        naming template used by format().
      */
-    constructor(env, envMap, separator) {
+    constructor(env, envMap, separator, template) {
         if (typeof env !== 'string' || env.length <= 0) {
             env = undefined;
         }
@@ -26,16 +258,89 @@ class Environment {
             envMap = {
                 dev: 'dev',
                 qa: 'qa',
-                prod: 'prod'
+                prod: {
+                    suffix: 'prod',
+                    isProduction: true
+                }
             };
         }
         if (typeof separator !== 'string') {
             separator = '-';
         }
+        if (template === undefined) {
+            template = `{name}${separator}{env}`;
+        }
+        if (!_parseTemplate(template)) {
+            throw new Error('Invalid template specified (arg #4)');
+        }
         this._env = env;
         this._separator = separator;
         this._envMap = _clone(envMap);
-        this._envToken = this._envMap[env];
+
+        const resolved = (env === undefined) ? undefined : _resolveMetadata(env, this._envMap);
+        this._metadata = resolved ? resolved.metadata : undefined;
+        this._ancestors = resolved ? resolved.ancestors : [];
+        this._envToken = resolved ? resolved.metadata.suffix : undefined;
+
+        if (this._metadata && this._metadata.template !== undefined) {
+            template = this._metadata.template;
+        }
+        this._template = template;
+        this._templateParts = _parseTemplate(template);
+        if (!this._templateParts) {
+            throw new Error(`Invalid naming template specified for environment (${env})`);
+        }
+    }
+
+    /**
+     * Creates an environment from the alias that qualifies a lambda function
+     * ARN (see Arn). The environment is not valid if the ARN is not
+     * qualified by an alias.
+     *
+     * @param {String} arn The invoked function ARN.
+     * @param {Object} [envMap] An optional environment map (see
+     *        constructor).
+     * @param {String} [separator='-'] An optional separator value for
+     *        generated strings.
+     * @param {String} [template] An optional naming template.
+     *
+     * @return {Environment} The environment identified by the ARN.
+     */
+    static fromArn(arn, envMap, separator, template) {
+        if (!Arn.isValid(arn)) {
+            throw new Error('Invalid ARN specified (arg #1)');
+        }
+        return new Environment(Arn.parse(arn).alias, envMap, separator, template);
+    }
+
+    /**
+     * Creates an environment from a lambda context, using the alias that
+     * qualifies the invoked function ARN. The extension object passed to
+     * handlers by HandlerWrapper may also be specified, in which case the
+     * environment resolved by the wrapper is used.
+     *
+     * @param {Object} context The lambda context, or the handler extension
+     *        object.
+     * @param {Object} [envMap] An optional environment map (see
+     *        constructor).
+     * @param {String} [separator='-'] An optional separator value for
+     *        generated strings.
+     * @param {String} [template] An optional naming template.
+     *
+     * @return {Environment} The environment identified by the context.
+     */
+    static fromContext(context, envMap, separator, template) {
+        if (!context || (context instanceof Array) || typeof context !== 'object') {
+            throw new Error('Invalid context specified (arg #1)');
+        }
+        if (typeof context.env === 'string') {
+            return new Environment(context.env, envMap, separator, template);
+        }
+        const arn = context.invokedFunctionArn;
+        if (!Arn.isValid(arn)) {
+            return new Environment(undefined, envMap, separator, template);
+        }
+        return Environment.fromArn(arn, envMap, separator, template);
     }
 
     /**
@@ -56,6 +361,15 @@ class Environment {
         return this._separator;
     }
 
+    /**
+     * Gets the naming template used by format().
+     *
+     * @return {String} The naming template for the current environment.
+     */
+    get template() {
+        return this._template;
+    }
+
     /**
      * Returns a value that specifies whether or not the current environment is
      * valid based on the specified environment map.
@@ -63,7 +377,7 @@ class Environment {
      * @return {Boolean} True if the environment is supported, false otherwise.
      */
     get isValid() {
-        return typeof this._envToken === 'string';
+        return !!this._metadata;
     }
 
     /**
@@ -75,6 +389,110 @@ class Environment {
         return this._envToken;
     }
 
+    /**
+     * Returns the prefix token value for the current environment.
+     *
+     * @return {String} The prefix token value for the current environment.
+     */
+    get prefixToken() {
+        return this._metadata ? this._metadata.prefix : undefined;
+    }
+
+    /**
+     * Returns a value that specifies whether or not the current environment
+     * is a production environment.
+     *
+     * @return {Boolean} True if the environment is a production environment,
+     *         false otherwise.
+     */
+    get isProduction() {
+        return !!this._metadata && this._metadata.isProduction;
+    }
+
+    /**
+     * Returns the AWS account id for the current environment.
+     *
+     * @return {String} The account id, or undefined if one has not been
+     *         specified.
+     */
+    get accountId() {
+        return this.get('accountId');
+    }
+
+    /**
+     * Returns the AWS region for the current environment.
+     *
+     * @return {String} The region, or undefined if one has not been
+     *         specified.
+     */
+    get region() {
+        return this.get('region');
+    }
+
+    /**
+     * Returns a copy of the metadata for the current environment, including
+     * metadata inherited from parent environments.
+     *
+     * @return {Object} The environment metadata, or undefined if the
+     *         environment is not valid.
+     */
+    get metadata() {
+        return this._metadata ? _clone(this._metadata) : undefined;
+    }
+
+    /**
+     * Determines whether or not the current environment matches any of the
+     * specified environment names. An environment also matches the names of
+     * the environments that it inherits from.
+     *
+     * @param {...String} envs The environment names to check.
+     *
+     * @return {Boolean} True if the current environment matches one of the
+     *         names, false otherwise.
+     */
+    is() {
+        const envs = Array.prototype.slice.call(arguments);
+        return envs.some((env) => this._ancestors.indexOf(env) >= 0);
+    }
+
+    /**
+     * Returns the value of a metadata property for the current environment.
+     *
+     * @param {String} key The name of the metadata property.
+     * @param {*} [defaultValue] A value to return if the property has not
+     *        been specified.
+     *
+     * @return {*} The value of the metadata property.
+     */
+    get(key, defaultValue) {
+        if (typeof key !== 'string' || key.length <= 0) {
+            throw new Error('Invalid key specified (arg #1)');
+        }
+        const value = this._metadata ? this._metadata[key] : undefined;
+        return (value === undefined) ? defaultValue : _clone(value);
+    }
+
+    /**
+     * Returns a string that is prefixed by the current environment's prefix
+     * token value.
+     *
+     * @param {String} value The value to be prefixed by the token value.
+     *
+     * @return {String} The original value prefixed with the environment
+     *         specific token.
+     */
+    getPrefixString(value) {
+        if (typeof value !== 'string') {
+            throw new Error('Invalid value specified (arg #1)');
+        }
+        if (!this.isValid) {
+            return;
+        }
+        const prefix = this._metadata.prefix;
+        const separator = (prefix.length > 0) ? this.separator : '';
+        return `${prefix}${separator}${value}`;
+    }
+
     /**
      * Returns a string that is suffixed by the current environment's token
      * value.
@@ -94,6 +512,368 @@ class Environment {
         const separator = (this._envToken.length > 0) ? this.separator : '';
         return `${value}${separator}${this._envToken}`;
     }
+
+    /**
+     * Generates a name using the naming template of the current environment.
+     * A separator that follows (or, failing that, precedes) a variable with
+     * an empty value is omitted from the name.
+     *
+     * @param {String} name The name to format.
+     * @param {Object} [vars={}] Additional template variables. These
+     *        override built in variables and metadata properties of the same
+     *        name.
+     *
+     * @return {String} The formatted name, or undefined if the current
+     *         environment is not valid.
+     *
+     * @throws {Error} An error if the template references a variable that
+     *         does not have a value.
+     */
+    format(name, vars) {
+        if (typeof name !== 'string') {
+            throw new Error('Invalid name specified (arg #1)');
+        }
+        if (vars === undefined) {
+            vars = {};
+        }
+        if (!vars || (vars instanceof Array) || typeof vars !== 'object') {
+            throw new Error('Invalid variables specified (arg #2)');
+        }
+        if (!this.isValid) {
+            return;
+        }
+
+        const values = {};
+        Object.keys(this._metadata).forEach((key) => {
+            const value = this._metadata[key];
+            if (typeof value === 'string' || typeof value === 'number') {
+                values[key] = value;
+            }
+        });
+        Object.assign(values, {
+            name,
+            env: this._envToken,
+            prefix: this._metadata.prefix,
+            envName: this._env
+        }, vars);
+
+        const parts = this._templateParts;
+        const pieces = parts.map((part) => {
+            if (typeof part === 'string') {
+                return part;
+            }
+            const value = values[part.variable];
+            if (value === undefined || value === null) {
+                throw new Error(`Missing value for template variable (${part.variable})`);
+            }
+            return part.transforms.reduce((current, transform) => {
+                return TEMPLATE_TRANSFORMS[transform](current, this.separator);
+            }, String(value));
+        });
+
+        const separator = this.separator;
+        if (separator.length > 0) {
+            parts.forEach((part, index) => {
+                if (typeof part === 'string' || pieces[index].length > 0) {
+                    return;
+                }
+                const next = index + 1;
+                const previous = index - 1;
+                if (typeof parts[next] === 'string' && pieces[next].startsWith(separator)) {
+                    pieces[next] = pieces[next].substring(separator.length);
+                } else if (typeof parts[previous] === 'string' && pieces[previous].endsWith(separator)) {
+                    pieces[previous] = pieces[previous].substring(0,
+                        pieces[previous].length - separator.length);
+                }
+            });
+        }
+        return pieces.join('');
+    }
+
+    /**
+     * Returns the AWS partition, region and account id for the current
+     * environment, throwing an error if the region or account id have not
+     * been specified.
+     *
+     * @private
+     * @return {Object} An object with partition, region and accountId
+     *         properties.
+     */
+    _getArnContext() {
+        const region = this.region;
+        const accountId = this.accountId;
+        if (typeof region !== 'string' || region.length <= 0 ||
+            typeof accountId !== 'string' || accountId.length <= 0) {
+            throw new Error(`Region and account id have not been specified for environment (${this.env})`);
+        }
+        return {
+            partition: this.get('partition', 'aws'),
+            region,
+            accountId
+        };
+    }
+
+    /**
+     * Builds an ARN for a resource in the partition, region and account of
+     * the current environment.
+     *
+     * @private
+     * @param {Object} options The service and resource components of the
+     *        ARN (see Arn).
+     *
+     * @return {String} The ARN.
+     */
+    _buildArn(options) {
+        return new Arn(Object.assign(this._getArnContext(), options)).toString();
+    }
+
+    /**
+     * Returns an environment specific name for an AWS resource. The name is
+     * generated using the naming template (see format()), and validated against the naming
+     * rules for the resource type. Tokens are inserted before the ".fifo"
+     * suffix of FIFO queue and topic names.
+     *
+     * @param {String} type The type of the resource. Must be one of "table",
+     *        "queue", "topic", "bucket", "stream" or "function".
+     * @param {String} name The base name of the resource.
+     *
+     * @return {String} The environment specific resource name, or undefined
+     *         if the current environment is not valid.
+     *
+     * @throws {Error} An error if the generated name does not satisfy the
+     *         naming rules for the resource type.
+     */
+    getResourceName(type, name) {
+        const rules = RESOURCE_TYPES.hasOwnProperty(type) ? RESOURCE_TYPES[type] : undefined;
+        if (!rules) {
+            throw new Error('Invalid resource type specified (arg #1)');
+        }
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid resource name specified (arg #2)');
+        }
+        if (!this.isValid) {
+            return;
+        }
+
+        const isFifo = !!rules.fifo && name.endsWith(FIFO_SUFFIX);
+        const baseName = isFifo ? name.substring(0, name.length - FIFO_SUFFIX.length) : name;
+        const resourceName = this.format(baseName) + (isFifo ? FIFO_SUFFIX : '');
+
+        if (resourceName.length < rules.minLength || resourceName.length > rules.maxLength) {
+            throw new Error(`Invalid ${rules.label} name (${resourceName}). ` +
+                `Length must be between ${rules.minLength} and ${rules.maxLength} characters`);
+        }
+        if (!rules.pattern.test(resourceName)) {
+            throw new Error(`Invalid ${rules.label} name (${resourceName}). Name contains invalid characters`);
+        }
+        return resourceName;
+    }
+
+    /**
+     * Returns the environment specific name of a DynamoDB table.
+     *
+     * @param {String} name The base name of the table.
+     *
+     * @return {String} The table name.
+     */
+    getTableName(name) {
+        return this.getResourceName('table', name);
+    }
+
+    /**
+     * Returns the ARN of an environment specific DynamoDB table.
+     *
+     * @param {String} name The base name of the table.
+     *
+     * @return {String} The table ARN.
+     */
+    getTableArn(name) {
+        const tableName = this.getTableName(name);
+        if (tableName === undefined) {
+            return;
+        }
+        return this._buildArn({
+            service: 'dynamodb',
+            resourceType: 'table',
+            resourceId: tableName
+        });
+    }
+
+    /**
+     * Returns the environment specific name of an SQS queue.
+     *
+     * @param {String} name The base name of the queue.
+     *
+     * @return {String} The queue name.
+     */
+    getQueueName(name) {
+        return this.getResourceName('queue', name);
+    }
+
+    /**
+     * Returns the ARN of an environment specific SQS queue.
+     *
+     * @param {String} name The base name of the queue.
+     *
+     * @return {String} The queue ARN.
+     */
+    getQueueArn(name) {
+        const queueName = this.getQueueName(name);
+        if (queueName === undefined) {
+            return;
+        }
+        return this._buildArn({
+            service: 'sqs',
+            resourceId: queueName
+        });
+    }
+
+    /**
+     * Returns the URL of an environment specific SQS queue. The domain of
+     * the URL is based on the partition of the current environment.
+     *
+     * @param {String} name The base name of the queue.
+     *
+     * @return {String} The queue URL.
+     */
+    getQueueUrl(name) {
+        const queueName = this.getQueueName(name);
+        if (queueName === undefined) {
+            return;
+        }
+        const arn = this._getArnContext();
+        const dnsSuffix = DNS_SUFFIXES.hasOwnProperty(arn.partition) ?
+            DNS_SUFFIXES[arn.partition] : DEFAULT_DNS_SUFFIX;
+        return `https://sqs.${arn.region}.${dnsSuffix}/${arn.accountId}/${queueName}`;
+    }
+
+    /**
+     * Returns the environment specific name of an SNS topic.
+     *
+     * @param {String} name The base name of the topic.
+     *
+     * @return {String} The topic name.
+     */
+    getTopicName(name) {
+        return this.getResourceName('topic', name);
+    }
+
+    /**
+     * Returns the ARN of an environment specific SNS topic.
+     *
+     * @param {String} name The base name of the topic.
+     *
+     * @return {String} The topic ARN.
+     */
+    getTopicArn(name) {
+        const topicName = this.getTopicName(name);
+        if (topicName === undefined) {
+            return;
+        }
+        return this._buildArn({
+            service: 'sns',
+            resourceId: topicName
+        });
+    }
+
+    /**
+     * Returns the environment specific name of an S3 bucket.
+     *
+     * @param {String} name The base name of the bucket.
+     *
+     * @return {String} The bucket name.
+     */
+    getBucketName(name) {
+        return this.getResourceName('bucket', name);
+    }
+
+    /**
+     * Returns the ARN of an environment specific S3 bucket. Bucket ARNs do
+     * not include the region or account id.
+     *
+     * @param {String} name The base name of the bucket.
+     *
+     * @return {String} The bucket ARN.
+     */
+    getBucketArn(name) {
+        const bucketName = this.getBucketName(name);
+        if (bucketName === undefined) {
+            return;
+        }
+        return new Arn({
+            partition: this.get('partition', 'aws'),
+            service: 's3',
+            resourceId: bucketName
+        }).toString();
+    }
+
+    /**
+     * Returns the environment specific name of a Kinesis stream.
+     *
+     * @param {String} name The base name of the stream.
+     *
+     * @return {String} The stream name.
+     */
+    getStreamName(name) {
+        return this.getResourceName('stream', name);
+    }
+
+    /**
+     * Returns the ARN of an environment specific Kinesis stream.
+     *
+     * @param {String} name The base name of the stream.
+     *
+     * @return {String} The stream ARN.
+     */
+    getStreamArn(name) {
+        const streamName = this.getStreamName(name);
+        if (streamName === undefined) {
+            return;
+        }
+        return this._buildArn({
+            service: 'kinesis',
+            resourceType: 'stream',
+            resourceId: streamName
+        });
+    }
+
+    /**
+     * Returns the environment specific name of a Lambda function.
+     *
+     * @param {String} name The base name of the function.
+     *
+     * @return {String} The function name.
+     */
+    getFunctionName(name) {
+        return this.getResourceName('function', name);
+    }
+
+    /**
+     * Returns the ARN of an environment specific Lambda function, optionally
+     * qualified by an alias.
+     *
+     * @param {String} name The base name of the function.
+     * @param {String} [alias] An optional alias that qualifies the ARN. The
+     *        alias is used as is, without appending the environment token.
+     *
+     * @return {String} The function ARN.
+     */
+    getFunctionArn(name, alias) {
+        const functionName = this.getFunctionName(name);
+        if (functionName === undefined) {
+            return;
+        }
+        if (alias !== undefined && (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias))) {
+            throw new Error('Invalid alias specified (arg #2)');
+        }
+        return this._buildArn({
+            service: 'lambda',
+            resourceType: 'function',
+            resourceDelimiter: ':',
+            resourceId: functionName,
+            qualifier: alias
+        });
+    }
 }
 
 module.exports = Environment;
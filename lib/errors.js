@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Base class for typed errors that can be reported by lambda handlers. Typed
+ * errors are reported by the handler wrapper without modification, and
+ * generate error messages of the form "[<name>] <message>", which can be
+ * matched by API Gateway integration responses and Step Function retriers.
+ */
+class LambdaError extends Error {
+    /**
+     * @param {String} name The name of the error, which identifies the type
+     *        of the error. This value will be used as the prefix of the error
+     *        message.
+     * @param {Number} statusCode An HTTP status code that corresponds to
+     *        the error.
+     * @param {String} message A message that describes the error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(name, statusCode, message, details) {
+        super(`[${name}] ${message}`);
+
+        this.name = name;
+        this.statusCode = statusCode;
+        this.description = message;
+        this.details = details;
+    }
+
+    /**
+     * Returns a serializable representation of the error.
+     *
+     * @return {Object} An object that contains the type, message and details
+     *         of the error.
+     */
+    toJSON() {
+        const json = {
+            type: this.name,
+            message: this.description
+        };
+        if (this.details !== undefined) {
+            json.details = this.details;
+        }
+        return json;
+    }
+}
+
+/**
+ * Returns the specified message if it is a non empty string, or the default
+ * message otherwise.
+ *
+ * @private
+ * @param {String} message The message to check.
+ * @param {String} defaultMessage The default message to use.
+ *
+ * @return {String} The message to use.
+ */
+function _getMessage(message, defaultMessage) {
+    return (typeof message === 'string' && message.length > 0) ? message : defaultMessage;
+}
+
+/**
+ * Error generated when a request is malformed or otherwise invalid.
+ */
+class BadRequestError extends LambdaError {
+    /**
+     * @param {String} [message='Bad request'] A message that describes the
+     *        error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('BadRequestError', 400, _getMessage(message, 'Bad request'), details);
+    }
+}
+
+/**
+ * Error generated when a request does not carry valid credentials.
+ */
+class UnauthorizedError extends LambdaError {
+    /**
+     * @param {String} [message='Unauthorized'] A message that describes the
+     *        error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('UnauthorizedError', 401, _getMessage(message, 'Unauthorized'), details);
+    }
+}
+
+/**
+ * Error generated when the caller is not allowed to perform the requested
+ * operation.
+ */
+class ForbiddenError extends LambdaError {
+    /**
+     * @param {String} [message='Forbidden'] A message that describes the
+     *        error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('ForbiddenError', 403, _getMessage(message, 'Forbidden'), details);
+    }
+}
+
+/**
+ * Error generated when a requested resource does not exist.
+ */
+class NotFoundError extends LambdaError {
+    /**
+     * @param {String} [message='Resource not found'] A message that describes
+     *        the error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('NotFoundError', 404, _getMessage(message, 'Resource not found'), details);
+    }
+}
+
+/**
+ * Error generated when a resource does not support the requested HTTP
+ * method.
+ */
+class MethodNotAllowedError extends LambdaError {
+    /**
+     * @param {String} [message='Method not allowed'] A message that describes
+     *        the error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('MethodNotAllowedError', 405, _getMessage(message, 'Method not allowed'), details);
+    }
+}
+
+/**
+ * Error generated when a request conflicts with the current state of a
+ * resource.
+ */
+class ConflictError extends LambdaError {
+    /**
+     * @param {String} [message='Conflict'] A message that describes the
+     *        error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('ConflictError', 409, _getMessage(message, 'Conflict'), details);
+    }
+}
+
+/**
+ * Error generated when a request has been rejected due to rate limiting.
+ */
+class ThrottledError extends LambdaError {
+    /**
+     * @param {String} [message='Request throttled'] A message that describes
+     *        the error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('ThrottledError', 429, _getMessage(message, 'Request throttled'), details);
+    }
+}
+
+/**
+ * Error generated when a request fails due to an internal problem.
+ */
+class InternalError extends LambdaError {
+    /**
+     * @param {String} [message='Internal error'] A message that describes the
+     *        error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('InternalError', 500, _getMessage(message, 'Internal error'), details);
+    }
+}
+
+/**
+ * Error generated when a lambda handler does not complete before the lambda
+ * function is about to time out.
+ */
+class TimeoutError extends LambdaError {
+    /**
+     * @param {String} [message='Lambda execution timed out'] A message that
+     *        describes the error.
+     * @param {*} [details] Optional additional details about the error.
+     */
+    constructor(message, details) {
+        super('TimeoutError', 504, _getMessage(message, 'Lambda execution timed out'), details);
+    }
+}
+
+/**
+ * Error that is generated when an object (for example, a lambda event) does
+ * not conform to an expected schema. The error message lists each offending
+ * path along with a description of the problem.
+ */
+class ValidationError extends LambdaError {
+    /**
+     * @param {String} message A message that describes the context of the
+     *        validation failure.
+     * @param {Array} [errors=[]] A list of validation errors, with each
+     *        error being an object that defines path and message properties.
+     */
+    constructor(message, errors) {
+        if (!(errors instanceof Array)) {
+            errors = [];
+        }
+        const details = errors.map((error) => {
+            return `${error.path}: ${error.message}`;
+        }).join('; ');
+
+        super('ValidationError', 400, `${message}. Details: ${details}`, errors);
+
+        this.errors = errors;
+    }
+}
+
+module.exports = {
+    /**
+     * Base class for all typed errors.
+     */
+    LambdaError,
+
+    /**
+     * Error generated when a request is invalid.
+     */
+    BadRequestError,
+
+    /**
+     * Error generated when a request does not carry valid credentials.
+     */
+    UnauthorizedError,
+
+    /**
+     * Error generated when an operation is not permitted.
+     */
+    ForbiddenError,
+
+    /**
+     * Error generated when a resource does not exist.
+     */
+    NotFoundError,
+
+    /**
+     * Error generated when a resource does not support a method.
+     */
+    MethodNotAllowedError,
+
+    /**
+     * Error generated when a request conflicts with existing state.
+     */
+    ConflictError,
+
+    /**
+     * Error generated when a request is rate limited.
+     */
+    ThrottledError,
+
+    /**
+     * Error generated when a request fails due to an internal problem.
+     */
+    InternalError,
+
+    /**
+     * Error generated when a handler is about to time out.
+     */
+    TimeoutError,
+
+    /**
+     * Error generated when an object fails schema validation.
+     */
+    ValidationError
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Returns the value of a property from an object, using a dot separated
+ * path.
+ *
+ * @private
+ * @param {Object} data The object to read the property from.
+ * @param {String} path The dot separated path to the property.
+ *
+ * @return {*} The value of the property, or undefined if it does not exist.
+ */
+function _getPath(data, path) {
+    return path.split('.').reduce((value, key) => {
+        return (value && typeof value === 'object') ? value[key] : undefined;
+    }, data);
+}
+
+/**
+ * Returns the value of a request header from the event (API Gateway events).
+ * Header names are matched without regard to case.
+ *
+ * @private
+ * @param {Object} event The lambda event.
+ * @param {String} name The name of the header.
+ *
+ * @return {String} The value of the header, or undefined if the header is
+ *         not present.
+ */
+function _getHeader(event, name) {
+    const headers = event.headers;
+    if (!headers || typeof headers !== 'object') {
+        return;
+    }
+    name = name.toLowerCase();
+    const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+    return (key === undefined) ? undefined : headers[key];
+}
+
+/**
+ * Returns the value of a message attribute from the first SQS or SNS record
+ * in the event.
+ *
+ * @private
+ * @param {Object} event The lambda event.
+ * @param {String} name The name of the message attribute.
+ *
+ * @return {String} The value of the attribute, or undefined if the attribute
+ *         is not present.
+ */
+function _getAttribute(event, name) {
+    const record = (event.Records instanceof Array) ? event.Records[0] : undefined;
+    if (!record || typeof record !== 'object') {
+        return;
+    }
+    const attributes = record.messageAttributes || _getPath(record, 'Sns.MessageAttributes');
+    const attribute = (attributes && typeof attributes === 'object') ? attributes[name] : undefined;
+    if (!attribute || typeof attribute !== 'object') {
+        return;
+    }
+    return (attribute.stringValue !== undefined) ? attribute.stringValue : attribute.Value;
+}
+
+/**
+ * Helper functions that read values attached to lambda events by upstream
+ * callers. These are shared by the correlation id and log level resolvers,
+ * and are not exported by the library.
+ *
+ * @private
+ */
+module.exports = {
+    getPath: _getPath,
+    getHeader: _getHeader,
+    getAttribute: _getAttribute
+};
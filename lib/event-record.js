@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * Parses a string as JSON, returning the original string if it is not valid
+ * JSON.
+ *
+ * @private
+ * @param {String} value The value to parse.
+ *
+ * @return {*} The parsed value, or the original value if it could not be
+ *         parsed.
+ */
+function _parseJson(value) {
+    try {
+        return JSON.parse(value);
+    } catch (ex) {
+        return value;
+    }
+}
+
+/**
+ * Converts a DynamoDB attribute value (for example: { S: 'foo' }) into a
+ * native javascript value.
+ *
+ * @private
+ * @param {Object} attribute The DynamoDB attribute value.
+ *
+ * @return {*} The native value.
+ */
+function _unmarshallValue(attribute) {
+    const type = Object.keys(attribute)[0];
+    const value = attribute[type];
+    switch (type) {
+        case 'S':
+        case 'BOOL':
+            return value;
+        case 'N':
+            return Number(value);
+        case 'B':
+            return Buffer.from(value, 'base64');
+        case 'NULL':
+            return null;
+        case 'M':
+            return _unmarshall(value);
+        case 'L':
+            return value.map(_unmarshallValue);
+        case 'SS':
+            return value.slice();
+        case 'NS':
+            return value.map(Number);
+        case 'BS':
+            return value.map((item) => Buffer.from(item, 'base64'));
+        default:
+            throw new Error(`Unsupported DynamoDB attribute type: ${type}`);
+    }
+}
+
+/**
+ * Converts a map of DynamoDB attribute values into a plain javascript
+ * object.
+ *
+ * @private
+ * @param {Object} item A map of DynamoDB attribute values.
+ *
+ * @return {Object} A plain javascript object, or undefined if the item is
+ *         not defined.
+ */
+function _unmarshall(item) {
+    if (!item) {
+        return undefined;
+    }
+    const result = {};
+    for (let key in item) {
+        result[key] = _unmarshallValue(item[key]);
+    }
+    return result;
+}
+
+/**
+ * Converts SQS or SNS message attributes into a map of attribute names to
+ * values.
+ *
+ * @private
+ * @param {Object} attributes The message attributes.
+ * @param {String} valueProp The name of the property that contains the
+ *        attribute value.
+ *
+ * @return {Object} A map of attribute names to values.
+ */
+function _getMessageAttributes(attributes, valueProp) {
+    const result = {};
+    for (let key in attributes) {
+        result[key] = attributes[key][valueProp];
+    }
+    return result;
+}
+
+/**
+ * Represents a single record from an SQS, Kinesis, DynamoDB Streams or SNS
+ * event, and exposes the record identifier and the decoded payload.
+ */
+class EventRecord {
+    /**
+     * @param {Object} record A record from the Records array of a lambda
+     *        event.
+     */
+    constructor(record) {
+        if (!record || (record instanceof Array) || typeof record !== 'object') {
+            throw new Error('Invalid record specified (arg #1)');
+        }
+
+        this._record = record;
+        const source = record.eventSource || record.EventSource;
+        this._source = (typeof source === 'string') ? source.replace(/^aws:/, '') : 'unknown';
+    }
+
+    /**
+     * Gets the raw record.
+     *
+     * @return {Object} The raw record.
+     */
+    get raw() {
+        return this._record;
+    }
+
+    /**
+     * Gets the source of the record. One of "sqs", "kinesis", "dynamodb",
+     * "sns", or "unknown" if the source cannot be determined.
+     *
+     * @return {String} The record source.
+     */
+    get source() {
+        return this._source;
+    }
+
+    /**
+     * Determines whether or not the record was received from an SQS FIFO
+     * queue. Records from FIFO queues must be processed in order.
+     *
+     * @return {Boolean} True if the record is from a FIFO queue.
+     */
+    get isFifo() {
+        const arn = this._record.eventSourceARN;
+        return this._source === 'sqs' && typeof arn === 'string' && /\.fifo$/.test(arn);
+    }
+
+    /**
+     * Gets the identifier of the record (SQS message id, Kinesis and
+     * DynamoDB sequence numbers, or SNS message id). For sources that
+     * support partial batch responses, this is the value that is used to
+     * report batch item failures.
+     *
+     * @return {String} The record identifier, or undefined if the record
+     *         source is unknown.
+     */
+    get id() {
+        const record = this._record;
+        switch (this._source) {
+            case 'sqs':
+                return record.messageId;
+            case 'kinesis':
+                return record.kinesis.sequenceNumber;
+            case 'dynamodb':
+                return record.dynamodb.SequenceNumber;
+            case 'sns':
+                return record.Sns.MessageId;
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Gets the decoded payload of the record. SQS message bodies, Kinesis
+     * data (after base64 decoding) and SNS messages are parsed as JSON if
+     * possible. DynamoDB records are returned as an object with eventName,
+     * keys, newImage and oldImage properties, with all images unmarshalled
+     * into plain objects.
+     *
+     * @return {*} The decoded payload.
+     */
+    get data() {
+        const record = this._record;
+        switch (this._source) {
+            case 'sqs':
+                return _parseJson(record.body);
+            case 'kinesis':
+                return _parseJson(Buffer.from(record.kinesis.data, 'base64').toString('utf8'));
+            case 'dynamodb':
+                return {
+                    eventName: record.eventName,
+                    keys: _unmarshall(record.dynamodb.Keys),
+                    newImage: _unmarshall(record.dynamodb.NewImage),
+                    oldImage: _unmarshall(record.dynamodb.OldImage)
+                };
+            case 'sns':
+                return _parseJson(record.Sns.Message);
+            default:
+                return record;
+        }
+    }
+
+    /**
+     * Gets the message attributes of SQS and SNS records, as a map of
+     * attribute names to values.
+     *
+     * @return {Object} The message attributes. Will be empty for other record
+     *         sources.
+     */
+    get attributes() {
+        const record = this._record;
+        switch (this._source) {
+            case 'sqs':
+                return _getMessageAttributes(record.messageAttributes, 'stringValue');
+            case 'sns':
+                return _getMessageAttributes(record.Sns.MessageAttributes, 'Value');
+            default:
+                return {};
+        }
+    }
+}
+
+module.exports = EventRecord;
@@ -2,8 +2,167 @@
 'use strict';
 
 const _shortId = require('shortid');
+const SchemaValidator = require('./schema-validator');
+const _errors = require('./errors');
+const LambdaError = _errors.LambdaError;
+const HttpRequest = require('./http-request');
+const HttpResponse = require('./http-response');
+const Router = require('./router');
+const EventRecord = require('./event-record');
+const KeepWarmDetector = require('./keep-warm-detector');
+const Deadline = require('./deadline');
+const EnvResolver = require('./env-resolver');
+const Environment = require('./environment');
+const Arn = require('./arn');
+const CorrelationResolver = require('./correlation-resolver');
+const LogLevelResolver = require('./log-level-resolver');
+const Redactor = require('./redactor');
+const MetricsBuffer = require('./metrics-buffer');
+const MetricsCollector = require('./metrics-collector');
+const ConfigLoader = require('./config-loader');
+const SecretResolver = require('./secret-resolver');
+const validateConfig = require('./validate-config');
 let _loggerProvider = require('wysknd-log').loggerProvider;
 
+const DEFAULT_TIMEOUT_MARGIN = 500;
+const PARTIAL_BATCH_SOURCES = ['sqs', 'kinesis', 'dynamodb'];
+
+/**
+ * Metrics buffers used by decorated loggers, so that loggers derived from an
+ * invocation logger record metrics in the buffer for the same invocation.
+ *
+ * @private
+ */
+const _metricsBuffers = new WeakMap();
+
+/**
+ * Streams created by _redactLogger(), used to ensure that entries are never
+ * redacted more than once when a redacted stream is inherited by another
+ * logger.
+ *
+ * @private
+ */
+const _redactedStreams = new WeakSet();
+
+/**
+ * Determines whether or not the specified value is a promise, or a promise
+ * like object that exposes a then() method.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a thenable, false otherwise.
+ */
+function _isThenable(value) {
+    return !!value && (typeof value === 'object' || typeof value === 'function') &&
+        typeof value.then === 'function';
+}
+
+/**
+ * Executes a list of middleware functions in sequence, with each function
+ * receiving a next() function that triggers execution of the remaining
+ * functions in the list, and finally, the handler.
+ *
+ * @private
+ * @param {Array} middleware The list of middleware functions to execute.
+ * @param {Object} invocation The invocation object that will be passed to
+ *        each middleware function.
+ * @param {Function} handler A function that invokes the actual handler, and
+ *        returns a promise for the result.
+ *
+ * @return {Promise} A promise that is settled with the result of the
+ *         middleware pipeline.
+ */
+function _runMiddleware(middleware, invocation, handler) {
+    const dispatch = (index) => {
+        if (index >= middleware.length) {
+            return handler();
+        }
+        let isNextInvoked = false;
+        const next = () => {
+            if (isNextInvoked) {
+                return Promise.reject(new Error('next() invoked multiple times by middleware'));
+            }
+            isNextInvoked = true;
+            return dispatch(index + 1);
+        };
+        try {
+            return Promise.resolve(middleware[index](invocation, next));
+        } catch (ex) {
+            return Promise.reject(ex);
+        }
+    };
+    return dispatch(0);
+}
+
+/**
+ * Invokes an async function for each item in a list, with a bounded number of
+ * invocations pending at any given time.
+ *
+ * @private
+ * @param {Array} items The list of items to process.
+ * @param {Number} concurrency The maximum number of pending invocations.
+ * @param {Function} func The function to invoke for each item. Must return a
+ *        promise.
+ *
+ * @return {Promise} A promise that is resolved with the results of all
+ *         invocations, in the same order as the items, or rejected if any of
+ *         the invocations are rejected.
+ */
+function _runWithConcurrency(items, concurrency, func) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runNext = () => {
+        if (nextIndex >= items.length) {
+            return Promise.resolve();
+        }
+        const index = nextIndex++;
+        return func(items[index]).then((result) => {
+            results[index] = result;
+            return runNext();
+        });
+    };
+
+    const workers = [];
+    for (let index = 0; index < Math.min(concurrency, items.length); index++) {
+        workers.push(runNext());
+    }
+    return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Generates CORS headers for HTTP responses, based on the "cors" section of
+ * the configuration (if one exists).
+ *
+ * @private
+ * @param {Object} config Reference to the environment specific
+ *        configuration.
+ *
+ * @return {Object} A map of CORS headers.
+ */
+function _getCorsHeaders(config) {
+    if (!config || typeof config.has !== 'function' || !config.has('cors')) {
+        return {};
+    }
+    const cors = config.get('cors');
+    const headerMap = {
+        allowOrigin: 'Access-Control-Allow-Origin',
+        allowMethods: 'Access-Control-Allow-Methods',
+        allowHeaders: 'Access-Control-Allow-Headers',
+        exposeHeaders: 'Access-Control-Expose-Headers',
+        allowCredentials: 'Access-Control-Allow-Credentials',
+        maxAge: 'Access-Control-Max-Age'
+    };
+    const headers = {};
+    for (let prop in headerMap) {
+        const value = cors[prop];
+        if (value !== undefined && value !== null) {
+            headers[headerMap[prop]] = (value instanceof Array) ? value.join(',') : String(value);
+        }
+    }
+    return headers;
+}
+
 /**
  * Utility class that provides methods to generate wrappers for AWS lambda
  * functions. These wrappers allow the initialzation of environment specific
@@ -20,28 +179,36 @@ class HandlerWrapper {
         }
 
         this._appName = appName;
+        this._middleware = [];
+        this._configLoader = new ConfigLoader();
     }
 
 
     /**
-     * Initializes the process environment based on the lambda invocation
-     * qualifiers. This will also impact how environment specific configuration
-     * is loaded.
+     * Resolves the environment for the lambda invocation, and loads the
+     * configuration for that environment. Configuration is cached per
+     * environment, and process.env.NODE_ENV is not modified.
      *
-     * @param {String} arn Reference to the lambda invocation arn.
+     * @param {Object} event The lambda event.
+     * @param {Object} context The lambda context.
+     * @param {EnvResolver} envResolver The resolver used to determine the
+     *        environment for the invocation.
      *
-     * @return {String} The process environemnt (NODE_ENV) value for the lambda.
+     * @return {Object} An object that contains the environment (env) and the
+     *         environment specific configuration (config).
      */
-    _initEnv(arn) {
+    _initEnv(event, context, envResolver) {
         const startTime = Date.now();
 
-        const alias = arn.split(':')[7];
-        const env = (alias === undefined || alias === '$LATEST') ? 'na' : alias;
-        process.env.NODE_ENV = env;
+        const env = envResolver.resolve(event, context);
+        const config = this._configLoader.load(env);
 
         const delta = Date.now() - startTime;
-        console.info(`Configuration initialized (${process.env.NODE_ENV}): [${delta} ms]`);
-        return env;
+        console.info(`Configuration initialized (${env}): [${delta} ms]`);
+        return {
+            env: env,
+            config: config
+        };
     }
 
     /**
@@ -53,42 +220,689 @@ class HandlerWrapper {
      * @param {String} lambdaName Name of the lambda function which will be
      *        used to generate the logger instance.
      * @param {String} env The process environment for the lambda.
+     * @param {Object} [props={}] Additional properties that will be included
+     *        in all log entries.
+     * @param {String} [level] The log level for the current invocation.
+     *        Defaults to the level specified in the configuration.
      *
      * @return {Object} Reference to a logger instance for the current lambda.
      */
-    _initLogger(logConfig, lambdaName, env) {
+    _initLogger(logConfig, lambdaName, env, props, level) {
         const startTime = Date.now();
         _loggerProvider.configure({
             appName: this._appName,
             logLevel: logConfig.level
         });
 
-        const loggerProps = {
+        const loggerProps = Object.assign({}, props, {
             env: env,
             executionId: _shortId.generate()
-        };
+        });
         const logger = _loggerProvider.getLogger(lambdaName, loggerProps);
 
+        level = level || logConfig.level;
+        if (level && typeof logger.level === 'function') {
+            // The logger provider is configured only once per container, so
+            // the level is applied to the logger for each invocation.
+            logger.level(level);
+        }
+
         const delta = Date.now() - startTime;
-        console.info(`Logger initialized (${logConfig.level}): [${delta} ms]`);
+        console.info(`Logger initialized (${level}): [${delta} ms]`);
 
         return logger;
     }
 
+    /**
+     * Masks sensitive data in all entries written by a logger, and any child
+     * loggers created from it. Redaction is applied to complete log records
+     * just before they are written to the underlying streams, so that it
+     * covers fields, messages and serialized errors.
+     *
+     * Stream entries are replaced instead of modified, because bunyan child
+     * loggers share their stream entries (and sometimes the stream list
+     * itself) with the parent logger. Streams that have already been wrapped
+     * for redaction are left unchanged.
+     *
+     * @private
+     * @param {Object} logger The logger to apply redaction to.
+     * @param {Redactor} redactor The redactor used to mask sensitive data.
+     *
+     * @return {Object} The logger.
+     */
+    _redactLogger(logger, redactor) {
+        if (!(logger.streams instanceof Array)) {
+            return logger;
+        }
+        logger.streams = logger.streams.map((entry) => {
+            if (_redactedStreams.has(entry.stream)) {
+                return entry;
+            }
+            const stream = entry.stream;
+            const isRaw = entry.raw;
+            const redactedStream = {
+                write: (record) => {
+                    record = redactor.redact(record);
+                    stream.write(isRaw ? record : `${JSON.stringify(record)}\n`); // esfmt-ignore-line
+                }
+            };
+            _redactedStreams.add(redactedStream);
+            return Object.assign({}, entry, {
+                raw: true,
+                stream: redactedStream
+            });
+        });
+        return logger;
+    }
+
+    /**
+     * Injects specialized methods for logging metrics and timespans into the
+     * logger object. If a metrics buffer is specified, numeric metrics and
+     * timespans are recorded in the buffer instead of being logged.
+     *
+     * @private
+     * @param {Object} logger The logger object to decorate.
+     * @param {Number} lambdaStartTime The start time of the lambda execution,
+     *        used as the default start time for timespans.
+     * @param {MetricsBuffer} [metricsBuffer] An optional buffer that records
+     *        metrics in Embedded Metric Format.
+     *
+     * @return {Object} The decorated logger.
+     */
+    _decorateLogger(logger, lambdaStartTime, metricsBuffer) {
+        const isBuffered = (metric, value) => !!metricsBuffer && typeof metric === 'string' &&
+            metric.length > 0 && MetricsBuffer.isMetricValue(value);
+        if (metricsBuffer) {
+            _metricsBuffers.set(logger, metricsBuffer);
+        }
+
+        logger.metrics = (metric, value, props) => {
+            if (isBuffered(metric, value)) {
+                metricsBuffer.add(metric, value, undefined, props);
+                return;
+            }
+            props = Object.assign({}, props, {
+                metric,
+                value
+            });
+            logger.info(props);
+        };
+        logger.timespan = (metric, startTime, props) => {
+            startTime = startTime || lambdaStartTime;
+            const value = Date.now() - startTime;
+            if (isBuffered(metric, value)) {
+                metricsBuffer.add(metric, value, 'Milliseconds', props);
+                return;
+            }
+            props = Object.assign({}, props, {
+                metric,
+                value
+            });
+            logger.info(props);
+        };
+        return logger;
+    }
+
+    /**
+     * Creates a collector for the metrics of a single invocation. Aggregated
+     * metrics are recorded in the metrics buffer if one is specified, and
+     * logged otherwise.
+     *
+     * @private
+     * @param {Object} logger The logger for the current invocation.
+     * @param {MetricsBuffer} [metricsBuffer] An optional buffer that records
+     *        metrics in Embedded Metric Format.
+     *
+     * @return {MetricsCollector} The metrics collector.
+     */
+    _createMetricsCollector(logger, metricsBuffer) {
+        return new MetricsCollector((metric, value, unit, summary) => {
+            if (metricsBuffer) {
+                metricsBuffer.add(metric, value, unit);
+                return;
+            }
+            logger.info(Object.assign({
+                metric,
+                unit
+            }, summary || {
+                    value
+                }));
+        });
+    }
+
+    /**
+     * Generates an error object for errors that were thrown by the handler
+     * or middleware without being handled, and logs the error. Typed errors (instances of
+     * LambdaError) are returned without modification so that their type and
+     * message are preserved. All other errors are wrapped in a generic error
+     * object.
+     *
+     * @private
+     * @param {*} ex The error thrown by the handler.
+     * @param {Object} logger Reference to the logger for the current
+     *        invocation.
+     *
+     * @return {Error} An error object that can be returned to the lambda
+     *         runtime.
+     */
+    _createUnhandledError(ex, logger) {
+        if (ex instanceof LambdaError) {
+            logger.error(ex, `Lambda handler failed with a typed error (${ex.name})`);
+            return ex;
+        }
+        const message = (ex instanceof Error) ? ex.message : ex;
+        logger.error(ex, 'Unandled error thrown by lambda handler. This error must be handled within the lambda function handler.');
+        return new Error(`[Error] Unhandled error executing lambda. Details: ${message}`);
+    }
+
+    /**
+     * Invokes the lambda handler with the event, context and extension
+     * objects from the current invocation.
+     *
+     * @private
+     * @param {Function} handler Reference to the lambda handler.
+     * @param {Object} invocation The invocation object for the current
+     *        lambda execution.
+     *
+     * @return {Promise} A promise that is settled when the handler completes
+     *         execution, either by invoking the callback, or by settling a
+     *         returned promise.
+     */
+    _invokeHandler(handler, invocation) {
+        const logger = invocation.ext.logger;
+        return new Promise((resolve, reject) => {
+            let isComplete = false;
+            const complete = (err, data) => {
+                if (isComplete) {
+                    // The handler has already completed, either via the
+                    // callback or via a promise.
+                    return;
+                }
+                isComplete = true;
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(data);
+                }
+            };
+
+            try {
+                const result = handler(invocation.event, invocation.context,
+                    complete, invocation.ext);
+                if (_isThenable(result)) {
+                    result.then((data) => {
+                        complete(null, data);
+                    }, (ex) => {
+                        complete(this._createUnhandledError(ex, logger));
+                    });
+                }
+            } catch (ex) {
+                complete(this._createUnhandledError(ex, logger));
+            }
+        });
+    }
+
+    /**
+     * Creates a middleware function that validates the lambda event prior to
+     * invoking the handler, and the result after the handler has completed
+     * execution. Events that fail validation are reported as validation
+     * errors, and are logged along with other errors thrown by middleware.
+     * Results that fail validation indicate a problem with the handler, and
+     * not the request, so they are reported as internal errors, and the
+     * validation errors are only included in the logs.
+     *
+     * @private
+     * @param {Object} [eventValidator] A validator for the lambda event.
+     * @param {Object} [resultValidator] A validator for the handler result.
+     *
+     * @return {Function} A middleware function that performs validation.
+     */
+    _createValidationMiddleware(eventValidator, resultValidator) {
+        return (invocation, next) => {
+            if (eventValidator) {
+                eventValidator.assert(invocation.event, 'Event failed schema validation');
+            }
+            return next().then((result) => {
+                if (resultValidator) {
+                    try {
+                        resultValidator.assert(result, 'Result failed schema validation');
+                    } catch (ex) {
+                        invocation.ext.logger.error({
+                            errors: ex.errors
+                        }, ex.message);
+                        throw new _errors.InternalError('Result failed schema validation');
+                    }
+                }
+                return result;
+            });
+        };
+    }
+
+    /**
+     * Invokes an HTTP handler with a normalized request object, and converts
+     * the result into an API Gateway proxy integration response.
+     *
+     * @private
+     * @param {Function} handler Reference to the HTTP handler.
+     * @param {Object} event The lambda event.
+     * @param {Object} ext The extension object for the current invocation.
+     *
+     * @return {Promise} A promise that is resolved with the proxy
+     *         integration response.
+     */
+    _invokeHttpHandler(handler, event, ext) {
+        return new Promise((resolve, reject) => {
+            resolve(handler(new HttpRequest(event), ext));
+        }).then((result) => {
+            const response = (result instanceof HttpResponse) ? result : new HttpResponse(result);
+            return response.toResult(_getCorsHeaders(ext.config));
+        });
+    }
+
+    /**
+     * Converts an error that failed an HTTP invocation into an API Gateway
+     * proxy integration response. Typed errors are mapped to responses with
+     * the corresponding status codes, and all other errors are mapped to
+     * internal error responses. Errors are not logged, because every error
+     * that reaches this point has already been logged by the wrapper.
+     *
+     * @private
+     * @param {*} err The error that failed the invocation.
+     * @param {Object} [ext] The extension object for the current invocation.
+     *        This object is not available if the invocation failed before
+     *        the configuration was loaded.
+     *
+     * @return {Object} The proxy integration response.
+     */
+    _createHttpErrorResult(err, ext) {
+        if (!(err instanceof LambdaError)) {
+            err = new _errors.InternalError();
+        }
+        return new HttpResponse(err.toJSON(), err.statusCode).toResult(_getCorsHeaders(ext ? ext.config : undefined));
+    }
+
+    /**
+     * Processes each record in the event using the record handler, with a
+     * bounded number of records processed concurrently. Failures are logged
+     * and reported in the partial batch response format. Failures of records
+     * from sources that do not support partial batch responses (SNS, or
+     * unknown sources) fail the entire invocation instead, so that they can
+     * be retried by the source.
+     *
+     * Records from SQS FIFO queues are processed one at a time. Processing
+     * stops at the first failure, and the failed record is reported along
+     * with all remaining records, so that later messages are not deleted
+     * while an earlier message is retried.
+     *
+     * @private
+     * @param {Function} handler Reference to the record handler.
+     * @param {Object} event The lambda event.
+     * @param {Object} ext The extension object for the current invocation.
+     * @param {Number} concurrency The maximum number of records to process
+     *        concurrently.
+     *
+     * @return {Promise} A promise that is resolved with the batch item
+     *         failures.
+     */
+    _processRecords(handler, event, ext, concurrency) {
+        if (!event || !(event.Records instanceof Array)) {
+            throw new _errors.BadRequestError('Event does not contain a list of records');
+        }
+        const startTime = Date.now();
+        const logger = ext.logger;
+        const records = event.Records.map((record) => new EventRecord(record));
+        const isFifo = records.some((record) => record.isFifo);
+        if (isFifo && concurrency > 1) {
+            throw new Error('Invalid concurrency specified for records from FIFO queues (options.concurrency)');
+        }
+
+        let skippedCount = 0;
+        let hasFailed = false;
+        return _runWithConcurrency(records, concurrency, (record) => {
+            if (hasFailed) {
+                skippedCount++;
+                return Promise.resolve({
+                    itemIdentifier: record.id
+                });
+            }
+            const recordLogger = this._decorateLogger(logger.child({
+                recordId: record.id
+            }), startTime, _metricsBuffers.get(logger));
+            const recordExt = Object.assign({}, ext, {
+                logger: recordLogger
+            });
+            return new Promise((resolve, reject) => {
+                resolve(handler(record, recordExt));
+            }).then(() => undefined, (ex) => {
+                recordLogger.error(ex, 'Error processing record');
+                if (PARTIAL_BATCH_SOURCES.indexOf(record.source) < 0 || record.id === undefined) {
+                    throw new Error(`Unable to report failure for record from ${record.source} source. Details: ${ex instanceof Error ? ex.message : ex}`);
+                }
+                hasFailed = isFifo;
+                return {
+                    itemIdentifier: record.id
+                };
+            });
+        }).then((results) => {
+            const failures = results.filter((result) => !!result);
+            logger.info({
+                recordCount: records.length,
+                failureCount: failures.length,
+                skippedCount: skippedCount
+            }, 'Record processing completed');
+            return {
+                batchItemFailures: failures
+            };
+        });
+    }
+
+    /**
+     * Executes the one time initialization hook, and logs the time taken for
+     * initialization.
+     *
+     * @private
+     * @param {Function} init The initialization hook.
+     * @param {Object} ext The extension object for the current invocation.
+     *
+     * @return {Promise} A promise that is settled when initialization is
+     *         complete.
+     */
+    _runInit(init, ext) {
+        const startTime = Date.now();
+        return new Promise((resolve, reject) => {
+            resolve(init(ext));
+        }).then(() => {
+            ext.logger.timespan('INIT_TIME', startTime);
+        });
+    }
+
+    /**
+     * Handles a keep warm request by invoking the warm up hook (if one has
+     * been specified). Errors thrown by the hook are logged, but do not fail
+     * the request.
+     *
+     * @private
+     * @param {Function} [onWarm] An optional warm up hook.
+     * @param {Object} ext The extension object for the current invocation.
+     *
+     * @return {Promise} A promise that is resolved with the keep warm
+     *         response.
+     */
+    _handleKeepWarm(onWarm, ext) {
+        const logger = ext.logger;
+        logger.info('Keep warm request received. Actual lambda handler will not be invoked');
+        return new Promise((resolve, reject) => {
+            resolve(onWarm ? onWarm(ext) : undefined);
+        }).catch((ex) => {
+            logger.error(ex, 'Error executing warm up hook');
+        }).then(() => {
+            return {
+                keepWarm: true,
+                isColdStart: ext.isColdStart
+            };
+        });
+    }
+
+    /**
+     * Guards the execution of a handler against lambda timeouts. If the
+     * handler has not completed when the remaining execution time drops below
+     * the configured margin, a warning is logged, the deadline on the
+     * extension object is aborted, the timeout hook (if one has been
+     * specified) is invoked, and the returned promise is rejected with a
+     * TimeoutError. Results produced by the handler after this point are
+     * ignored.
+     *
+     * @private
+     * @param {Promise} promise A promise for the result of the handler.
+     * @param {Object} timeout The timeout options for the handler.
+     * @param {Object} ext The extension object for the current invocation.
+     * @param {Object} state An object that describes the in-flight state of
+     *        the invocation, which will be included in the timeout warning.
+     *
+     * @return {Promise} A promise that is settled with the result of the
+     *         handler, or rejected if the handler times out.
+     */
+    _guardTimeout(promise, timeout, ext, state) {
+        const logger = ext.logger;
+        const deadline = ext.deadline;
+        return new Promise((resolve, reject) => {
+            let isSettled = false;
+            const delay = Math.max(0, deadline.getRemainingTime() - timeout.margin);
+            const timer = setTimeout(() => {
+                isSettled = true;
+                const details = Object.assign({
+                    remainingTime: deadline.getRemainingTime(),
+                    margin: timeout.margin
+                }, state);
+                logger.warn(details, 'Lambda handler is about to time out');
+
+                const error = new _errors.TimeoutError(undefined, details);
+                deadline.abort(error);
+                new Promise((resolveHook, rejectHook) => {
+                    resolveHook(timeout.onTimeout ? timeout.onTimeout(ext, error) : undefined);
+                }).catch((ex) => {
+                    logger.error(ex, 'Error executing timeout hook');
+                }).then(() => {
+                    reject(error);
+                });
+            }, delay);
+
+            promise.then((data) => {
+                if (!isSettled) {
+                    clearTimeout(timer);
+                    resolve(data);
+                }
+            }, (err) => {
+                if (!isSettled) {
+                    clearTimeout(timer);
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    /**
+     * Adds a middleware function to the pipeline that will be applied to all
+     * handlers wrapped by this object. Middleware functions are invoked in
+     * the order in which they were added, before any middleware specified
+     * when wrapping individual handlers.
+     *
+     * Each middleware function is invoked with an invocation object (with
+     * event, context, ext and lambdaName properties) and a next() function.
+     * Middleware may modify the invocation object before calling next(), and
+     * may post process the result or error from the promise returned by
+     * next(). The value (or promise) returned by the middleware is treated as
+     * the result of the invocation.
+     *
+     * @param {Function} middleware The middleware function to add.
+     *
+     * @return {Object} A reference to the wrapper object - can be used to
+     *         chain calls.
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new Error('Invalid middleware specified (arg #1)');
+        }
+        this._middleware.push(middleware);
+        return this;
+    }
+
     /**
      * Creates an AWS Lambda handler that wraps the specified handler. The
      * wrapper initializes environment specific config and logging before
      * delegating teh actual lambda execution to the handler.
      *
+     * The handler may either report completion by invoking the callback, or
+     * by returning a promise (or any other thenable). If a promise is
+     * returned, the lambda callback will be invoked with the resolved value,
+     * and rejections will be treated as unhandled errors. Typed errors (see
+     * errors.LambdaError) thrown by the handler are reported with their type
+     * and message intact, while all other errors are wrapped in a generic
+     * error.
+     *
+     * Keep warm requests (see options.keepWarm) do not invoke the handler,
+     * and return an object that indicates whether or not the request was
+     * served by a cold container.
+     *
+     * The extension object passed to the handler includes a reference to the
+     * logger, the environment name (env), an Environment object for the
+     * environment (environment), the parsed invoked function ARN
+     * (functionArn, see Arn) that identifies the region, account and
+     * version or alias of the invocation, a correlation id (correlationId)
+     * that should be forwarded on outgoing calls and events, the
+     * configuration, an isColdStart flag that indicates whether or not this
+     * is the first invocation served by the container, a deadline (see
+     * Deadline) that is bound to the lambda timeout, and a metrics collector
+     * (metrics, see MetricsCollector) that aggregates counters, gauges and
+     * timings, and writes them out once when the invocation completes.
+     *
+     * The execution time of every invocation is recorded as the
+     * EXECUTION_TIME metric. Unless disabled via options.metrics.auto, the
+     * following counters are also recorded: INVOCATIONS, COLD_START (1 for
+     * cold starts, 0 otherwise), KEEP_WARM for keep warm requests, and for
+     * failed invocations, ERRORS along with ERRORS.<type>, where type is the
+     * name of the error.
+     *
+     * The handler is invoked through a middleware pipeline that is made up of
+     * middleware registered via use(), followed by any middleware specified
+     * in the options for this handler. Errors thrown by middleware are
+     * logged and reported in the same way as errors thrown by the handler.
+     *
+     * Sensitive data is masked in all log entries written by the logger (see
+     * Redactor). Redaction rules are read from the "log.redact" section of
+     * the environment specific configuration, which may specify keys, paths,
+     * patterns and a mask. The default rules mask common credential keys,
+     * and redaction can be disabled by setting the section to false.
+     * Invocations fail if the section is not valid.
+     *
+     * If schemas are specified for the event or the result, they are
+     * validated immediately before and after the handler is invoked, and
+     * failures are reported as validation errors that list each offending
+     * path.
+     *
      * @param {Function} handler Reference to the AWS lambda handler that
      *        will be wrapped by this method.
      * @param {String} lambdaName Name used to identify the lambda function
      *        in logs.
+     * @param {Object} [options={}] Optional parameters for the wrapper.
+     * @param {Array} [options.middleware=[]] A list of middleware functions
+     *        that will only be applied to this handler.
+     * @param {Object} [options.eventSchema] An optional JSON schema that
+     *        the lambda event will be validated against.
+     * @param {Object} [options.resultSchema] An optional JSON schema that
+     *        the result returned by the handler will be validated against.
+     *        Invocations fail with an InternalError if the result is not
+     *        valid.
+     * @param {Object} [options.configSchema] An optional JSON schema that
+     *        the environment specific configuration will be validated
+     *        against, after any secret references have been resolved.
+     *        Default values specified in the schema are applied to the
+     *        configuration. If the configuration is not valid, every missing
+     *        or invalid key is logged, and invocations fail with an
+     *        InternalError (see validateConfig).
+     * @param {Object|Boolean} [options.keepWarm={}] Options that control the
+     *        detection of keep warm requests (see KeepWarmDetector). The
+     *        onWarm property may be set to a function that will be invoked
+     *        with the extension object on keep warm requests, and can be used
+     *        to prime connection pools, etc. Keep warm detection can be
+     *        disabled by setting this value to false.
+     * @param {Function} [options.init] An optional initialization hook that
+     *        will be invoked with the extension object exactly once per
+     *        environment in each container, before the handler is invoked
+     *        for the first time in that environment. Resources created by
+     *        the hook should be associated with ext.env, because a single
+     *        container may serve multiple environments. The hook may return a
+     *        promise, and will be retried on subsequent invocations if it
+     *        fails.
+     * @param {Object|Boolean} [options.timeout=false] Options that enable a
+     *        timeout guard for the handler. When enabled, the invocation will
+     *        fail with a TimeoutError if the handler has not completed when
+     *        the remaining execution time (as reported by the lambda context)
+     *        drops below options.timeout.margin milliseconds (default 500).
+     *        The onTimeout property may be set to a function that will be
+     *        invoked with the extension object and the error before the
+     *        invocation fails. Regardless of this option, the extension
+     *        object exposes a deadline (see Deadline) that is aborted when
+     *        the guard fires.
+     * @param {Object|SecretResolver|Boolean} [options.secrets=false] A
+     *        SecretResolver object, or options for a SecretResolver, that
+     *        resolves reference placeholders (for example, "ssm:/path",
+     *        "secret:name#key" or "env:VAR") in the configuration before it is
+     *        passed to the handler. Resolved values are cached across
+     *        invocations. Resolution is disabled by default, and can be
+     *        enabled with the default providers by setting this value to
+     *        true.
+     * @param {Object|EnvResolver} [options.envResolver={}] An EnvResolver
+     *        object, or options for an EnvResolver, that determines how the
+     *        environment for each invocation is resolved. By default, the
+     *        environment is set to the alias that qualifies the invocation,
+     *        or "na" for unqualified invocations.
+     * @param {Object|CorrelationResolver} [options.correlation={}] A
+     *        CorrelationResolver object, or options for a
+     *        CorrelationResolver, that determines how the correlation id for
+     *        each invocation is resolved. The correlation id is included in
+     *        all log entries along with the request id, function version and
+     *        alias of the invocation.
+     * @param {Object|LogLevelResolver} [options.logLevel={}] A
+     *        LogLevelResolver object, or options for a LogLevelResolver,
+     *        that allows the configured log level to be raised for a single
+     *        invocation via a request header, message attribute or event
+     *        field, or for a sampled percentage of invocations. Each of these
+     *        sources is disabled unless it is enabled in the options. The
+     *        level used for the invocation is included in all log entries.
+     * @param {Object} [options.metrics={}] Options that control the output
+     *        of logger.metrics(), logger.timespan() and the metrics
+     *        collector. By default (format: "log"), each metric is written
+     *        as a log entry. If the format is set to "emf", numeric metrics
+     *        are buffered during the invocation, and written as CloudWatch
+     *        Embedded Metric Format documents (see
+     *        MetricsBuffer) when the invocation completes. The namespace
+     *        property sets the CloudWatch namespace (defaults to the app
+     *        name), the units property maps metric names to units
+     *        (timespans are always in milliseconds), and the dimensions
+     *        property specifies dimensions that are added to the default
+     *        app, lambda and env dimensions. Default dimensions can be
+     *        removed by setting them to null. The write property may be set
+     *        to a function that writes each document (console.log by
+     *        default). Automatic invocation metrics can be disabled by
+     *        setting the auto property to false.
+     * @param {Object} [options.environment={}] Options for the Environment
+     *        object that is passed to the handler. The envMap, separator and
+     *        template properties are passed to the Environment constructor,
+     *        and the environment map is also used to validate resolved
+     *        environments if options.envResolver does not specify one. If
+     *        the rejectInvalid property is set to true, invocations for
+     *        environments that are not present in the map will fail without
+     *        invoking the handler.
      *
      * @return {Function} A wrapped handler that will perform some
-     *         initialization prior to invoking the original handler.
+     *         initialization prior to invoking the original handler. The
+     *         wrapped handler returns a promise that is settled when the
+     *         handler completes execution, allowing it to be used with
+     *         async style lambda runtimes.
+     */
+    wrap(handler, lambdaName, options) {
+        return this._wrap(handler, lambdaName, options);
+    }
+
+    /**
+     * Implements wrap(), with an optional function that converts errors that
+     * fail the invocation into results. The conversion is applied after
+     * invocation metrics have been recorded, so that failed invocations are
+     * still counted as errors.
+     *
+     * @private
+     * @param {Function} handler Reference to the AWS lambda handler.
+     * @param {String} lambdaName Name used to identify the lambda function
+     *        in logs.
+     * @param {Object} [options={}] Optional parameters for the wrapper.
+     * @param {Function} [mapError] An optional function that is invoked with
+     *        the error and the extension object when the invocation fails,
+     *        and returns the result of the invocation.
+     *
+     * @return {Function} The wrapped handler.
      */
-    wrap(handler, lambdaName) {
+    _wrap(handler, lambdaName, options, mapError) {
         if (typeof handler !== 'function') {
             throw new Error('Invalid handler specified (arg #1)');
         }
@@ -97,52 +911,555 @@ class HandlerWrapper {
             throw new Error('Invalid lambda function name specified (arg #2)');
         }
 
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        let handlerMiddleware = options.middleware || [];
+        if (!(handlerMiddleware instanceof Array) ||
+            !handlerMiddleware.every((item) => typeof item === 'function')) {
+            throw new Error('Invalid middleware specified (options.middleware)');
+        }
+
+        const validators = ['eventSchema', 'resultSchema'].map((prop) => {
+            const schema = options[prop];
+            if (schema === undefined) {
+                return;
+            }
+            if (!schema || (schema instanceof Array) || typeof schema !== 'object') {
+                throw new Error(`Invalid schema specified (options.${prop})`);
+            }
+            return new SchemaValidator(schema);
+        });
+        if (validators[0] || validators[1]) {
+            handlerMiddleware = handlerMiddleware.concat(
+                this._createValidationMiddleware(validators[0], validators[1]));
+        }
+
+        const configSchema = options.configSchema;
+        if (configSchema !== undefined &&
+            (!configSchema || (configSchema instanceof Array) || typeof configSchema !== 'object')) {
+            throw new Error('Invalid schema specified (options.configSchema)');
+        }
+        const configValidator = configSchema ? new SchemaValidator(configSchema, {
+            useDefaults: true
+        }) : null;
+        const validConfigs = new Map();
+
+        const keepWarm = (options.keepWarm === undefined) ? {} : options.keepWarm;
+        if (keepWarm !== false && (!keepWarm || (keepWarm instanceof Array) || typeof keepWarm !== 'object')) {
+            throw new Error('Invalid keep warm options specified (options.keepWarm)');
+        }
+        const keepWarmDetector = (keepWarm === false) ? null : new KeepWarmDetector(keepWarm);
+        const onWarm = keepWarm ? keepWarm.onWarm : undefined;
+        if (onWarm !== undefined && typeof onWarm !== 'function') {
+            throw new Error('Invalid warm up hook specified (options.keepWarm.onWarm)');
+        }
+
+        const init = options.init;
+        if (init !== undefined && typeof init !== 'function') {
+            throw new Error('Invalid init hook specified (options.init)');
+        }
+
+        let timeout = (options.timeout === undefined) ? false : options.timeout;
+        if (timeout !== false) {
+            if (!timeout || (timeout instanceof Array) || typeof timeout !== 'object') {
+                throw new Error('Invalid timeout options specified (options.timeout)');
+            }
+            const margin = (timeout.margin === undefined) ? DEFAULT_TIMEOUT_MARGIN : timeout.margin;
+            if (typeof margin !== 'number' || isNaN(margin) || margin < 0) {
+                throw new Error('Invalid timeout margin specified (options.timeout.margin)');
+            }
+            if (timeout.onTimeout !== undefined && typeof timeout.onTimeout !== 'function') {
+                throw new Error('Invalid timeout hook specified (options.timeout.onTimeout)');
+            }
+            timeout = {
+                margin: margin,
+                onTimeout: timeout.onTimeout
+            };
+        }
+
+        const environment = (options.environment === undefined) ? {} : options.environment;
+        if (!environment || (environment instanceof Array) || typeof environment !== 'object') {
+            throw new Error('Invalid environment options specified (options.environment)');
+        }
+        const envMap = environment.envMap;
+        if (envMap !== undefined && (!envMap || (envMap instanceof Array) || typeof envMap !== 'object')) {
+            throw new Error('Invalid environment map specified (options.environment.envMap)');
+        }
+        if (environment.separator !== undefined && typeof environment.separator !== 'string') {
+            throw new Error('Invalid separator specified (options.environment.separator)');
+        }
+        try {
+            // Creating an environment for each entry in the map detects
+            // invalid templates and inheritance errors at wrap time.
+            new Environment(undefined, envMap, environment.separator, environment.template);
+            Object.keys(envMap || {}).forEach((name) => {
+                new Environment(name, envMap, environment.separator, environment.template);
+            });
+        } catch (ex) {
+            throw new Error(`Invalid environment options specified (options.environment). Details: ${ex.message}`);
+        }
+        const environments = new Map();
+        const redactors = new Map();
+
+        let envResolver = options.envResolver;
+        if (!(envResolver instanceof EnvResolver)) {
+            if (envResolver !== undefined &&
+                (!envResolver || (envResolver instanceof Array) || typeof envResolver !== 'object')) {
+                throw new Error('Invalid environment resolver specified (options.envResolver)');
+            }
+            if (envMap && (!envResolver || envResolver.envMap === undefined)) {
+                envResolver = Object.assign({}, envResolver, {
+                    envMap: envMap
+                });
+            }
+            envResolver = new EnvResolver(envResolver);
+        }
+
+        let secretResolver = (options.secrets === undefined) ? false : options.secrets;
+        if (secretResolver === true) {
+            secretResolver = {};
+        }
+        if (secretResolver !== false && !(secretResolver instanceof SecretResolver)) {
+            if (!secretResolver || (secretResolver instanceof Array) || typeof secretResolver !== 'object') {
+                throw new Error('Invalid secret resolver specified (options.secrets)');
+            }
+            secretResolver = new SecretResolver(secretResolver);
+        }
+
+        let correlationResolver = options.correlation;
+        if (!(correlationResolver instanceof CorrelationResolver)) {
+            if (correlationResolver !== undefined && (!correlationResolver ||
+                (correlationResolver instanceof Array) || typeof correlationResolver !== 'object')) {
+                throw new Error('Invalid correlation resolver specified (options.correlation)');
+            }
+            correlationResolver = new CorrelationResolver(correlationResolver);
+        }
+
+        let logLevelResolver = options.logLevel;
+        if (!(logLevelResolver instanceof LogLevelResolver)) {
+            if (logLevelResolver !== undefined && (!logLevelResolver ||
+                (logLevelResolver instanceof Array) || typeof logLevelResolver !== 'object')) {
+                throw new Error('Invalid log level resolver specified (options.logLevel)');
+            }
+            logLevelResolver = new LogLevelResolver(logLevelResolver);
+        }
+
+        const metrics = (options.metrics === undefined) ? {} : options.metrics;
+        if (!metrics || (metrics instanceof Array) || typeof metrics !== 'object') {
+            throw new Error('Invalid metrics options specified (options.metrics)');
+        }
+        const metricsFormat = (metrics.format === undefined) ? 'log' : metrics.format;
+        if (['log', 'emf'].indexOf(metricsFormat) < 0) {
+            throw new Error('Invalid metrics format specified (options.metrics.format)');
+        }
+        const autoMetrics = (metrics.auto === undefined) ? true : metrics.auto;
+        if (typeof autoMetrics !== 'boolean') {
+            throw new Error('Invalid automatic metrics flag specified (options.metrics.auto)');
+        }
+        let createMetricsBuffer = null;
+        if (metricsFormat === 'emf') {
+            if (metrics.dimensions !== undefined && (!metrics.dimensions ||
+                (metrics.dimensions instanceof Array) || typeof metrics.dimensions !== 'object')) {
+                throw new Error('Invalid dimensions specified (options.metrics.dimensions)');
+            }
+            createMetricsBuffer = (env) => {
+                const dimensions = Object.assign({
+                    app: this._appName,
+                    lambda: lambdaName,
+                    env: env
+                }, metrics.dimensions);
+                Object.keys(dimensions).forEach((name) => {
+                    if (dimensions[name] === null) {
+                        delete dimensions[name];
+                    }
+                });
+                return new MetricsBuffer({
+                    namespace: (metrics.namespace === undefined) ? this._appName : metrics.namespace,
+                    dimensions: dimensions,
+                    units: metrics.units,
+                    write: metrics.write
+                });
+            };
+            try {
+                createMetricsBuffer('na');
+            } catch (ex) {
+                // Metrics buffer options are specified as metrics options, so
+                // the option names in the error are qualified accordingly.
+                const message = ex.message.replace('(options.', '(options.metrics.');
+                throw new Error(`Invalid metrics options specified (options.metrics). Details: ${message}`);
+            }
+        }
+
+        let isFirstInvocation = true;
+        const initPromises = new Map();
         return (event, context, callback) => {
             const lambdaStartTime = Date.now();
-            const env = this._initEnv(context.invokedFunctionArn);
-            // This needs to happen **after** the enviroment has been
-            // initialized.
-            const config = require('config');
-            const logger = this._initLogger(config.get('log'), lambdaName, env);
-
-            logger.metrics = (metric, value, props) => {
-                props = Object.assign({}, props, {
-                    metric,
-                    value
+            const isColdStart = isFirstInvocation;
+            isFirstInvocation = false;
+
+            const settle = (promise, ext) => {
+                if (mapError) {
+                    promise = promise.catch((err) => mapError(err, ext));
+                }
+                if (typeof callback === 'function') {
+                    promise.then((data) => {
+                        callback(null, data);
+                    }, (err) => {
+                        callback(err);
+                    });
+                }
+                return promise;
+            };
+
+            let env = null;
+            let config = null;
+            let functionArn = undefined;
+            let correlationId = null;
+            let logConfig = null;
+            let logger = null;
+            try {
+                const envInfo = this._initEnv(event, context, envResolver);
+                env = envInfo.env;
+                config = envInfo.config;
+
+                functionArn = context && Arn.isValid(context.invokedFunctionArn) ?
+                    Arn.parse(context.invokedFunctionArn) : undefined;
+                correlationId = correlationResolver.resolve(event, context);
+                logConfig = config.get('log');
+                const logLevel = logLevelResolver.resolve(event, logConfig.level);
+
+                const logProps = {
+                    isColdStart: isColdStart,
+                    correlationId: correlationId,
+                    awsRequestId: context ? context.awsRequestId : undefined,
+                    functionVersion: context ? context.functionVersion : undefined,
+                    alias: functionArn ? functionArn.alias : undefined,
+                    logLevel: logLevel
+                };
+                Object.keys(logProps).forEach((key) => {
+                    if (logProps[key] === undefined) {
+                        delete logProps[key];
+                    }
                 });
-                logger.info(props);
+                logger = this._initLogger(logConfig, lambdaName, env, logProps, logLevel);
+            } catch (ex) {
+                // The logger is not available until the environment and
+                // configuration have been initialized.
+                console.error('Unable to initialize lambda invocation', ex);
+                return settle(Promise.reject(new Error(
+                    `[Error] Unable to initialize lambda invocation. Details: ${ex.message}`)));
+            }
+
+            let redactor = redactors.get(config);
+            let redactError = null;
+            if (redactor === undefined) {
+                try {
+                    redactor = (logConfig.redact === false) ? null : new Redactor(logConfig.redact);
+                    redactors.set(config, redactor);
+                } catch (ex) {
+                    // Fall back to the default rules so that the failure is
+                    // still logged safely.
+                    redactor = new Redactor();
+                    redactError = new _errors.InternalError(
+                        `Invalid redaction options specified (log.redact). Details: ${ex.message}`);
+                }
+            }
+            if (redactor) {
+                this._redactLogger(logger, redactor);
+            }
+
+            const metricsBuffer = createMetricsBuffer ? createMetricsBuffer(env) : undefined;
+            this._decorateLogger(logger, lambdaStartTime, metricsBuffer);
+            const metricsCollector = this._createMetricsCollector(logger, metricsBuffer);
+            if (autoMetrics) {
+                metricsCollector.increment('INVOCATIONS');
+                metricsCollector.increment('COLD_START', isColdStart ? 1 : 0);
+            }
+
+            const hasRemainingTime = !!context &&
+                typeof context.getRemainingTimeInMillis === 'function';
+            const deadline = new Deadline(hasRemainingTime ?
+                lambdaStartTime + context.getRemainingTimeInMillis() : Infinity);
+
+            if (!environments.has(env)) {
+                environments.set(env, new Environment(env, envMap, environment.separator, environment.template));
+            }
+
+            const ext = {
+                logger: logger,
+                env: env,
+                environment: environments.get(env),
+                functionArn: functionArn,
+                correlationId: correlationId,
+                metrics: metricsCollector,
+                config: config,
+                isColdStart: isColdStart,
+                deadline: deadline
             };
-            logger.timespan = (metric, startTime, props) => {
-                startTime = startTime || lambdaStartTime;
-                props = Object.assign({}, props, {
-                    metric,
-                    value: Date.now() - startTime
+
+            const state = {
+                phase: 'handler'
+            };
+            const runInvocation = () => {
+                if (keepWarmDetector && keepWarmDetector.isKeepWarm(event)) {
+                    // The invocation is intended to keep the lambda warm, and
+                    // does not require actual code execution.
+                    state.phase = 'keepWarm';
+                    if (autoMetrics) {
+                        metricsCollector.increment('KEEP_WARM');
+                    }
+                    return this._handleKeepWarm(onWarm, ext);
+                }
+
+                const invocation = {
+                    event: event,
+                    context: context,
+                    lambdaName: lambdaName,
+                    ext: ext
+                };
+                const middleware = this._middleware.concat(handlerMiddleware);
+                const runPipeline = () => {
+                    state.phase = 'handler';
+                    let handlerError = undefined;
+                    return _runMiddleware(middleware, invocation, () => {
+                        return this._invokeHandler(handler, invocation).catch((ex) => {
+                            handlerError = ex;
+                            throw ex;
+                        });
+                    }).catch((ex) => {
+                        // Errors from the handler have already been processed,
+                        // but errors thrown by middleware have not.
+                        if (ex === handlerError) {
+                            throw ex;
+                        }
+                        throw this._createUnhandledError(ex, logger);
+                    });
+                };
+
+                if (!init) {
+                    return runPipeline();
+                }
+
+                state.phase = 'init';
+                // Initialization is performed separately for each
+                // environment, so that resources created using the
+                // configuration of one environment are never used by
+                // invocations for another.
+                let initPromise = initPromises.get(env);
+                if (!initPromise) {
+                    initPromise = this._runInit(init, ext).catch((ex) => {
+                        // Allow initialization to be retried on the next
+                        // invocation.
+                        initPromises.delete(env);
+                        throw ex;
+                    });
+                    initPromises.set(env, initPromise);
+                }
+                return initPromise.then(runPipeline, (ex) => {
+                    throw this._createUnhandledError(ex, logger);
                 });
-                logger.info(props);
             };
 
-            try {
-                if (event.__LAMBDA_KEEP_WARM) {
-                    // The invocation is intended to keep the lambda warm, and does
-                    // not require actual code execution.
-                    logger.timespan('EXECUTION_TIME');
-                    logger.info('Keep warm request received. Actual lambda handler will not be invoked');
-                    callback(null);
-                } else {
-                    handler(event, context, callback, {
-                        logger: logger,
-                        env: env,
-                        config: config
+            let promise = null;
+            if (redactError) {
+                logger.error(redactError.message);
+                promise = Promise.reject(redactError);
+            } else if (environment.rejectInvalid && !ext.environment.isValid) {
+                const error = new _errors.InternalError(`Invalid environment (${env})`);
+                logger.error(error.message);
+                promise = Promise.reject(error);
+            }
+
+            const applyConfig = (resolvedConfig) => {
+                // Configuration is validated after references have been
+                // resolved, and only once for each environment unless
+                // resolution produces a new configuration object. The
+                // details of the failure are not included in the error,
+                // because they describe the configuration, and not the
+                // request.
+                if (configValidator && validConfigs.get(env) !== resolvedConfig) {
+                    try {
+                        validateConfig(resolvedConfig, configValidator);
+                    } catch (ex) {
+                        logger.error({
+                            errors: ex.errors
+                        }, ex.message);
+                        throw new _errors.InternalError('Config failed schema validation');
+                    }
+                    validConfigs.set(env, resolvedConfig);
+                }
+                ext.config = resolvedConfig;
+            };
+
+            if (!promise) {
+                if (secretResolver && secretResolver.hasReferences(config)) {
+                    // Resolve references in the configuration before anything
+                    // else, so that init hooks, keep warm hooks and handlers
+                    // all receive resolved values.
+                    state.phase = 'config';
+                    promise = secretResolver.resolve(config).then((resolvedConfig) => {
+                        applyConfig(resolvedConfig);
+                        return runInvocation();
+                    }, (ex) => {
+                        throw this._createUnhandledError(ex, logger);
                     });
+                } else {
+                    try {
+                        applyConfig(config);
+                        promise = runInvocation();
+                    } catch (ex) {
+                        promise = Promise.reject(ex);
+                    }
                 }
-            } catch (ex) {
-                const message = (ex instanceof Error) ? ex.message : ex;
-                logger.error(ex, 'Unandled error thrown by lambda handler. This error must be handled within the lambda function handler.');
-                logger.timespan('EXECUTION_TIME');
-                callback(new Error(`[Error] Unhandled error executing lambda. Details: ${message}`));
             }
+
+            if (timeout && hasRemainingTime) {
+                promise = this._guardTimeout(promise, timeout, ext, state);
+            }
+
+            const complete = (err) => {
+                logger.timespan('EXECUTION_TIME');
+                if (err && autoMetrics) {
+                    metricsCollector.increment('ERRORS');
+                    metricsCollector.increment(`ERRORS.${err instanceof Error ? err.name : 'Error'}`);
+                }
+                metricsCollector.flush();
+                if (metricsBuffer) {
+                    metricsBuffer.flush();
+                }
+            };
+            promise = promise.then((data) => {
+                complete();
+                return data;
+            }, (err) => {
+                complete(err);
+                throw err;
+            });
+            return settle(promise, ext);
         };
     }
+
+    /**
+     * Creates an AWS Lambda handler for API Gateway lambda proxy
+     * integrations. The handler is wrapped using wrap(), and receives a
+     * normalized request object (HttpRequest) instead of the raw event,
+     * along with the extension object.
+     *
+     * The handler may return (or resolve a promise with) either a plain value,
+     * which will be returned as the (JSON encoded) response body, or an
+     * HttpResponse object. Any error that fails the invocation, whether it
+     * is thrown by the handler, middleware, hooks or the wrapper itself
+     * (for example, validation errors and timeouts), is returned as a
+     * response instead of failing the lambda. Typed errors (see
+     * errors.LambdaError) are mapped to responses with the corresponding
+     * status codes, and all other errors result in a 500 response. CORS
+     * headers are added to all responses based on the "cors" section of the
+     * configuration.
+     *
+     * @param {Function} handler Reference to the HTTP handler that will be
+     *        wrapped by this method.
+     * @param {String} lambdaName Name used to identify the lambda function
+     *        in logs.
+     * @param {Object} [options={}] Optional parameters for the wrapper. See
+     *        wrap() for more information.
+     *
+     * @return {Function} A wrapped handler that can be used with API Gateway
+     *         lambda proxy integrations.
+     */
+    wrapHttp(handler, lambdaName, options) {
+        if (typeof handler !== 'function') {
+            throw new Error('Invalid handler specified (arg #1)');
+        }
+
+        return this._wrap((event, context, callback, ext) => {
+            return this._invokeHttpHandler(handler, event, ext);
+        }, lambdaName, options, (err, ext) => this._createHttpErrorResult(err, ext));
+    }
+
+    /**
+     * Creates an AWS Lambda handler for API Gateway lambda proxy
+     * integrations that dispatches requests to the routes registered with
+     * the specified router. Requests that do not match any route result in
+     * 404 responses, and requests that match a route path, but not the
+     * method result in 405 responses. The handler is wrapped using
+     * wrapHttp(), and route handlers receive the same extension object as
+     * other wrapped handlers.
+     *
+     * @param {Object} router Reference to the router (see Router) that will
+     *        be used to dispatch requests.
+     * @param {String} lambdaName Name used to identify the lambda function
+     *        in logs.
+     * @param {Object} [options={}] Optional parameters for the wrapper. See
+     *        wrap() for more information.
+     *
+     * @return {Function} A wrapped handler that can be used with API Gateway
+     *         lambda proxy integrations.
+     */
+    wrapRouter(router, lambdaName, options) {
+        if (!(router instanceof Router)) {
+            throw new Error('Invalid router specified (arg #1)');
+        }
+
+        return this.wrapHttp((request, ext) => {
+            return router.route(request, ext);
+        }, lambdaName, options);
+    }
+
+    /**
+     * Creates an AWS Lambda handler for SQS, Kinesis, DynamoDB Streams and SNS
+     * events that processes each record in the event individually. The
+     * handler is wrapped using wrap(), and is invoked once per record with
+     * the decoded record (see EventRecord) and a copy of the extension object
+     * with a logger that includes the record id.
+     *
+     * Records that fail processing do not fail the entire batch. Instead,
+     * their identifiers are returned in the partial batch response format
+     * ({ batchItemFailures: [{ itemIdentifier }] }). The event source
+     * mapping must have ReportBatchItemFailures enabled in its function
+     * response types. Otherwise, the response is ignored, the batch is
+     * treated as successful, and failed messages are lost. SNS does not
+     * support partial batch responses, so failed SNS records fail the
+     * invocation, allowing SNS to apply its retry and dead letter queue
+     * policies.
+     *
+     * Records from SQS FIFO queues are processed in order. When a record
+     * fails, the remaining records are not processed, and are reported as
+     * failures along with the failed record. Concurrent processing is not
+     * supported for FIFO queues, and invocations with FIFO records fail if
+     * the concurrency is greater than 1.
+     *
+     * @param {Function} handler Reference to the record handler that will be
+     *        wrapped by this method.
+     * @param {String} lambdaName Name used to identify the lambda function
+     *        in logs.
+     * @param {Object} [options={}] Optional parameters for the wrapper. See
+     *        wrap() for more information.
+     * @param {Number} [options.concurrency=1] The maximum number of records
+     *        that will be processed concurrently. Must be 1 for SQS FIFO
+     *        queues.
+     *
+     * @return {Function} A wrapped handler that can be used with record based
+     *         event sources.
+     */
+    wrapRecords(handler, lambdaName, options) {
+        if (typeof handler !== 'function') {
+            throw new Error('Invalid handler specified (arg #1)');
+        }
+
+        let concurrency = (options && typeof options === 'object') ? options.concurrency : undefined;
+        if (concurrency === undefined) {
+            concurrency = 1;
+        }
+        if (typeof concurrency !== 'number' || concurrency < 1 || Math.floor(concurrency) !== concurrency) {
+            throw new Error('Invalid concurrency specified (options.concurrency)');
+        }
+
+        return this.wrap((event, context, callback, ext) => {
+            return this._processRecords(handler, event, ext, concurrency);
+        }, lambdaName, options);
+    }
 }
 
 module.exports = HandlerWrapper;
@@ -0,0 +1,173 @@
+'use strict';
+
+const BadRequestError = require('./errors').BadRequestError;
+
+/**
+ * Represents an HTTP request received from an API Gateway lambda proxy
+ * integration, and exposes a normalized view of the request parameters.
+ */
+class HttpRequest {
+    /**
+     * @param {Object} event The lambda event generated by the API Gateway
+     *        proxy integration.
+     */
+    constructor(event) {
+        if (!event || (event instanceof Array) || typeof event !== 'object') {
+            throw new Error('Invalid event specified (arg #1)');
+        }
+
+        this._event = event;
+        this._headers = {};
+        const headers = event.headers || {};
+        for (let name in headers) {
+            this._headers[name.toLowerCase()] = headers[name];
+        }
+
+        let rawBody = event.body;
+        if (typeof rawBody === 'string' && event.isBase64Encoded) {
+            rawBody = Buffer.from(rawBody, 'base64').toString('utf8');
+        }
+        this._rawBody = (typeof rawBody === 'string') ? rawBody : undefined;
+        this._body = this._parseBody(this._rawBody);
+    }
+
+    /**
+     * Parses the request body based on the content type of the request. JSON
+     * bodies are parsed into objects, and all other bodies are returned as
+     * strings. If no content type is specified, an attempt is made to parse
+     * the body as JSON.
+     *
+     * @private
+     * @param {String} rawBody The raw request body.
+     *
+     * @return {*} The parsed request body.
+     */
+    _parseBody(rawBody) {
+        if (typeof rawBody !== 'string' || rawBody.length <= 0) {
+            return undefined;
+        }
+        const contentType = this.getHeader('content-type');
+        const isJson = (typeof contentType === 'string') && /[/+]json\b/i.test(contentType);
+        if (contentType !== undefined && !isJson) {
+            return rawBody;
+        }
+        try {
+            return JSON.parse(rawBody);
+        } catch (ex) {
+            if (isJson) {
+                throw new BadRequestError('Request body is not valid JSON');
+            }
+            return rawBody;
+        }
+    }
+
+    /**
+     * Gets a reference to the raw lambda event.
+     *
+     * @return {Object} The lambda event.
+     */
+    get event() {
+        return this._event;
+    }
+
+    /**
+     * Gets the HTTP method of the request.
+     *
+     * @return {String} The HTTP method, in upper case.
+     */
+    get method() {
+        return (this._event.httpMethod || '').toUpperCase();
+    }
+
+    /**
+     * Gets the path of the request.
+     *
+     * @return {String} The request path.
+     */
+    get path() {
+        return this._event.path;
+    }
+
+    /**
+     * Gets the API Gateway resource that matched the request.
+     *
+     * @return {String} The resource path template.
+     */
+    get resource() {
+        return this._event.resource;
+    }
+
+    /**
+     * Gets the path parameters of the request.
+     *
+     * @return {Object} A map of path parameter names to values.
+     */
+    get pathParameters() {
+        return this._event.pathParameters || {};
+    }
+
+    /**
+     * Gets the query string parameters of the request.
+     *
+     * @return {Object} A map of query parameter names to values.
+     */
+    get query() {
+        return this._event.queryStringParameters || {};
+    }
+
+    /**
+     * Gets the headers of the request. Header names are converted to lower
+     * case.
+     *
+     * @return {Object} A map of header names to values.
+     */
+    get headers() {
+        return this._headers;
+    }
+
+    /**
+     * Gets the request body, parsed based on the content type of the
+     * request.
+     *
+     * @return {*} The parsed request body.
+     */
+    get body() {
+        return this._body;
+    }
+
+    /**
+     * Gets the raw request body, decoded if the body was base64 encoded.
+     *
+     * @return {String} The raw request body.
+     */
+    get rawBody() {
+        return this._rawBody;
+    }
+
+    /**
+     * Gets the API Gateway request context.
+     *
+     * @return {Object} The request context.
+     */
+    get requestContext() {
+        return this._event.requestContext || {};
+    }
+
+    /**
+     * Returns the value of the specified header. Header names are case
+     * insensitive.
+     *
+     * @param {String} name The name of the header.
+     *
+     * @return {String} The value of the header, or undefined if the header
+     *         was not included in the request.
+     */
+    getHeader(name) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid header name specified (arg #1)');
+        }
+        return this._headers[name.toLowerCase()];
+    }
+}
+
+module.exports = HttpRequest;
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Determines whether or not a header has been defined, using a case
+ * insensitive comparison of header names.
+ *
+ * @private
+ * @param {Object} headers A map of headers.
+ * @param {String} name The name of the header to check.
+ *
+ * @return {Boolean} True if the header is defined, false otherwise.
+ */
+function _hasHeader(headers, name) {
+    return Object.keys(headers).some((key) => key.toLowerCase() === name);
+}
+
+/**
+ * Represents an HTTP response that will be returned to an API Gateway lambda
+ * proxy integration.
+ */
+class HttpResponse {
+    /**
+     * @param {*} [body] The response body. Non string values will be JSON
+     *        encoded, and buffers will be base64 encoded.
+     * @param {Number} [statusCode=200] The status code of the response. If
+     *        omitted, defaults to 204 for responses without a body.
+     * @param {Object} [headers={}] A map of response headers.
+     */
+    constructor(body, statusCode, headers) {
+        if (typeof statusCode !== 'number') {
+            statusCode = (body === undefined) ? 204 : 200;
+        }
+        if (!headers || (headers instanceof Array) || typeof headers !== 'object') {
+            headers = {};
+        }
+        this._body = body;
+        this._statusCode = statusCode;
+        this._headers = Object.assign({}, headers);
+    }
+
+    /**
+     * Gets the response body.
+     *
+     * @return {*} The response body.
+     */
+    get body() {
+        return this._body;
+    }
+
+    /**
+     * Gets the status code of the response.
+     *
+     * @return {Number} The status code.
+     */
+    get statusCode() {
+        return this._statusCode;
+    }
+
+    /**
+     * Gets the response headers.
+     *
+     * @return {Object} A map of response headers.
+     */
+    get headers() {
+        return this._headers;
+    }
+
+    /**
+     * Sets the value of a response header.
+     *
+     * @param {String} name The name of the header.
+     * @param {String} value The value of the header.
+     *
+     * @return {Object} A reference to the response object - can be used to
+     *         chain calls.
+     */
+    setHeader(name, value) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid header name specified (arg #1)');
+        }
+        this._headers[name] = value;
+        return this;
+    }
+
+    /**
+     * Generates a result object in the format expected by the API Gateway
+     * lambda proxy integration.
+     *
+     * @param {Object} [defaultHeaders={}] Headers that will be added to the
+     *        response, unless overridden by the response headers.
+     *
+     * @return {Object} An object with statusCode, headers and body
+     *         properties.
+     */
+    toResult(defaultHeaders) {
+        const headers = Object.assign({}, defaultHeaders, this._headers);
+        const result = {
+            statusCode: this._statusCode,
+            headers: headers,
+            body: ''
+        };
+        const body = this._body;
+        if (body instanceof Buffer) {
+            result.body = body.toString('base64');
+            result.isBase64Encoded = true;
+        } else if (typeof body === 'string') {
+            result.body = body;
+        } else if (body !== undefined) {
+            result.body = JSON.stringify(body);
+            if (!_hasHeader(headers, 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = HttpResponse;
@@ -11,5 +11,109 @@ module.exports = {
     /**
      * Returns a utility class for environment specific checks and actions.
      */
-    Environment: require('./environment')
+    Environment: require('./environment'),
+
+    /**
+     * Returns a class that parses and builds ARNs.
+     */
+    Arn: require('./arn'),
+
+    /**
+     * Returns a utility class that resolves the environment for a lambda
+     * invocation.
+     */
+    EnvResolver: require('./env-resolver'),
+
+    /**
+     * Returns a utility class that resolves the correlation id for a lambda
+     * invocation.
+     */
+    CorrelationResolver: require('./correlation-resolver'),
+
+    /**
+     * Returns a utility class that determines the log level for a lambda
+     * invocation.
+     */
+    LogLevelResolver: require('./log-level-resolver'),
+
+    /**
+     * Returns a utility class that masks sensitive values in log data.
+     */
+    Redactor: require('./redactor'),
+
+    /**
+     * Returns a utility class that loads and caches environment specific
+     * configuration.
+     */
+    ConfigLoader: require('./config-loader'),
+
+    /**
+     * Returns a utility class that resolves secret and parameter references
+     * in configuration objects.
+     */
+    SecretResolver: require('./secret-resolver'),
+
+    /**
+     * Returns a function that validates configuration against a JSON schema.
+     */
+    validateConfig: require('./validate-config'),
+
+    /**
+     * Returns a utility class for JSON schema validation.
+     */
+    SchemaValidator: require('./schema-validator'),
+
+    /**
+     * Returns a class that represents a normalized API Gateway HTTP request.
+     */
+    HttpRequest: require('./http-request'),
+
+    /**
+     * Returns a class that represents an API Gateway HTTP response.
+     */
+    HttpResponse: require('./http-response'),
+
+    /**
+     * Returns a class that routes HTTP requests to handlers.
+     */
+    Router: require('./router'),
+
+    /**
+     * Returns a class that represents a decoded SQS, Kinesis, DynamoDB
+     * Streams or SNS record.
+     */
+    EventRecord: require('./event-record'),
+
+    /**
+     * Returns a utility class that detects keep warm requests.
+     */
+    KeepWarmDetector: require('./keep-warm-detector'),
+
+    /**
+     * Returns a class that buffers metrics, and writes them in CloudWatch
+     * Embedded Metric Format.
+     */
+    MetricsBuffer: require('./metrics-buffer'),
+
+    /**
+     * Returns a utility class that aggregates counters, gauges and timings
+     * recorded during a lambda invocation.
+     */
+    MetricsCollector: require('./metrics-collector'),
+
+    /**
+     * Returns a utility class that invokes lambda handlers locally, with a
+     * simulated lambda context.
+     */
+    LocalInvoker: require('./local-invoker'),
+
+    /**
+     * Returns a cancellation token class that is bound to a lambda timeout.
+     */
+    Deadline: require('./deadline'),
+
+    /**
+     * Returns a map of error classes used by the library.
+     */
+    errors: require('./errors')
 };
@@ -0,0 +1,100 @@
+'use strict';
+
+const DEFAULT_FLAG = '__LAMBDA_KEEP_WARM';
+const WARMUP_PLUGIN_SOURCE = 'serverless-plugin-warmup';
+
+/**
+ * Utility class that determines whether or not a lambda event is a keep warm
+ * request, based on a configurable set of detection rules.
+ */
+class KeepWarmDetector {
+    /**
+     * @param {Object} [options={}] Options that control how keep warm
+     *        requests are detected.
+     * @param {String} [options.flag='__LAMBDA_KEEP_WARM'] The name of an
+     *        event property that identifies keep warm requests when set to a
+     *        truthy value.
+     * @param {Array} [options.scheduleRules=[]] A list of CloudWatch event
+     *        rule names or ARNs. Scheduled events (source: "aws.events")
+     *        triggered by any of these rules will be treated as keep warm
+     *        requests.
+     * @param {Boolean} [options.warmupPlugin=false] If set to true, payloads
+     *        generated by serverless-plugin-warmup will be treated as keep
+     *        warm requests.
+     * @param {Function} [options.detect] An optional function that will be
+     *        invoked with the event, and returns true if the event is a keep
+     *        warm request.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const flag = (options.flag === undefined) ? DEFAULT_FLAG : options.flag;
+        if (typeof flag !== 'string' || flag.length <= 0) {
+            throw new Error('Invalid keep warm flag specified (options.flag)');
+        }
+
+        const scheduleRules = options.scheduleRules || [];
+        if (!(scheduleRules instanceof Array) ||
+            !scheduleRules.every((rule) => typeof rule === 'string' && rule.length > 0)) {
+            throw new Error('Invalid schedule rules specified (options.scheduleRules)');
+        }
+
+        if (options.detect !== undefined && typeof options.detect !== 'function') {
+            throw new Error('Invalid detect function specified (options.detect)');
+        }
+
+        this._flag = flag;
+        this._scheduleRules = scheduleRules.slice();
+        this._warmupPlugin = !!options.warmupPlugin;
+        this._detect = options.detect;
+    }
+
+    /**
+     * Determines whether or not the event was generated by one of the
+     * configured CloudWatch event rules.
+     *
+     * @private
+     * @param {Object} event The lambda event.
+     *
+     * @return {Boolean} True if the event was generated by a configured rule.
+     */
+    _isScheduledRule(event) {
+        if (this._scheduleRules.length <= 0 || event.source !== 'aws.events' ||
+            !(event.resources instanceof Array)) {
+            return false;
+        }
+        return event.resources.some((resource) => {
+            return this._scheduleRules.some((rule) => {
+                return resource === rule || resource.endsWith(`:rule/${rule}`);
+            });
+        });
+    }
+
+    /**
+     * Determines whether or not the specified event is a keep warm request.
+     *
+     * @param {Object} event The lambda event.
+     *
+     * @return {Boolean} True if the event is a keep warm request, false
+     *         otherwise.
+     */
+    isKeepWarm(event) {
+        if (!event || typeof event !== 'object') {
+            return false;
+        }
+        if (event[this._flag]) {
+            return true;
+        }
+        if (this._warmupPlugin && event.source === WARMUP_PLUGIN_SOURCE) {
+            return true;
+        }
+        if (this._isScheduledRule(event)) {
+            return true;
+        }
+        return !!this._detect && !!this._detect(event);
+    }
+}
+
+module.exports = KeepWarmDetector;
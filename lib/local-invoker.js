@@ -0,0 +1,330 @@
+'use strict';
+
+const _crypto = require('crypto');
+const _util = require('util');
+const Arn = require('./arn');
+
+const DEFAULT_REGION = 'us-east-1';
+const DEFAULT_ACCOUNT_ID = '123456789012';
+const DEFAULT_TIMEOUT = 3000;
+const DEFAULT_MEMORY_LIMIT = 128;
+const FUNCTION_VERSION = '$LATEST';
+
+/**
+ * Log level names, keyed by the numeric levels used in log records.
+ *
+ * @private
+ */
+const LEVEL_NAMES = {
+    10: 'TRACE',
+    20: 'DEBUG',
+    30: 'INFO',
+    40: 'WARN',
+    50: 'ERROR',
+    60: 'FATAL'
+};
+
+/**
+ * Fields of a log record that are included in the formatted line, and are
+ * not repeated in the details.
+ *
+ * @private
+ */
+const RECORD_FIELDS = ['v', 'level', 'name', 'hostname', 'pid', 'time', 'msg', 'group', 'err'];
+
+/**
+ * Options that can be specified on the command line, and the type of the
+ * values they accept.
+ *
+ * @private
+ */
+const ARG_TYPES = {
+    event: 'string',
+    alias: 'string',
+    timeout: 'number',
+    region: 'string',
+    account: 'string',
+    name: 'string',
+    raw: 'boolean'
+};
+
+/**
+ * Generates a random request id, formatted like the request ids generated by
+ * AWS lambda.
+ *
+ * @private
+ * @return {String} A new request id.
+ */
+function _generateRequestId() {
+    const hex = _crypto.randomBytes(16).toString('hex');
+    return [
+        hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4),
+        hex.substr(16, 4), hex.substr(20, 12)
+    ].join('-');
+}
+
+/**
+ * Utility class that invokes lambda handlers (typically those generated by
+ * HandlerWrapper) locally, with a context object that mimics the one
+ * provided by AWS lambda. The context includes an invoked function ARN that
+ * is qualified by the specified alias, a unique request id for each
+ * invocation, and a getRemainingTimeInMillis() method that is bound to the
+ * specified timeout.
+ *
+ * This class is used by the wysknd-lambda command line tool, which can be
+ * used to run handlers without deploying them.
+ */
+class LocalInvoker {
+    /**
+     * @param {Object} options Options for the invoker.
+     * @param {String} options.functionName The name of the lambda function.
+     * @param {String} [options.alias] An optional alias that qualifies the
+     *        invoked function ARN.
+     * @param {Number} [options.timeout=3000] The timeout for each
+     *        invocation, in milliseconds.
+     * @param {String} [options.region='us-east-1'] The region included in
+     *        the invoked function ARN.
+     * @param {String} [options.accountId='123456789012'] The account id
+     *        included in the invoked function ARN.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            throw new Error('Invalid options specified (arg #1)');
+        }
+
+        const functionName = options.functionName;
+        if (typeof functionName !== 'string' || functionName.length <= 0) {
+            throw new Error('Invalid function name specified (options.functionName)');
+        }
+
+        const timeout = (options.timeout === undefined) ? DEFAULT_TIMEOUT : options.timeout;
+        if (typeof timeout !== 'number' || isNaN(timeout) || timeout <= 0) {
+            throw new Error('Invalid timeout specified (options.timeout)');
+        }
+
+        const region = (options.region === undefined) ? DEFAULT_REGION : options.region;
+        const accountId = (options.accountId === undefined) ? DEFAULT_ACCOUNT_ID : options.accountId;
+        let functionArn = null;
+        try {
+            functionArn = new Arn({
+                service: 'lambda',
+                region: region,
+                accountId: accountId,
+                resourceType: 'function',
+                resourceDelimiter: ':',
+                resourceId: functionName,
+                qualifier: options.alias
+            });
+        } catch (ex) {
+            throw new Error(`Invalid function ARN options specified. Details: ${ex.message}`);
+        }
+
+        this._functionName = functionName;
+        this._functionArn = functionArn.toString();
+        this._timeout = timeout;
+    }
+
+    /**
+     * Parses the command line arguments of the wysknd-lambda tool, which
+     * take the form:
+     *
+     *     invoke <module>#<export> [--event <file>] [--alias <alias>]
+     *            [--timeout <ms>] [--region <region>] [--account <id>]
+     *            [--name <function name>] [--raw]
+     *
+     * The export name defaults to "handler" if omitted.
+     *
+     * @param {Array} args The command line arguments, excluding the node
+     *        executable and script path.
+     *
+     * @return {Object} An object with the command, the module path, the
+     *         export name, and the options specified on the command line.
+     */
+    static parseArgs(args) {
+        if (!(args instanceof Array)) {
+            throw new Error('Invalid arguments specified (arg #1)');
+        }
+        args = args.slice();
+
+        const command = args.shift();
+        if (command !== 'invoke') {
+            throw new Error(`Unknown command specified (${command})`);
+        }
+
+        const target = args.shift();
+        if (typeof target !== 'string' || target.length <= 0 || target.indexOf('--') === 0) {
+            throw new Error('Handler not specified. Expected <module>#<export>');
+        }
+        const separatorIndex = target.lastIndexOf('#');
+        const modulePath = (separatorIndex < 0) ? target : target.substr(0, separatorIndex);
+        const exportName = (separatorIndex < 0) ? 'handler' : target.substr(separatorIndex + 1);
+        if (modulePath.length <= 0 || exportName.length <= 0) {
+            throw new Error(`Invalid handler specified (${target}). Expected <module>#<export>`);
+        }
+
+        const options = {};
+        while (args.length > 0) {
+            const arg = args.shift();
+            const name = arg.replace(/^--/, '');
+            const type = ARG_TYPES.hasOwnProperty(name) ? ARG_TYPES[name] : undefined;
+            if (arg.indexOf('--') !== 0 || !type) {
+                throw new Error(`Unknown option specified (${arg})`);
+            }
+            if (type === 'boolean') {
+                options[name] = true;
+                continue;
+            }
+            const value = args.shift();
+            if (typeof value !== 'string' || value.length <= 0) {
+                throw new Error(`Value not specified for option (${arg})`);
+            }
+            if (type === 'number') {
+                if (!/^[0-9]+$/.test(value)) {
+                    throw new Error(`Invalid value specified for option (${arg})`);
+                }
+                options[name] = parseInt(value, 10);
+            } else {
+                options[name] = value;
+            }
+        }
+
+        return {
+            command: command,
+            modulePath: modulePath,
+            exportName: exportName,
+            options: options
+        };
+    }
+
+    /**
+     * Formats a line of output from a lambda handler for display. JSON log
+     * records are converted into a human readable form that includes the
+     * time, level, group and message, followed by the remaining fields and
+     * the error stack (if any). All other lines are returned without
+     * modification.
+     *
+     * @param {String} line The line to format.
+     *
+     * @return {String} The formatted line.
+     */
+    static formatLogLine(line) {
+        let record = null;
+        try {
+            record = JSON.parse(line);
+        } catch (ex) {
+            return line;
+        }
+        if (!record || typeof record !== 'object' || typeof record.level !== 'number' ||
+            typeof record.msg !== 'string') {
+            return line;
+        }
+
+        const level = LEVEL_NAMES[record.level] || `LEVEL ${record.level}`;
+        const time = (typeof record.time === 'string') ? record.time.replace(/^.*T|Z$/g, '') : '';
+        const group = record.group ? ` ${record.group}` : '';
+        const details = Object.keys(record).reduce((result, key) => {
+            if (RECORD_FIELDS.indexOf(key) < 0) {
+                result[key] = record[key];
+            }
+            return result;
+        }, {});
+
+        let output = `[${time}] ${level}${group}: ${record.msg}`;
+        if (Object.keys(details).length > 0) {
+            const inspected = _util.inspect(details, {
+                depth: null,
+                breakLength: Infinity
+            });
+            output += `\n    ${inspected}`; // esfmt-ignore-line
+        }
+        if (record.err && typeof record.err.stack === 'string') {
+            output += `\n    ${record.err.stack.split('\n').join('\n    ')}`; // esfmt-ignore-line
+        }
+        return output;
+    }
+
+    /**
+     * The invoked function ARN that is included in the context.
+     *
+     * @return {String}
+     */
+    get functionArn() {
+        return this._functionArn;
+    }
+
+    /**
+     * Creates a new context object for an invocation.
+     *
+     * @param {Number} [startTime=Date.now()] The start time of the
+     *        invocation, which is used to determine the remaining time.
+     *
+     * @return {Object} A context object that mimics the lambda context.
+     */
+    createContext(startTime) {
+        const expiresAt = ((typeof startTime === 'number') ? startTime : Date.now()) + this._timeout;
+        const date = new Date().toISOString().substr(0, 10).replace(/-/g, '/');
+        const streamId = _crypto.randomBytes(16).toString('hex');
+
+        return {
+            callbackWaitsForEmptyEventLoop: true,
+            functionName: this._functionName,
+            functionVersion: FUNCTION_VERSION,
+            invokedFunctionArn: this._functionArn,
+            memoryLimitInMB: String(DEFAULT_MEMORY_LIMIT),
+            awsRequestId: _generateRequestId(),
+            logGroupName: `/aws/lambda/${this._functionName}`,
+            logStreamName: `${date}/[${FUNCTION_VERSION}]${streamId}`,
+            getRemainingTimeInMillis: () => Math.max(0, expiresAt - Date.now())
+        };
+    }
+
+    /**
+     * Invokes a lambda handler with the specified event and a new context.
+     * The handler may report completion by invoking the callback, or by
+     * returning a promise. Invocations that do not complete within the
+     * timeout fail in the same way that they would on AWS lambda.
+     *
+     * @param {Function} handler The lambda handler to invoke.
+     * @param {*} event The event to pass to the handler.
+     *
+     * @return {Promise} A promise that is settled with the result of the
+     *         invocation.
+     */
+    invoke(handler, event) {
+        if (typeof handler !== 'function') {
+            throw new Error('Invalid handler specified (arg #1)');
+        }
+
+        const context = this.createContext();
+        return new Promise((resolve, reject) => {
+            let isComplete = false;
+            let timer = null;
+            const complete = (err, data) => {
+                if (isComplete) {
+                    return;
+                }
+                isComplete = true;
+                clearTimeout(timer);
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(data);
+                }
+            };
+            timer = setTimeout(() => {
+                complete(new Error(`Task timed out after ${(this._timeout / 1000).toFixed(2)} seconds`));
+            }, this._timeout);
+
+            try {
+                const result = handler(event, context, complete);
+                if (result && typeof result.then === 'function') {
+                    result.then((data) => complete(null, data), (ex) => complete(ex));
+                }
+            } catch (ex) {
+                complete(ex);
+            }
+        });
+    }
+}
+
+module.exports = LocalInvoker;
@@ -0,0 +1,147 @@
+'use strict';
+
+const _eventAttributes = require('./event-attributes');
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const DEFAULT_LEVEL = 'info';
+const DEFAULT_HEADER = 'x-log-level';
+const DEFAULT_ATTRIBUTE = 'logLevel';
+const DEFAULT_FIELD = 'logLevel';
+const DEFAULT_SAMPLE_LEVEL = 'debug';
+
+/**
+ * Normalizes a log level, ignoring case.
+ *
+ * @private
+ * @param {*} value The value to normalize.
+ *
+ * @return {String} The log level, or undefined if the value is not a valid
+ *         log level.
+ */
+function _normalizeLevel(value) {
+    if (typeof value !== 'string') {
+        return;
+    }
+    value = value.toLowerCase();
+    return (LEVELS.indexOf(value) >= 0) ? value : undefined;
+}
+
+/**
+ * Utility class that determines the log level for a lambda invocation. The
+ * configured log level can be raised for a single invocation by upstream
+ * callers using one of the following (checked in order):
+ *
+ * - A request header (API Gateway events). Header names are matched without
+ *   regard to case.
+ * - A message attribute of the first record (SQS and SNS events).
+ * - A field of the event, identified by a dot separated path.
+ *
+ * Additionally, a sample rate can be specified to enable verbose logging
+ * for a random percentage of invocations. Requested and sampled levels are
+ * only applied if they are more verbose than the configured level, so log
+ * output can never be reduced for an invocation.
+ *
+ * Because requested levels are controlled by callers, all of the sources are
+ * disabled by default, and must be enabled explicitly. A source can be
+ * enabled by setting the corresponding option to true (to use the default
+ * name), or to the name of the header, attribute or field.
+ */
+class LogLevelResolver {
+    /**
+     * @param {Object} [options={}] Options that control how log levels are
+     *        resolved.
+     * @param {String|Boolean} [options.header=false] The name of the
+     *        request header that contains the log level, or true to use
+     *        "x-log-level".
+     * @param {String|Boolean} [options.attribute=false] The name of the
+     *        message attribute that contains the log level, or true to use
+     *        "logLevel".
+     * @param {String|Boolean} [options.field=false] The path of the event
+     *        field that contains the log level, or true to use "logLevel".
+     * @param {Number} [options.sampleRate=0] The fraction (between 0 and 1)
+     *        of invocations for which the sample level will be applied.
+     * @param {String} [options.sampleLevel='debug'] The log level that will
+     *        be applied to sampled invocations.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const defaults = {
+            header: DEFAULT_HEADER,
+            attribute: DEFAULT_ATTRIBUTE,
+            field: DEFAULT_FIELD
+        };
+        const sources = {};
+        Object.keys(defaults).forEach((prop) => {
+            let value = options[prop];
+            if (value === undefined) {
+                value = false;
+            } else if (value === true) {
+                value = defaults[prop];
+            }
+            if (value !== false && (typeof value !== 'string' || value.length <= 0)) {
+                throw new Error(`Invalid ${prop} name specified (options.${prop})`);
+            }
+            sources[prop] = value;
+        });
+
+        const sampleRate = (options.sampleRate === undefined) ? 0 : options.sampleRate;
+        if (typeof sampleRate !== 'number' || !(sampleRate >= 0 && sampleRate <= 1)) {
+            throw new Error('Invalid sample rate specified (options.sampleRate)');
+        }
+
+        const sampleLevel = (options.sampleLevel === undefined) ? DEFAULT_SAMPLE_LEVEL : options.sampleLevel;
+        if (LEVELS.indexOf(sampleLevel) < 0) {
+            throw new Error('Invalid sample level specified (options.sampleLevel)');
+        }
+
+        this._header = sources.header;
+        this._attribute = sources.attribute;
+        this._field = sources.field;
+        this._sampleRate = sampleRate;
+        this._sampleLevel = sampleLevel;
+    }
+
+    /**
+     * The list of supported log levels, from most to least verbose.
+     *
+     * @return {Array}
+     */
+    static get LEVELS() {
+        return LEVELS.slice();
+    }
+
+    /**
+     * Resolves the log level for a lambda invocation.
+     *
+     * @param {Object} event The lambda event.
+     * @param {String} [level='info'] The configured log level.
+     *
+     * @return {String} The most verbose of the configured level, the level
+     *         requested by the event, and the sample level (if the
+     *         invocation has been sampled).
+     */
+    resolve(event, level) {
+        const levels = [_normalizeLevel(level) || DEFAULT_LEVEL];
+        if (event && typeof event === 'object') {
+            const requested = [
+                this._header ? _eventAttributes.getHeader(event, this._header) : undefined,
+                this._attribute ? _eventAttributes.getAttribute(event, this._attribute) : undefined,
+                this._field ? _eventAttributes.getPath(event, this._field) : undefined
+            ].map(_normalizeLevel).find((value) => value !== undefined);
+            if (requested !== undefined) {
+                levels.push(requested);
+            }
+        }
+        if (this._sampleRate > 0 && Math.random() < this._sampleRate) {
+            levels.push(this._sampleLevel);
+        }
+        return levels.reduce((current, value) => {
+            return (LEVELS.indexOf(value) < LEVELS.indexOf(current)) ? value : current;
+        });
+    }
+}
+
+module.exports = LogLevelResolver;
@@ -0,0 +1,243 @@
+/*eslint no-console: ["error", { allow: ["log"] }] */
+'use strict';
+
+const NAMESPACE_PATTERN = /^[^:]{1,255}$/;
+const MAX_METRICS = 100;
+const MAX_VALUES = 100;
+
+/**
+ * Units supported by CloudWatch metrics.
+ *
+ * @private
+ */
+const UNITS = [
+    'Seconds', 'Microseconds', 'Milliseconds', 'Bytes', 'Kilobytes', 'Megabytes', 'Gigabytes',
+    'Terabytes', 'Bits', 'Kilobits', 'Megabits', 'Gigabits', 'Terabits', 'Percent', 'Count',
+    'Bytes/Second', 'Kilobytes/Second', 'Megabytes/Second', 'Gigabytes/Second',
+    'Terabytes/Second', 'Bits/Second', 'Kilobits/Second', 'Megabits/Second',
+    'Gigabits/Second', 'Terabits/Second', 'Count/Second', 'None'
+];
+
+/**
+ * Determines whether or not a value can be recorded as a metric value.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a finite number, or a non empty
+ *         array of finite numbers.
+ */
+function _isMetricValue(value) {
+    const isNumber = (item) => typeof item === 'number' && isFinite(item);
+    if (value instanceof Array) {
+        return value.length > 0 && value.every(isNumber);
+    }
+    return isNumber(value);
+}
+
+/**
+ * Buffers metrics recorded during a lambda invocation, and writes them as
+ * CloudWatch Embedded Metric Format (EMF) documents when flushed. CloudWatch
+ * extracts metrics from these documents without the need for metric
+ * filters.
+ *
+ * Values recorded for the same metric are accumulated, and written as a
+ * single metric with multiple values. Metrics recorded with different
+ * properties are written in separate documents, so that the properties of
+ * one metric are never attached to another. Documents are split as needed
+ * to honor the CloudWatch limits on the number of metrics per document and
+ * values per metric.
+ */
+class MetricsBuffer {
+    /**
+     * @param {Object} options Options for the buffer.
+     * @param {String} options.namespace The CloudWatch namespace for the
+     *        metrics.
+     * @param {Object} [options.dimensions={}] A map of dimension names to
+     *        values, which will be included with all metrics.
+     * @param {Object} [options.units={}] A map of metric names to
+     *        CloudWatch units. Metrics without a unit are written with the
+     *        unit "None".
+     * @param {Function} [options.write] A function that will be invoked with
+     *        each serialized document. Defaults to console.log.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            throw new Error('Invalid options specified (arg #1)');
+        }
+
+        const namespace = options.namespace;
+        if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+            throw new Error('Invalid namespace specified (options.namespace)');
+        }
+
+        const dimensions = (options.dimensions === undefined) ? {} : options.dimensions;
+        if (!dimensions || (dimensions instanceof Array) || typeof dimensions !== 'object' ||
+            Object.keys(dimensions).length > 30 ||
+            !Object.keys(dimensions).every((name) => typeof dimensions[name] === 'string' &&
+                dimensions[name].length > 0)) {
+            throw new Error('Invalid dimensions specified (options.dimensions)');
+        }
+
+        const units = (options.units === undefined) ? {} : options.units;
+        if (!units || (units instanceof Array) || typeof units !== 'object' ||
+            !Object.keys(units).every((name) => UNITS.indexOf(units[name]) >= 0)) {
+            throw new Error('Invalid units specified (options.units)');
+        }
+
+        const write = (options.write === undefined) ? (line) => console.log(line) : options.write;
+        if (typeof write !== 'function') {
+            throw new Error('Invalid write function specified (options.write)');
+        }
+
+        this._namespace = namespace;
+        this._dimensions = Object.assign({}, dimensions);
+        this._units = Object.assign({}, units);
+        this._write = write;
+        this._groups = {};
+        this._isFlushed = false;
+    }
+
+    /**
+     * The units supported by CloudWatch metrics.
+     *
+     * @return {Array}
+     */
+    static get UNITS() {
+        return UNITS.slice();
+    }
+
+    /**
+     * Determines whether or not a value can be recorded as a metric value.
+     *
+     * @param {*} value The value to check.
+     *
+     * @return {Boolean} True if the value is a finite number, or a non empty
+     *         array of finite numbers.
+     */
+    static isMetricValue(value) {
+        return _isMetricValue(value);
+    }
+
+    /**
+     * Records one or more values for a metric. Metrics recorded after the
+     * buffer has been flushed are written immediately.
+     *
+     * @param {String} metric The name of the metric.
+     * @param {Number|Array} value The value (or values) to record.
+     * @param {String} [unit] The unit of the metric. Defaults to the unit
+     *        configured for the metric, or "None".
+     * @param {Object} [props={}] Additional properties that will be
+     *        included in the document. Properties cannot override dimension
+     *        or metric values, and values recorded for the same metric are
+     *        only accumulated if their properties are identical.
+     */
+    add(metric, value, unit, props) {
+        if (typeof metric !== 'string' || metric.length <= 0) {
+            throw new Error('Invalid metric specified (arg #1)');
+        }
+        if (!_isMetricValue(value)) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+        if (unit === undefined) {
+            unit = this._units[metric] || 'None';
+        }
+        if (UNITS.indexOf(unit) < 0) {
+            throw new Error('Invalid unit specified (arg #3)');
+        }
+
+        if (!props || (props instanceof Array) || typeof props !== 'object') {
+            props = {};
+        }
+        const key = JSON.stringify(Object.keys(props).sort().map((name) => [name, props[name]]));
+        const group = this._groups[key] || {
+            props: Object.assign({}, props),
+            metrics: {}
+        };
+        this._groups[key] = group;
+
+        const entry = group.metrics[metric] || {
+            unit,
+            values: []
+        };
+        entry.unit = unit;
+        entry.values = entry.values.concat(value);
+        group.metrics[metric] = entry;
+
+        if (this._isFlushed) {
+            this._writeDocuments();
+        }
+    }
+
+    /**
+     * Creates EMF documents for a group of metrics that share the same
+     * properties.
+     *
+     * @private
+     * @param {Object} metrics A map of metric names to units and values.
+     * @param {Object} props The properties of the metrics.
+     *
+     * @return {Array} A list of documents.
+     */
+    _createDocuments(metrics, props) {
+        const names = Object.keys(metrics);
+        const documents = [];
+        for (let start = 0; start < names.length; start += MAX_METRICS) {
+            const batch = names.slice(start, start + MAX_METRICS);
+            const maxValues = Math.max.apply(null, batch.map((name) => metrics[name].values.length));
+            for (let offset = 0; offset < maxValues; offset += MAX_VALUES) {
+                const document = Object.assign({}, props, this._dimensions);
+                const definitions = [];
+                batch.forEach((name) => {
+                    const values = metrics[name].values.slice(offset, offset + MAX_VALUES);
+                    if (values.length <= 0) {
+                        return;
+                    }
+                    definitions.push({
+                        Name: name,
+                        Unit: metrics[name].unit
+                    });
+                    document[name] = (values.length === 1) ? values[0] : values;
+                });
+                document._aws = {
+                    Timestamp: Date.now(),
+                    CloudWatchMetrics: [{
+                        Namespace: this._namespace,
+                        Dimensions: [Object.keys(this._dimensions)],
+                        Metrics: definitions
+                    }]
+                };
+                documents.push(document);
+            }
+        }
+        return documents;
+    }
+
+    /**
+     * Writes buffered metrics as EMF documents, and clears the buffer.
+     *
+     * @private
+     */
+    _writeDocuments() {
+        const groups = this._groups;
+        this._groups = {};
+
+        Object.keys(groups).forEach((key) => {
+            const group = groups[key];
+            this._createDocuments(group.metrics, group.props).forEach((document) => {
+                this._write(JSON.stringify(document));
+            });
+        });
+    }
+
+    /**
+     * Writes all buffered metrics, and clears the buffer. Metrics that are
+     * recorded after the buffer has been flushed are written immediately.
+     */
+    flush() {
+        this._isFlushed = true;
+        this._writeDocuments();
+    }
+}
+
+module.exports = MetricsBuffer;
@@ -0,0 +1,221 @@
+'use strict';
+
+const MetricsBuffer = require('./metrics-buffer');
+
+/**
+ * Determines whether or not a value is a valid metric name.
+ *
+ * @private
+ * @param {*} metric The value to check.
+ *
+ * @return {Boolean} True if the value is a non empty string.
+ */
+function _isMetricName(metric) {
+    return typeof metric === 'string' && metric.length > 0;
+}
+
+/**
+ * Determines whether or not a value can be recorded for a metric.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a finite number.
+ */
+function _isValue(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Computes summary statistics for a list of values.
+ *
+ * @private
+ * @param {Array} values A non empty list of numbers.
+ *
+ * @return {Object} An object with the count, min, max, sum and avg of the
+ *         values.
+ */
+function _summarize(values) {
+    const sum = values.reduce((total, value) => total + value, 0);
+    return {
+        count: values.length,
+        min: Math.min.apply(null, values),
+        max: Math.max.apply(null, values),
+        sum: sum,
+        avg: sum / values.length
+    };
+}
+
+/**
+ * Collects metrics recorded during a lambda invocation, aggregates them, and
+ * writes them out once when flushed. The following types of metrics are
+ * supported:
+ *
+ * - Counters (see increment()), which are written as the sum of all
+ *   increments.
+ * - Gauges (see gauge()), which are written as the last recorded value.
+ * - Timings (see timing() and startTimer()), which are written as the list
+ *   of recorded durations (in milliseconds), along with summary statistics.
+ *
+ * Each metric may only be recorded as a single type. Metrics recorded after
+ * the collector has been flushed are written immediately.
+ */
+class MetricsCollector {
+    /**
+     * @param {Function} write A function that will be invoked with the name,
+     *        value, and unit of each aggregated metric when the collector is
+     *        flushed. For timings, the value is a list of durations, and a
+     *        fourth argument with summary statistics (count, min, max, sum
+     *        and avg) is included.
+     */
+    constructor(write) {
+        if (typeof write !== 'function') {
+            throw new Error('Invalid write function specified (arg #1)');
+        }
+
+        this._write = write;
+        this._metrics = new Map();
+        this._isFlushed = false;
+    }
+
+    /**
+     * Adds a value to the aggregate for a metric, creating the aggregate if
+     * necessary.
+     *
+     * @private
+     * @param {String} type The type of the metric.
+     * @param {String} metric The name of the metric.
+     * @param {Number} value The value to record.
+     * @param {String} unit The unit of the metric.
+     */
+    _record(type, metric, value, unit) {
+        const entry = this._metrics.get(metric) || {
+            type: type,
+            unit: unit,
+            values: []
+        };
+        if (entry.type !== type) {
+            throw new Error(`Metric has already been recorded as a ${entry.type} (${metric})`);
+        }
+        entry.unit = unit;
+        entry.values.push(value);
+        this._metrics.set(metric, entry);
+
+        if (this._isFlushed) {
+            this._writeMetrics();
+        }
+    }
+
+    /**
+     * Writes all aggregated metrics, and clears the collector.
+     *
+     * @private
+     */
+    _writeMetrics() {
+        const metrics = this._metrics;
+        this._metrics = new Map();
+
+        metrics.forEach((entry, metric) => {
+            const values = entry.values;
+            if (entry.type === 'counter') {
+                this._write(metric, values.reduce((total, value) => total + value, 0), entry.unit);
+            } else if (entry.type === 'gauge') {
+                this._write(metric, values[values.length - 1], entry.unit);
+            } else {
+                this._write(metric, values.slice(), entry.unit, _summarize(values));
+            }
+        });
+    }
+
+    /**
+     * Increments a counter.
+     *
+     * @param {String} metric The name of the metric.
+     * @param {Number} [value=1] The amount to increment the counter by.
+     */
+    increment(metric, value) {
+        if (!_isMetricName(metric)) {
+            throw new Error('Invalid metric specified (arg #1)');
+        }
+        if (value === undefined) {
+            value = 1;
+        }
+        if (!_isValue(value)) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+        this._record('counter', metric, value, 'Count');
+    }
+
+    /**
+     * Sets the value of a gauge. Only the last value set during the
+     * invocation is written.
+     *
+     * @param {String} metric The name of the metric.
+     * @param {Number} value The value of the gauge.
+     * @param {String} [unit='None'] The unit of the metric (see
+     *        MetricsBuffer.UNITS).
+     */
+    gauge(metric, value, unit) {
+        if (!_isMetricName(metric)) {
+            throw new Error('Invalid metric specified (arg #1)');
+        }
+        if (!_isValue(value)) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+        if (unit === undefined) {
+            unit = 'None';
+        }
+        if (MetricsBuffer.UNITS.indexOf(unit) < 0) {
+            throw new Error('Invalid unit specified (arg #3)');
+        }
+        this._record('gauge', metric, value, unit);
+    }
+
+    /**
+     * Records a duration for a timing metric.
+     *
+     * @param {String} metric The name of the metric.
+     * @param {Number} value The duration in milliseconds.
+     */
+    timing(metric, value) {
+        if (!_isMetricName(metric)) {
+            throw new Error('Invalid metric specified (arg #1)');
+        }
+        if (!_isValue(value) || value < 0) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+        this._record('timing', metric, value, 'Milliseconds');
+    }
+
+    /**
+     * Starts a timer for a timing metric.
+     *
+     * @param {String} metric The name of the metric.
+     *
+     * @return {Function} A function that stops the timer, records the
+     *         elapsed time, and returns it (in milliseconds).
+     */
+    startTimer(metric) {
+        if (!_isMetricName(metric)) {
+            throw new Error('Invalid metric specified (arg #1)');
+        }
+        const startTime = Date.now();
+        return () => {
+            const elapsed = Date.now() - startTime;
+            this.timing(metric, elapsed);
+            return elapsed;
+        };
+    }
+
+    /**
+     * Writes all aggregated metrics, and clears the collector. Metrics that
+     * are recorded after the collector has been flushed are written
+     * immediately.
+     */
+    flush() {
+        this._isFlushed = true;
+        this._writeMetrics();
+    }
+}
+
+module.exports = MetricsCollector;
@@ -0,0 +1,222 @@
+'use strict';
+
+const DEFAULT_MASK = '[REDACTED]';
+const DEFAULT_KEYS = ['authorization', 'cookie', 'password', 'secret', 'token'];
+
+/**
+ * Built in patterns that can be referenced by name.
+ *
+ * @private
+ */
+const PATTERNS = {
+    email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
+    cardNumber: /\b(?:\d[ -]?){12,18}\d\b/g
+};
+
+/**
+ * Converts a pattern specification into a global regular expression.
+ *
+ * @private
+ * @param {RegExp|String} pattern A regular expression, the source of a
+ *        regular expression, or the name of a built in pattern.
+ *
+ * @return {RegExp} A regular expression with the global flag set.
+ */
+function _compilePattern(pattern) {
+    if (typeof pattern === 'string') {
+        pattern = PATTERNS.hasOwnProperty(pattern) ? PATTERNS[pattern] : new RegExp(pattern);
+    }
+    const flags = pattern.flags.indexOf('g') >= 0 ? pattern.flags : `${pattern.flags}g`;
+    return new RegExp(pattern.source, flags);
+}
+
+/**
+ * Determines whether or not a value is a list of non empty strings.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a list of non empty strings.
+ */
+function _isStringList(value) {
+    return (value instanceof Array) &&
+        value.every((item) => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Utility class that masks sensitive values in log data. Values are masked
+ * if:
+ *
+ * - Their key matches one of the configured keys (without regard to case),
+ *   at any depth.
+ * - Their location matches one of the configured paths. Paths are dot
+ *   separated lists of keys from the root of the data, and may use "*" to
+ *   match any key or array index.
+ * - They are strings, in which case any matches for the configured patterns
+ *   are masked.
+ *
+ * Errors are converted into plain objects that include the name, message
+ * and stack, along with any other properties of the error, all of which are
+ * subject to redaction.
+ */
+class Redactor {
+    /**
+     * @param {Object} [options={}] Options that control redaction.
+     * @param {Array} [options.keys=['authorization', 'cookie', 'password',
+     *        'secret', 'token']] A list of keys whose values will be masked.
+     * @param {Array} [options.paths=[]] A list of dot separated paths whose
+     *        values will be masked.
+     * @param {Array} [options.patterns=[]] A list of patterns that will be
+     *        masked in string values. Each pattern may be a regular
+     *        expression, the source of a regular expression, or the name of
+     *        a built in pattern (see Redactor.PATTERNS).
+     * @param {String} [options.mask='[REDACTED]'] The value that sensitive
+     *        data is replaced with.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const keys = (options.keys === undefined) ? DEFAULT_KEYS : options.keys;
+        if (!_isStringList(keys)) {
+            throw new Error('Invalid keys specified (options.keys)');
+        }
+
+        const paths = (options.paths === undefined) ? [] : options.paths;
+        if (!_isStringList(paths)) {
+            throw new Error('Invalid paths specified (options.paths)');
+        }
+
+        const patterns = (options.patterns === undefined) ? [] : options.patterns;
+        if (!(patterns instanceof Array)) {
+            throw new Error('Invalid patterns specified (options.patterns)');
+        }
+        let compiledPatterns = null;
+        try {
+            compiledPatterns = patterns.map((pattern) => {
+                if (!(pattern instanceof RegExp) && (typeof pattern !== 'string' || pattern.length <= 0)) {
+                    throw new Error('Pattern is not a regular expression or string');
+                }
+                return _compilePattern(pattern);
+            });
+        } catch (ex) {
+            throw new Error('Invalid patterns specified (options.patterns)');
+        }
+
+        const mask = (options.mask === undefined) ? DEFAULT_MASK : options.mask;
+        if (typeof mask !== 'string') {
+            throw new Error('Invalid mask specified (options.mask)');
+        }
+
+        this._keys = keys.map((key) => key.toLowerCase());
+        this._paths = paths.map((path) => path.split('.'));
+        this._patterns = compiledPatterns;
+        this._mask = mask;
+    }
+
+    /**
+     * The names of the built in patterns, which match email addresses
+     * (email) and card numbers (cardNumber).
+     *
+     * @return {Array}
+     */
+    static get PATTERNS() {
+        return Object.keys(PATTERNS);
+    }
+
+    /**
+     * Determines whether or not the value at the specified location must be
+     * masked.
+     *
+     * @private
+     * @param {String} key The key of the value.
+     * @param {Array} path The list of keys from the root of the data to the
+     *        value.
+     *
+     * @return {Boolean} True if the value must be masked.
+     */
+    _isSensitive(key, path) {
+        if (this._keys.indexOf(key.toLowerCase()) >= 0) {
+            return true;
+        }
+        return this._paths.some((segments) => {
+            return segments.length === path.length &&
+                segments.every((segment, index) => segment === '*' || segment === path[index]);
+        });
+    }
+
+    /**
+     * Masks all matches for the configured patterns in a string.
+     *
+     * @private
+     * @param {String} value The string to redact.
+     *
+     * @return {String} The redacted string.
+     */
+    _redactString(value) {
+        return this._patterns.reduce((current, pattern) => {
+            return current.replace(pattern, this._mask);
+        }, value);
+    }
+
+    /**
+     * Recursively redacts a value.
+     *
+     * @private
+     * @param {*} value The value to redact.
+     * @param {Array} path The list of keys from the root of the data to the
+     *        value.
+     * @param {Array} parents The objects that contain the value, used to
+     *        detect circular references.
+     *
+     * @return {*} The redacted value.
+     */
+    _redactValue(value, path, parents) {
+        if (typeof value === 'string') {
+            return this._redactString(value);
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (parents.indexOf(value) >= 0) {
+            return '[Circular]';
+        }
+
+        let source = value;
+        if (value instanceof Error) {
+            source = Object.assign({
+                name: value.name,
+                message: value.message,
+                stack: value.stack
+            }, value);
+        } else if (typeof value.toJSON === 'function') {
+            return this._redactValue(value.toJSON(), path, parents.concat([value]));
+        }
+
+        parents = parents.concat([value]);
+        if (source instanceof Array) {
+            return source.map((item, index) => this._redactValue(item, path.concat(String(index)), parents));
+        }
+        return Object.keys(source).reduce((result, key) => {
+            const keyPath = path.concat(key);
+            const isMasked = source[key] !== undefined && this._isSensitive(key, keyPath);
+            result[key] = isMasked ? this._mask : this._redactValue(source[key], keyPath, parents);
+            return result;
+        }, {});
+    }
+
+    /**
+     * Returns a redacted copy of the specified value. The value itself is
+     * not modified.
+     *
+     * @param {*} value The value to redact.
+     *
+     * @return {*} The redacted value.
+     */
+    redact(value) {
+        return this._redactValue(value, [], []);
+    }
+}
+
+module.exports = Redactor;
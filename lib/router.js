@@ -0,0 +1,157 @@
+'use strict';
+
+const _errors = require('./errors');
+const HttpRequest = require('./http-request');
+const HttpResponse = require('./http-response');
+
+/**
+ * Converts a path pattern into a regular expression that can be used to match
+ * request paths. Path parameters are specified using braces ("{id}"), and
+ * greedy parameters that match multiple path segments are specified using a
+ * trailing "+" ("{proxy+}").
+ *
+ * @private
+ * @param {String} pattern The path pattern.
+ *
+ * @return {Object} An object that contains the regular expression, and the
+ *         names of the path parameters in the pattern.
+ */
+function _compilePattern(pattern) {
+    const paramNames = [];
+    const source = _normalizePath(pattern).split('/').map((segment) => {
+        const match = segment.match(/^\{([^{}+]+)(\+?)\}$/);
+        if (match) {
+            paramNames.push(match[1]);
+            return (match[2] === '+') ? '(.+)' : '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return {
+        regex: new RegExp(`^${source}$`),
+        paramNames
+    };
+}
+
+/**
+ * Removes trailing slashes from a path, retaining the root path as is.
+ *
+ * @private
+ * @param {String} path The path to normalize.
+ *
+ * @return {String} The normalized path.
+ */
+function _normalizePath(path) {
+    const normalized = path.replace(/\/+$/, '');
+    return (normalized.length > 0) ? normalized : '/';
+}
+
+/**
+ * Routes HTTP requests to handlers based on the request method and path.
+ * Intended for use with lambda functions that serve multiple endpoints, and
+ * can be wrapped using HandlerWrapper.wrapRouter().
+ */
+class Router {
+    /**
+     */
+    constructor() {
+        this._routes = [];
+    }
+
+    /**
+     * Adds a route to the router. Routes are evaluated in the order in which
+     * they were added, and the first matching route is used to handle a
+     * request.
+     *
+     * @param {String} method The HTTP method of the route. The special value
+     *        "ANY" matches all methods.
+     * @param {String} pattern The path pattern for the route, with path
+     *        parameters specified using braces (for example: "/users/{id}").
+     *        Greedy path parameters can be specified using a trailing "+"
+     *        (for example: "/files/{path+}").
+     * @param {Function} handler The handler for the route. The handler will
+     *        be invoked with the request (with path parameters extracted from
+     *        the path), and the extension object.
+     *
+     * @return {Object} A reference to the router - can be used to chain
+     *         calls.
+     */
+    add(method, pattern, handler) {
+        if (typeof method !== 'string' || method.length <= 0) {
+            throw new Error('Invalid method specified (arg #1)');
+        }
+        if (typeof pattern !== 'string' || pattern.charAt(0) !== '/') {
+            throw new Error('Invalid path pattern specified (arg #2)');
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('Invalid handler specified (arg #3)');
+        }
+
+        const compiled = _compilePattern(pattern);
+        this._routes.push({
+            method: method.toUpperCase(),
+            pattern: pattern,
+            regex: compiled.regex,
+            paramNames: compiled.paramNames,
+            handler: handler
+        });
+        return this;
+    }
+
+    /**
+     * Routes the request to a matching handler. If no route matches the
+     * request path, a not found response will be returned. If routes match
+     * the path, but not the method, a method not allowed response will be
+     * returned.
+     *
+     * Path parameters are extracted from the request path without any
+     * further decoding, because API Gateway provides the path in its
+     * decoded form.
+     *
+     * @param {Object} request The HTTP request to route.
+     * @param {Object} ext The extension object for the current invocation.
+     *
+     * @return {*} The value returned by the route handler.
+     */
+    route(request, ext) {
+        if (!(request instanceof HttpRequest)) {
+            throw new Error('Invalid request specified (arg #1)');
+        }
+
+        const path = _normalizePath(request.path || '/');
+        const allowedMethods = [];
+        for (let route of this._routes) {
+            const match = path.match(route.regex);
+            if (!match) {
+                continue;
+            }
+            if (route.method !== 'ANY' && route.method !== request.method) {
+                allowedMethods.push(route.method);
+                continue;
+            }
+
+            const params = {};
+            route.paramNames.forEach((name, index) => {
+                params[name] = match[index + 1];
+            });
+            const event = Object.assign({}, request.event, {
+                pathParameters: Object.assign({}, request.pathParameters, params)
+            });
+            return route.handler(new HttpRequest(event), ext);
+        }
+
+        if (allowedMethods.length > 0) {
+            const error = new _errors.MethodNotAllowedError(
+                `Method ${request.method} is not supported for ${path}`, {
+                    allowedMethods
+                });
+            return new HttpResponse(error.toJSON(), error.statusCode, {
+                Allow: allowedMethods.join(',')
+            });
+        }
+        const error = new _errors.NotFoundError(`No route found for ${request.method} ${path}`);
+        return new HttpResponse(error.toJSON(), error.statusCode);
+    }
+}
+
+module.exports = Router;
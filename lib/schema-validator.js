@@ -0,0 +1,92 @@
+'use strict';
+
+const Ajv = require('ajv');
+const _ajv = new Ajv({
+    allErrors: true,
+    jsonPointers: true
+});
+const _ajvWithDefaults = new Ajv({
+    allErrors: true,
+    jsonPointers: true,
+    useDefaults: true
+});
+const ValidationError = require('./errors').ValidationError;
+
+/**
+ * Utility class that validates objects against a JSON schema, and reports
+ * errors in a consistent format.
+ */
+class SchemaValidator {
+    /**
+     * @param {Object} schema The JSON schema against which objects will be
+     *        validated.
+     * @param {Object} [options={}] Optional parameters for the validator.
+     * @param {Boolean} [options.useDefaults=false] If set to true, default
+     *        values specified in the schema will be assigned to missing
+     *        properties of the data being validated.
+     */
+    constructor(schema, options) {
+        if (!schema || (schema instanceof Array) || typeof schema !== 'object') {
+            throw new Error('Invalid schema specified (arg #1)');
+        }
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const ajv = options.useDefaults ? _ajvWithDefaults : _ajv;
+        this._validate = ajv.compile(schema);
+    }
+
+    /**
+     * Validates the specified data against the schema, and returns a list of
+     * validation errors. Each error in the list identifies the offending path
+     * within the data, and describes the problem.
+     *
+     * @param {*} data The data to validate.
+     *
+     * @return {Array} A list of errors, with each error being an object with
+     *         path and message properties. The list will be empty if the data
+     *         is valid.
+     */
+    validate(data) {
+        if (this._validate(data)) {
+            return [];
+        }
+        return this._validate.errors.map((error) => {
+            let path = error.dataPath;
+            let message = error.message;
+            if (error.keyword === 'required') {
+                path = `${path}/${error.params.missingProperty}`;
+                message = 'is required';
+            }
+            return {
+                path: (path.length > 0) ? path : '/',
+                message
+            };
+        });
+    }
+
+    /**
+     * Validates the specified data against the schema, and throws an error if
+     * the data is not valid.
+     *
+     * @param {*} data The data to validate.
+     * @param {String} [message='Schema validation failed'] A message that
+     *        describes the context of the validation, which will be included
+     *        in the error.
+     *
+     * @throws {ValidationError} An error that lists all of the validation
+     *         errors.
+     */
+    assert(data, message) {
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            if (typeof message !== 'string' || message.length <= 0) {
+                message = 'Schema validation failed';
+            }
+            throw new ValidationError(message, errors);
+        }
+    }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,309 @@
+'use strict';
+
+const _config = require('config');
+
+const SCHEME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+const REFERENCE_PATTERN = /^([a-zA-Z][a-zA-Z0-9]*):(.+)$/;
+
+let _ssmClient = null;
+let _secretsManagerClient = null;
+
+/**
+ * Loads a client module from the AWS SDK for JavaScript (v3). The client
+ * modules are optional peer dependencies of this library, and must be
+ * installed by applications that use the default SSM or Secrets Manager
+ * providers.
+ *
+ * @private
+ * @param {String} name The name of the client module.
+ *
+ * @return {Object} Reference to the client module.
+ */
+function _requireSdkModule(name) {
+    try {
+        return require(name);
+    } catch (ex) {
+        throw new Error(`Unable to load AWS SDK module (${name}). The module must be installed to use the default provider. Details: ${ex.message}`);
+    }
+}
+
+/**
+ * Default provider that reads a parameter from the SSM Parameter Store.
+ * Secure string parameters are decrypted.
+ *
+ * @private
+ * @param {String} name The name of the parameter.
+ *
+ * @return {Promise} A promise that is resolved with the parameter value.
+ */
+function _getSsmParameter(name) {
+    const ssm = _requireSdkModule('@aws-sdk/client-ssm');
+    if (!_ssmClient) {
+        _ssmClient = new ssm.SSMClient({});
+    }
+    return _ssmClient.send(new ssm.GetParameterCommand({
+        Name: name,
+        WithDecryption: true
+    })).then((data) => data.Parameter.Value);
+}
+
+/**
+ * Default provider that reads a secret from Secrets Manager.
+ *
+ * @private
+ * @param {String} name The name or ARN of the secret.
+ *
+ * @return {Promise} A promise that is resolved with the secret value.
+ */
+function _getSecretValue(name) {
+    const secretsManager = _requireSdkModule('@aws-sdk/client-secrets-manager');
+    if (!_secretsManagerClient) {
+        _secretsManagerClient = new secretsManager.SecretsManagerClient({});
+    }
+    return _secretsManagerClient.send(new secretsManager.GetSecretValueCommand({
+        SecretId: name
+    })).then((data) => {
+        if (typeof data.SecretString === 'string') {
+            return data.SecretString;
+        }
+        return Buffer.from(data.SecretBinary).toString();
+    });
+}
+
+/**
+ * Default provider that reads a process environment variable.
+ *
+ * @private
+ * @param {String} name The name of the environment variable.
+ *
+ * @return {String} The value of the environment variable.
+ */
+function _getEnvVariable(name) {
+    return process.env[name];
+}
+
+/**
+ * Extracts a key from a JSON encoded (or object) value.
+ *
+ * @private
+ * @param {*} value The value to extract the key from.
+ * @param {String} key The key to extract.
+ * @param {String} reference The reference being resolved, used for error
+ *        messages.
+ *
+ * @return {*} The value of the key.
+ */
+function _extractKey(value, key, reference) {
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (ex) {
+            throw new Error(`Value is not valid JSON, unable to extract key from reference: ${reference}`);
+        }
+    }
+    if (!value || typeof value !== 'object' || value[key] === undefined) {
+        throw new Error(`Key not found in value of reference: ${reference}`);
+    }
+    return value[key];
+}
+
+/**
+ * Utility class that resolves reference placeholders in configuration
+ * objects. A reference is a string value of the form "<scheme>:<path>", with
+ * an optional "#<key>" suffix that selects a single key from a JSON encoded
+ * value. The following schemes are supported by default:
+ *
+ * - "ssm:/path/to/param": A parameter from the SSM Parameter Store.
+ * - "secret:name#key": A secret from Secrets Manager.
+ * - "env:VAR": A process environment variable.
+ *
+ * The default SSM and Secrets Manager providers use the AWS SDK for
+ * JavaScript (v3), and require the @aws-sdk/client-ssm and
+ * @aws-sdk/client-secrets-manager modules respectively. These modules are
+ * not installed with this library.
+ *
+ * Providers for each scheme can be replaced (for example, with in-memory
+ * stores for testing), and additional schemes can be registered. Resolved
+ * values are cached, and refreshed once the configured time to live expires.
+ */
+class SecretResolver {
+    /**
+     * @param {Object} [options={}] Options for the resolver.
+     * @param {Object} [options.providers={}] A map of scheme names to
+     *        provider functions. Each provider is invoked with the path of
+     *        the reference, and returns the value (or a promise for the
+     *        value). Providers specified here override the default providers.
+     * @param {Number} [options.ttl=Infinity] The time (in milliseconds) for
+     *        which resolved values are cached. By default, values are
+     *        resolved once, and cached for the lifetime of the container.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+
+        const providers = (options.providers === undefined) ? {} : options.providers;
+        if (!providers || (providers instanceof Array) || typeof providers !== 'object' ||
+            !Object.keys(providers).every((scheme) => SCHEME_PATTERN.test(scheme) &&
+                typeof providers[scheme] === 'function')) {
+            throw new Error('Invalid providers specified (options.providers)');
+        }
+
+        const ttl = (options.ttl === undefined) ? Infinity : options.ttl;
+        if (typeof ttl !== 'number' || isNaN(ttl) || ttl < 0) {
+            throw new Error('Invalid ttl specified (options.ttl)');
+        }
+
+        this._providers = Object.assign({
+            ssm: _getSsmParameter,
+            secret: _getSecretValue,
+            env: _getEnvVariable
+        }, providers);
+        this._ttl = ttl;
+        this._cache = {};
+    }
+
+    /**
+     * Parses a value as a reference.
+     *
+     * @private
+     * @param {*} value The value to parse.
+     *
+     * @return {Object} An object with the scheme, path and key of the
+     *         reference, or undefined if the value is not a reference to a
+     *         supported scheme.
+     */
+    _parseReference(value) {
+        if (typeof value !== 'string') {
+            return;
+        }
+        const match = value.match(REFERENCE_PATTERN);
+        if (!match || !this._providers.hasOwnProperty(match[1])) {
+            return;
+        }
+        const keyIndex = match[2].lastIndexOf('#');
+        return {
+            scheme: match[1],
+            path: (keyIndex > 0) ? match[2].substring(0, keyIndex) : match[2],
+            key: (keyIndex > 0) ? match[2].substring(keyIndex + 1) : undefined
+        };
+    }
+
+    /**
+     * Returns the value of a reference from the provider for the reference
+     * scheme, without using the cache.
+     *
+     * @private
+     * @param {String} reference The reference to resolve.
+     * @param {Object} parsed The parsed reference.
+     *
+     * @return {Promise} A promise that is resolved with the value of the
+     *         reference.
+     */
+    _fetchValue(reference, parsed) {
+        return new Promise((resolve, reject) => {
+            resolve(this._providers[parsed.scheme](parsed.path));
+        }).then((value) => {
+            if (value === undefined || value === null) {
+                throw new Error(`Unable to resolve reference: ${reference}`);
+            }
+            return (parsed.key === undefined) ? value : _extractKey(value, parsed.key, reference);
+        });
+    }
+
+    /**
+     * Determines whether or not the specified value contains references,
+     * either as a string, or nested within an object or array.
+     *
+     * @param {*} data The value to check.
+     *
+     * @return {Boolean} True if the value contains references, false
+     *         otherwise.
+     */
+    hasReferences(data) {
+        if (data && typeof data === 'object') {
+            return Object.keys(data).some((key) => this.hasReferences(data[key]));
+        }
+        return !!this._parseReference(data);
+    }
+
+    /**
+     * Resolves a single reference. Values are returned from cache if they
+     * have been resolved previously, and their time to live has not expired.
+     *
+     * @param {String} reference The reference to resolve.
+     *
+     * @return {Promise} A promise that is resolved with the value of the
+     *         reference, or rejected if the reference cannot be resolved.
+     */
+    resolveValue(reference) {
+        const parsed = this._parseReference(reference);
+        if (!parsed) {
+            return Promise.reject(new Error(`Invalid reference specified: ${reference}`));
+        }
+
+        const entry = this._cache[reference];
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.promise;
+        }
+
+        const promise = this._fetchValue(reference, parsed).catch((ex) => {
+            if (this._cache[reference] && this._cache[reference].promise === promise) {
+                delete this._cache[reference];
+            }
+            throw ex;
+        });
+        this._cache[reference] = {
+            promise: promise,
+            expiresAt: Date.now() + this._ttl
+        };
+        return promise;
+    }
+
+    /**
+     * Resolves all references in a configuration object. A new configuration
+     * object is created with resolved values, leaving the original object
+     * unchanged. The new object exposes the same get() and has() methods as
+     * objects returned by the config module. If the configuration does not
+     * contain references, the original object is returned.
+     *
+     * @param {Object} config The configuration object to resolve.
+     *
+     * @return {Promise} A promise that is resolved with the resolved
+     *         configuration object.
+     */
+    resolve(config) {
+        if (!config || (config instanceof Array) || typeof config !== 'object') {
+            return Promise.reject(new Error('Invalid config specified (arg #1)'));
+        }
+        if (!this.hasReferences(config)) {
+            return Promise.resolve(config);
+        }
+
+        const resolveData = (data) => {
+            if (data && typeof data === 'object') {
+                const keys = Object.keys(data);
+                return Promise.all(keys.map((key) => resolveData(data[key]))).then((values) => {
+                    const result = (data instanceof Array) ? [] : {};
+                    keys.forEach((key, index) => {
+                        result[key] = values[index];
+                    });
+                    return result;
+                });
+            }
+            return this._parseReference(data) ? this.resolveValue(data) : Promise.resolve(data);
+        };
+
+        return resolveData(config).then((resolved) => _config.util.attachProtoDeep(resolved));
+    }
+
+    /**
+     * Discards all cached values, causing references to be resolved again
+     * when they are next requested.
+     */
+    clearCache() {
+        this._cache = {};
+    }
+}
+
+module.exports = SecretResolver;
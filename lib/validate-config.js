@@ -0,0 +1,63 @@
+'use strict';
+
+const _config = require('config');
+const SchemaValidator = require('./schema-validator');
+const ConfigLoader = require('./config-loader');
+
+const ERROR_MESSAGE = 'Config failed schema validation';
+
+/**
+ * Validates a configuration object against a JSON schema. Default values
+ * specified in the schema are assigned to missing properties of the
+ * configuration, and all missing or invalid keys are reported in a single
+ * error.
+ *
+ * This function is used by HandlerWrapper to validate configuration when it
+ * is loaded, but can also be invoked offline (for example, from unit tests)
+ * to check the configuration for every environment.
+ *
+ * @param {Object|String} config The configuration object to validate, or the
+ *        name of an environment whose configuration will be loaded from the
+ *        config directory.
+ * @param {Object|SchemaValidator} schema The JSON schema (or a validator
+ *        created with the useDefaults option) to validate against.
+ * @param {Object} [options={}] Optional parameters for validation.
+ * @param {String} [options.configDir] The directory from which configuration
+ *        is loaded when an environment name is specified (see ConfigLoader).
+ *
+ * @return {Object} The validated configuration object.
+ *
+ * @throws {ValidationError} An error that lists all of the missing or invalid
+ *         keys, if the configuration is not valid.
+ */
+function validateConfig(config, schema, options) {
+    if (!options || (options instanceof Array) || typeof options !== 'object') {
+        options = {};
+    }
+
+    if (typeof config === 'string' && config.length > 0) {
+        config = new ConfigLoader({
+            configDir: options.configDir
+        }).load(config);
+    }
+    if (!config || (config instanceof Array) || typeof config !== 'object') {
+        throw new Error('Invalid config specified (arg #1)');
+    }
+
+    let validator = schema;
+    if (!(validator instanceof SchemaValidator)) {
+        if (!schema || (schema instanceof Array) || typeof schema !== 'object') {
+            throw new Error('Invalid schema specified (arg #2)');
+        }
+        validator = new SchemaValidator(schema, {
+            useDefaults: true
+        });
+    }
+    validator.assert(config, ERROR_MESSAGE);
+
+    // Defaults may have introduced new objects that do not expose the
+    // config accessor methods.
+    return _config.util.attachProtoDeep(config);
+}
+
+module.exports = validateConfig;
@@ -0,0 +1,346 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const Arn = require('../../lib/arn');
+
+describe('Arn', () => {
+    const FUNCTION_ARN = 'arn:aws:lambda:us-east-1:111111111111:function:my-fn';
+
+    function _createArn(options) {
+        return new Arn(Object.assign({
+            service: 'dynamodb',
+            region: 'us-east-1',
+            accountId: '111111111111',
+            resourceType: 'table',
+            resourceId: 'users'
+        }, options));
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without valid options', () => {
+            const error = 'Invalid options specified (arg #1)';
+            _testValueProvider.allButObject().concat([[]]).forEach((options) => {
+                const testCase = () => {
+                    return new Arn(options);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid partition', () => {
+            const error = 'Invalid partition specified (options.partition)';
+            _testValueProvider.allButString().filter((value) => value !== undefined)
+                .concat(['', 'aws-foo', 'AWS'])
+                .forEach((partition) => {
+                    const testCase = () => {
+                        return _createArn({
+                            partition
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid service', () => {
+            const error = 'Invalid service specified (options.service)';
+            _testValueProvider.allButString().concat(['', 'Lambda', 'foo:bar']).forEach((service) => {
+                const testCase = () => {
+                    return _createArn({
+                        service
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid region or account id', () => {
+            [
+                ['region', 'region'],
+                ['accountId', 'account id']
+            ].forEach((testParams) => {
+                const error = `Invalid ${testParams[1]} specified (options.${testParams[0]})`;
+                _testValueProvider.allButString().filter((value) => value !== undefined)
+                    .concat(['us:east'])
+                    .forEach((value) => {
+                        const testCase = () => {
+                            return _createArn({
+                                [testParams[0]]: value
+                            });
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+            });
+        });
+
+        it('should throw an error if the options specify an invalid resource type', () => {
+            const error = 'Invalid resource type specified (options.resourceType)';
+            _testValueProvider.allButString().filter((value) => value !== undefined)
+                .concat(['', 'table/foo', 'table:foo'])
+                .forEach((resourceType) => {
+                    const testCase = () => {
+                        return _createArn({
+                            resourceType
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid resource delimiter', () => {
+            const error = 'Invalid resource delimiter specified (options.resourceDelimiter)';
+            _testValueProvider.allButString().filter((value) => value !== undefined)
+                .concat(['', '-', '::'])
+                .forEach((resourceDelimiter) => {
+                    const testCase = () => {
+                        return _createArn({
+                            resourceDelimiter
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+
+            const testCase = () => {
+                return _createArn({
+                    resourceType: undefined,
+                    resourceDelimiter: '/'
+                });
+            };
+            expect(testCase).to.throw(error);
+        });
+
+        it('should throw an error if the options specify an invalid resource id', () => {
+            const error = 'Invalid resource id specified (options.resourceId)';
+            _testValueProvider.allButString('').forEach((resourceId) => {
+                const testCase = () => {
+                    return _createArn({
+                        resourceId
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+
+            const testCase = () => {
+                return _createArn({
+                    resourceDelimiter: ':',
+                    resourceId: 'foo:bar'
+                });
+            };
+            expect(testCase).to.throw(error);
+        });
+
+        it('should throw an error if the options specify an invalid qualifier', () => {
+            const error = 'Invalid qualifier specified (options.qualifier)';
+            _testValueProvider.allButString('').filter((value) => value !== undefined).forEach((qualifier) => {
+                const testCase = () => {
+                    return _createArn({
+                        resourceDelimiter: ':',
+                        qualifier
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+
+            [{}, {
+                resourceType: undefined
+            }].forEach((options) => {
+                const testCase = () => {
+                    return _createArn(Object.assign({
+                        qualifier: 'prod'
+                    }, options));
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return an object with the required properties and methods', () => {
+            const arn = _createArn();
+
+            expect(arn).to.be.an('object');
+            expect(arn.partition).to.equal('aws');
+            expect(arn.service).to.equal('dynamodb');
+            expect(arn.region).to.equal('us-east-1');
+            expect(arn.accountId).to.equal('111111111111');
+            expect(arn.resourceType).to.equal('table');
+            expect(arn.resourceDelimiter).to.equal('/');
+            expect(arn.resourceId).to.equal('users');
+            expect(arn.qualifier).to.be.undefined;
+            expect(arn.resource).to.equal('table/users');
+            expect(arn.toString).to.be.a('function');
+        });
+    });
+
+    describe('PARTITIONS', () => {
+        it('should return the list of supported partitions', () => {
+            expect(Arn.PARTITIONS).to.deep.equal(['aws', 'aws-cn', 'aws-us-gov']);
+        });
+    });
+
+    describe('toString()', () => {
+        it('should build ARNs for resources of different types', () => {
+            expect(_createArn().toString()).to.equal('arn:aws:dynamodb:us-east-1:111111111111:table/users');
+            expect(new Arn({
+                service: 'sqs',
+                region: 'us-east-1',
+                accountId: '111111111111',
+                resourceId: 'orders'
+            }).toString()).to.equal('arn:aws:sqs:us-east-1:111111111111:orders');
+            expect(new Arn({
+                partition: 'aws-cn',
+                service: 's3',
+                resourceId: 'uploads/images'
+            }).toString()).to.equal('arn:aws-cn:s3:::uploads/images');
+            expect(new Arn({
+                partition: 'aws-us-gov',
+                service: 'lambda',
+                region: 'us-gov-west-1',
+                accountId: '111111111111',
+                resourceType: 'function',
+                resourceDelimiter: ':',
+                resourceId: 'my-fn',
+                qualifier: 'prod'
+            }).toString()).to.equal('arn:aws-us-gov:lambda:us-gov-west-1:111111111111:function:my-fn:prod');
+        });
+    });
+
+    describe('isValid()', () => {
+        it('should return false if the value is not a valid ARN', () => {
+            _testValueProvider.allButString().concat([
+                '',
+                'foo',
+                'arn:aws:lambda:us-east-1:111111111111',
+                'urn:aws:lambda:us-east-1:111111111111:function:my-fn',
+                'arn:aws-foo:lambda:us-east-1:111111111111:function:my-fn',
+                'arn:aws::us-east-1:111111111111:function:my-fn',
+                'arn:aws:lambda:us-east-1:111111111111:',
+                'arn:aws:lambda:us-east-1:111111111111:function:',
+                'arn:aws:lambda:us-east-1:111111111111:function:my-fn:'
+            ]).forEach((value) => {
+                expect(Arn.isValid(value)).to.be.false;
+            });
+        });
+
+        it('should return true if the value is a valid ARN', () => {
+            [
+                FUNCTION_ARN,
+                `${FUNCTION_ARN}:prod`,
+                'arn:aws:s3:::uploads',
+                'arn:aws-cn:sqs:cn-north-1:111111111111:orders'
+            ].forEach((value) => {
+                expect(Arn.isValid(value)).to.be.true;
+            });
+        });
+    });
+
+    describe('parse()', () => {
+        it('should throw an error if invoked without a valid ARN', () => {
+            const error = 'Invalid ARN specified (arg #1)';
+            _testValueProvider.allButString().concat(['', 'arn:aws:lambda']).forEach((value) => {
+                const testCase = () => {
+                    return Arn.parse(value);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should parse resources that use ":" as the delimiter, with optional qualifiers', () => {
+            const arn = Arn.parse(`${FUNCTION_ARN}:prod`);
+
+            expect(arn).to.be.an.instanceof(Arn);
+            expect(arn.partition).to.equal('aws');
+            expect(arn.service).to.equal('lambda');
+            expect(arn.region).to.equal('us-east-1');
+            expect(arn.accountId).to.equal('111111111111');
+            expect(arn.resourceType).to.equal('function');
+            expect(arn.resourceDelimiter).to.equal(':');
+            expect(arn.resourceId).to.equal('my-fn');
+            expect(arn.qualifier).to.equal('prod');
+
+            const logGroupArn = Arn.parse('arn:aws:logs:us-east-1:111111111111:log-group:/aws/lambda/my-fn:*');
+            expect(logGroupArn.resourceType).to.equal('log-group');
+            expect(logGroupArn.resourceId).to.equal('/aws/lambda/my-fn');
+            expect(logGroupArn.qualifier).to.equal('*');
+        });
+
+        it('should parse resources that use "/" as the delimiter', () => {
+            const arn = Arn.parse('arn:aws-cn:dynamodb:cn-north-1:111111111111:table/users/stream/2020-01-01');
+
+            expect(arn.partition).to.equal('aws-cn');
+            expect(arn.resourceType).to.equal('table');
+            expect(arn.resourceDelimiter).to.equal('/');
+            expect(arn.resourceId).to.equal('users/stream/2020-01-01');
+            expect(arn.qualifier).to.be.undefined;
+        });
+
+        it('should parse untyped resources', () => {
+            const queueArn = Arn.parse('arn:aws-us-gov:sqs:us-gov-west-1:111111111111:orders');
+            const bucketArn = Arn.parse('arn:aws:s3:::uploads/images/logo.png');
+
+            expect(queueArn.partition).to.equal('aws-us-gov');
+            expect(queueArn.resourceType).to.be.undefined;
+            expect(queueArn.resourceDelimiter).to.be.undefined;
+            expect(queueArn.resourceId).to.equal('orders');
+
+            expect(bucketArn.region).to.equal('');
+            expect(bucketArn.accountId).to.equal('');
+            expect(bucketArn.resourceType).to.be.undefined;
+            expect(bucketArn.resourceId).to.equal('uploads/images/logo.png');
+        });
+
+        it('should return an object that converts back to the original ARN', () => {
+            [
+                FUNCTION_ARN,
+                `${FUNCTION_ARN}:prod`,
+                'arn:aws:logs:us-east-1:111111111111:log-group:/aws/lambda/my-fn:*',
+                'arn:aws:dynamodb:us-east-1:111111111111:table/users/stream/2020-01-01',
+                'arn:aws:s3:::uploads/images/logo.png',
+                'arn:aws:s3:us-east-1:111111111111:accesspoint/uploads',
+                'arn:aws:iam::aws:policy/AdministratorAccess'
+            ].forEach((value) => {
+                expect(Arn.parse(value).toString()).to.equal(value);
+            });
+        });
+    });
+
+    describe('version', () => {
+        it('should return undefined if the ARN is not a lambda function ARN qualified by a version', () => {
+            [
+                FUNCTION_ARN,
+                `${FUNCTION_ARN}:prod`,
+                'arn:aws:logs:us-east-1:111111111111:log-group:/aws/lambda/my-fn:12'
+            ].forEach((value) => {
+                expect(Arn.parse(value).version).to.be.undefined;
+            });
+        });
+
+        it('should return the version that qualifies a lambda function ARN', () => {
+            expect(Arn.parse(`${FUNCTION_ARN}:12`).version).to.equal('12');
+            expect(Arn.parse(`${FUNCTION_ARN}:$LATEST`).version).to.equal('$LATEST');
+        });
+    });
+
+    describe('alias', () => {
+        it('should return undefined if the ARN is not a lambda function ARN qualified by an alias', () => {
+            [
+                FUNCTION_ARN,
+                `${FUNCTION_ARN}:12`,
+                `${FUNCTION_ARN}:$LATEST`,
+                `${FUNCTION_ARN}:prod:foo`,
+                'arn:aws:logs:us-east-1:111111111111:log-group:/aws/lambda/my-fn:prod'
+            ].forEach((value) => {
+                expect(Arn.parse(value).alias).to.be.undefined;
+            });
+        });
+
+        it('should return the alias that qualifies a lambda function ARN', () => {
+            expect(Arn.parse(`${FUNCTION_ARN}:prod`).alias).to.equal('prod');
+        });
+    });
+});
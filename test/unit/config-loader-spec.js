@@ -0,0 +1,281 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _fs = require('fs');
+const _os = require('os');
+const _path = require('path');
+const _chai = require('chai');
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+const _consoleHelper = _testHelper.consoleHelper;
+
+const ConfigLoader = require('../../lib/config-loader');
+
+describe('ConfigLoader', () => {
+    let _configDir = null;
+
+    function _writeConfig(baseName, data) {
+        _fs.writeFileSync(_path.join(_configDir, `${baseName}.json`), JSON.stringify(data));
+    }
+
+    beforeEach(() => {
+        _configDir = _fs.mkdtempSync(_path.join(_os.tmpdir(), 'config-loader-'));
+        _writeConfig('default', {
+            log: {
+                level: 'debug'
+            },
+            table: 'default-table',
+            region: 'us-east-1'
+        });
+        _writeConfig('prod', {
+            log: {
+                level: 'warn'
+            },
+            table: 'prod-table'
+        });
+        _writeConfig('qa', {
+            table: 'qa-table'
+        });
+    });
+
+    afterEach(() => {
+        _fs.readdirSync(_configDir).forEach((fileName) => {
+            _fs.unlinkSync(_path.join(_configDir, fileName));
+        });
+        _fs.rmdirSync(_configDir);
+    });
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify an invalid config directory', () => {
+            const error = 'Invalid config directory specified (options.configDir)';
+            _testValueProvider.allButString('').filter((value) => value !== undefined).forEach((configDir) => {
+                const testCase = () => {
+                    return new ConfigLoader({
+                        configDir
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected methods and properties', () => {
+            const loader = new ConfigLoader();
+
+            expect(loader.configDir).to.be.a('string');
+            expect(loader.load).to.be.a('function');
+            expect(loader.clearCache).to.be.a('function');
+        });
+
+        it('should default the config directory to "./config" relative to the working directory', () => {
+            const configDir = process.env.NODE_CONFIG_DIR;
+            delete process.env.NODE_CONFIG_DIR;
+
+            const loader = new ConfigLoader();
+            if (configDir !== undefined) {
+                process.env.NODE_CONFIG_DIR = configDir;
+            }
+
+            expect(loader.configDir).to.equal(_path.join(process.cwd(), 'config'));
+        });
+
+        it('should use the NODE_CONFIG_DIR variable as the default config directory if it is set', () => {
+            const configDir = process.env.NODE_CONFIG_DIR;
+            process.env.NODE_CONFIG_DIR = _configDir;
+
+            const loader = new ConfigLoader();
+            if (configDir !== undefined) {
+                process.env.NODE_CONFIG_DIR = configDir;
+            } else {
+                delete process.env.NODE_CONFIG_DIR;
+            }
+
+            expect(loader.configDir).to.equal(_configDir);
+        });
+    });
+
+    describe('load()', () => {
+        it('should throw an error if invoked without a valid environment', () => {
+            const error = 'Invalid environment specified (arg #1)';
+            _testValueProvider.allButString('').concat([
+                '../dev', 'dev/../../secrets', 'dev\\prod', 'dev.local', 'dev prod'
+            ]).forEach((env) => {
+                const testCase = () => {
+                    const loader = new ConfigLoader({
+                        configDir: _configDir
+                    });
+                    return loader.load(env);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should merge the environment specific configuration over the default configuration', () => {
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('prod');
+
+            expect(config.get('log.level')).to.equal('warn');
+            expect(config.get('table')).to.equal('prod-table');
+            expect(config.get('region')).to.equal('us-east-1');
+        });
+
+        it('should return the default configuration for environments without specific configuration', () => {
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('dev');
+
+            expect(config.get('log.level')).to.equal('debug');
+            expect(config.get('table')).to.equal('default-table');
+        });
+
+        it('should return separate configuration objects for different environments', () => {
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const prodConfig = loader.load('prod');
+            const qaConfig = loader.load('qa');
+
+            expect(prodConfig).to.not.equal(qaConfig);
+            expect(prodConfig.get('table')).to.equal('prod-table');
+            expect(qaConfig.get('table')).to.equal('qa-table');
+            expect(qaConfig.get('log.level')).to.equal('debug');
+        });
+
+        it('should apply local overrides after environment specific configuration', () => {
+            _writeConfig('local', {
+                region: 'us-west-2'
+            });
+            _writeConfig('local-prod', {
+                table: 'local-prod-table'
+            });
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('prod');
+
+            expect(config.get('region')).to.equal('us-west-2');
+            expect(config.get('table')).to.equal('local-prod-table');
+        });
+
+        it('should apply NODE_CONFIG overrides after files, and before custom environment variables', () => {
+            _writeConfig('local-prod', {
+                table: 'local-prod-table'
+            });
+            _writeConfig('custom-environment-variables', {
+                region: '__CONFIG_LOADER_TEST_REGION'
+            });
+            const nodeConfig = process.env.NODE_CONFIG;
+            process.env.NODE_CONFIG = JSON.stringify({
+                table: 'override-table',
+                region: 'eu-west-1',
+                log: {
+                    level: 'trace'
+                }
+            });
+            process.env.__CONFIG_LOADER_TEST_REGION = 'ap-south-1';
+
+            let config = null;
+            try {
+                config = new ConfigLoader({
+                    configDir: _configDir
+                }).load('prod');
+            } finally {
+                if (nodeConfig === undefined) {
+                    delete process.env.NODE_CONFIG;
+                } else {
+                    process.env.NODE_CONFIG = nodeConfig;
+                }
+                delete process.env.__CONFIG_LOADER_TEST_REGION;
+            }
+
+            expect(config.get('table')).to.equal('override-table');
+            expect(config.get('log.level')).to.equal('trace');
+            expect(config.get('region')).to.equal('ap-south-1');
+        });
+
+        it('should ignore NODE_CONFIG overrides that are not valid JSON', () => {
+            const nodeConfig = process.env.NODE_CONFIG;
+            process.env.NODE_CONFIG = '{table:';
+
+            let config = null;
+            _consoleHelper.mute();
+            try {
+                config = new ConfigLoader({
+                    configDir: _configDir
+                }).load('prod');
+            } finally {
+                _consoleHelper.unmute();
+                if (nodeConfig === undefined) {
+                    delete process.env.NODE_CONFIG;
+                } else {
+                    process.env.NODE_CONFIG = nodeConfig;
+                }
+            }
+
+            expect(config.get('table')).to.equal('prod-table');
+        });
+
+        it('should expose the get() and has() methods on nested objects', () => {
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('prod');
+
+            expect(config.has('log.level')).to.be.true;
+            expect(config.has('foo')).to.be.false;
+            expect(config.get('log').get('level')).to.equal('warn');
+            expect(() => config.get('foo')).to.throw();
+        });
+
+        it('should not depend on or modify the NODE_ENV variable', () => {
+            const nodeEnv = process.env.NODE_ENV;
+            process.env.NODE_ENV = 'qa';
+
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('prod');
+            const currentEnv = process.env.NODE_ENV;
+            process.env.NODE_ENV = nodeEnv;
+
+            expect(config.get('table')).to.equal('prod-table');
+            expect(currentEnv).to.equal('qa');
+        });
+
+        it('should return cached configuration on subsequent calls for the same environment', () => {
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('prod');
+
+            _writeConfig('prod', {
+                table: 'new-prod-table'
+            });
+
+            expect(loader.load('prod')).to.equal(config);
+            expect(loader.load('prod').get('table')).to.equal('prod-table');
+        });
+    });
+
+    describe('clearCache()', () => {
+        it('should cause configuration to be reloaded when it is next requested', () => {
+            const loader = new ConfigLoader({
+                configDir: _configDir
+            });
+            const config = loader.load('prod');
+
+            _writeConfig('prod', {
+                table: 'new-prod-table'
+            });
+            loader.clearCache();
+
+            const newConfig = loader.load('prod');
+            expect(newConfig).to.not.equal(config);
+            expect(newConfig.get('table')).to.equal('new-prod-table');
+        });
+    });
+});
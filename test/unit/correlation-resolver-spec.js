@@ -0,0 +1,223 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const CorrelationResolver = require('../../lib/correlation-resolver');
+
+describe('CorrelationResolver', () => {
+    const REQUEST_ID = 'c6af9ac6-7b61-11e6-9a41-93e8deadbeef';
+    const DEFAULT_CONTEXT = {
+        awsRequestId: REQUEST_ID
+    };
+
+    function _createSqsEvent(attributes) {
+        return {
+            Records: [{
+                eventSource: 'aws:sqs',
+                messageAttributes: attributes
+            }]
+        };
+    }
+
+    function _createSnsEvent(attributes) {
+        return {
+            Records: [{
+                EventSource: 'aws:sns',
+                Sns: {
+                    MessageAttributes: attributes
+                }
+            }]
+        };
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify invalid source names', () => {
+            ['header', 'attribute', 'field'].forEach((prop) => {
+                const error = `Invalid ${prop} name specified (options.${prop})`;
+                _testValueProvider.allButString('').filter((value) => value !== undefined && value !== false)
+                    .forEach((value) => {
+                        const testCase = () => {
+                            return new CorrelationResolver({
+                                [prop]: value
+                            });
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+            });
+        });
+
+        it('should throw an error if the options specify an invalid generate function', () => {
+            const error = 'Invalid generate function specified (options.generate)';
+            _testValueProvider.allButFunction().filter((value) => value !== undefined).forEach((generate) => {
+                const testCase = () => {
+                    return new CorrelationResolver({
+                        generate
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected methods and properties', () => {
+            const resolver = new CorrelationResolver();
+
+            expect(resolver).to.be.an('object');
+            expect(resolver.resolve).to.be.a('function');
+            expect(resolver.header).to.equal('x-correlation-id');
+            expect(resolver.attribute).to.equal('correlationId');
+        });
+
+        it('should expose the source names specified via the options', () => {
+            const resolver = new CorrelationResolver({
+                header: 'x-request-id',
+                attribute: false
+            });
+
+            expect(resolver.header).to.equal('x-request-id');
+            expect(resolver.attribute).to.be.false;
+        });
+    });
+
+    describe('resolve()', () => {
+        it('should return the correlation id from the request header, regardless of case', () => {
+            const resolver = new CorrelationResolver();
+
+            ['x-correlation-id', 'X-Correlation-Id'].forEach((header) => {
+                expect(resolver.resolve({
+                    headers: {
+                        [header]: 'abc'
+                    }
+                }, DEFAULT_CONTEXT)).to.equal('abc');
+            });
+        });
+
+        it('should return the correlation id from the message attributes of SQS and SNS records', () => {
+            const resolver = new CorrelationResolver();
+
+            expect(resolver.resolve(_createSqsEvent({
+                correlationId: {
+                    stringValue: 'abc',
+                    dataType: 'String'
+                }
+            }), DEFAULT_CONTEXT)).to.equal('abc');
+            expect(resolver.resolve(_createSnsEvent({
+                correlationId: {
+                    Type: 'String',
+                    Value: 'def'
+                }
+            }), DEFAULT_CONTEXT)).to.equal('def');
+        });
+
+        it('should return the correlation id from the event field', () => {
+            const resolver = new CorrelationResolver({
+                field: 'detail.meta.correlationId'
+            });
+
+            expect(resolver.resolve({
+                detail: {
+                    meta: {
+                        correlationId: 'abc'
+                    }
+                }
+            }, DEFAULT_CONTEXT)).to.equal('abc');
+        });
+
+        it('should check the header, message attribute and event field in order', () => {
+            const resolver = new CorrelationResolver();
+            const event = Object.assign(_createSqsEvent({
+                correlationId: {
+                    stringValue: 'attribute'
+                }
+            }), {
+                correlationId: 'field'
+            });
+
+            expect(resolver.resolve(Object.assign({
+                headers: {
+                    'x-correlation-id': 'header'
+                }
+            }, event), DEFAULT_CONTEXT)).to.equal('header');
+            expect(resolver.resolve(event, DEFAULT_CONTEXT)).to.equal('attribute');
+            expect(resolver.resolve({
+                correlationId: 'field'
+            }, DEFAULT_CONTEXT)).to.equal('field');
+        });
+
+        it('should ignore sources that have been disabled', () => {
+            const resolver = new CorrelationResolver({
+                header: false,
+                attribute: false,
+                field: false
+            });
+
+            expect(resolver.resolve(Object.assign(_createSqsEvent({
+                correlationId: {
+                    stringValue: 'attribute'
+                }
+            }), {
+                headers: {
+                    'x-correlation-id': 'header'
+                },
+                correlationId: 'field'
+            }), DEFAULT_CONTEXT)).to.equal(REQUEST_ID);
+        });
+
+        it('should ignore values that are not valid correlation ids', () => {
+            const resolver = new CorrelationResolver();
+
+            [{
+                headers: {
+                    'x-correlation-id': ''
+                }
+            }, {
+                headers: 'foo'
+            }, _createSqsEvent({
+                correlationId: 'abc'
+            }), {
+                Records: [null]
+            }, {
+                correlationId: 123
+            }].forEach((event) => {
+                expect(resolver.resolve(event, DEFAULT_CONTEXT)).to.equal(REQUEST_ID);
+            });
+        });
+
+        it('should use the request id of the invocation if the event does not specify a correlation id', () => {
+            const resolver = new CorrelationResolver();
+
+            [undefined, null, {}, 'foo'].forEach((event) => {
+                expect(resolver.resolve(event, DEFAULT_CONTEXT)).to.equal(REQUEST_ID);
+            });
+        });
+
+        it('should generate a new id if the context does not specify a request id', () => {
+            const resolver = new CorrelationResolver();
+            const first = resolver.resolve({}, {});
+            const second = resolver.resolve({});
+
+            expect(first).to.be.a('string').and.to.not.be.empty;
+            expect(second).to.be.a('string').and.to.not.be.empty;
+            expect(first).to.not.equal(second);
+        });
+
+        it('should use the specified generate function to generate new ids', () => {
+            const generate = _sinon.stub().returns(123);
+            const resolver = new CorrelationResolver({
+                generate
+            });
+            const event = {};
+
+            expect(resolver.resolve(event, DEFAULT_CONTEXT)).to.equal('123');
+            expect(generate).to.have.been.calledOnce;
+            expect(generate).to.have.been.calledWithExactly(event, DEFAULT_CONTEXT);
+        });
+    });
+});
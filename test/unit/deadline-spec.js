@@ -0,0 +1,190 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const Deadline = require('../../lib/deadline');
+
+describe('Deadline', () => {
+    describe('ctor()', () => {
+        it('should throw an error if invoked without a valid expiry time', () => {
+            const error = 'Invalid expiry time specified (arg #1)';
+            _testValueProvider.allButNumber().concat([NaN]).forEach((expiresAt) => {
+                const testCase = () => {
+                    return new Deadline(expiresAt);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected properties and methods', () => {
+            const deadline = new Deadline(Date.now() + 1000);
+
+            expect(deadline.expiresAt).to.be.a('number');
+            expect(deadline.aborted).to.be.false;
+            expect(deadline.reason).to.be.undefined;
+            expect(deadline.getRemainingTime).to.be.a('function');
+            expect(deadline.onAbort).to.be.a('function');
+            expect(deadline.throwIfAborted).to.be.a('function');
+            expect(deadline.abort).to.be.a('function');
+        });
+
+        it('should expose a native abort signal if the runtime supports it', () => {
+            const deadline = new Deadline(Infinity);
+
+            if (typeof global.AbortController === 'function') {
+                expect(deadline.signal).to.be.an.instanceof(global.AbortSignal);
+                expect(deadline.signal.aborted).to.be.false;
+            } else {
+                expect(deadline.signal).to.be.undefined;
+            }
+        });
+    });
+
+    describe('getRemainingTime()', () => {
+        it('should return the time remaining before the deadline expires', () => {
+            const deadline = new Deadline(Date.now() + 1000);
+            const remainingTime = deadline.getRemainingTime();
+
+            expect(remainingTime).to.be.at.most(1000);
+            expect(remainingTime).to.be.at.least(900);
+        });
+
+        it('should return 0 if the deadline has expired', () => {
+            const deadline = new Deadline(Date.now() - 1000);
+
+            expect(deadline.getRemainingTime()).to.equal(0);
+        });
+
+        it('should return Infinity if the deadline never expires', () => {
+            const deadline = new Deadline(Infinity);
+
+            expect(deadline.getRemainingTime()).to.equal(Infinity);
+        });
+    });
+
+    describe('onAbort()', () => {
+        it('should throw an error if invoked without a valid listener', () => {
+            const error = 'Invalid listener specified (arg #1)';
+            _testValueProvider.allButFunction().forEach((listener) => {
+                const testCase = () => {
+                    const deadline = new Deadline(Infinity);
+                    return deadline.onAbort(listener);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should invoke the listener with the reason when the deadline is aborted', () => {
+            const deadline = new Deadline(Infinity);
+            const listener = _sinon.spy();
+            const reason = new Error('timed out');
+
+            deadline.onAbort(listener);
+            expect(listener).to.not.have.been.called;
+
+            deadline.abort(reason);
+            expect(listener).to.have.been.calledOnce;
+            expect(listener).to.have.been.calledWithExactly(reason);
+        });
+
+        it('should invoke the listener immediately if the deadline has already been aborted', () => {
+            const deadline = new Deadline(Infinity);
+            const listener = _sinon.spy();
+            const reason = new Error('timed out');
+
+            deadline.abort(reason);
+            const unregister = deadline.onAbort(listener);
+
+            expect(listener).to.have.been.calledOnce;
+            expect(listener).to.have.been.calledWithExactly(reason);
+            expect(unregister).to.be.a('function');
+            expect(unregister).to.not.throw();
+        });
+
+        it('should return a function that unregisters the listener', () => {
+            const deadline = new Deadline(Infinity);
+            const listener = _sinon.spy();
+            const otherListener = _sinon.spy();
+
+            const unregister = deadline.onAbort(listener);
+            deadline.onAbort(otherListener);
+            unregister();
+            deadline.abort();
+
+            expect(listener).to.not.have.been.called;
+            expect(otherListener).to.have.been.calledOnce;
+        });
+    });
+
+    describe('abort()', () => {
+        it('should mark the deadline as aborted, and set the reason', () => {
+            const deadline = new Deadline(Infinity);
+            const reason = new Error('timed out');
+
+            deadline.abort(reason);
+
+            expect(deadline.aborted).to.be.true;
+            expect(deadline.reason).to.equal(reason);
+        });
+
+        it('should abort the native abort signal if the runtime supports it', () => {
+            const deadline = new Deadline(Infinity);
+
+            deadline.abort(new Error('timed out'));
+
+            if (deadline.signal) {
+                expect(deadline.signal.aborted).to.be.true;
+            }
+        });
+
+        it('should notify all listeners even if some of them throw errors', () => {
+            const deadline = new Deadline(Infinity);
+            const badListener = _sinon.stub().throws(new Error('something went wrong'));
+            const listener = _sinon.spy();
+
+            deadline.onAbort(badListener);
+            deadline.onAbort(listener);
+            deadline.abort();
+
+            expect(badListener).to.have.been.calledOnce;
+            expect(listener).to.have.been.calledOnce;
+        });
+
+        it('should have no effect if the deadline has already been aborted', () => {
+            const deadline = new Deadline(Infinity);
+            const listener = _sinon.spy();
+            const reason = new Error('timed out');
+
+            deadline.onAbort(listener);
+            deadline.abort(reason);
+            deadline.abort(new Error('other reason'));
+
+            expect(deadline.reason).to.equal(reason);
+            expect(listener).to.have.been.calledOnce;
+        });
+    });
+
+    describe('throwIfAborted()', () => {
+        it('should not throw an error if the deadline has not been aborted', () => {
+            const deadline = new Deadline(Infinity);
+
+            expect(() => deadline.throwIfAborted()).to.not.throw();
+        });
+
+        it('should throw the abort reason if the deadline has been aborted', () => {
+            const deadline = new Deadline(Infinity);
+            const reason = new Error('timed out');
+
+            deadline.abort(reason);
+
+            expect(() => deadline.throwIfAborted()).to.throw(reason);
+        });
+    });
+});
@@ -0,0 +1,257 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+const LambdaTestContext = _testHelper.aws.LambdaContext;
+
+const EnvResolver = require('../../lib/env-resolver');
+
+describe('EnvResolver', () => {
+    const VARIABLE_NAME = '__ENV_RESOLVER_TEST_STAGE';
+
+    function _createContext(alias, functionName) {
+        return new LambdaTestContext({
+            alias,
+            functionName
+        }).context;
+    }
+
+    afterEach(() => {
+        delete process.env[VARIABLE_NAME];
+        delete process.env.STAGE;
+    });
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify invalid resolvers', () => {
+            const error = 'Invalid resolvers specified (options.resolvers)';
+            _testValueProvider.allButArray().filter((value) => value !== undefined)
+                .concat([[], ['foo'], [1], ['alias', null]])
+                .forEach((resolvers) => {
+                    const testCase = () => {
+                        return new EnvResolver({
+                            resolvers
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid variable name', () => {
+            const error = 'Invalid variable name specified (options.variable)';
+            _testValueProvider.allButString('').filter((value) => value !== undefined).forEach((variable) => {
+                const testCase = () => {
+                    return new EnvResolver({
+                        variable
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid separator', () => {
+            const error = 'Invalid separator specified (options.separator)';
+            _testValueProvider.allButString('').filter((value) => value !== undefined).forEach((separator) => {
+                const testCase = () => {
+                    return new EnvResolver({
+                        separator
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid fallback environment', () => {
+            const error = 'Invalid fallback environment specified (options.fallback)';
+            _testValueProvider.allButString('').filter((value) => value !== undefined).forEach((fallback) => {
+                const testCase = () => {
+                    return new EnvResolver({
+                        fallback
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid environment map', () => {
+            const error = 'Invalid environment map specified (options.envMap)';
+            _testValueProvider.allButObject().filter((value) => value !== undefined)
+                .concat([[]])
+                .forEach((envMap) => {
+                    const testCase = () => {
+                        return new EnvResolver({
+                            envMap
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should expose the expected methods and properties', () => {
+            const resolver = new EnvResolver();
+
+            expect(resolver.resolve).to.be.a('function');
+            expect(EnvResolver.STRATEGIES).to.deep.equal(['alias', 'functionName', 'variable', 'stage']);
+        });
+    });
+
+    describe('resolve()', () => {
+        it('should resolve the environment from the invocation alias by default', () => {
+            const resolver = new EnvResolver();
+
+            expect(resolver.resolve({}, _createContext('dev'))).to.equal('dev');
+            expect(resolver.resolve({}, _createContext('foo'))).to.equal('foo');
+        });
+
+        it('should return the default fallback if the invocation is unqualified, or qualified by $LATEST or a version', () => {
+            const resolver = new EnvResolver();
+
+            expect(resolver.resolve({}, _createContext())).to.equal('na');
+            expect(resolver.resolve({}, _createContext('$LATEST'))).to.equal('na');
+            expect(resolver.resolve({}, _createContext('3'))).to.equal('na');
+            expect(resolver.resolve({}, {})).to.equal('na');
+        });
+
+        it('should ignore invoked function ARNs that are not valid lambda function ARNs', () => {
+            const resolver = new EnvResolver();
+
+            [
+                'foo:bar:baz:qux:quux:corge:grault:dev',
+                'arn:aws:lambda:us-east-1:111111111111:layer:my-layer:dev',
+                'arn:aws:lambda:us-east-1:111111111111:function:my-fn:dev:extra'
+            ].forEach((invokedFunctionArn) => {
+                expect(resolver.resolve({}, {
+                    invokedFunctionArn
+                })).to.equal('na');
+            });
+        });
+
+        it('should return the specified fallback if no environment can be resolved', () => {
+            const resolver = new EnvResolver({
+                fallback: 'local'
+            });
+
+            expect(resolver.resolve({}, _createContext())).to.equal('local');
+        });
+
+        it('should resolve the environment from the function name suffix', () => {
+            const resolver = new EnvResolver({
+                resolvers: ['functionName']
+            });
+
+            expect(resolver.resolve({}, _createContext(undefined, 'my-fn-prod'))).to.equal('prod');
+            expect(resolver.resolve({}, _createContext(undefined, 'my-fn-qa'))).to.equal('qa');
+            expect(resolver.resolve({}, _createContext(undefined, 'my-fn'))).to.equal('na');
+            expect(resolver.resolve({}, _createContext(undefined, 'fn'))).to.equal('na');
+            expect(resolver.resolve({}, {})).to.equal('na');
+        });
+
+        it('should match function name suffixes against the environment map and separator', () => {
+            const resolver = new EnvResolver({
+                resolvers: ['functionName'],
+                separator: '_',
+                envMap: {
+                    staging: 'stg'
+                }
+            });
+
+            expect(resolver.resolve({}, _createContext(undefined, 'my_fn_staging'))).to.equal('staging');
+            expect(resolver.resolve({}, _createContext(undefined, 'my_fn_prod'))).to.equal('na');
+        });
+
+        it('should resolve the environment from the STAGE variable by default', () => {
+            const resolver = new EnvResolver({
+                resolvers: ['variable']
+            });
+
+            expect(resolver.resolve({}, _createContext())).to.equal('na');
+            process.env.STAGE = 'qa';
+            expect(resolver.resolve({}, _createContext())).to.equal('qa');
+        });
+
+        it('should resolve the environment from the specified variable', () => {
+            const resolver = new EnvResolver({
+                resolvers: ['variable'],
+                variable: VARIABLE_NAME
+            });
+
+            process.env.STAGE = 'qa';
+            process.env[VARIABLE_NAME] = 'prod';
+            expect(resolver.resolve({}, _createContext())).to.equal('prod');
+        });
+
+        it('should resolve the environment from the API Gateway stage', () => {
+            const resolver = new EnvResolver({
+                resolvers: ['stage']
+            });
+            const context = _createContext();
+
+            expect(resolver.resolve({
+                requestContext: {
+                    stage: 'dev'
+                }
+            }, context)).to.equal('dev');
+            expect(resolver.resolve({
+                requestContext: {
+                    stage: '$default'
+                }
+            }, context)).to.equal('na');
+            expect(resolver.resolve({}, context)).to.equal('na');
+            expect(resolver.resolve(undefined, context)).to.equal('na');
+        });
+
+        it('should resolve the environment using a custom resolver function', () => {
+            const customResolver = _sinon.stub().returns('prod');
+            const resolver = new EnvResolver({
+                resolvers: [customResolver]
+            });
+            const event = {};
+            const context = _createContext();
+
+            expect(resolver.resolve(event, context)).to.equal('prod');
+            expect(customResolver).to.have.been.calledOnce;
+            expect(customResolver).to.have.been.calledWithExactly(event, context);
+        });
+
+        it('should try the resolvers in order, and return the first environment that is resolved', () => {
+            const customResolver = _sinon.stub().returns('custom');
+            const resolver = new EnvResolver({
+                resolvers: ['variable', 'alias', customResolver]
+            });
+
+            expect(resolver.resolve({}, _createContext('dev'))).to.equal('dev');
+            expect(customResolver).to.not.have.been.called;
+
+            process.env.STAGE = 'prod';
+            expect(resolver.resolve({}, _createContext('dev'))).to.equal('prod');
+
+            delete process.env.STAGE;
+            expect(resolver.resolve({}, _createContext())).to.equal('custom');
+        });
+
+        it('should ignore environments that are not present in the environment map', () => {
+            const resolver = new EnvResolver({
+                resolvers: ['alias', () => 'qa', () => 'prod'],
+                envMap: {
+                    prod: 'prod'
+                }
+            });
+
+            expect(resolver.resolve({}, _createContext('dev'))).to.equal('prod');
+            expect(resolver.resolve({}, _createContext('prod'))).to.equal('prod');
+        });
+
+        it('should ignore values that are not valid environment strings', () => {
+            const resolver = new EnvResolver({
+                resolvers: [() => '', () => 1, () => null]
+            });
+
+            expect(resolver.resolve({}, _createContext())).to.equal('na');
+        });
+    });
+});
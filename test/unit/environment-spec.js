@@ -31,6 +31,167 @@ describe('Environment', () => {
             expect(env).to.have.property('isValid').and.to.be.a('boolean');
             expect(env).to.have.property('token').and.to.be.a('string');
             expect(env).to.have.property('getSuffixString').and.to.be.a('function');
+            expect(env).to.have.property('getPrefixString').and.to.be.a('function');
+            expect(env).to.have.property('prefixToken').and.to.be.a('string');
+            expect(env).to.have.property('isProduction').and.to.be.a('boolean');
+            expect(env).to.have.property('metadata').and.to.be.an('object');
+            expect(env).to.have.property('is').and.to.be.a('function');
+            expect(env).to.have.property('get').and.to.be.a('function');
+            expect(env).to.have.property('template').and.to.be.a('string');
+            expect(env).to.have.property('format').and.to.be.a('function');
+        });
+
+        it('should throw an error if an invalid template is specified', () => {
+            const error = 'Invalid template specified (arg #4)';
+            _testValueProvider.allButString('').filter((template) => template !== undefined)
+                .concat(['', '{name', 'name}', '{}', '{1name}', '{name|foo}', '{name}-{env|}'])
+                .forEach((template) => {
+                    const testCase = () => {
+                        return new Environment(DEFAULT_ENVIRONMENT, undefined, undefined, template);
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the environment specifies an invalid template', () => {
+            const testCase = () => {
+                return new Environment('foo', {
+                    foo: {
+                        template: '{name|foo}'
+                    }
+                });
+            };
+            expect(testCase).to.throw('Invalid naming template specified for environment (foo)');
+        });
+
+        it('should throw an error if the environment inherits from an environment that does not exist', () => {
+            const testCase = () => {
+                return new Environment('prod-eu', {
+                    'prod-eu': {
+                        parent: 'prod'
+                    }
+                });
+            };
+            expect(testCase).to.throw('Invalid parent environment specified (prod)');
+        });
+
+        it('should throw an error if the environment inheritance is circular', () => {
+            const testCase = () => {
+                return new Environment('foo', {
+                    foo: {
+                        parent: 'bar'
+                    },
+                    bar: {
+                        parent: 'foo'
+                    }
+                });
+            };
+            expect(testCase).to.throw('Circular environment inheritance detected (foo -> bar -> foo)');
+        });
+
+        it('should throw an error if the environment specifies invalid prefix or suffix tokens', () => {
+            [{
+                suffix: 1
+            }, {
+                prefix: null
+            }].forEach((entry) => {
+                const testCase = () => {
+                    return new Environment('foo', {
+                        foo: entry
+                    });
+                };
+                expect(testCase).to.throw('Invalid prefix or suffix token specified for environment (foo)');
+            });
+        });
+    });
+
+    describe('fromArn()', () => {
+        const FUNCTION_ARN = 'arn:aws:lambda:us-east-1:111111111111:function:my-fn';
+
+        it('should throw an error if invoked without a valid ARN', () => {
+            const error = 'Invalid ARN specified (arg #1)';
+            _testValueProvider.allButString('').forEach((arn) => {
+                const testCase = () => {
+                    return Environment.fromArn(arn);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return an environment for the alias that qualifies the ARN', () => {
+            const env = Environment.fromArn(`${FUNCTION_ARN}:prod`);
+
+            expect(env).to.be.an.instanceof(Environment);
+            expect(env.env).to.equal('prod');
+            expect(env.isProduction).to.be.true;
+        });
+
+        it('should return an environment without a value if the ARN is not qualified by an alias', () => {
+            [FUNCTION_ARN, `${FUNCTION_ARN}:$LATEST`, `${FUNCTION_ARN}:12`].forEach((arn) => {
+                const env = Environment.fromArn(arn);
+
+                expect(env.env).to.be.undefined;
+                expect(env.isValid).to.be.false;
+            });
+        });
+
+        it('should create the environment using the specified map, separator and template', () => {
+            const env = Environment.fromArn(`${FUNCTION_ARN}:foo`, {
+                foo: 'bar'
+            }, '_', '{env}{name}');
+
+            expect(env.token).to.equal('bar');
+            expect(env.separator).to.equal('_');
+            expect(env.format('baz')).to.equal('barbaz');
+        });
+    });
+
+    describe('fromContext()', () => {
+        const FUNCTION_ARN = 'arn:aws:lambda:us-east-1:111111111111:function:my-fn';
+
+        it('should throw an error if invoked without a valid context', () => {
+            const error = 'Invalid context specified (arg #1)';
+            _testValueProvider.allButObject().concat([[]]).forEach((context) => {
+                const testCase = () => {
+                    return Environment.fromContext(context);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return an environment for the alias that qualifies the invoked function ARN', () => {
+            const env = Environment.fromContext({
+                invokedFunctionArn: `${FUNCTION_ARN}:qa`
+            });
+
+            expect(env).to.be.an.instanceof(Environment);
+            expect(env.env).to.equal('qa');
+            expect(env.isValid).to.be.true;
+        });
+
+        it('should return an environment without a value if the context does not have an invoked function ARN', () => {
+            [{}, {
+                invokedFunctionArn: ''
+            }, {
+                invokedFunctionArn: FUNCTION_ARN
+            }].forEach((context) => {
+                expect(Environment.fromContext(context).env).to.be.undefined;
+            });
+        });
+
+        it('should use the environment of a handler extension object', () => {
+            const env = Environment.fromContext({
+                env: 'foo'
+            }, {
+                foo: {
+                    suffix: 'f'
+                }
+            }, '.', '{name}.{env}');
+
+            expect(env.env).to.equal('foo');
+            expect(env.token).to.equal('f');
+            expect(env.getSuffixString('bar')).to.equal('bar.f');
+            expect(env.template).to.equal('{name}.{env}');
         });
     });
 
@@ -159,6 +320,229 @@ describe('Environment', () => {
         });
     });
 
+    describe('[metadata]', () => {
+        const ENV_MAP = {
+            dev: 'dev',
+            prod: {
+                accountId: '111111111111',
+                region: 'us-east-1',
+                prefix: 'p',
+                isProduction: true,
+                alarms: {
+                    email: 'ops@example.com'
+                }
+            },
+            'prod-eu': {
+                parent: 'prod',
+                suffix: 'prod-eu',
+                region: 'eu-west-1'
+            }
+        };
+
+        it('should treat object entries as valid environments', () => {
+            const env = new Environment('prod', ENV_MAP);
+
+            expect(env.isValid).to.be.true;
+        });
+
+        it('should set isValid to false if the environment map entry is not a string or an object', () => {
+            [1, true, null, []].forEach((entry) => {
+                const env = new Environment('foo', {
+                    foo: entry
+                });
+                expect(env.isValid).to.be.false;
+            });
+        });
+
+        it('should not treat inherited object properties as environments', () => {
+            const env = new Environment('toString', ENV_MAP);
+
+            expect(env.isValid).to.be.false;
+        });
+
+        it('should default the suffix token to the environment name, and the prefix token to the suffix', () => {
+            const env = new Environment('foo', {
+                foo: {}
+            });
+
+            expect(env.token).to.equal('foo');
+            expect(env.prefixToken).to.equal('foo');
+        });
+
+        it('should use the same token as prefix and suffix for string entries', () => {
+            const env = new Environment('dev', ENV_MAP);
+
+            expect(env.token).to.equal('dev');
+            expect(env.prefixToken).to.equal('dev');
+        });
+
+        it('should return the prefix and suffix tokens from the metadata if specified', () => {
+            const env = new Environment('prod', ENV_MAP);
+
+            expect(env.token).to.equal('prod');
+            expect(env.prefixToken).to.equal('p');
+        });
+
+        it('should return undefined values if the environment is not valid', () => {
+            const env = new Environment('foo', ENV_MAP);
+
+            expect(env.prefixToken).to.be.undefined;
+            expect(env.accountId).to.be.undefined;
+            expect(env.region).to.be.undefined;
+            expect(env.metadata).to.be.undefined;
+            expect(env.isProduction).to.be.false;
+            expect(env.get('alarms')).to.be.undefined;
+        });
+
+        it('should identify production environments', () => {
+            expect(new Environment('prod', ENV_MAP).isProduction).to.be.true;
+            expect(new Environment('prod-eu', ENV_MAP).isProduction).to.be.true;
+            expect(new Environment('dev', ENV_MAP).isProduction).to.be.false;
+            expect(new Environment('prod').isProduction).to.be.true;
+            expect(new Environment('qa').isProduction).to.be.false;
+        });
+
+        it('should return the account id and region from the metadata', () => {
+            const env = new Environment('prod', ENV_MAP);
+
+            expect(env.accountId).to.equal('111111111111');
+            expect(env.region).to.equal('us-east-1');
+        });
+
+        it('should inherit metadata from the parent environment, with overrides', () => {
+            const env = new Environment('prod-eu', ENV_MAP);
+
+            expect(env.accountId).to.equal('111111111111');
+            expect(env.region).to.equal('eu-west-1');
+            expect(env.token).to.equal('prod-eu');
+            expect(env.prefixToken).to.equal('p');
+            expect(env.metadata).to.deep.equal({
+                accountId: '111111111111',
+                region: 'eu-west-1',
+                prefix: 'p',
+                suffix: 'prod-eu',
+                isProduction: true,
+                parent: 'prod',
+                alarms: {
+                    email: 'ops@example.com'
+                }
+            });
+        });
+
+        it('should return a copy of the metadata', () => {
+            const env = new Environment('prod', ENV_MAP);
+            const metadata = env.metadata;
+
+            metadata.region = 'foo';
+            expect(env.region).to.equal('us-east-1');
+        });
+
+        describe('is()', () => {
+            it('should return true if the environment matches any of the specified names', () => {
+                const env = new Environment('qa');
+
+                expect(env.is('qa')).to.be.true;
+                expect(env.is('dev', 'qa')).to.be.true;
+            });
+
+            it('should return false if the environment does not match any of the specified names', () => {
+                const env = new Environment('qa');
+
+                expect(env.is('dev')).to.be.false;
+                expect(env.is('dev', 'prod')).to.be.false;
+                expect(env.is()).to.be.false;
+                expect(new Environment('foo').is('foo')).to.be.false;
+            });
+
+            it('should match the names of parent environments', () => {
+                const env = new Environment('prod-eu', ENV_MAP);
+
+                expect(env.is('prod-eu')).to.be.true;
+                expect(env.is('prod')).to.be.true;
+                expect(env.is('dev')).to.be.false;
+            });
+        });
+
+        describe('get()', () => {
+            it('should throw an error if invoked without a valid key', () => {
+                const error = 'Invalid key specified (arg #1)';
+                _testValueProvider.allButString('').forEach((key) => {
+                    const testCase = () => {
+                        const env = new Environment('prod', ENV_MAP);
+                        return env.get(key);
+                    };
+                    expect(testCase).to.throw(error);
+                });
+            });
+
+            it('should return the value of the metadata property', () => {
+                const env = new Environment('prod-eu', ENV_MAP);
+
+                expect(env.get('alarms')).to.deep.equal({
+                    email: 'ops@example.com'
+                });
+                expect(env.get('region')).to.equal('eu-west-1');
+            });
+
+            it('should return the default value if the metadata property has not been specified', () => {
+                const env = new Environment('prod', ENV_MAP);
+
+                expect(env.get('foo')).to.be.undefined;
+                expect(env.get('foo', 'bar')).to.equal('bar');
+            });
+        });
+    });
+
+    describe('getPrefixString()', () => {
+        it('should throw an error if invoked without a valid string', () => {
+            const error = 'Invalid value specified (arg #1)';
+            _testValueProvider.allButString().forEach((value) => {
+                const wrapper = () => {
+                    const env = _createEnvironment();
+                    env.getPrefixString(value);
+                };
+
+                expect(wrapper).to.throw(error);
+            });
+        });
+
+        it('should return the original value prefixed with the environment specific prefix', () => {
+            ['', 'foo', 'bar', 'baz'].forEach((value) => {
+                ['dev', 'qa', 'prod'].forEach((envStr) => {
+                    const env = _createEnvironment(envStr);
+                    const expectedValue = `${envStr}${env.separator}${value}`;
+
+                    expect(env.getPrefixString(value)).to.equal(expectedValue);
+                });
+            });
+        });
+
+        it('should use the prefix token from the environment metadata', () => {
+            const env = _createEnvironment('prod', {
+                prod: {
+                    prefix: 'p'
+                }
+            });
+
+            expect(env.getPrefixString('table')).to.equal('p-table');
+            expect(env.getSuffixString('table')).to.equal('table-prod');
+        });
+
+        it('should return the input unchanged if the environment specific prefix is an empty string', () => {
+            const env = _createEnvironment('foo', {
+                foo: ''
+            });
+
+            expect(env.getPrefixString('bar')).to.equal('bar');
+        });
+
+        it('should return an undefined value if the current environment is not valid', () => {
+            const env = _createEnvironment('bad-env');
+
+            expect(env.getPrefixString('foo')).to.be.undefined;
+        });
+    });
+
     describe('getSuffixString()', () => {
         it('should throw an error if invoked without a valid string', () => {
             const error = 'Invalid value specified (arg #1)';
@@ -201,4 +585,319 @@ describe('Environment', () => {
             });
         });
     });
+
+    describe('template', () => {
+        it('should return a template equivalent to getSuffixString() if a template is not specified', () => {
+            expect(new Environment(DEFAULT_ENVIRONMENT).template).to.equal('{name}-{env}');
+            expect(new Environment(DEFAULT_ENVIRONMENT, undefined, '_').template).to.equal('{name}_{env}');
+        });
+
+        it('should return the template specified via the constructor', () => {
+            const template = '{app}-{env}-{name}';
+            const env = new Environment(DEFAULT_ENVIRONMENT, undefined, undefined, template);
+
+            expect(env.template).to.equal(template);
+        });
+
+        it('should return the template from the environment metadata if one has been specified', () => {
+            const env = new Environment('prod-eu', {
+                prod: {
+                    template: '{name}.{env}'
+                },
+                'prod-eu': {
+                    parent: 'prod'
+                }
+            }, undefined, '{app}-{env}-{name}');
+
+            expect(env.template).to.equal('{name}.{env}');
+        });
+    });
+
+    describe('format()', () => {
+        const ENV_MAP = {
+            dev: {
+                app: 'billing'
+            },
+            prod: {
+                suffix: 'prod',
+                prefix: 'p',
+                app: 'billing'
+            },
+            local: {
+                suffix: '',
+                app: 'billing'
+            }
+        };
+
+        function _createTemplateEnvironment(envStr, template, separator) {
+            return new Environment(envStr || DEFAULT_ENVIRONMENT, ENV_MAP, separator, template);
+        }
+
+        it('should throw an error if invoked without a valid name', () => {
+            const error = 'Invalid name specified (arg #1)';
+            _testValueProvider.allButString().forEach((name) => {
+                const testCase = () => {
+                    return _createTemplateEnvironment().format(name);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked with invalid variables', () => {
+            const error = 'Invalid variables specified (arg #2)';
+            _testValueProvider.allButObject().filter((vars) => vars !== undefined).forEach((vars) => {
+                const testCase = () => {
+                    return _createTemplateEnvironment().format('orders', vars);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return undefined if the current environment is not valid', () => {
+            expect(_createTemplateEnvironment('bad-env').format('orders')).to.be.undefined;
+        });
+
+        it('should return the same value as getSuffixString() if a template is not specified', () => {
+            ['foo', 'bar', 'baz'].forEach((value) => {
+                ['dev', 'prod', 'local'].forEach((envStr) => {
+                    const env = _createTemplateEnvironment(envStr);
+
+                    expect(env.format(value)).to.equal(env.getSuffixString(value));
+                });
+            });
+        });
+
+        it('should replace built in variables and metadata properties in the template', () => {
+            const env = _createTemplateEnvironment('prod', '{app}-{env}-{name}/{prefix}/{envName}');
+
+            expect(env.format('orders')).to.equal('billing-prod-orders/p/prod');
+        });
+
+        it('should give precedence to the specified variables', () => {
+            const env = _createTemplateEnvironment('prod', '{app}-{env}-{name}-{region}');
+
+            expect(env.format('orders', {
+                app: 'shipping',
+                region: 'us-east-1'
+            })).to.equal('shipping-prod-orders-us-east-1');
+        });
+
+        it('should apply transforms to variables in the order in which they are specified', () => {
+            const env = _createTemplateEnvironment('prod', '{app|upper}-{env}-{name|trim|sanitize|lower}');
+
+            expect(env.format(' Order Items! ')).to.equal('BILLING-prod-order-items');
+            expect(env.format('Order.Items')).to.equal('BILLING-prod-order-items');
+        });
+
+        it('should use the separator when sanitizing values', () => {
+            const env = _createTemplateEnvironment('prod', '{env}_{name|sanitize}', '_');
+
+            expect(env.format('order items')).to.equal('prod_order_items');
+        });
+
+        it('should omit separators that are adjacent to empty variables', () => {
+            const env = _createTemplateEnvironment('local', '{app}-{env}-{name}');
+
+            expect(env.format('orders')).to.equal('billing-orders');
+            expect(env.format('-orders-')).to.equal('billing--orders-');
+            expect(_createTemplateEnvironment('local', '{env}-{name}').format('orders')).to.equal('orders');
+            expect(_createTemplateEnvironment('local', '{name}-{env}').format('orders')).to.equal('orders');
+            expect(_createTemplateEnvironment('local', '{name}{env}', '').format('orders')).to.equal('orders');
+        });
+
+        it('should throw an error if the template references a variable that does not have a value', () => {
+            const env = _createTemplateEnvironment('prod', '{team}-{name}');
+            const testCase = () => {
+                return env.format('orders');
+            };
+
+            expect(testCase).to.throw('Missing value for template variable (team)');
+        });
+    });
+
+    describe('[resource names]', () => {
+        const ENV_MAP = {
+            dev: {
+                accountId: '111111111111',
+                region: 'us-east-1'
+            },
+            cn: {
+                accountId: '222222222222',
+                region: 'cn-north-1',
+                partition: 'aws-cn'
+            },
+            local: {
+                suffix: ''
+            }
+        };
+
+        function _createResourceEnvironment(envStr) {
+            return new Environment(envStr || 'dev', ENV_MAP);
+        }
+
+        describe('getResourceName()', () => {
+            it('should throw an error if invoked without a valid resource type', () => {
+                const error = 'Invalid resource type specified (arg #1)';
+                _testValueProvider.allButString('').concat(['foo', 'toString']).forEach((type) => {
+                    const testCase = () => {
+                        return _createResourceEnvironment().getResourceName(type, 'foo');
+                    };
+                    expect(testCase).to.throw(error);
+                });
+            });
+
+            it('should throw an error if invoked without a valid resource name', () => {
+                const error = 'Invalid resource name specified (arg #2)';
+                _testValueProvider.allButString('').forEach((name) => {
+                    const testCase = () => {
+                        return _createResourceEnvironment().getResourceName('table', name);
+                    };
+                    expect(testCase).to.throw(error);
+                });
+            });
+
+            it('should return undefined if the current environment is not valid', () => {
+                const env = _createResourceEnvironment('bad-env');
+
+                expect(env.getResourceName('table', 'users')).to.be.undefined;
+            });
+
+            it('should generate the name using the naming template of the environment', () => {
+                const env = new Environment('dev', ENV_MAP, undefined, 'app-{env}-{name}');
+
+                expect(env.getResourceName('table', 'users')).to.equal('app-dev-users');
+                expect(env.getResourceName('queue', 'orders.fifo')).to.equal('app-dev-orders.fifo');
+            });
+
+            it('should return the name suffixed with the environment token', () => {
+                const env = _createResourceEnvironment();
+
+                ['table', 'queue', 'topic', 'bucket', 'stream', 'function'].forEach((type) => {
+                    expect(env.getResourceName(type, 'users')).to.equal('users-dev');
+                });
+            });
+
+            it('should insert the environment token before the fifo suffix of queues and topics', () => {
+                const env = _createResourceEnvironment();
+
+                expect(env.getResourceName('queue', 'orders.fifo')).to.equal('orders-dev.fifo');
+                expect(env.getResourceName('topic', 'orders.fifo')).to.equal('orders-dev.fifo');
+            });
+
+            it('should throw an error if the name does not satisfy the length limits for the resource type', () => {
+                const env = _createResourceEnvironment('local');
+
+                [
+                    ['table', 'ab', 'DynamoDB table', 3, 255],
+                    ['queue', 'a'.repeat(81), 'SQS queue', 1, 80],
+                    ['topic', 'a'.repeat(257), 'SNS topic', 1, 256],
+                    ['bucket', 'ab', 'S3 bucket', 3, 63],
+                    ['bucket', 'a'.repeat(64), 'S3 bucket', 3, 63],
+                    ['stream', 'a'.repeat(129), 'Kinesis stream', 1, 128],
+                    ['function', 'a'.repeat(65), 'Lambda function', 1, 64]
+                ].forEach((testParams) => {
+                    const testCase = () => {
+                        return env.getResourceName(testParams[0], testParams[1]);
+                    };
+                    expect(testCase).to.throw(`Invalid ${testParams[2]} name (${testParams[1]}). ` +
+                        `Length must be between ${testParams[3]} and ${testParams[4]} characters`);
+                });
+            });
+
+            it('should throw an error if the name contains characters that are not allowed for the resource type', () => {
+                const env = _createResourceEnvironment();
+
+                [
+                    ['table', 'user$', 'DynamoDB table'],
+                    ['queue', 'orders.new', 'SQS queue'],
+                    ['topic', 'orders/new', 'SNS topic'],
+                    ['bucket', 'Uploads', 'S3 bucket'],
+                    ['bucket', '-uploads', 'S3 bucket'],
+                    ['stream', 'events stream', 'Kinesis stream'],
+                    ['function', 'handler.js', 'Lambda function']
+                ].forEach((testParams) => {
+                    const testCase = () => {
+                        return env.getResourceName(testParams[0], testParams[1]);
+                    };
+                    expect(testCase).to.throw(`Invalid ${testParams[2]} name (${testParams[1]}-dev). ` +
+                        'Name contains invalid characters');
+                });
+            });
+        });
+
+        describe('[builders]', () => {
+            it('should return environment specific resource names', () => {
+                const env = _createResourceEnvironment();
+
+                expect(env.getTableName('users')).to.equal('users-dev');
+                expect(env.getQueueName('orders.fifo')).to.equal('orders-dev.fifo');
+                expect(env.getTopicName('alerts')).to.equal('alerts-dev');
+                expect(env.getBucketName('uploads')).to.equal('uploads-dev');
+                expect(env.getStreamName('events')).to.equal('events-dev');
+                expect(env.getFunctionName('api')).to.equal('api-dev');
+            });
+
+            it('should return environment specific ARNs and URLs', () => {
+                const env = _createResourceEnvironment();
+
+                expect(env.getTableArn('users')).to.equal('arn:aws:dynamodb:us-east-1:111111111111:table/users-dev');
+                expect(env.getQueueArn('orders')).to.equal('arn:aws:sqs:us-east-1:111111111111:orders-dev');
+                expect(env.getQueueUrl('orders')).to.equal('https://sqs.us-east-1.amazonaws.com/111111111111/orders-dev');
+                expect(env.getTopicArn('alerts')).to.equal('arn:aws:sns:us-east-1:111111111111:alerts-dev');
+                expect(env.getBucketArn('uploads')).to.equal('arn:aws:s3:::uploads-dev');
+                expect(env.getStreamArn('events')).to.equal('arn:aws:kinesis:us-east-1:111111111111:stream/events-dev');
+                expect(env.getFunctionArn('api')).to.equal('arn:aws:lambda:us-east-1:111111111111:function:api-dev');
+                expect(env.getFunctionArn('api', 'live')).to.equal('arn:aws:lambda:us-east-1:111111111111:function:api-dev:live');
+            });
+
+            it('should use the partition from the environment metadata', () => {
+                const env = _createResourceEnvironment('cn');
+
+                expect(env.getTableArn('users')).to.equal('arn:aws-cn:dynamodb:cn-north-1:222222222222:table/users-cn');
+                expect(env.getBucketArn('uploads')).to.equal('arn:aws-cn:s3:::uploads-cn');
+            });
+
+            it('should use the domain of the partition from the environment metadata in queue urls', () => {
+                const env = _createResourceEnvironment('cn');
+
+                expect(env.getQueueArn('orders')).to.equal('arn:aws-cn:sqs:cn-north-1:222222222222:orders-cn');
+                expect(env.getQueueUrl('orders')).to.equal('https://sqs.cn-north-1.amazonaws.com.cn/222222222222/orders-cn');
+            });
+
+            it('should throw an error if the region or account id have not been specified', () => {
+                const env = new Environment('dev');
+                const error = 'Region and account id have not been specified for environment (dev)';
+
+                expect(() => env.getTableArn('users')).to.throw(error);
+                expect(() => env.getQueueArn('orders')).to.throw(error);
+                expect(() => env.getQueueUrl('orders')).to.throw(error);
+                expect(() => env.getTopicArn('alerts')).to.throw(error);
+                expect(() => env.getStreamArn('events')).to.throw(error);
+                expect(() => env.getFunctionArn('api')).to.throw(error);
+                expect(env.getBucketArn('uploads')).to.equal('arn:aws:s3:::uploads-dev');
+            });
+
+            it('should throw an error if an invalid alias is specified', () => {
+                const error = 'Invalid alias specified (arg #2)';
+                _testValueProvider.allButString('').filter((value) => value !== undefined)
+                    .concat(['', '123', 'live:1', 'a'.repeat(129)])
+                    .forEach((alias) => {
+                        const testCase = () => {
+                            return _createResourceEnvironment().getFunctionArn('api', alias);
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+            });
+
+            it('should return undefined if the current environment is not valid', () => {
+                const env = _createResourceEnvironment('bad-env');
+
+                ['getTableArn', 'getQueueArn', 'getQueueUrl', 'getTopicArn', 'getBucketArn',
+                    'getStreamArn', 'getFunctionArn'
+                ].forEach((method) => {
+                    expect(env[method]('foo')).to.be.undefined;
+                });
+            });
+        });
+    });
 });
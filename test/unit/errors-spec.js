@@ -0,0 +1,167 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const _errors = require('../../lib/errors');
+
+describe('errors', () => {
+    describe('LambdaError', () => {
+        const LambdaError = _errors.LambdaError;
+
+        it('should derive from the Error class', () => {
+            const error = new LambdaError('FooError', 418, 'Something went wrong');
+
+            expect(error).to.be.an.instanceof(Error);
+        });
+
+        it('should expose the name, status code, description and details of the error', () => {
+            const details = {
+                foo: 'bar'
+            };
+            const error = new LambdaError('FooError', 418, 'Something went wrong', details);
+
+            expect(error.name).to.equal('FooError');
+            expect(error.statusCode).to.equal(418);
+            expect(error.description).to.equal('Something went wrong');
+            expect(error.details).to.equal(details);
+        });
+
+        it('should prefix the error message with the error name', () => {
+            const error = new LambdaError('FooError', 418, 'Something went wrong');
+
+            expect(error.message).to.equal('[FooError] Something went wrong');
+        });
+
+        describe('toJSON()', () => {
+            it('should return an object with the type and message of the error', () => {
+                const error = new LambdaError('FooError', 418, 'Something went wrong');
+
+                expect(error.toJSON()).to.deep.equal({
+                    type: 'FooError',
+                    message: 'Something went wrong'
+                });
+            });
+
+            it('should include error details if specified', () => {
+                const details = {
+                    foo: 'bar'
+                };
+                const error = new LambdaError('FooError', 418, 'Something went wrong', details);
+
+                expect(error.toJSON()).to.deep.equal({
+                    type: 'FooError',
+                    message: 'Something went wrong',
+                    details
+                });
+            });
+
+            it('should be used when the error is serialized to JSON', () => {
+                const error = new LambdaError('FooError', 418, 'Something went wrong');
+
+                expect(JSON.parse(JSON.stringify(error))).to.deep.equal(error.toJSON());
+            });
+        });
+    });
+
+    [
+        ['BadRequestError', 400, 'Bad request'],
+        ['UnauthorizedError', 401, 'Unauthorized'],
+        ['ForbiddenError', 403, 'Forbidden'],
+        ['NotFoundError', 404, 'Resource not found'],
+        ['MethodNotAllowedError', 405, 'Method not allowed'],
+        ['ConflictError', 409, 'Conflict'],
+        ['ThrottledError', 429, 'Request throttled'],
+        ['InternalError', 500, 'Internal error'],
+        ['TimeoutError', 504, 'Lambda execution timed out']
+    ].forEach((testParams) => {
+        const name = testParams[0];
+        const statusCode = testParams[1];
+        const defaultMessage = testParams[2];
+
+        describe(name, () => {
+            const ErrorClass = _errors[name];
+
+            it('should derive from the LambdaError class', () => {
+                const error = new ErrorClass();
+
+                expect(error).to.be.an.instanceof(_errors.LambdaError);
+                expect(error).to.be.an.instanceof(Error);
+            });
+
+            it('should set the correct name and status code', () => {
+                const error = new ErrorClass();
+
+                expect(error.name).to.equal(name);
+                expect(error.statusCode).to.equal(statusCode);
+            });
+
+            it('should use a default message if a valid message is not specified', () => {
+                _testValueProvider.allButString('').forEach((message) => {
+                    const error = new ErrorClass(message);
+
+                    expect(error.message).to.equal(`[${name}] ${defaultMessage}`);
+                });
+            });
+
+            it('should use the message and details if specified', () => {
+                const details = {
+                    foo: 'bar'
+                };
+                const error = new ErrorClass('Something went wrong', details);
+
+                expect(error.message).to.equal(`[${name}] Something went wrong`);
+                expect(error.details).to.equal(details);
+            });
+        });
+    });
+
+    describe('ValidationError', () => {
+        const ValidationError = _errors.ValidationError;
+
+        it('should derive from the LambdaError class', () => {
+            const error = new ValidationError('Validation failed', []);
+
+            expect(error).to.be.an.instanceof(_errors.LambdaError);
+            expect(error.name).to.equal('ValidationError');
+            expect(error.statusCode).to.equal(400);
+        });
+
+        it('should default the error list to an empty array if a valid array is not specified', () => {
+            _testValueProvider.allButArray().forEach((errors) => {
+                const error = new ValidationError('Validation failed', errors);
+
+                expect(error.errors).to.deep.equal([]);
+            });
+        });
+
+        it('should expose the list of validation errors', () => {
+            const errors = [{
+                path: '/foo',
+                message: 'is required'
+            }];
+            const error = new ValidationError('Validation failed', errors);
+
+            expect(error.errors).to.equal(errors);
+            expect(error.details).to.equal(errors);
+        });
+
+        it('should include the message and each offending path in the error message', () => {
+            const error = new ValidationError('Validation failed', [{
+                path: '/foo',
+                message: 'is required'
+            }, {
+                path: '/bar/0',
+                message: 'should be string'
+            }]);
+
+            expect(error.message).to.equal('[ValidationError] Validation failed. Details: /foo: is required; /bar/0: should be string');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+const expect = _chai.expect;
+
+const _eventAttributes = require('../../lib/event-attributes');
+
+describe('eventAttributes', () => {
+    it('should expose the expected methods', () => {
+        expect(_eventAttributes).to.be.an('object');
+        expect(_eventAttributes.getPath).to.be.a('function');
+        expect(_eventAttributes.getHeader).to.be.a('function');
+        expect(_eventAttributes.getAttribute).to.be.a('function');
+    });
+
+    describe('getPath()', () => {
+        it('should return the value at the specified path', () => {
+            const data = {
+                foo: {
+                    bar: {
+                        baz: 'value'
+                    }
+                }
+            };
+
+            expect(_eventAttributes.getPath(data, 'foo.bar.baz')).to.equal('value');
+            expect(_eventAttributes.getPath(data, 'foo')).to.equal(data.foo);
+        });
+
+        it('should return undefined if the path does not exist', () => {
+            const data = {
+                foo: 'bar'
+            };
+
+            expect(_eventAttributes.getPath(data, 'baz')).to.be.undefined;
+            expect(_eventAttributes.getPath(data, 'foo.bar')).to.be.undefined;
+            expect(_eventAttributes.getPath(data, 'baz.foo')).to.be.undefined;
+        });
+    });
+
+    describe('getHeader()', () => {
+        it('should return the value of the header, regardless of case', () => {
+            ['x-custom', 'X-Custom', 'X-CUSTOM'].forEach((header) => {
+                expect(_eventAttributes.getHeader({
+                    headers: {
+                        [header]: 'value'
+                    }
+                }, 'x-Custom')).to.equal('value');
+            });
+        });
+
+        it('should return undefined if the header is not present', () => {
+            [{}, {
+                headers: null
+            }, {
+                headers: 'x-custom'
+            }, {
+                headers: {
+                    'x-other': 'value'
+                }
+            }].forEach((event) => {
+                expect(_eventAttributes.getHeader(event, 'x-custom')).to.be.undefined;
+            });
+        });
+    });
+
+    describe('getAttribute()', () => {
+        it('should return the value of the attribute from the first SQS or SNS record', () => {
+            expect(_eventAttributes.getAttribute({
+                Records: [{
+                    messageAttributes: {
+                        custom: {
+                            stringValue: 'sqs-value',
+                            dataType: 'String'
+                        }
+                    }
+                }, {
+                    messageAttributes: {
+                        custom: {
+                            stringValue: 'other-value',
+                            dataType: 'String'
+                        }
+                    }
+                }]
+            }, 'custom')).to.equal('sqs-value');
+            expect(_eventAttributes.getAttribute({
+                Records: [{
+                    Sns: {
+                        MessageAttributes: {
+                            custom: {
+                                Type: 'String',
+                                Value: 'sns-value'
+                            }
+                        }
+                    }
+                }]
+            }, 'custom')).to.equal('sns-value');
+        });
+
+        it('should return undefined if the attribute is not present', () => {
+            [{}, {
+                Records: []
+            }, {
+                Records: [null]
+            }, {
+                Records: [{}]
+            }, {
+                Records: [{
+                    messageAttributes: {
+                        custom: 'value'
+                    }
+                }]
+            }, {
+                Records: [{
+                    messageAttributes: {
+                        other: {
+                            stringValue: 'value'
+                        }
+                    }
+                }]
+            }].forEach((event) => {
+                expect(_eventAttributes.getAttribute(event, 'custom')).to.be.undefined;
+            });
+        });
+    });
+});
@@ -0,0 +1,265 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const EventRecord = require('../../lib/event-record');
+
+describe('EventRecord', () => {
+    function _createSqsRecord(body) {
+        return {
+            eventSource: 'aws:sqs',
+            messageId: 'sqs-message-id',
+            body: body,
+            messageAttributes: {
+                correlationId: {
+                    dataType: 'String',
+                    stringValue: 'abc'
+                }
+            }
+        };
+    }
+
+    function _createKinesisRecord(data) {
+        return {
+            eventSource: 'aws:kinesis',
+            kinesis: {
+                sequenceNumber: 'kinesis-sequence-number',
+                data: Buffer.from(data).toString('base64')
+            }
+        };
+    }
+
+    function _createSnsRecord(message) {
+        return {
+            EventSource: 'aws:sns',
+            Sns: {
+                MessageId: 'sns-message-id',
+                Message: message,
+                MessageAttributes: {
+                    correlationId: {
+                        Type: 'String',
+                        Value: 'def'
+                    }
+                }
+            }
+        };
+    }
+
+    function _createDynamoDbRecord() {
+        return {
+            eventSource: 'aws:dynamodb',
+            eventName: 'MODIFY',
+            dynamodb: {
+                SequenceNumber: 'dynamodb-sequence-number',
+                Keys: {
+                    id: {
+                        S: 'abc'
+                    }
+                },
+                NewImage: {
+                    id: {
+                        S: 'abc'
+                    },
+                    count: {
+                        N: '10'
+                    },
+                    active: {
+                        BOOL: true
+                    },
+                    deleted: {
+                        NULL: true
+                    },
+                    blob: {
+                        B: Buffer.from('foo').toString('base64')
+                    },
+                    address: {
+                        M: {
+                            city: {
+                                S: 'Austin'
+                            }
+                        }
+                    },
+                    history: {
+                        L: [{
+                            N: '1'
+                        }, {
+                            S: 'two'
+                        }]
+                    },
+                    tags: {
+                        SS: ['a', 'b']
+                    },
+                    scores: {
+                        NS: ['1', '2.5']
+                    },
+                    blobs: {
+                        BS: [Buffer.from('bar').toString('base64')]
+                    }
+                }
+            }
+        };
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without a valid record', () => {
+            const error = 'Invalid record specified (arg #1)';
+            _testValueProvider.allButObject().forEach((record) => {
+                const testCase = () => {
+                    return new EventRecord(record);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the raw record', () => {
+            const raw = _createSqsRecord('foo');
+            const record = new EventRecord(raw);
+
+            expect(record.raw).to.equal(raw);
+        });
+    });
+
+    describe('[sqs]', () => {
+        it('should expose the source, id and attributes of the record', () => {
+            const record = new EventRecord(_createSqsRecord('foo'));
+
+            expect(record.source).to.equal('sqs');
+            expect(record.id).to.equal('sqs-message-id');
+            expect(record.attributes).to.deep.equal({
+                correlationId: 'abc'
+            });
+        });
+
+        it('should indicate whether or not the record is from a FIFO queue', () => {
+            const raw = _createSqsRecord('foo');
+            expect(new EventRecord(raw).isFifo).to.be.false;
+
+            raw.eventSourceARN = 'arn:aws:sqs:us-east-1:111111111111:orders';
+            expect(new EventRecord(raw).isFifo).to.be.false;
+
+            raw.eventSourceARN = 'arn:aws:sqs:us-east-1:111111111111:orders.fifo';
+            expect(new EventRecord(raw).isFifo).to.be.true;
+
+            expect(new EventRecord(_createKinesisRecord('foo')).isFifo).to.be.false;
+        });
+
+        it('should parse JSON message bodies', () => {
+            const record = new EventRecord(_createSqsRecord('{"foo":"bar"}'));
+            expect(record.data).to.deep.equal({
+                foo: 'bar'
+            });
+        });
+
+        it('should return non JSON message bodies as strings', () => {
+            const record = new EventRecord(_createSqsRecord('foo'));
+            expect(record.data).to.equal('foo');
+        });
+    });
+
+    describe('[kinesis]', () => {
+        it('should expose the source and id of the record', () => {
+            const record = new EventRecord(_createKinesisRecord('foo'));
+
+            expect(record.source).to.equal('kinesis');
+            expect(record.id).to.equal('kinesis-sequence-number');
+            expect(record.attributes).to.deep.equal({});
+        });
+
+        it('should base64 decode and parse record data', () => {
+            expect(new EventRecord(_createKinesisRecord('{"foo":"bar"}')).data).to.deep.equal({
+                foo: 'bar'
+            });
+            expect(new EventRecord(_createKinesisRecord('foo')).data).to.equal('foo');
+        });
+    });
+
+    describe('[sns]', () => {
+        it('should expose the source, id and attributes of the record', () => {
+            const record = new EventRecord(_createSnsRecord('foo'));
+
+            expect(record.source).to.equal('sns');
+            expect(record.id).to.equal('sns-message-id');
+            expect(record.attributes).to.deep.equal({
+                correlationId: 'def'
+            });
+        });
+
+        it('should parse JSON messages', () => {
+            expect(new EventRecord(_createSnsRecord('{"foo":"bar"}')).data).to.deep.equal({
+                foo: 'bar'
+            });
+            expect(new EventRecord(_createSnsRecord('foo')).data).to.equal('foo');
+        });
+    });
+
+    describe('[dynamodb]', () => {
+        it('should expose the source and id of the record', () => {
+            const record = new EventRecord(_createDynamoDbRecord());
+
+            expect(record.source).to.equal('dynamodb');
+            expect(record.id).to.equal('dynamodb-sequence-number');
+        });
+
+        it('should unmarshall the keys and images of the record', () => {
+            const record = new EventRecord(_createDynamoDbRecord());
+
+            expect(record.data).to.deep.equal({
+                eventName: 'MODIFY',
+                keys: {
+                    id: 'abc'
+                },
+                newImage: {
+                    id: 'abc',
+                    count: 10,
+                    active: true,
+                    deleted: null,
+                    blob: Buffer.from('foo'),
+                    address: {
+                        city: 'Austin'
+                    },
+                    history: [1, 'two'],
+                    tags: ['a', 'b'],
+                    scores: [1, 2.5],
+                    blobs: [Buffer.from('bar')]
+                },
+                oldImage: undefined
+            });
+        });
+
+        it('should throw an error if the record contains unsupported attribute types', () => {
+            const raw = _createDynamoDbRecord();
+            raw.dynamodb.NewImage = {
+                foo: {
+                    X: 'bar'
+                }
+            };
+            const record = new EventRecord(raw);
+            const testCase = () => {
+                return record.data;
+            };
+
+            expect(testCase).to.throw('Unsupported DynamoDB attribute type: X');
+        });
+    });
+
+    describe('[unknown source]', () => {
+        it('should return the raw record as data, and an undefined id', () => {
+            const raw = {
+                foo: 'bar'
+            };
+            const record = new EventRecord(raw);
+
+            expect(record.source).to.equal('unknown');
+            expect(record.id).to.be.undefined;
+            expect(record.data).to.equal(raw);
+            expect(record.attributes).to.deep.equal({});
+        });
+    });
+});
@@ -14,6 +14,24 @@ const _consoleHelper = _testHelper.consoleHelper;
 const LambdaTestWrapper = _testHelper.aws.LambdaWrapper;
 const LambdaTestContext = _testHelper.aws.LambdaContext;
 const _rewire = require('rewire');
+const _bunyan = require('bunyan');
+const _errors = require('../../lib/errors');
+const ValidationError = _errors.ValidationError;
+const HttpRequest = require('../../lib/http-request');
+const HttpResponse = require('../../lib/http-response');
+const Router = require('../../lib/router');
+const EventRecord = require('../../lib/event-record');
+const Deadline = require('../../lib/deadline');
+const EnvResolver = require('../../lib/env-resolver');
+const Environment = require('../../lib/environment');
+const Arn = require('../../lib/arn');
+const CorrelationResolver = require('../../lib/correlation-resolver');
+const LogLevelResolver = require('../../lib/log-level-resolver');
+const Redactor = require('../../lib/redactor');
+const MetricsCollector = require('../../lib/metrics-collector');
+const ConfigLoader = require('../../lib/config-loader');
+const SecretResolver = require('../../lib/secret-resolver');
+const SchemaValidator = require('../../lib/schema-validator');
 
 let HandlerWrapper = null;
 
@@ -29,6 +47,38 @@ describe('HandlerWrapper', () => {
         return new HandlerWrapper(appName, lambdaName);
     }
 
+    function _initLoggerProviderMock() {
+        //Initialize the config module so that tests don't result in
+        //warning messages.
+        process.env.NODE_ENV = '';
+        require('config');
+
+        const createLogger = () => {
+            return {
+                trace: _sinon.spy(),
+                debug: _sinon.spy(),
+                info: _sinon.spy(),
+                warn: _sinon.spy(),
+                error: _sinon.spy(),
+                fatal: _sinon.spy(),
+                level: _sinon.spy(),
+                child: _sinon.spy(createLogger)
+            };
+        };
+        const loggerProviderMock = {
+            configure: _sinon.spy(),
+            getLogger: () => {
+            },
+            _logger: createLogger()
+        };
+        loggerProviderMock.getLogger = _sinon.stub(loggerProviderMock, 'getLogger', () => {
+            return loggerProviderMock._logger;
+        });
+
+        HandlerWrapper.__set__('_loggerProvider', loggerProviderMock);
+        return loggerProviderMock;
+    }
+
     beforeEach(() => {
         HandlerWrapper = _rewire('../../lib/handler-wrapper');
     });
@@ -49,6 +99,31 @@ describe('HandlerWrapper', () => {
 
             expect(wrapper).to.be.an('object');
             expect(wrapper.wrap).to.be.a('function');
+            expect(wrapper.use).to.be.a('function');
+            expect(wrapper.wrapHttp).to.be.a('function');
+            expect(wrapper.wrapRouter).to.be.a('function');
+            expect(wrapper.wrapRecords).to.be.a('function');
+        });
+    });
+
+    describe('use()', () => {
+        it('should throw an error if invoked without a valid middleware function', () => {
+            const error = 'Invalid middleware specified (arg #1)';
+            _testValueProvider.allButFunction().forEach((middleware) => {
+                const testCase = () => {
+                    const wrapper = _createWrapper();
+                    wrapper.use(middleware);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return a reference to the wrapper object', () => {
+            const wrapper = _createWrapper();
+            const ret = wrapper.use(() => {
+            });
+
+            expect(ret).to.equal(wrapper);
         });
     });
 
@@ -75,6 +150,39 @@ describe('HandlerWrapper', () => {
             });
         });
 
+        it('should throw an error if the options specify invalid middleware', () => {
+            const error = 'Invalid middleware specified (options.middleware)';
+            const inputs = _testValueProvider.allButArray().filter((value) => !!value);
+            inputs.push(['foo']);
+            inputs.push([() => {
+            }, {}]);
+
+            inputs.forEach((middleware) => {
+                const testCase = () => {
+                    const wrapper = _createWrapper();
+                    wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        middleware
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid event or result schema', () => {
+            ['eventSchema', 'resultSchema'].forEach((prop) => {
+                const error = `Invalid schema specified (options.${prop})`;
+                _testValueProvider.allButObject().filter((value) => value !== undefined).forEach((schema) => {
+                    const testCase = () => {
+                        const wrapper = _createWrapper();
+                        const options = {};
+                        options[prop] = schema;
+                        wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, options);
+                    };
+                    expect(testCase).to.throw(error);
+                });
+            });
+        });
+
         it('should return a function when invoked', () => {
             const wrapper = _createWrapper();
             const handler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
@@ -104,54 +212,100 @@ describe('HandlerWrapper', () => {
 
                 process.env.NODE_ENV = '';
                 _invokeHandler(wrappedHandler, lambdaArgs);
-                expect(process.env.NODE_ENV).to.equal(env);
+                expect(lambdaArgs.handler.args[0][3].env).to.equal(env);
+                expect(process.env.NODE_ENV).to.equal('');
             }
 
             function _invokeHandler(wrappedHandler, lambdaArgs) {
                 _consoleHelper.mute();
                 const context = (new LambdaTestContext(lambdaArgs.contextProps)).context;
-                wrappedHandler(lambdaArgs.event, context, lambdaArgs.callback);
+                const ret = wrappedHandler(lambdaArgs.event, context, lambdaArgs.callback);
                 _consoleHelper.unmute();
+
+                return ret;
             }
 
             beforeEach(() => {
-                //Initialize the config module so that tests don't result in
-                //warning messages.
-                process.env.NODE_ENV = '';
-                require('config');
-
-                _loggerProviderMock = {
-                    configure: _sinon.spy(),
-                    getLogger: () => {
-                    },
-                    _logger: {
-                        trace: _sinon.spy(),
-                        debug: _sinon.spy(),
-                        info: _sinon.spy(),
-                        warn: _sinon.spy(),
-                        error: _sinon.spy(),
-                        fatal: _sinon.spy()
-                    }
-                };
-                _loggerProviderMock.getLogger = _sinon.stub(_loggerProviderMock, 'getLogger', () => {
-                    return _loggerProviderMock._logger;
-                });
-
-                HandlerWrapper.__set__('_loggerProvider', _loggerProviderMock);
+                _loggerProviderMock = _initLoggerProviderMock();
             });
 
-            it('should set the NODE_ENV variable to "na" if the lambda invocation is unqualified', () => {
+            it('should set the environment to "na" if the lambda invocation is unqualified', () => {
                 _testEnv(undefined, 'na');
             });
 
-            it('should set the NODE_ENV variable to "na" if the lambda invocation qualified by the "$LATEST" alias', () => {
+            it('should set the environment to "na" if the lambda invocation qualified by the "$LATEST" alias', () => {
                 _testEnv('$LATEST', 'na');
             });
 
-            it('should set the NODE_ENV variable to the lambda invocation alias value', () => {
+            it('should set the environment to the lambda invocation alias value', () => {
                 ['dev', 'stage', 'qa', 'prod', 'foo', 'bar'].forEach((env) => {
-                    _testEnv('dev');
+                    _testEnv(env);
+                });
+            });
+
+            it('should set the environment to "na" if the lambda invocation is qualified by a numeric version', () => {
+                _testEnv('12', 'na');
+            });
+
+            it('should throw an error if the options specify an invalid environment resolver', () => {
+                const error = 'Invalid environment resolver specified (options.envResolver)';
+                _testValueProvider.allButObject().filter((value) => value !== undefined)
+                    .concat([[]])
+                    .forEach((envResolver) => {
+                        const testCase = () => {
+                            const wrapper = _createWrapper();
+                            wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                envResolver
+                            });
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+            });
+
+            it('should resolve the environment using the specified environment resolver options', () => {
+                const wrapper = _createWrapper();
+                const handler = _sinon.spy();
+                const wrappedHandler = wrapper.wrap(handler, DEFAULT_LAMBDA_NAME, {
+                    envResolver: {
+                        resolvers: ['functionName', 'alias'],
+                        fallback: 'local'
+                    }
+                });
+                const invoke = (contextProps) => {
+                    _consoleHelper.mute();
+                    wrappedHandler({}, new LambdaTestContext(contextProps).context);
+                    _consoleHelper.unmute();
+                    return handler.args[handler.args.length - 1][3].env;
+                };
+
+                expect(invoke({
+                    functionName: 'my-fn-prod',
+                    alias: 'dev'
+                })).to.equal('prod');
+                expect(invoke({
+                    functionName: 'my-fn',
+                    alias: 'dev'
+                })).to.equal('dev');
+                expect(invoke({
+                    functionName: 'my-fn'
+                })).to.equal('local');
+            });
+
+            it('should resolve the environment using the specified environment resolver instance', () => {
+                const wrapper = _createWrapper();
+                const envResolver = new EnvResolver();
+                const resolveMethod = _sinon.stub(envResolver, 'resolve').returns('qa');
+                const lambdaArgs = _initLambdaArgs('dev');
+                const wrappedHandler = wrapper.wrap(lambdaArgs.handler, DEFAULT_LAMBDA_NAME, {
+                    envResolver
                 });
+
+                _invokeHandler(wrappedHandler, lambdaArgs);
+
+                expect(resolveMethod).to.have.been.calledOnce;
+                expect(resolveMethod.args[0][0]).to.equal(lambdaArgs.event);
+                expect(resolveMethod.args[0][1].invokedFunctionArn).to.be.a('string');
+                expect(lambdaArgs.handler.args[0][3].env).to.equal('qa');
             });
 
             it('should configure the logger provider with the correct app name and log level', () => {
@@ -213,7 +367,10 @@ describe('HandlerWrapper', () => {
                 }).context, (err, data) => {
                     try {
                         expect(err).to.be.null;
-                        expect(data).to.be.undefined;
+                        expect(data).to.deep.equal({
+                            keepWarm: true,
+                            isColdStart: true
+                        });
                         done();
                     } catch (ex) {
                         done(ex);
@@ -222,179 +379,3778 @@ describe('HandlerWrapper', () => {
                 _consoleHelper.unmute();
             });
 
-            it('should invoke the handler after configuration is complete', () => {
-                const wrapper = _createWrapper();
-                const lambdaArgs = _initLambdaArgs();
-                const actualHandler = _sinon.spy();
-                const expectedContext = (new LambdaTestContext(lambdaArgs.contextProps)).context;
-                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
-
-                expect(actualHandler).to.not.have.been.called;
-
-                _invokeHandler(wrappedHandler, lambdaArgs);
+            describe('[cold start]', () => {
+                function _invokeWithoutCallback(wrappedHandler) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
 
-                expect(actualHandler).to.have.been.calledOnce;
-                expect(actualHandler.args[0][0]).to.equal(lambdaArgs.event);
-                expect(actualHandler.args[0][1]).to.deep.equal(expectedContext);
-                expect(actualHandler.args[0][2]).to.equal(lambdaArgs.callback);
-            });
+                    return ret;
+                }
 
-            it('should include logger, env and config as an additional argument to the handler', () => {
-                const env = 'foo';
-                const wrapper = _createWrapper();
-                const lambdaArgs = _initLambdaArgs(env);
-                const actualHandler = _sinon.spy();
-                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+                it('should throw an error if the options specify an invalid init hook', () => {
+                    const error = 'Invalid init hook specified (options.init)';
+                    _testValueProvider.allButFunction().filter((value) => value !== undefined)
+                        .forEach((init) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    init
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
 
-                expect(actualHandler).to.not.have.been.called;
+                it('should set isColdStart on the extension object and log props for the first invocation only', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
 
-                _invokeHandler(wrappedHandler, lambdaArgs);
+                    _invokeWithoutCallback(wrappedHandler);
+                    _invokeWithoutCallback(wrappedHandler);
 
-                expect(actualHandler).to.have.been.calledOnce;
-                const execInfo = actualHandler.args[0][3];
-                expect(execInfo).to.be.an('object');
-                expect(execInfo.logger).to.equal(_loggerProviderMock._logger);
-                expect(execInfo.env).to.equal(env);
-                expect(execInfo.config).to.equal(require('config'));
-            });
+                    expect(actualHandler.args[0][3].isColdStart).to.be.true;
+                    expect(actualHandler.args[1][3].isColdStart).to.be.false;
+                    expect(_loggerProviderMock.getLogger.args[0][1].isColdStart).to.be.true;
+                    expect(_loggerProviderMock.getLogger.args[1][1].isColdStart).to.be.false;
+                });
 
-            describe('[special logger methods]', () => {
-                function _invokeAndGetLogger() {
+                it('should track cold starts independently for each wrapped handler', () => {
                     const wrapper = _createWrapper();
-                    const lambdaArgs = _initLambdaArgs();
                     const actualHandler = _sinon.spy();
-                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
 
-                    _invokeHandler(wrappedHandler, lambdaArgs);
-                    return actualHandler.args[0][3].logger;
-                }
+                    _invokeWithoutCallback(wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME));
+                    _invokeWithoutCallback(wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME));
 
-                it('should inject specialized logging methods into the logger object', () => {
-                    const logger = _invokeAndGetLogger();
+                    expect(actualHandler.args[0][3].isColdStart).to.be.true;
+                    expect(actualHandler.args[1][3].isColdStart).to.be.true;
+                });
 
-                    expect(logger.metrics).to.be.a('function');
-                    expect(logger.timespan).to.be.a('function');
+                it('should invoke the init hook once, before the handler, for concurrent invocations', () => {
+                    const wrapper = _createWrapper();
+                    const calls = [];
+                    const init = _sinon.spy(() => {
+                        calls.push('init');
+                        return new Promise((resolve) => setTimeout(resolve, 1));
+                    });
+                    const actualHandler = () => {
+                        calls.push('handler');
+                        return Promise.resolve();
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        init
+                    });
+
+                    return Promise.all([
+                        _invokeWithoutCallback(wrappedHandler),
+                        _invokeWithoutCallback(wrappedHandler)
+                    ]).then(() => _invokeWithoutCallback(wrappedHandler)).then(() => {
+                        expect(init).to.have.been.calledOnce;
+                        expect(calls).to.deep.equal(['init', 'handler', 'handler', 'handler']);
+
+                        const ext = init.args[0][0];
+                        expect(ext.logger).to.equal(_loggerProviderMock._logger);
+                        expect(ext.isColdStart).to.be.true;
+                    });
                 });
 
-                describe('metrics()', () => {
-                    it('should invoke the logger.info method with a metrics description object when invoked', () => {
-                        const logger = _invokeAndGetLogger();
-                        const infoMethod = logger.info;
+                it('should invoke the init hook once for each environment, with the config for that environment', () => {
+                    const wrapper = _createWrapper();
+                    const configs = {
+                        prod: require('config').util.attachProtoDeep({
+                            log: {
+                                level: 'debug'
+                            },
+                            table: 'prod-table'
+                        }),
+                        qa: require('config').util.attachProtoDeep({
+                            log: {
+                                level: 'debug'
+                            },
+                            table: 'qa-table'
+                        })
+                    };
+                    wrapper._configLoader = {
+                        load: (env) => configs[env]
+                    };
+                    const init = _sinon.spy();
+                    const actualHandler = _sinon.stub().returns(Promise.resolve());
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        init
+                    });
+                    const invoke = (alias) => {
+                        _consoleHelper.mute();
+                        const ret = wrappedHandler({}, new LambdaTestContext({
+                            alias
+                        }).context);
+                        _consoleHelper.unmute();
+                        return ret;
+                    };
 
-                        const metric = _shortId.generate();
-                        const value = _shortId.generate();
-                        const props = {
-                            prop1: _shortId.generate(),
-                            prop2: _shortId.generate()
-                        };
-                        infoMethod.reset();
-                        logger.metrics(metric, value, props);
+                    return invoke('prod').then(() => invoke('qa')).then(() => invoke('prod')).then(() => invoke('qa')).then(() => {
+                        expect(init).to.have.been.calledTwice;
+                        expect(init.args[0][0].env).to.equal('prod');
+                        expect(init.args[0][0].config.get('table')).to.equal('prod-table');
+                        expect(init.args[1][0].env).to.equal('qa');
+                        expect(init.args[1][0].config.get('table')).to.equal('qa-table');
+                        expect(actualHandler).to.have.callCount(4);
+                    });
+                });
 
-                        expect(infoMethod).to.have.been.calledOnce;
-                        expect(infoMethod.args[0][0]).to.be.an('object');
-                        expect(infoMethod.args[0][0]).to.deep.equal({
-                            metric,
-                            value,
-                            prop1: props.prop1,
-                            prop2: props.prop2
+                it('should log the time taken by the init hook', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = () => Promise.resolve();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        init: () => Promise.resolve()
+                    });
+                    const infoMethod = _loggerProviderMock._logger.info;
+
+                    return _invokeWithoutCallback(wrappedHandler).then(() => {
+                        const metrics = infoMethod.args.filter((args) => {
+                            return args[0] && args[0].metric === 'INIT_TIME';
                         });
+                        expect(metrics).to.have.length(1);
+                        expect(metrics[0][0].value).to.be.a('number');
                     });
                 });
 
-                describe('timespan()', () => {
-                    it('should invoke the logger.info method with a timespan specific metrics description object when invoked', () => {
-                        const logger = _invokeAndGetLogger();
-                        const infoMethod = logger.info;
+                it('should fail the invocation and retry the init hook on the next invocation if it fails', () => {
+                    const wrapper = _createWrapper();
+                    const init = _sinon.stub();
+                    init.onFirstCall().returns(Promise.reject(new Error('secrets unavailable')));
+                    init.onSecondCall().returns(Promise.resolve());
+                    const actualHandler = _sinon.stub().returns(Promise.resolve('foo'));
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        init
+                    });
 
-                        const metric = _shortId.generate();
-                        const startTime = Date.now();
-                        const props = {
-                            prop1: _shortId.generate(),
-                            prop2: _shortId.generate()
-                        };
-                        infoMethod.reset();
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    return expect(ret).to.be.rejectedWith('[Error] Unhandled error executing lambda. Details: secrets unavailable')
+                        .then(() => {
+                            expect(actualHandler).to.not.have.been.called;
+                            return _invokeWithoutCallback(wrappedHandler);
+                        }).then((result) => {
+                        expect(result).to.equal('foo');
+                        expect(init).to.have.been.calledTwice;
+                    });
+                });
 
-                        const minDelta = Date.now() - startTime;
-                        logger.timespan(metric, startTime, props);
-                        const maxDelta = Date.now() - startTime;
+                it('should not invoke the init hook for keep warm requests', () => {
+                    const wrapper = _createWrapper();
+                    const init = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        init
+                    });
 
-                        expect(infoMethod).to.have.been.calledOnce;
-                        expect(infoMethod.args[0][0]).to.be.an('object');
-                        expect(infoMethod.args[0][0].metric).to.equal(metric);
-                        expect(infoMethod.args[0][0].value).to.be.within(minDelta, maxDelta);
-                        expect(infoMethod.args[0][0].prop1).to.equal(props.prop1);
-                        expect(infoMethod.args[0][0].prop2).to.equal(props.prop2);
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({
+                        __LAMBDA_KEEP_WARM: true
+                    }, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret.then(() => {
+                        expect(init).to.not.have.been.called;
                     });
+                });
+            });
 
-                    it('should use the lambda start time if the startTime parameter is omitted', () => {
-                        const startTime = Date.now();
-                        const logger = _invokeAndGetLogger();
-                        const infoMethod = logger.info;
+            describe('[environment]', () => {
+                const ENV_MAP = {
+                    dev: {
+                        accountId: '111111111111',
+                        region: 'us-east-1'
+                    },
+                    prod: {
+                        isProduction: true
+                    }
+                };
 
-                        const metric = _shortId.generate();
-                        infoMethod.reset();
+                function _invokeWithoutCallback(wrappedHandler, contextProps) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext(contextProps).context);
+                    _consoleHelper.unmute();
 
-                        const minDelta = Date.now() - startTime;
-                        logger.timespan(metric);
-                        const maxDelta = Date.now() - startTime;
+                    return ret;
+                }
 
-                        expect(infoMethod).to.have.been.calledOnce;
-                        expect(infoMethod.args[0][0]).to.be.an('object');
-                        expect(infoMethod.args[0][0].value).to.be.within(minDelta, maxDelta);
+                it('should throw an error if the options specify invalid environment options', () => {
+                    const error = 'Invalid environment options specified (options.environment)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined)
+                        .concat([[]])
+                        .forEach((environment) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    environment
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the options specify an invalid environment map', () => {
+                    const error = 'Invalid environment map specified (options.environment.envMap)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined)
+                        .concat([[]])
+                        .forEach((envMap) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    environment: {
+                                        envMap
+                                    }
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the options specify an invalid separator', () => {
+                    const error = 'Invalid separator specified (options.environment.separator)';
+                    _testValueProvider.allButString().filter((value) => value !== undefined)
+                        .forEach((separator) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    environment: {
+                                        separator
+                                    }
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the environment map or template cannot be used to create environments', () => {
+                    [{
+                        template: '{name|foo}'
+                    }, {
+                        envMap: {
+                            'prod-eu': {
+                                parent: 'prod'
+                            }
+                        }
+                    }, {
+                        envMap: {
+                            dev: {
+                                template: '{name'
+                            }
+                        }
+                    }].forEach((environment) => {
+                        const testCase = () => {
+                            const wrapper = _createWrapper();
+                            wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                environment
+                            });
+                        };
+                        expect(testCase).to.throw(/^Invalid environment options specified \(options\.environment\)\. Details: /);
                     });
                 });
-            });
 
+                it('should pass an Environment object for the resolved environment on the extension object', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
 
-            it('should handle any unhandled exceptions thrown by the handler (error instance thrown)', (done) => {
-                const wrapper = _createWrapper();
-                const handlerErrorMessage = 'Something went wrong!';
-                const expectedErrorMessage = `[Error] Unhandled error executing lambda. Details: ${handlerErrorMessage}`;
+                    _invokeWithoutCallback(wrappedHandler, {
+                        alias: 'prod'
+                    });
 
-                const actualHandler = () => {
-                    throw new Error(handlerErrorMessage);
-                };
-                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+                    const environment = actualHandler.args[0][3].environment;
+                    expect(environment).to.be.an.instanceof(Environment);
+                    expect(environment.env).to.equal('prod');
+                    expect(environment.isValid).to.be.true;
+                    expect(environment.isProduction).to.be.true;
+                });
 
-                _consoleHelper.mute();
-                wrappedHandler({}, new LambdaTestContext({
-                    alias: 'dev'
-                }).context, (err, data) => {
-                    try {
-                        expect(err).to.be.an.instanceOf(Error);
-                        expect(err.message).to.equal(expectedErrorMessage);
-                        done();
-                    } catch (ex) {
-                        done(ex);
-                    }
-                }, {});
-                _consoleHelper.unmute();
-            });
+                it('should create the Environment object using the specified environment options', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        environment: {
+                            envMap: ENV_MAP,
+                            separator: '_',
+                            template: 'app_{env}_{name}'
+                        }
+                    });
 
-            it('should handle any unhandled exceptions thrown by the handler (string errors thrown)', (done) => {
-                const wrapper = _createWrapper();
-                const handlerErrorMessage = 'Something went wrong (not an exception object)!';
-                const expectedErrorMessage = `[Error] Unhandled error executing lambda. Details: ${handlerErrorMessage}`;
+                    _invokeWithoutCallback(wrappedHandler, {
+                        alias: 'dev'
+                    });
 
-                const actualHandler = () => {
-                    throw handlerErrorMessage;
-                };
-                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+                    const environment = actualHandler.args[0][3].environment;
+                    expect(environment.separator).to.equal('_');
+                    expect(environment.getTableArn('users')).to.equal('arn:aws:dynamodb:us-east-1:111111111111:table/app_dev_users');
+                });
 
-                _consoleHelper.mute();
-                wrappedHandler({}, new LambdaTestContext({
-                    alias: 'dev'
-                }).context, (err, data) => {
-                    try {
-                        expect(err).to.be.an.instanceOf(Error);
-                        expect(err.message).to.equal(expectedErrorMessage);
-                        done();
-                    } catch (ex) {
-                        done(ex);
-                    }
-                }, {});
-                _consoleHelper.unmute();
-            });
+                it('should reuse Environment objects across invocations for the same environment', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        environment: {
+                            envMap: ENV_MAP
+                        }
+                    });
+
+                    ['dev', 'prod', 'dev'].forEach((alias) => {
+                        _invokeWithoutCallback(wrappedHandler, {
+                            alias
+                        });
+                    });
+
+                    expect(actualHandler.args[0][3].environment).to.equal(actualHandler.args[2][3].environment);
+                    expect(actualHandler.args[1][3].environment).to.not.equal(actualHandler.args[0][3].environment);
+                    expect(actualHandler.args[1][3].environment.env).to.equal('prod');
+                });
+
+                it('should use the environment map to validate resolved environments if the resolver does not specify one', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        envResolver: {
+                            resolvers: ['alias', 'functionName']
+                        },
+                        environment: {
+                            envMap: ENV_MAP
+                        }
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        alias: 'qa',
+                        functionName: 'my-fn-prod'
+                    });
+
+                    expect(actualHandler.args[0][3].env).to.equal('prod');
+                });
+
+                it('should pass the parsed invoked function ARN on the extension object', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        invokedFunctionArn: 'arn:aws-cn:lambda:cn-north-1:111111111111:function:my-fn:prod'
+                    });
+                    _invokeWithoutCallback(wrappedHandler, {
+                        invokedFunctionArn: 'arn:aws:lambda:us-east-1:111111111111:function:my-fn:12'
+                    });
+
+                    const functionArn = actualHandler.args[0][3].functionArn;
+                    expect(functionArn).to.be.an.instanceof(Arn);
+                    expect(functionArn.partition).to.equal('aws-cn');
+                    expect(functionArn.region).to.equal('cn-north-1');
+                    expect(functionArn.accountId).to.equal('111111111111');
+                    expect(functionArn.resourceId).to.equal('my-fn');
+                    expect(functionArn.alias).to.equal('prod');
+                    expect(functionArn.version).to.be.undefined;
+                    expect(actualHandler.args[0][3].env).to.equal('prod');
+
+                    expect(actualHandler.args[1][3].functionArn.version).to.equal('12');
+                    expect(actualHandler.args[1][3].env).to.equal('na');
+                });
+
+                it('should not pass a function ARN if the context does not have a valid invoked function ARN', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        invokedFunctionArn: 'foo'
+                    });
+
+                    expect(actualHandler.args[0][3].functionArn).to.be.undefined;
+                });
+
+                it('should not reject invocations for invalid environments by default', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        environment: {
+                            envMap: ENV_MAP
+                        }
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, {});
+
+                    expect(actualHandler).to.have.been.calledOnce;
+                    expect(actualHandler.args[0][3].env).to.equal('na');
+                    expect(actualHandler.args[0][3].environment.isValid).to.be.false;
+                });
+
+                it('should reject invocations for invalid environments if the rejectInvalid option is set', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        environment: {
+                            envMap: ENV_MAP,
+                            rejectInvalid: true
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        alias: 'qa'
+                    });
+
+                    expect(actualHandler).to.not.have.been.called;
+                    expect(_loggerProviderMock._logger.error).to.have.been.calledWith('[InternalError] Invalid environment (na)');
+                    return expect(ret).to.be.rejectedWith(_errors.InternalError, '[InternalError] Invalid environment (na)');
+                });
+
+                it('should fail the invocation if the config for the resolved environment cannot be loaded', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const callback = _sinon.spy();
+                    const envResolver = new EnvResolver();
+                    _sinon.stub(envResolver, 'resolve').returns('../etc');
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        envResolver
+                    });
+
+                    _consoleHelper.mute();
+                    let ret = null;
+                    try {
+                        ret = wrappedHandler({}, new LambdaTestContext({
+                            alias: 'dev'
+                        }).context, callback);
+                    } finally {
+                        _consoleHelper.unmute();
+                    }
+
+                    const error = '[Error] Unable to initialize lambda invocation. Details: Invalid environment specified (arg #1)';
+                    return expect(ret).to.be.rejectedWith(error).then(() => {
+                        expect(actualHandler).to.not.have.been.called;
+                        expect(callback).to.have.been.calledOnce;
+                        expect(callback.args[0][0].message).to.equal(error);
+                    });
+                });
+
+                it('should map config load failures to internal error responses for HTTP handlers', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const envResolver = new EnvResolver();
+                    _sinon.stub(envResolver, 'resolve').returns('prod.eu');
+                    const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        envResolver
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        alias: 'dev'
+                    });
+
+                    return expect(ret).to.be.fulfilled.then((response) => {
+                        expect(actualHandler).to.not.have.been.called;
+                        expect(response.statusCode).to.equal(500);
+                        expect(JSON.parse(response.body).type).to.equal('InternalError');
+                    });
+                });
+
+                it('should invoke the handler for valid environments if the rejectInvalid option is set', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        environment: {
+                            envMap: ENV_MAP,
+                            rejectInvalid: true
+                        }
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        alias: 'dev'
+                    });
+
+                    expect(actualHandler).to.have.been.calledOnce;
+                });
+            });
+
+            describe('[correlation]', () => {
+                const FUNCTION_ARN = 'arn:aws:lambda:us-east-1:111111111111:function:my-fn';
+
+                function _invokeWithoutCallback(wrappedHandler, event, contextProps) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event, new LambdaTestContext(contextProps).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should throw an error if the options specify an invalid correlation resolver', () => {
+                    const error = 'Invalid correlation resolver specified (options.correlation)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined)
+                        .concat([[]])
+                        .forEach((correlation) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    correlation
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should add the request id, function version, alias and correlation id to all log entries', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        headers: {
+                            'X-Correlation-Id': 'upstream-id'
+                        }
+                    }, {
+                        awsRequestId: 'request-id',
+                        functionVersion: '12',
+                        invokedFunctionArn: `${FUNCTION_ARN}:prod`
+                    });
+
+                    const loggerPropsArg = _loggerProviderMock.getLogger.args[0][1];
+                    expect(loggerPropsArg.awsRequestId).to.equal('request-id');
+                    expect(loggerPropsArg.functionVersion).to.equal('12');
+                    expect(loggerPropsArg.alias).to.equal('prod');
+                    expect(loggerPropsArg.correlationId).to.equal('upstream-id');
+                    expect(loggerPropsArg.executionId).to.be.a('string').and.to.not.be.empty;
+                });
+
+                it('should not add properties to log entries if they are not available from the context', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME);
+
+                    _consoleHelper.mute();
+                    wrappedHandler({});
+                    _consoleHelper.unmute();
+
+                    const loggerPropsArg = _loggerProviderMock.getLogger.args[0][1];
+                    expect(loggerPropsArg).to.not.have.property('awsRequestId');
+                    expect(loggerPropsArg).to.not.have.property('functionVersion');
+                    expect(loggerPropsArg).to.not.have.property('alias');
+                    expect(loggerPropsArg.correlationId).to.be.a('string').and.to.not.be.empty;
+                });
+
+                it('should pass the correlation id on the extension object', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        correlationId: 'upstream-id'
+                    }, {});
+                    _invokeWithoutCallback(wrappedHandler, {}, {
+                        awsRequestId: 'request-id'
+                    });
+
+                    expect(actualHandler.args[0][3].correlationId).to.equal('upstream-id');
+                    expect(actualHandler.args[1][3].correlationId).to.equal('request-id');
+                });
+
+                it('should resolve the correlation id using the specified correlation resolver options', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        correlation: {
+                            field: 'meta.traceId'
+                        }
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        meta: {
+                            traceId: 'upstream-id'
+                        }
+                    }, {});
+
+                    expect(actualHandler.args[0][3].correlationId).to.equal('upstream-id');
+                });
+
+                it('should resolve the correlation id using the specified correlation resolver instance', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const correlation = new CorrelationResolver();
+                    const resolveMethod = _sinon.stub(correlation, 'resolve').returns('custom-id');
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        correlation
+                    });
+                    const event = {};
+
+                    _invokeWithoutCallback(wrappedHandler, event, {});
+
+                    expect(resolveMethod).to.have.been.calledOnce;
+                    expect(resolveMethod.args[0][0]).to.equal(event);
+                    expect(actualHandler.args[0][3].correlationId).to.equal('custom-id');
+                    expect(_loggerProviderMock.getLogger.args[0][1].correlationId).to.equal('custom-id');
+                });
+            });
+
+            describe('[log level]', () => {
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should throw an error if the options specify an invalid log level resolver', () => {
+                    const error = 'Invalid log level resolver specified (options.logLevel)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined)
+                        .concat([[]])
+                        .forEach((logLevel) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    logLevel
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the options specify invalid log level resolver options', () => {
+                    const testCase = () => {
+                        const wrapper = _createWrapper();
+                        wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                            logLevel: {
+                                sampleRate: 2
+                            }
+                        });
+                    };
+                    expect(testCase).to.throw('Invalid sample rate specified (options.sampleRate)');
+                });
+
+                it('should apply the configured level to the logger, and include it in all log entries', () => {
+                    const config = require('config');
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {});
+
+                    const level = config.get('log.level');
+                    expect(_loggerProviderMock._logger.level).to.have.been.calledWithExactly(level);
+                    expect(_loggerProviderMock.getLogger.args[0][1].logLevel).to.equal(level);
+                });
+
+                it('should not raise the log level if requested by the event, by default', () => {
+                    const config = require('config');
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        headers: {
+                            'X-Log-Level': 'trace'
+                        },
+                        logLevel: 'trace'
+                    });
+
+                    expect(_loggerProviderMock._logger.level).to.have.been.calledWithExactly(config.get('log.level'));
+                    expect(_loggerProviderMock.getLogger.args[0][1].logLevel).to.equal(config.get('log.level'));
+                });
+
+                it('should raise the log level for a single invocation if requested by the event', () => {
+                    const config = require('config');
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME, {
+                        logLevel: {
+                            header: true
+                        }
+                    });
+                    const levelMethod = _loggerProviderMock._logger.level;
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        headers: {
+                            'X-Log-Level': 'trace'
+                        }
+                    });
+                    _invokeWithoutCallback(wrappedHandler, {});
+
+                    expect(_loggerProviderMock.configure.args[0][0].logLevel).to.equal(config.get('log.level'));
+                    expect(levelMethod.args[0][0]).to.equal('trace');
+                    expect(_loggerProviderMock.getLogger.args[0][1].logLevel).to.equal('trace');
+                    expect(levelMethod.args[1][0]).to.equal(config.get('log.level'));
+                    expect(_loggerProviderMock.getLogger.args[1][1].logLevel).to.equal(config.get('log.level'));
+                });
+
+                it('should apply the sample level to sampled invocations', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME, {
+                        logLevel: {
+                            sampleRate: 0.5,
+                            sampleLevel: 'trace'
+                        }
+                    });
+                    const randomMethod = _sinon.stub(Math, 'random').returns(0.1);
+
+                    try {
+                        _invokeWithoutCallback(wrappedHandler, {});
+                    } finally {
+                        randomMethod.restore();
+                    }
+
+                    expect(_loggerProviderMock._logger.level).to.have.been.calledWithExactly('trace');
+                    expect(_loggerProviderMock.getLogger.args[0][1].logLevel).to.equal('trace');
+                });
+
+                it('should use the log level resolver if one is specified', () => {
+                    const resolver = new LogLevelResolver();
+                    const resolveMethod = _sinon.stub(resolver, 'resolve').returns('warn');
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(_sinon.spy(), DEFAULT_LAMBDA_NAME, {
+                        logLevel: resolver
+                    });
+                    const event = {};
+
+                    _invokeWithoutCallback(wrappedHandler, event);
+
+                    expect(resolveMethod).to.have.been.calledOnce;
+                    expect(resolveMethod.args[0][0]).to.equal(event);
+                    expect(resolveMethod.args[0][1]).to.equal(require('config').get('log.level'));
+                    expect(_loggerProviderMock._logger.level).to.have.been.calledWithExactly('warn');
+                });
+            });
+
+            describe('[redaction]', () => {
+                function _createConfigWrapper(redact) {
+                    const wrapper = _createWrapper();
+                    const config = require('config').util.attachProtoDeep({
+                        log: {
+                            level: 'debug',
+                            redact
+                        }
+                    });
+                    wrapper._configLoader = {
+                        load: () => config
+                    };
+                    return wrapper;
+                }
+
+                function _useBunyanLogger() {
+                    const write = _sinon.spy();
+                    const rootLogger = _bunyan.createLogger({
+                        name: DEFAULT_APP_NAME,
+                        streams: [{
+                            type: 'raw',
+                            level: 'trace',
+                            stream: {
+                                write
+                            }
+                        }]
+                    });
+                    _loggerProviderMock.getLogger = (name, props) => rootLogger.child(props);
+                    return write;
+                }
+
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event || {}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should mask credential keys in log entries by default', () => {
+                    const write = _useBunyanLogger();
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        ext.logger.info({
+                            headers: {
+                                Authorization: 'Bearer abc'
+                            },
+                            user: 'jdoe'
+                        }, 'Request received');
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const record = write.args.map((args) => args[0])
+                            .find((entry) => entry.msg === 'Request received');
+                        expect(record.headers.Authorization).to.equal('[REDACTED]');
+                        expect(record.user).to.equal('jdoe');
+                        expect(record.env).to.equal('dev');
+                    });
+                });
+
+                it('should apply the redaction rules from the configuration to all log entries', () => {
+                    const write = _useBunyanLogger();
+                    const wrapper = _createConfigWrapper({
+                        keys: ['ssn'],
+                        patterns: ['email'],
+                        mask: '***'
+                    });
+                    const wrappedHandler = wrapper.wrapRecords((record, ext) => {
+                        ext.logger.debug({
+                            ssn: '123-45-6789'
+                        }, 'Processing order for jdoe@example.com');
+                        throw new Error('Unable to notify jdoe@example.com');
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        Records: [{
+                            eventSource: 'aws:sqs',
+                            messageId: '1',
+                            body: '{}'
+                        }]
+                    });
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const records = write.args.map((args) => args[0]);
+                        const debugRecord = records.find((entry) => entry.level === _bunyan.DEBUG);
+                        expect(debugRecord.ssn).to.equal('***');
+                        expect(debugRecord.msg).to.equal('Processing order for ***');
+                        expect(debugRecord.recordId).to.equal('1');
+
+                        const errorRecord = records.find((entry) => entry.level === _bunyan.ERROR);
+                        expect(errorRecord.err.message).to.equal('Unable to notify ***');
+                        expect(errorRecord.err.stack).to.not.contain('jdoe@example.com');
+                    });
+                });
+
+                it('should write redacted entries to streams that expect serialized records', () => {
+                    const write = _sinon.spy();
+                    const rootLogger = _bunyan.createLogger({
+                        name: DEFAULT_APP_NAME,
+                        streams: [{
+                            level: 'trace',
+                            stream: {
+                                write
+                            }
+                        }]
+                    });
+                    _loggerProviderMock.getLogger = (name, props) => rootLogger.child(props);
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        ext.logger.info({
+                            password: 'p@ss'
+                        }, 'Logging in');
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const line = write.args.map((args) => args[0])
+                            .find((entry) => entry.indexOf('Logging in') >= 0);
+                        expect(line).to.be.a('string').and.to.match(/\n$/);
+                        expect(JSON.parse(line).password).to.equal('[REDACTED]');
+                    });
+                });
+
+                it('should redact and serialize entries from nested child loggers exactly once', () => {
+                    const write = _sinon.spy();
+                    const rootLogger = _bunyan.createLogger({
+                        name: DEFAULT_APP_NAME,
+                        streams: [{
+                            level: 'trace',
+                            stream: {
+                                write
+                            }
+                        }]
+                    });
+                    _loggerProviderMock.getLogger = (name, props) => rootLogger.child(props);
+                    const redactMethod = _sinon.spy(Redactor.prototype, 'redact');
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        const childLogger = ext.logger.child({
+                            component: 'auth'
+                        });
+                        const nestedLogger = childLogger.child({
+                            step: 'login'
+                        }, true);
+                        nestedLogger.info({
+                            password: 'p@ss'
+                        }, 'First attempt');
+                        nestedLogger.info({
+                            password: 'p@ss'
+                        }, 'Second attempt');
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    let ret = null;
+                    try {
+                        ret = _invokeWithoutCallback(wrappedHandler);
+                    } finally {
+                        redactMethod.restore();
+                    }
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const lines = write.args.map((args) => args[0])
+                            .filter((entry) => entry.indexOf('attempt') >= 0);
+                        expect(lines).to.have.length(2);
+                        lines.forEach((line, index) => {
+                            expect(line).to.be.a('string').and.to.match(/^[^\n]+\n$/);
+
+                            const record = JSON.parse(line);
+                            expect(record.msg).to.equal(index === 0 ? 'First attempt' : 'Second attempt');
+                            expect(record.password).to.equal('[REDACTED]');
+                            expect(record.component).to.equal('auth');
+                            expect(record.step).to.equal('login');
+                        });
+                        const redacted = redactMethod.args.map((args) => args[0])
+                            .filter((record) => record && typeof record.msg === 'string' &&
+                                record.msg.indexOf('attempt') >= 0);
+                        expect(redacted).to.have.length(2);
+                    });
+                });
+
+                it('should not modify the streams of the parent logger', () => {
+                    const write = _useBunyanLogger();
+                    let rootStreams = null;
+                    _loggerProviderMock.getLogger = ((getLogger) => (name, props) => {
+                        const logger = getLogger(name, props);
+                        rootStreams = logger.streams;
+                        return logger;
+                    })(_loggerProviderMock.getLogger);
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        ext.logger.info({
+                            password: 'p@ss'
+                        }, 'Logging in');
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler)
+                        .then(() => _invokeWithoutCallback(wrappedHandler));
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        expect(rootStreams).to.have.length(1);
+                        expect(rootStreams[0].stream.write).to.equal(write);
+
+                        const records = write.args.map((args) => args[0])
+                            .filter((entry) => entry.msg === 'Logging in');
+                        expect(records).to.have.length(2);
+                        records.forEach((record) => {
+                            expect(record.password).to.equal('[REDACTED]');
+                        });
+                    });
+                });
+
+                it('should not redact log entries if redaction has been disabled', () => {
+                    const write = _useBunyanLogger();
+                    const wrapper = _createConfigWrapper(false);
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        ext.logger.info({
+                            password: 'p@ss'
+                        }, 'Logging in');
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const record = write.args.map((args) => args[0])
+                            .find((entry) => entry.msg === 'Logging in');
+                        expect(record.password).to.equal('p@ss');
+                    });
+                });
+
+                it('should fail the invocation without invoking the handler if the redaction rules are not valid', () => {
+                    const actualHandler = _sinon.spy();
+                    const wrapper = _createConfigWrapper({
+                        keys: 'password'
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+                    const logger = _loggerProviderMock._logger;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejected.then((error) => {
+                        expect(error).to.be.an.instanceof(_errors.InternalError);
+                        expect(error.message).to.equal('[InternalError] Invalid redaction options specified (log.redact). Details: Invalid keys specified (options.keys)');
+                        expect(logger.error).to.have.been.calledWith(error.message);
+                        expect(actualHandler).to.not.have.been.called;
+                    });
+                });
+            });
+
+            describe('[config validation]', () => {
+                const CONFIG_SCHEMA = {
+                    type: 'object',
+                    required: ['log', 'table'],
+                    properties: {
+                        table: {
+                            type: 'string'
+                        },
+                        retries: {
+                            type: 'number',
+                            default: 3
+                        }
+                    }
+                };
+
+                function _createConfigWrapper(data) {
+                    const wrapper = _createWrapper();
+                    const configLoader = {
+                        load: _sinon.spy(() => config)
+                    };
+                    const config = require('config').util.attachProtoDeep(Object.assign({
+                        log: {
+                            level: 'debug'
+                        }
+                    }, data));
+                    wrapper._configLoader = configLoader;
+                    return wrapper;
+                }
+
+                function _invokeWithoutCallback(wrappedHandler) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should throw an error if the options specify an invalid config schema', () => {
+                    const error = 'Invalid schema specified (options.configSchema)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined)
+                        .concat([[]])
+                        .forEach((configSchema) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    configSchema
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should pass the config with defaults applied to the handler if it is valid', () => {
+                    const wrapper = _createConfigWrapper({
+                        table: 'foo'
+                    });
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        configSchema: CONFIG_SCHEMA
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler);
+
+                    expect(actualHandler).to.have.been.calledOnce;
+                    const config = actualHandler.args[0][3].config;
+                    expect(config.get('table')).to.equal('foo');
+                    expect(config.get('retries')).to.equal(3);
+                });
+
+                it('should fail the invocation, and log every invalid key if the config is not valid', () => {
+                    const wrapper = _createConfigWrapper({
+                        retries: 'foo'
+                    });
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        configSchema: CONFIG_SCHEMA
+                    });
+                    const logger = _loggerProviderMock._logger;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    return expect(ret).to.be.rejected.then((error) => {
+                        expect(error).to.be.an.instanceof(_errors.InternalError);
+                        expect(error.message).to.equal('[InternalError] Config failed schema validation');
+                        expect(error.details).to.be.undefined;
+                        expect(actualHandler).to.not.have.been.called;
+                        expect(logger.error).to.have.been.calledOnce;
+                        expect(logger.error.args[0][0]).to.deep.equal({
+                            errors: [{
+                                path: '/table',
+                                message: 'is required'
+                            }, {
+                                path: '/retries',
+                                message: 'should be number'
+                            }]
+                        });
+                        expect(logger.error.args[0][1]).to.match(/^\[ValidationError\] Config failed schema validation/);
+                    });
+                });
+
+                it('should pass validation errors to the callback if one was specified', () => {
+                    const wrapper = _createConfigWrapper({});
+                    const callback = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        configSchema: CONFIG_SCHEMA
+                    });
+
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context, callback);
+                    _consoleHelper.unmute();
+
+                    return expect(ret).to.be.rejected.then(() => {
+                        expect(callback).to.have.been.calledOnce;
+                        expect(callback.args[0][0]).to.be.an.instanceof(_errors.InternalError);
+                    });
+                });
+
+                it('should return a 500 response without the invalid keys from HTTP handlers', () => {
+                    const wrapper = _createConfigWrapper({});
+                    const wrappedHandler = wrapper.wrapHttp(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        configSchema: CONFIG_SCHEMA
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    return expect(ret).to.be.fulfilled.then((response) => {
+                        expect(response.statusCode).to.equal(500);
+                        expect(JSON.parse(response.body)).to.deep.equal({
+                            type: 'InternalError',
+                            message: 'Config failed schema validation'
+                        });
+                    });
+                });
+
+                it('should validate the config after resolving references', () => {
+                    const wrapper = _createConfigWrapper({
+                        table: 'secret:app/db#table'
+                    });
+                    const actualHandler = _sinon.spy((event, context, callback, ext) => {
+                        return Promise.resolve(ext.config.get('table'));
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        configSchema: {
+                            type: 'object',
+                            properties: {
+                                table: {
+                                    type: 'string',
+                                    pattern: '^[a-z]+$'
+                                },
+                                retries: {
+                                    type: 'number',
+                                    default: 3
+                                }
+                            }
+                        },
+                        secrets: {
+                            providers: {
+                                secret: () => '{"table":"orders"}'
+                            }
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    return expect(ret).to.eventually.equal('orders').then(() => {
+                        const config = actualHandler.args[0][3].config;
+                        expect(config.get('retries')).to.equal(3);
+                    });
+                });
+
+                it('should fail the invocation if the resolved config is not valid', () => {
+                    const wrapper = _createConfigWrapper({
+                        table: 'secret:app/db#table'
+                    });
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        configSchema: CONFIG_SCHEMA,
+                        secrets: {
+                            providers: {
+                                secret: () => '{"table":1}'
+                            }
+                        }
+                    });
+                    const logger = _loggerProviderMock._logger;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    return expect(ret).to.be.rejectedWith(_errors.InternalError,
+                        '[InternalError] Config failed schema validation').then(() => {
+                        expect(actualHandler).to.not.have.been.called;
+                        expect(logger.error.args[0][0]).to.deep.equal({
+                            errors: [{
+                                path: '/table',
+                                message: 'should be string'
+                            }]
+                        });
+                    });
+                });
+
+                it('should validate the config only once per environment', () => {
+                    const wrapper = _createConfigWrapper({
+                        table: 'foo'
+                    });
+                    const actualHandler = _sinon.spy();
+                    const validateMethod = _sinon.spy(SchemaValidator.prototype, 'validate');
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        configSchema: CONFIG_SCHEMA
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler);
+                    _invokeWithoutCallback(wrappedHandler);
+                    validateMethod.restore();
+
+                    expect(actualHandler).to.have.been.calledTwice;
+                    expect(validateMethod).to.have.been.calledOnce;
+                });
+            });
+
+            describe('[secrets]', () => {
+                function _createSecretWrapper() {
+                    const wrapper = _createWrapper();
+                    const config = require('config').util.attachProtoDeep({
+                        log: {
+                            level: 'debug'
+                        },
+                        db: {
+                            password: 'secret:app/db#password'
+                        }
+                    });
+                    wrapper._configLoader = {
+                        load: () => config
+                    };
+                    return wrapper;
+                }
+
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event || {}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should throw an error if the options specify an invalid secret resolver', () => {
+                    const error = 'Invalid secret resolver specified (options.secrets)';
+                    _testValueProvider.allButObject().filter((value) => typeof value !== 'boolean' && value !== undefined)
+                        .concat([[]])
+                        .forEach((secrets) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    secrets
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should pass the original config to the handler if it does not contain references', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler);
+
+                    expect(actualHandler).to.have.been.calledOnce;
+                    expect(actualHandler.args[0][3].config).to.equal(wrapper._configLoader.load('dev'));
+                });
+
+                it('should resolve references in the config before invoking the init hook and handler', () => {
+                    const wrapper = _createSecretWrapper();
+                    const secret = _sinon.stub().returns('{"password":"p@ss"}');
+                    const init = _sinon.spy((ext) => {
+                        expect(ext.config.get('db.password')).to.equal('p@ss');
+                    });
+                    const actualHandler = _sinon.spy((event, context, callback, ext) => {
+                        return Promise.resolve(ext.config.get('db.password'));
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        init,
+                        secrets: {
+                            providers: {
+                                secret
+                            }
+                        }
+                    });
+
+                    return _invokeWithoutCallback(wrappedHandler).then((result) => {
+                        expect(result).to.equal('p@ss');
+                        expect(init).to.have.been.calledOnce;
+                        return _invokeWithoutCallback(wrappedHandler);
+                    }).then((result) => {
+                        expect(result).to.equal('p@ss');
+                        expect(secret).to.have.been.calledOnce;
+                        expect(secret).to.have.been.calledWithExactly('app/db');
+                    });
+                });
+
+                it('should resolve references using the specified secret resolver instance', () => {
+                    const wrapper = _createSecretWrapper();
+                    const secrets = new SecretResolver({
+                        providers: {
+                            secret: () => '{"password":"p@ss"}'
+                        }
+                    });
+                    const resolveMethod = _sinon.spy(secrets, 'resolve');
+                    const onWarm = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        secrets,
+                        keepWarm: {
+                            onWarm
+                        }
+                    });
+
+                    return _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    }).then(() => {
+                        expect(resolveMethod).to.have.been.calledOnce;
+                        expect(onWarm.args[0][0].config.get('db.password')).to.equal('p@ss');
+                    });
+                });
+
+                it('should fail the invocation if references cannot be resolved', () => {
+                    const wrapper = _createSecretWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        secrets: {
+                            providers: {
+                                secret: () => Promise.reject(new Error('access denied'))
+                            }
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    return expect(ret).to.be.rejectedWith('[Error] Unhandled error executing lambda. Details: access denied')
+                        .then(() => {
+                            expect(actualHandler).to.not.have.been.called;
+                        });
+                });
+
+                it('should not resolve references if secret resolution is not enabled', () => {
+                    [undefined, false].forEach((secrets) => {
+                        const wrapper = _createSecretWrapper();
+                        const actualHandler = _sinon.spy();
+                        const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                            secrets
+                        });
+
+                        _invokeWithoutCallback(wrappedHandler);
+
+                        expect(actualHandler).to.have.been.calledOnce;
+                        expect(actualHandler.args[0][3].config.get('db.password')).to.equal('secret:app/db#password');
+                    });
+                });
+
+                it('should resolve references using the default providers if secret resolution is enabled', () => {
+                    const wrapper = _createWrapper();
+                    const config = require('config').util.attachProtoDeep({
+                        log: {
+                            level: 'debug'
+                        },
+                        db: {
+                            password: 'env:__HANDLER_WRAPPER_TEST_VAR'
+                        }
+                    });
+                    wrapper._configLoader = {
+                        load: () => config
+                    };
+                    const actualHandler = (event, context, callback, ext) => {
+                        return Promise.resolve(ext.config.get('db.password'));
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        secrets: true
+                    });
+
+                    process.env.__HANDLER_WRAPPER_TEST_VAR = 'p@ss';
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+                    delete process.env.__HANDLER_WRAPPER_TEST_VAR;
+
+                    return expect(ret).to.eventually.equal('p@ss');
+                });
+            });
+
+            describe('[timeout guard]', () => {
+                function _invokeWithoutCallback(wrappedHandler, remainingTime, event) {
+                    const contextInfo = {
+                        alias: 'dev'
+                    };
+                    if (remainingTime !== undefined) {
+                        contextInfo.getRemainingTimeInMillis = () => remainingTime;
+                    }
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event || {}, new LambdaTestContext(contextInfo).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should throw an error if the options specify invalid timeout options', () => {
+                    const error = 'Invalid timeout options specified (options.timeout)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined && value !== false)
+                        .concat([[]])
+                        .forEach((timeout) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    timeout
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the options specify an invalid timeout margin', () => {
+                    const error = 'Invalid timeout margin specified (options.timeout.margin)';
+                    _testValueProvider.allButNumber().filter((value) => value !== undefined)
+                        .concat([NaN, -1])
+                        .forEach((margin) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    timeout: {
+                                        margin
+                                    }
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the options specify an invalid timeout hook', () => {
+                    const error = 'Invalid timeout hook specified (options.timeout.onTimeout)';
+                    _testValueProvider.allButFunction().filter((value) => value !== undefined)
+                        .forEach((onTimeout) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    timeout: {
+                                        onTimeout
+                                    }
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should expose a deadline bound to the lambda timeout on the extension object', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    const startTime = Date.now();
+                    _invokeWithoutCallback(wrappedHandler, 10000);
+                    const endTime = Date.now();
+
+                    const deadline = actualHandler.args[0][3].deadline;
+                    expect(deadline).to.be.an.instanceof(Deadline);
+                    expect(deadline.aborted).to.be.false;
+                    expect(deadline.expiresAt).to.be.at.least(startTime + 10000);
+                    expect(deadline.expiresAt).to.be.at.most(endTime + 10000);
+                });
+
+                it('should expose a deadline that never expires if the context does not report the remaining time', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler);
+
+                    const deadline = actualHandler.args[0][3].deadline;
+                    expect(deadline).to.be.an.instanceof(Deadline);
+                    expect(deadline.expiresAt).to.equal(Infinity);
+                });
+
+                it('should resolve with the handler result if the handler completes before the timeout', () => {
+                    const wrapper = _createWrapper();
+                    const onTimeout = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(() => Promise.resolve('foo'), DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 100,
+                            onTimeout
+                        }
+                    });
+
+                    return _invokeWithoutCallback(wrappedHandler, 10000).then((result) => {
+                        expect(result).to.equal('foo');
+                        expect(onTimeout).to.not.have.been.called;
+                    });
+                });
+
+                it('should reject with the handler error if the handler fails before the timeout', () => {
+                    const wrapper = _createWrapper();
+                    const error = new _errors.NotFoundError();
+                    const wrappedHandler = wrapper.wrap(() => Promise.reject(error), DEFAULT_LAMBDA_NAME, {
+                        timeout: {}
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, 10000);
+                    return expect(ret).to.be.rejectedWith(error);
+                });
+
+                it('should fail with a timeout error if the handler does not complete before the margin', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 40
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, 50);
+                    return expect(ret).to.be.rejected.then((error) => {
+                        expect(error).to.be.an.instanceof(_errors.TimeoutError);
+                        expect(error.message).to.equal('[TimeoutError] Lambda execution timed out');
+                        expect(error.statusCode).to.equal(504);
+                    });
+                });
+
+                it('should log a timeout warning with the in-flight state of the invocation', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 40
+                        }
+                    });
+                    const logger = _loggerProviderMock._logger;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, 50);
+                    return expect(ret).to.be.rejected.then((error) => {
+                        expect(logger.warn).to.have.been.calledOnce;
+                        const details = logger.warn.args[0][0];
+                        expect(logger.warn.args[0][1]).to.equal('Lambda handler is about to time out');
+                        expect(details.phase).to.equal('handler');
+                        expect(details.margin).to.equal(40);
+                        expect(details.remainingTime).to.be.a('number');
+                        expect(error.details).to.deep.equal(details);
+
+                        const metrics = logger.info.args.filter((args) => {
+                            return args[0] && args[0].metric === 'EXECUTION_TIME';
+                        });
+                        expect(metrics).to.have.length(1);
+                    });
+                });
+
+                it('should report the init phase if the init hook does not complete before the margin', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        init: () => new Promise(() => undefined),
+                        timeout: {
+                            margin: 40
+                        }
+                    });
+                    const logger = _loggerProviderMock._logger;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, 50);
+                    return expect(ret).to.be.rejected.then(() => {
+                        expect(logger.warn.args[0][0].phase).to.equal('init');
+                    });
+                });
+
+                it('should abort the deadline and invoke the timeout hook before failing', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const onTimeout = _sinon.spy((ext, error) => {
+                        expect(ext.deadline.aborted).to.be.true;
+                        expect(ext.deadline.reason).to.equal(error);
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 40,
+                            onTimeout
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, 50);
+                    return expect(ret).to.be.rejected.then((error) => {
+                        expect(onTimeout).to.have.been.calledOnce;
+                        expect(onTimeout.args[0][0]).to.equal(actualHandler.args[0][3]);
+                        expect(onTimeout.args[0][1]).to.equal(error);
+                    });
+                });
+
+                it('should log errors thrown by the timeout hook, and fail with a timeout error', () => {
+                    const wrapper = _createWrapper();
+                    const hookError = new Error('something went wrong');
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 40,
+                            onTimeout: () => Promise.reject(hookError)
+                        }
+                    });
+                    const logger = _loggerProviderMock._logger;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, 50);
+                    return expect(ret).to.be.rejectedWith(_errors.TimeoutError).then(() => {
+                        expect(logger.error).to.have.been.calledWith(hookError, 'Error executing timeout hook');
+                    });
+                });
+
+                it('should ignore results produced by the handler after the timeout', () => {
+                    const wrapper = _createWrapper();
+                    const callback = _sinon.spy();
+                    let complete = null;
+                    const wrappedHandler = wrapper.wrap((event, context, cb) => {
+                        complete = cb;
+                    }, DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 40
+                        }
+                    });
+
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev',
+                        getRemainingTimeInMillis: () => 50
+                    }).context, callback);
+                    _consoleHelper.unmute();
+
+                    return expect(ret).to.be.rejectedWith(_errors.TimeoutError).then(() => {
+                        complete(null, 'foo');
+                        return new Promise((resolve) => setTimeout(resolve, 1));
+                    }).then(() => {
+                        expect(callback).to.have.been.calledOnce;
+                        expect(callback.args[0][0]).to.be.an.instanceof(_errors.TimeoutError);
+                    });
+                });
+
+                it('should not guard the handler if the context does not report the remaining time', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(() => {
+                        return new Promise((resolve) => setTimeout(() => resolve('foo'), 20));
+                    }, DEFAULT_LAMBDA_NAME, {
+                        timeout: {
+                            margin: 40
+                        }
+                    });
+
+                    return expect(_invokeWithoutCallback(wrappedHandler)).to.eventually.equal('foo');
+                });
+
+                it('should not guard the handler if the timeout guard is not enabled', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(() => {
+                        return new Promise((resolve) => setTimeout(() => resolve('foo'), 20));
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    return expect(_invokeWithoutCallback(wrappedHandler, 10)).to.eventually.equal('foo');
+                });
+            });
+
+            describe('[keep warm]', () => {
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should throw an error if the options specify invalid keep warm options', () => {
+                    const error = 'Invalid keep warm options specified (options.keepWarm)';
+                    _testValueProvider.allButObject().filter((value) => value !== undefined)
+                        .concat(true)
+                        .forEach((keepWarm) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    keepWarm
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should throw an error if the options specify an invalid warm up hook', () => {
+                    const error = 'Invalid warm up hook specified (options.keepWarm.onWarm)';
+                    _testValueProvider.allButFunction().filter((value) => value !== undefined)
+                        .forEach((onWarm) => {
+                            const testCase = () => {
+                                const wrapper = _createWrapper();
+                                wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                    keepWarm: {
+                                        onWarm
+                                    }
+                                });
+                            };
+                            expect(testCase).to.throw(error);
+                        });
+                });
+
+                it('should report whether or not the keep warm request was served by a cold container', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+                    const event = {
+                        __LAMBDA_KEEP_WARM: true
+                    };
+
+                    return _invokeWithoutCallback(wrappedHandler, event).then((result) => {
+                        expect(result.isColdStart).to.be.true;
+                        return _invokeWithoutCallback(wrappedHandler, event);
+                    }).then((result) => {
+                        expect(result.isColdStart).to.be.false;
+                    });
+                });
+
+                it('should use the keep warm options to detect keep warm requests', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        keepWarm: {
+                            flag: 'warmer',
+                            warmupPlugin: true
+                        }
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        warmer: true
+                    });
+                    _invokeWithoutCallback(wrappedHandler, {
+                        source: 'serverless-plugin-warmup'
+                    });
+                    expect(actualHandler).to.not.have.been.called;
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    });
+                    expect(actualHandler).to.have.been.calledOnce;
+                });
+
+                it('should invoke the handler for keep warm requests if keep warm detection is disabled', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        keepWarm: false
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    });
+
+                    expect(actualHandler).to.have.been.calledOnce;
+                });
+
+                it('should invoke the warm up hook with the extension object on keep warm requests', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const onWarm = _sinon.stub().returns(Promise.resolve());
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        keepWarm: {
+                            onWarm
+                        }
+                    });
+
+                    return _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    }).then((result) => {
+                        expect(actualHandler).to.not.have.been.called;
+                        expect(onWarm).to.have.been.calledOnce;
+
+                        const ext = onWarm.args[0][0];
+                        expect(ext.logger).to.equal(_loggerProviderMock._logger);
+                        expect(ext.env).to.equal('dev');
+                        expect(ext.config).to.deep.equal(new ConfigLoader().load('dev'));
+                        expect(result).to.deep.equal({
+                            keepWarm: true,
+                            isColdStart: true
+                        });
+                    });
+                });
+
+                it('should log errors from the warm up hook without failing the request', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        keepWarm: {
+                            onWarm: () => Promise.reject(new Error('something went wrong'))
+                        }
+                    });
+
+                    return _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    }).then((result) => {
+                        expect(_loggerProviderMock._logger.error).to.have.been.calledOnce;
+                        expect(result.keepWarm).to.be.true;
+                    });
+                });
+
+                it('should log the execution time after the warm up hook completes', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+                    const infoMethod = _loggerProviderMock._logger.info;
+
+                    return _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    }).then(() => {
+                        const metrics = infoMethod.args.filter((args) => {
+                            return args[0] && args[0].metric === 'EXECUTION_TIME';
+                        });
+                        expect(metrics).to.have.length(1);
+                    });
+                });
+            });
+
+            it('should invoke the handler after configuration is complete', () => {
+                const wrapper = _createWrapper();
+                const lambdaArgs = _initLambdaArgs();
+                const actualHandler = _sinon.spy();
+                const expectedContext = (new LambdaTestContext(lambdaArgs.contextProps)).context;
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                expect(actualHandler).to.not.have.been.called;
+
+                _invokeHandler(wrappedHandler, lambdaArgs);
+
+                expect(actualHandler).to.have.been.calledOnce;
+                expect(actualHandler.args[0][0]).to.equal(lambdaArgs.event);
+                expect(actualHandler.args[0][1]).to.deep.equal(expectedContext);
+                expect(actualHandler.args[0][2]).to.be.a('function');
+            });
+
+            it('should invoke the lambda callback when the handler invokes the callback', () => {
+                const wrapper = _createWrapper();
+                const lambdaArgs = _initLambdaArgs();
+                const actualHandler = _sinon.spy();
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+                const data = {
+                    foo: _shortId.generate()
+                };
+
+                const ret = _invokeHandler(wrappedHandler, lambdaArgs);
+
+                expect(lambdaArgs.callback).to.not.have.been.called;
+                actualHandler.args[0][2](null, data);
+
+                return ret.then(() => {
+                    expect(lambdaArgs.callback).to.have.been.calledOnce;
+                    expect(lambdaArgs.callback).to.have.been.calledWithExactly(null, data);
+                });
+            });
+
+            it('should ignore any callback invocations after the first one', () => {
+                const wrapper = _createWrapper();
+                const lambdaArgs = _initLambdaArgs();
+                const actualHandler = _sinon.spy();
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                const ret = _invokeHandler(wrappedHandler, lambdaArgs);
+
+                const callback = actualHandler.args[0][2];
+                callback(null, 'foo');
+                callback(new Error('something went wrong'));
+                callback(null, 'bar');
+
+                return ret.then(() => {
+                    expect(lambdaArgs.callback).to.have.been.calledOnce;
+                    expect(lambdaArgs.callback).to.have.been.calledWithExactly(null, 'foo');
+                });
+            });
+
+            it('should return a promise when the wrapped handler is invoked', () => {
+                const wrapper = _createWrapper();
+                const lambdaArgs = _initLambdaArgs();
+                const wrappedHandler = wrapper.wrap(lambdaArgs.handler, DEFAULT_LAMBDA_NAME);
+
+                _consoleHelper.mute();
+                const context = (new LambdaTestContext(lambdaArgs.contextProps)).context;
+                const ret = wrappedHandler(lambdaArgs.event, context, lambdaArgs.callback);
+                _consoleHelper.unmute();
+
+                expect(ret).to.be.an.instanceof(Promise);
+            });
+
+            describe('[promise handlers]', () => {
+                function _invokeWithoutCallback(wrappedHandler) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should invoke the lambda callback with the resolved value if the handler returns a promise', (done) => {
+                    const wrapper = _createWrapper();
+                    const data = {
+                        foo: _shortId.generate()
+                    };
+                    const actualHandler = () => {
+                        return Promise.resolve(data);
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _consoleHelper.mute();
+                    wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context, (err, result) => {
+                        try {
+                            expect(err).to.be.null;
+                            expect(result).to.equal(data);
+                            done();
+                        } catch (ex) {
+                            done(ex);
+                        }
+                    });
+                    _consoleHelper.unmute();
+                });
+
+                it('should handle promise rejections as unhandled errors', (done) => {
+                    const wrapper = _createWrapper();
+                    const handlerErrorMessage = 'Something went wrong!';
+                    const expectedErrorMessage = `[Error] Unhandled error executing lambda. Details: ${handlerErrorMessage}`;
+                    const actualHandler = () => {
+                        return Promise.reject(new Error(handlerErrorMessage));
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _consoleHelper.mute();
+                    wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context, (err, data) => {
+                        try {
+                            expect(err).to.be.an.instanceOf(Error);
+                            expect(err.message).to.equal(expectedErrorMessage);
+                            expect(_loggerProviderMock._logger.error).to.have.been.calledOnce;
+                            done();
+                        } catch (ex) {
+                            done(ex);
+                        }
+                    });
+                    _consoleHelper.unmute();
+                });
+
+                it('should log the execution time if the promise is rejected', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = () => {
+                        return Promise.reject(new Error('Something went wrong!'));
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+                    const infoMethod = _loggerProviderMock._logger.info;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejected.then(() => {
+                        const metrics = infoMethod.args.filter((args) => {
+                            return args[0] && args[0].metric === 'EXECUTION_TIME';
+                        });
+                        expect(metrics).to.have.length(1);
+                    });
+                });
+
+                it('should resolve the returned promise with the handler result if no callback is specified', () => {
+                    const wrapper = _createWrapper();
+                    const data = {
+                        foo: _shortId.generate()
+                    };
+                    const actualHandler = () => {
+                        return Promise.resolve(data);
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then((result) => {
+                        expect(result).to.equal(data);
+                    });
+                });
+
+                it('should reject the returned promise if no callback is specified and the handler fails', () => {
+                    const wrapper = _createWrapper();
+                    const handlerErrorMessage = 'Something went wrong!';
+                    const expectedErrorMessage = `[Error] Unhandled error executing lambda. Details: ${handlerErrorMessage}`;
+                    const actualHandler = () => {
+                        return Promise.reject(handlerErrorMessage);
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejectedWith(Error, expectedErrorMessage);
+                });
+
+                it('should settle the returned promise when the handler invokes the callback', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = (event, context, callback) => {
+                        callback(null, 'foo');
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.eventually.equal('foo');
+                });
+
+                it('should invoke the lambda callback only once if the handler invokes the callback and returns a promise', (done) => {
+                    const wrapper = _createWrapper();
+                    const callback = _sinon.spy();
+                    const actualHandler = (event, context, cb) => {
+                        cb(null, 'foo');
+                        return Promise.resolve('bar');
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context, callback);
+                    _consoleHelper.unmute();
+
+                    ret.then(() => {
+                        return Promise.resolve();
+                    }).then(() => {
+                        expect(callback).to.have.been.calledOnce;
+                        expect(callback).to.have.been.calledWithExactly(null, 'foo');
+                        done();
+                    }).catch(done);
+                });
+            });
+
+            it('should include logger, env and config as an additional argument to the handler', () => {
+                const env = 'foo';
+                const wrapper = _createWrapper();
+                const lambdaArgs = _initLambdaArgs(env);
+                const actualHandler = _sinon.spy();
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                expect(actualHandler).to.not.have.been.called;
+
+                _invokeHandler(wrappedHandler, lambdaArgs);
+
+                expect(actualHandler).to.have.been.calledOnce;
+                const execInfo = actualHandler.args[0][3];
+                expect(execInfo).to.be.an('object');
+                expect(execInfo.logger).to.equal(_loggerProviderMock._logger);
+                expect(execInfo.env).to.equal(env);
+                expect(execInfo.config).to.deep.equal(new ConfigLoader().load(env));
+            });
+
+            it('should provide environment specific configuration to invocations for different environments', () => {
+                const wrapper = _createWrapper();
+                const configLoader = new ConfigLoader();
+                const loadMethod = _sinon.spy(configLoader, 'load');
+                wrapper._configLoader = configLoader;
+
+                const actualHandler = _sinon.spy();
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                process.env.NODE_ENV = '';
+                ['prod', 'qa', 'prod'].forEach((alias) => {
+                    _invokeHandler(wrappedHandler, _initLambdaArgs(alias));
+                });
+
+                expect(loadMethod.args.map((args) => args[0])).to.deep.equal(['prod', 'qa', 'prod']);
+                expect(actualHandler.args[0][3].config).to.equal(loadMethod.returnValues[0]);
+                expect(actualHandler.args[1][3].config).to.equal(loadMethod.returnValues[1]);
+                expect(actualHandler.args[1][3].config).to.not.equal(actualHandler.args[0][3].config);
+                expect(actualHandler.args[2][3].config).to.equal(actualHandler.args[0][3].config);
+                expect(process.env.NODE_ENV).to.equal('');
+            });
+
+            describe('[middleware]', () => {
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event || {}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                function _createMiddleware(name, calls) {
+                    return (invocation, next) => {
+                        calls.push(`${name}:before`);
+                        return next().then((result) => {
+                            calls.push(`${name}:after`);
+                            return result;
+                        });
+                    };
+                }
+
+                it('should invoke middleware registered via use() and via options in order', () => {
+                    const calls = [];
+                    const wrapper = _createWrapper();
+                    wrapper.use(_createMiddleware('global1', calls))
+                        .use(_createMiddleware('global2', calls));
+
+                    const actualHandler = () => {
+                        calls.push('handler');
+                        return Promise.resolve();
+                    };
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        middleware: [_createMiddleware('local', calls)]
+                    });
+
+                    return _invokeWithoutCallback(wrappedHandler).then(() => {
+                        expect(calls).to.deep.equal([
+                            'global1:before',
+                            'global2:before',
+                            'local:before',
+                            'handler',
+                            'local:after',
+                            'global2:after',
+                            'global1:after'
+                        ]);
+                    });
+                });
+
+                it('should provide the middleware with the invocation details', () => {
+                    const wrapper = _createWrapper();
+                    const event = {
+                        foo: _shortId.generate()
+                    };
+                    const middleware = _sinon.spy((invocation, next) => next());
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        middleware: [middleware]
+                    });
+
+                    _invokeWithoutCallback(wrappedHandler, event);
+
+                    expect(middleware).to.have.been.calledOnce;
+                    const invocation = middleware.args[0][0];
+                    expect(invocation.event).to.equal(event);
+                    expect(invocation.context).to.be.an('object');
+                    expect(invocation.lambdaName).to.equal(DEFAULT_LAMBDA_NAME);
+                    expect(invocation.ext).to.be.an('object');
+                    expect(invocation.ext.logger).to.equal(_loggerProviderMock._logger);
+                    expect(invocation.ext.env).to.equal('dev');
+                    expect(invocation.ext.config).to.deep.equal(new ConfigLoader().load('dev'));
+                    expect(middleware.args[0][1]).to.be.a('function');
+                });
+
+                it('should pass modified event and ext objects to the handler', () => {
+                    const wrapper = _createWrapper();
+                    const event = {
+                        foo: _shortId.generate()
+                    };
+                    const user = _shortId.generate();
+                    const actualHandler = _sinon.spy();
+                    wrapper.use((invocation, next) => {
+                        invocation.event = event;
+                        invocation.ext.user = user;
+                        return next();
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler);
+
+                    expect(actualHandler).to.have.been.calledOnce;
+                    expect(actualHandler.args[0][0]).to.equal(event);
+                    expect(actualHandler.args[0][3].user).to.equal(user);
+                });
+
+                it('should allow middleware to post process the handler result', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = () => Promise.resolve('foo');
+                    wrapper.use((invocation, next) => {
+                        return next().then((result) => `${result}-bar`);
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    return expect(_invokeWithoutCallback(wrappedHandler)).to.eventually.equal('foo-bar');
+                });
+
+                it('should allow middleware to post process errors reported by the handler', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = (event, context, callback) => {
+                        callback(new Error('something went wrong'));
+                    };
+                    wrapper.use((invocation, next) => {
+                        return next().catch((ex) => `recovered: ${ex.message}`);
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    return expect(_invokeWithoutCallback(wrappedHandler))
+                        .to.eventually.equal('recovered: something went wrong');
+                });
+
+                it('should not invoke the handler if the middleware does not invoke next()', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    wrapper.use((invocation, next) => 'short-circuit');
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.eventually.equal('short-circuit').then(() => {
+                        expect(actualHandler).to.not.have.been.called;
+                    });
+                });
+
+                it('should report typed errors thrown by the middleware without modification', () => {
+                    const wrapper = _createWrapper();
+                    const error = new _errors.UnauthorizedError('access denied');
+                    const callback = _sinon.spy();
+                    wrapper.use((invocation, next) => {
+                        throw error;
+                    });
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+                    const errorMethod = _loggerProviderMock._logger.error;
+
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler({}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context, callback);
+                    _consoleHelper.unmute();
+
+                    return expect(ret).to.be.rejectedWith(error).then(() => {
+                        expect(callback).to.have.been.calledOnce;
+                        expect(callback).to.have.been.calledWithExactly(error);
+                        expect(errorMethod).to.have.been.calledOnce;
+                        expect(errorMethod.args[0][0]).to.equal(error);
+                    });
+                });
+
+                it('should log and report other errors thrown by the middleware as unhandled errors', () => {
+                    const wrapper = _createWrapper();
+                    const error = new Error('access denied');
+                    wrapper.use((invocation, next) => {
+                        return next().then(() => {
+                            throw error;
+                        });
+                    });
+                    const wrappedHandler = wrapper.wrap(() => Promise.resolve(), DEFAULT_LAMBDA_NAME);
+                    const errorMethod = _loggerProviderMock._logger.error;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejectedWith('[Error] Unhandled error executing lambda. Details: access denied')
+                        .then(() => {
+                            expect(errorMethod).to.have.been.calledOnce;
+                            expect(errorMethod.args[0][0]).to.equal(error);
+                        });
+                });
+
+                it('should not log errors reported by the handler again when they pass through middleware', () => {
+                    const wrapper = _createWrapper();
+                    wrapper.use((invocation, next) => next());
+                    const wrappedHandler = wrapper.wrap(() => {
+                        return Promise.reject(new Error('something went wrong'));
+                    }, DEFAULT_LAMBDA_NAME);
+                    const errorMethod = _loggerProviderMock._logger.error;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejectedWith('[Error] Unhandled error executing lambda. Details: something went wrong')
+                        .then(() => {
+                            expect(errorMethod).to.have.been.calledOnce;
+                        });
+                });
+
+                it('should reject if a middleware function invokes next() multiple times', () => {
+                    const wrapper = _createWrapper();
+                    wrapper.use((invocation, next) => {
+                        return next().then(() => next());
+                    });
+                    const wrappedHandler = wrapper.wrap(() => Promise.resolve(), DEFAULT_LAMBDA_NAME);
+
+                    return expect(_invokeWithoutCallback(wrappedHandler))
+                        .to.be.rejectedWith('next() invoked multiple times by middleware');
+                });
+
+                it('should not invoke middleware for keep warm requests', () => {
+                    const wrapper = _createWrapper();
+                    const middleware = _sinon.spy();
+                    wrapper.use(middleware);
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    });
+
+                    expect(middleware).to.not.have.been.called;
+                });
+            });
+
+            describe('[schema validation]', () => {
+                const EVENT_SCHEMA = {
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: {
+                            type: 'string'
+                        },
+                        count: {
+                            type: 'number'
+                        }
+                    }
+                };
+                const RESULT_SCHEMA = {
+                    type: 'object',
+                    required: ['status'],
+                    properties: {
+                        status: {
+                            type: 'string'
+                        }
+                    }
+                };
+
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                it('should fail without invoking the handler if the event does not match the event schema', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        eventSchema: EVENT_SCHEMA
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        count: 'ten'
+                    });
+
+                    return expect(ret).to.be.rejectedWith(ValidationError,
+                        '[ValidationError] Event failed schema validation. Details: /id: is required; /count: should be number')
+                        .then(() => {
+                            expect(actualHandler).to.not.have.been.called;
+                        });
+                });
+
+                it('should log event validation errors using the wrapper logger', () => {
+                    const wrapper = _createWrapper();
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                        eventSchema: EVENT_SCHEMA
+                    });
+                    const errorMethod = _loggerProviderMock._logger.error;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {});
+
+                    return expect(ret).to.be.rejected.then((ex) => {
+                        expect(errorMethod).to.have.been.calledOnce;
+                        expect(errorMethod.args[0][0]).to.equal(ex);
+                    });
+                });
+
+                it('should invoke the handler if the event matches the event schema', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = () => Promise.resolve('foo');
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        eventSchema: EVENT_SCHEMA
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        id: 'abc'
+                    });
+
+                    return expect(ret).to.eventually.equal('foo');
+                });
+
+                it('should fail if the handler result does not match the result schema', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = () => Promise.resolve({
+                        status: 1
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        resultSchema: RESULT_SCHEMA
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {});
+
+                    return expect(ret).to.be.rejected.then((error) => {
+                        expect(error).to.be.an.instanceof(_errors.InternalError);
+                        expect(error.message).to.equal('[InternalError] Result failed schema validation');
+                        expect(error.details).to.be.undefined;
+                    });
+                });
+
+                it('should log result validation errors using the wrapper logger', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = () => Promise.resolve({
+                        status: 1
+                    });
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        resultSchema: RESULT_SCHEMA
+                    });
+                    const errorMethod = _loggerProviderMock._logger.error;
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {});
+
+                    return expect(ret).to.be.rejected.then((ex) => {
+                        expect(errorMethod).to.have.been.calledTwice;
+                        expect(errorMethod.args[0][0]).to.deep.equal({
+                            errors: [{
+                                path: '/status',
+                                message: 'should be string'
+                            }]
+                        });
+                        expect(errorMethod.args[0][1]).to.match(/^\[ValidationError\] Result failed schema validation/);
+                        expect(errorMethod.args[1][0]).to.equal(ex);
+                    });
+                });
+
+                it('should return the handler result if it matches the result schema', () => {
+                    const wrapper = _createWrapper();
+                    const result = {
+                        status: 'ok'
+                    };
+                    const actualHandler = () => Promise.resolve(result);
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME, {
+                        eventSchema: EVENT_SCHEMA,
+                        resultSchema: RESULT_SCHEMA
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        id: 'abc'
+                    });
+
+                    return expect(ret).to.eventually.equal(result);
+                });
+
+                it('should validate the event after it has been processed by other middleware', () => {
+                    const wrapper = _createWrapper();
+                    wrapper.use((invocation, next) => {
+                        invocation.event = {
+                            id: 'abc'
+                        };
+                        return next();
+                    });
+                    const wrappedHandler = wrapper.wrap(() => Promise.resolve('foo'), DEFAULT_LAMBDA_NAME, {
+                        eventSchema: EVENT_SCHEMA
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {});
+
+                    return expect(ret).to.eventually.equal('foo');
+                });
+            });
+
+            describe('[special logger methods]', () => {
+                function _invokeAndGetLogger() {
+                    const wrapper = _createWrapper();
+                    const lambdaArgs = _initLambdaArgs();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeHandler(wrappedHandler, lambdaArgs);
+                    return actualHandler.args[0][3].logger;
+                }
+
+                it('should inject specialized logging methods into the logger object', () => {
+                    const logger = _invokeAndGetLogger();
+
+                    expect(logger.metrics).to.be.a('function');
+                    expect(logger.timespan).to.be.a('function');
+                });
+
+                describe('metrics()', () => {
+                    it('should invoke the logger.info method with a metrics description object when invoked', () => {
+                        const logger = _invokeAndGetLogger();
+                        const infoMethod = logger.info;
+
+                        const metric = _shortId.generate();
+                        const value = _shortId.generate();
+                        const props = {
+                            prop1: _shortId.generate(),
+                            prop2: _shortId.generate()
+                        };
+                        infoMethod.reset();
+                        logger.metrics(metric, value, props);
+
+                        expect(infoMethod).to.have.been.calledOnce;
+                        expect(infoMethod.args[0][0]).to.be.an('object');
+                        expect(infoMethod.args[0][0]).to.deep.equal({
+                            metric,
+                            value,
+                            prop1: props.prop1,
+                            prop2: props.prop2
+                        });
+                    });
+                });
+
+                describe('timespan()', () => {
+                    it('should invoke the logger.info method with a timespan specific metrics description object when invoked', () => {
+                        const logger = _invokeAndGetLogger();
+                        const infoMethod = logger.info;
+
+                        const metric = _shortId.generate();
+                        const startTime = Date.now();
+                        const props = {
+                            prop1: _shortId.generate(),
+                            prop2: _shortId.generate()
+                        };
+                        infoMethod.reset();
+
+                        const minDelta = Date.now() - startTime;
+                        logger.timespan(metric, startTime, props);
+                        const maxDelta = Date.now() - startTime;
+
+                        expect(infoMethod).to.have.been.calledOnce;
+                        expect(infoMethod.args[0][0]).to.be.an('object');
+                        expect(infoMethod.args[0][0].metric).to.equal(metric);
+                        expect(infoMethod.args[0][0].value).to.be.within(minDelta, maxDelta);
+                        expect(infoMethod.args[0][0].prop1).to.equal(props.prop1);
+                        expect(infoMethod.args[0][0].prop2).to.equal(props.prop2);
+                    });
+
+                    it('should use the lambda start time if the startTime parameter is omitted', () => {
+                        const startTime = Date.now();
+                        const logger = _invokeAndGetLogger();
+                        const endTime = Date.now();
+                        const infoMethod = logger.info;
+
+                        const metric = _shortId.generate();
+                        infoMethod.reset();
+
+                        // The lambda start time is somewhere between the start
+                        // and end of the invocation.
+                        const minDelta = Date.now() - endTime;
+                        logger.timespan(metric);
+                        const maxDelta = Date.now() - startTime;
+
+                        expect(infoMethod).to.have.been.calledOnce;
+                        expect(infoMethod.args[0][0]).to.be.an('object');
+                        expect(infoMethod.args[0][0].value).to.be.within(minDelta, maxDelta);
+                    });
+                });
+
+                describe('[embedded metric format]', () => {
+                    function _wrapWithMetrics(handler, metrics) {
+                        const wrapper = _createWrapper();
+                        const write = _sinon.spy();
+                        const wrappedHandler = wrapper.wrap(handler, DEFAULT_LAMBDA_NAME, {
+                            metrics: Object.assign({
+                                format: 'emf',
+                                write
+                            }, metrics)
+                        });
+                        return {
+                            wrappedHandler,
+                            write
+                        };
+                    }
+
+                    function _invokeWithoutCallback(wrappedHandler) {
+                        _consoleHelper.mute();
+                        const ret = wrappedHandler({}, new LambdaTestContext({
+                            alias: 'dev'
+                        }).context);
+                        _consoleHelper.unmute();
+
+                        return ret;
+                    }
+
+                    function _getDocuments(write) {
+                        return write.args.map((args) => JSON.parse(args[0]));
+                    }
+
+                    it('should throw an error if the options specify invalid metrics options', () => {
+                        const error = 'Invalid metrics options specified (options.metrics)';
+                        _testValueProvider.allButObject().filter((value) => value !== undefined)
+                            .concat([[]])
+                            .forEach((metrics) => {
+                                const testCase = () => {
+                                    const wrapper = _createWrapper();
+                                    wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                        metrics
+                                    });
+                                };
+                                expect(testCase).to.throw(error);
+                            });
+                    });
+
+                    it('should throw an error if the options specify an invalid metrics format', () => {
+                        const error = 'Invalid metrics format specified (options.metrics.format)';
+                        _testValueProvider.allButString().filter((value) => value !== undefined)
+                            .concat(['', 'foo'])
+                            .forEach((format) => {
+                                const testCase = () => {
+                                    const wrapper = _createWrapper();
+                                    wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                        metrics: {
+                                            format
+                                        }
+                                    });
+                                };
+                                expect(testCase).to.throw(error);
+                            });
+                    });
+
+                    it('should throw an error if the options specify invalid dimensions', () => {
+                        const error = 'Invalid dimensions specified (options.metrics.dimensions)';
+                        _testValueProvider.allButObject().filter((value) => value !== undefined)
+                            .concat([[]])
+                            .forEach((dimensions) => {
+                                const testCase = () => {
+                                    _wrapWithMetrics(DEFAULT_HANDLER, {
+                                        dimensions
+                                    });
+                                };
+                                expect(testCase).to.throw(error);
+                            });
+                    });
+
+                    it('should throw an error if the options specify invalid embedded metric format options', () => {
+                        [{
+                            namespace: ''
+                        }, {
+                            dimensions: {
+                                team: 1
+                            }
+                        }, {
+                            units: {
+                                COUNT: 'Apples'
+                            }
+                        }, {
+                            write: 'foo'
+                        }].forEach((metrics) => {
+                            const prop = Object.keys(metrics)[0];
+                            const testCase = () => {
+                                _wrapWithMetrics(DEFAULT_HANDLER, metrics);
+                            };
+                            expect(testCase).to.throw(/^Invalid metrics options specified \(options\.metrics\)\. Details: /);
+                            expect(testCase).to.throw(`(options.metrics.${prop})`);
+                        });
+                    });
+
+                    it('should not log metrics or timespans as log entries', () => {
+                        const actualHandler = _sinon.spy((event, context, callback, ext) => {
+                            ext.logger.info.reset();
+                            ext.logger.metrics('ITEMS', 3);
+                            ext.logger.timespan('DB_TIME', Date.now());
+                            expect(ext.logger.info).to.not.have.been.called;
+                            callback();
+                        });
+                        const result = _wrapWithMetrics(actualHandler);
+
+                        _invokeWithoutCallback(result.wrappedHandler);
+
+                        expect(actualHandler).to.have.been.calledOnce;
+                    });
+
+                    it('should log metrics that do not have numeric values as log entries', () => {
+                        let logger = null;
+                        const result = _wrapWithMetrics((event, context, callback, ext) => {
+                            logger = ext.logger;
+                            logger.info.reset();
+                            logger.metrics('STATUS', 'ok');
+                            callback();
+                        });
+
+                        _invokeWithoutCallback(result.wrappedHandler);
+
+                        expect(logger.info).to.have.been.calledWith({
+                            metric: 'STATUS',
+                            value: 'ok'
+                        });
+                    });
+
+                    it('should write a single document with all metrics when the invocation completes', () => {
+                        const result = _wrapWithMetrics((event, context, callback, ext) => {
+                            ext.logger.metrics('ITEMS', 3);
+                            ext.logger.metrics('ITEMS', [4, 5]);
+                            ext.logger.timespan('DB_TIME', Date.now() - 10);
+                            expect(result.write).to.not.have.been.called;
+                            callback(null, 'done');
+                        }, {
+                            namespace: 'Billing',
+                            units: {
+                                ITEMS: 'Count'
+                            },
+                            auto: false
+                        });
+
+                        const ret = _invokeWithoutCallback(result.wrappedHandler);
+
+                        return expect(ret).to.be.fulfilled.then((data) => {
+                            expect(data).to.equal('done');
+                            expect(result.write).to.have.been.calledOnce;
+
+                            const doc = _getDocuments(result.write)[0];
+                            expect(doc._aws.Timestamp).to.be.a('number');
+                            expect(doc._aws.CloudWatchMetrics).to.deep.equal([{
+                                Namespace: 'Billing',
+                                Dimensions: [['app', 'lambda', 'env']],
+                                Metrics: [{
+                                    Name: 'ITEMS',
+                                    Unit: 'Count'
+                                }, {
+                                    Name: 'DB_TIME',
+                                    Unit: 'Milliseconds'
+                                }, {
+                                    Name: 'EXECUTION_TIME',
+                                    Unit: 'Milliseconds'
+                                }]
+                            }]);
+                            expect(doc.app).to.equal(DEFAULT_APP_NAME);
+                            expect(doc.lambda).to.equal(DEFAULT_LAMBDA_NAME);
+                            expect(doc.env).to.equal('dev');
+                            expect(doc.ITEMS).to.deep.equal([3, 4, 5]);
+                            expect(doc.DB_TIME).to.be.at.least(10);
+                        });
+                    });
+
+                    it('should write metrics with different properties in separate documents', () => {
+                        const result = _wrapWithMetrics((event, context, callback, ext) => {
+                            ext.logger.metrics('ITEMS', 3, {
+                                orderId: 'abc'
+                            });
+                            ext.logger.metrics('ITEMS', 4, {
+                                orderId: 'def'
+                            });
+                            callback();
+                        }, {
+                            auto: false
+                        });
+
+                        const ret = _invokeWithoutCallback(result.wrappedHandler);
+
+                        return expect(ret).to.be.fulfilled.then(() => {
+                            const docs = _getDocuments(result.write);
+                            expect(docs).to.have.length(3);
+                            expect(docs[0].orderId).to.equal('abc');
+                            expect(docs[0].ITEMS).to.equal(3);
+                            expect(docs[1].orderId).to.equal('def');
+                            expect(docs[1].ITEMS).to.equal(4);
+                            expect(docs[2]).to.not.have.property('orderId');
+                            expect(docs[2].EXECUTION_TIME).to.be.a('number');
+                        });
+                    });
+
+                    it('should use the app name as the default namespace, and apply the specified dimensions', () => {
+                        const result = _wrapWithMetrics((event, context, callback, ext) => {
+                            ext.logger.metrics('ITEMS', 1);
+                            callback();
+                        }, {
+                            dimensions: {
+                                team: 'payments',
+                                lambda: null
+                            },
+                            auto: false
+                        });
+
+                        const ret = _invokeWithoutCallback(result.wrappedHandler);
+
+                        return expect(ret).to.be.fulfilled.then(() => {
+                            const doc = _getDocuments(result.write)[0];
+                            const definition = doc._aws.CloudWatchMetrics[0];
+                            expect(definition.Namespace).to.equal(DEFAULT_APP_NAME);
+                            expect(definition.Dimensions).to.deep.equal([['app', 'env', 'team']]);
+                            expect(definition.Metrics).to.deep.equal([{
+                                Name: 'ITEMS',
+                                Unit: 'None'
+                            }, {
+                                Name: 'EXECUTION_TIME',
+                                Unit: 'Milliseconds'
+                            }]);
+                            expect(doc).to.not.have.property('lambda');
+                            expect(doc.team).to.equal('payments');
+                        });
+                    });
+
+                    it('should write buffered metrics if the invocation fails', () => {
+                        const result = _wrapWithMetrics((event, context, callback, ext) => {
+                            ext.logger.metrics('ITEMS', 1);
+                            throw new Error('something went wrong');
+                        });
+
+                        const ret = _invokeWithoutCallback(result.wrappedHandler);
+
+                        return expect(ret).to.be.rejected.then(() => {
+                            expect(result.write).to.have.been.calledOnce;
+
+                            const doc = _getDocuments(result.write)[0];
+                            expect(doc.ITEMS).to.equal(1);
+                            expect(doc.EXECUTION_TIME).to.be.a('number');
+                        });
+                    });
+
+                    it('should write the metrics of each invocation separately', () => {
+                        let count = 0;
+                        const result = _wrapWithMetrics((event, context, callback, ext) => {
+                            count++;
+                            ext.logger.metrics('ITEMS', count);
+                            callback();
+                        });
+
+                        return _invokeWithoutCallback(result.wrappedHandler).then(() => {
+                            return _invokeWithoutCallback(result.wrappedHandler);
+                        }).then(() => {
+                            const docs = _getDocuments(result.write);
+                            expect(docs).to.have.length(2);
+                            expect(docs[0].ITEMS).to.equal(1);
+                            expect(docs[1].ITEMS).to.equal(2);
+                        });
+                    });
+                });
+            });
+
+            describe('[metrics collector]', () => {
+                function _invokeWithoutCallback(wrappedHandler, event) {
+                    _consoleHelper.mute();
+                    const ret = wrappedHandler(event || {}, new LambdaTestContext({
+                        alias: 'dev'
+                    }).context);
+                    _consoleHelper.unmute();
+
+                    return ret;
+                }
+
+                function _getMetrics(logger) {
+                    const metrics = {};
+                    logger.info.args.forEach((args) => {
+                        if (args[0] && args[0].metric) {
+                            metrics[args[0].metric] = args[0];
+                        }
+                    });
+                    return metrics;
+                }
+
+                it('should throw an error if the options specify an invalid automatic metrics flag', () => {
+                    const error = 'Invalid automatic metrics flag specified (options.metrics.auto)';
+                    _testValueProvider.allButBoolean().filter((value) => value !== undefined).forEach((auto) => {
+                        const testCase = () => {
+                            const wrapper = _createWrapper();
+                            wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                                metrics: {
+                                    auto
+                                }
+                            });
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+                });
+
+                it('should pass a metrics collector to the handler via the extension object', () => {
+                    const wrapper = _createWrapper();
+                    const actualHandler = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                    _invokeWithoutCallback(wrappedHandler);
+
+                    expect(actualHandler.args[0][3].metrics).to.be.an.instanceof(MetricsCollector);
+                });
+
+                it('should log aggregated metrics once when the invocation completes', () => {
+                    const wrapper = _createWrapper();
+                    const logger = _loggerProviderMock._logger;
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        ext.metrics.increment('ORDERS');
+                        ext.metrics.increment('ORDERS', 2);
+                        ext.metrics.gauge('QUEUE_DEPTH', 4);
+                        ext.metrics.gauge('QUEUE_DEPTH', 7);
+                        ext.metrics.timing('DB_TIME', 10);
+                        ext.metrics.timing('DB_TIME', 30);
+                        expect(_getMetrics(logger)).to.not.have.property('ORDERS');
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const metrics = _getMetrics(logger);
+                        expect(metrics.ORDERS).to.deep.equal({
+                            metric: 'ORDERS',
+                            unit: 'Count',
+                            value: 3
+                        });
+                        expect(metrics.QUEUE_DEPTH).to.deep.equal({
+                            metric: 'QUEUE_DEPTH',
+                            unit: 'None',
+                            value: 7
+                        });
+                        expect(metrics.DB_TIME).to.deep.equal({
+                            metric: 'DB_TIME',
+                            unit: 'Milliseconds',
+                            count: 2,
+                            min: 10,
+                            max: 30,
+                            sum: 40,
+                            avg: 20
+                        });
+                    });
+                });
+
+                it('should write aggregated metrics to the embedded metric format document', () => {
+                    const wrapper = _createWrapper();
+                    const write = _sinon.spy();
+                    const wrappedHandler = wrapper.wrap((event, context, callback, ext) => {
+                        ext.metrics.increment('ORDERS');
+                        ext.metrics.increment('ORDERS');
+                        ext.metrics.timing('DB_TIME', 10);
+                        ext.metrics.timing('DB_TIME', 30);
+                        callback();
+                    }, DEFAULT_LAMBDA_NAME, {
+                        metrics: {
+                            format: 'emf',
+                            write
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        expect(write).to.have.been.calledOnce;
+                        const doc = JSON.parse(write.args[0][0]);
+                        const definitions = doc._aws.CloudWatchMetrics[0].Metrics;
+                        expect(definitions).to.deep.include.members([{
+                            Name: 'ORDERS',
+                            Unit: 'Count'
+                        }, {
+                            Name: 'DB_TIME',
+                            Unit: 'Milliseconds'
+                        }]);
+                        expect(doc.ORDERS).to.equal(2);
+                        expect(doc.DB_TIME).to.deep.equal([10, 30]);
+                    });
+                });
+
+                it('should log the execution time when the handler completes successfully', () => {
+                    const wrapper = _createWrapper();
+                    const logger = _loggerProviderMock._logger;
+                    const wrappedHandler = wrapper.wrap(() => Promise.resolve('foo'), DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const metrics = logger.info.args.filter((args) => {
+                            return args[0] && args[0].metric === 'EXECUTION_TIME';
+                        });
+                        expect(metrics).to.have.length(1);
+                        expect(metrics[0][0].value).to.be.a('number');
+                    });
+                });
+
+                it('should record invocation and cold start counts', () => {
+                    const wrapper = _createWrapper();
+                    const logger = _loggerProviderMock._logger;
+                    const wrappedHandler = wrapper.wrap(() => Promise.resolve(), DEFAULT_LAMBDA_NAME);
+
+                    return _invokeWithoutCallback(wrappedHandler).then(() => {
+                        const metrics = _getMetrics(logger);
+                        expect(metrics.INVOCATIONS.value).to.equal(1);
+                        expect(metrics.COLD_START.value).to.equal(1);
+                        expect(metrics).to.not.have.property('ERRORS');
+                        expect(metrics).to.not.have.property('KEEP_WARM');
+
+                        logger.info.reset();
+                        return _invokeWithoutCallback(wrappedHandler);
+                    }).then(() => {
+                        const metrics = _getMetrics(logger);
+                        expect(metrics.INVOCATIONS.value).to.equal(1);
+                        expect(metrics.COLD_START.value).to.equal(0);
+                    });
+                });
+
+                it('should record keep warm requests', () => {
+                    const wrapper = _createWrapper();
+                    const logger = _loggerProviderMock._logger;
+                    const wrappedHandler = wrapper.wrap(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler, {
+                        __LAMBDA_KEEP_WARM: true
+                    });
+
+                    return expect(ret).to.be.fulfilled.then(() => {
+                        const metrics = _getMetrics(logger);
+                        expect(metrics.KEEP_WARM.value).to.equal(1);
+                        expect(metrics.INVOCATIONS.value).to.equal(1);
+                        expect(metrics.EXECUTION_TIME.value).to.be.a('number');
+                    });
+                });
+
+                it('should record error counts by error type', () => {
+                    const wrapper = _createWrapper();
+                    const logger = _loggerProviderMock._logger;
+                    const wrappedHandler = wrapper.wrap(() => {
+                        throw new _errors.NotFoundError();
+                    }, DEFAULT_LAMBDA_NAME);
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejected.then(() => {
+                        const metrics = _getMetrics(logger);
+                        expect(metrics.ERRORS.value).to.equal(1);
+                        expect(metrics['ERRORS.NotFoundError'].value).to.equal(1);
+                        expect(metrics.EXECUTION_TIME.value).to.be.a('number');
+                    });
+                });
+
+                it('should not record automatic metrics if they have been disabled', () => {
+                    const wrapper = _createWrapper();
+                    const logger = _loggerProviderMock._logger;
+                    const wrappedHandler = wrapper.wrap(() => Promise.reject(new Error('failed')), DEFAULT_LAMBDA_NAME, {
+                        metrics: {
+                            auto: false
+                        }
+                    });
+
+                    const ret = _invokeWithoutCallback(wrappedHandler);
+
+                    return expect(ret).to.be.rejected.then(() => {
+                        expect(Object.keys(_getMetrics(logger))).to.deep.equal(['EXECUTION_TIME']);
+                    });
+                });
+            });
+
+
+            it('should handle any unhandled exceptions thrown by the handler (error instance thrown)', (done) => {
+                const wrapper = _createWrapper();
+                const handlerErrorMessage = 'Something went wrong!';
+                const expectedErrorMessage = `[Error] Unhandled error executing lambda. Details: ${handlerErrorMessage}`;
+
+                const actualHandler = () => {
+                    throw new Error(handlerErrorMessage);
+                };
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                _consoleHelper.mute();
+                wrappedHandler({}, new LambdaTestContext({
+                    alias: 'dev'
+                }).context, (err, data) => {
+                    try {
+                        expect(err).to.be.an.instanceOf(Error);
+                        expect(err.message).to.equal(expectedErrorMessage);
+                        done();
+                    } catch (ex) {
+                        done(ex);
+                    }
+                }, {});
+                _consoleHelper.unmute();
+            });
+
+            it('should report typed errors thrown by the handler without modification', () => {
+                const wrapper = _createWrapper();
+                const error = new _errors.NotFoundError('No such user');
+                const callback = _sinon.spy();
+                const actualHandler = () => {
+                    throw error;
+                };
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                _consoleHelper.mute();
+                const ret = wrappedHandler({}, new LambdaTestContext({
+                    alias: 'dev'
+                }).context, callback);
+                _consoleHelper.unmute();
+
+                return expect(ret).to.be.rejectedWith(error).then(() => {
+                    expect(callback).to.have.been.calledWithExactly(error);
+                    expect(error.message).to.equal('[NotFoundError] No such user');
+                    expect(_loggerProviderMock._logger.error).to.have.been.calledOnce;
+                });
+            });
+
+            it('should report typed errors rejected by the handler without modification', () => {
+                const wrapper = _createWrapper();
+                const error = new _errors.ConflictError('Already exists');
+                const actualHandler = () => Promise.reject(error);
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                _consoleHelper.mute();
+                const ret = wrappedHandler({}, new LambdaTestContext({
+                    alias: 'dev'
+                }).context);
+                _consoleHelper.unmute();
+
+                return expect(ret).to.be.rejectedWith(error).then(() => {
+                    const metrics = _loggerProviderMock._logger.info.args.filter((args) => {
+                        return args[0] && args[0].metric === 'EXECUTION_TIME';
+                    });
+                    expect(metrics).to.have.length(1);
+                });
+            });
+
+            it('should handle any unhandled exceptions thrown by the handler (string errors thrown)', (done) => {
+                const wrapper = _createWrapper();
+                const handlerErrorMessage = 'Something went wrong (not an exception object)!';
+                const expectedErrorMessage = `[Error] Unhandled error executing lambda. Details: ${handlerErrorMessage}`;
+
+                const actualHandler = () => {
+                    throw handlerErrorMessage;
+                };
+                const wrappedHandler = wrapper.wrap(actualHandler, DEFAULT_LAMBDA_NAME);
+
+                _consoleHelper.mute();
+                wrappedHandler({}, new LambdaTestContext({
+                    alias: 'dev'
+                }).context, (err, data) => {
+                    try {
+                        expect(err).to.be.an.instanceOf(Error);
+                        expect(err.message).to.equal(expectedErrorMessage);
+                        done();
+                    } catch (ex) {
+                        done(ex);
+                    }
+                }, {});
+                _consoleHelper.unmute();
+            });
+        });
+    });
+
+    describe('wrapHttp()', () => {
+        let _loggerProviderMock = null;
+
+        function _invokeHttp(wrappedHandler, event) {
+            _consoleHelper.mute();
+            const ret = wrappedHandler(Object.assign({
+                httpMethod: 'POST',
+                path: '/users',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: '{"name":"foo"}'
+            }, event), new LambdaTestContext({
+                alias: 'dev'
+            }).context);
+            _consoleHelper.unmute();
+
+            return ret;
+        }
+
+        function _createCorsMiddleware(cors) {
+            return (invocation, next) => {
+                invocation.ext.config = {
+                    has: (key) => key === 'cors',
+                    get: (key) => cors
+                };
+                return next();
+            };
+        }
+
+        beforeEach(() => {
+            _loggerProviderMock = _initLoggerProviderMock();
+        });
+
+        it('should throw an error if invoked without a valid handler', () => {
+            const error = 'Invalid handler specified (arg #1)';
+            _testValueProvider.allButFunction().forEach((handler) => {
+                const testCase = () => {
+                    const wrapper = _createWrapper();
+                    wrapper.wrapHttp(handler, DEFAULT_LAMBDA_NAME);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid lambda name', () => {
+            const error = 'Invalid lambda function name specified (arg #2)';
+            _testValueProvider.allButString('').forEach((lambdaName) => {
+                const testCase = () => {
+                    const wrapper = _createWrapper();
+                    wrapper.wrapHttp(DEFAULT_HANDLER, lambdaName);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return a function when invoked', () => {
+            const wrapper = _createWrapper();
+            const handler = wrapper.wrapHttp(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+
+            expect(handler).to.be.a('function');
+        });
+
+        it('should invoke the handler with a normalized request and the extension object', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = _sinon.spy();
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME);
+
+            return _invokeHttp(wrappedHandler).then(() => {
+                expect(actualHandler).to.have.been.calledOnce;
+                const request = actualHandler.args[0][0];
+                expect(request).to.be.an.instanceof(HttpRequest);
+                expect(request.method).to.equal('POST');
+                expect(request.body).to.deep.equal({
+                    name: 'foo'
+                });
+
+                const ext = actualHandler.args[0][1];
+                expect(ext.logger).to.equal(_loggerProviderMock._logger);
+                expect(ext.env).to.equal('dev');
+                expect(ext.config).to.deep.equal(new ConfigLoader().load('dev'));
+            });
+        });
+
+        it('should return a JSON encoded response for plain return values', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = () => Promise.resolve({
+                id: 'abc'
+            });
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME);
+
+            return expect(_invokeHttp(wrappedHandler)).to.eventually.deep.equal({
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: '{"id":"abc"}'
+            });
+        });
+
+        it('should return a no content response if the handler does not return a value', () => {
+            const wrapper = _createWrapper();
+            const wrappedHandler = wrapper.wrapHttp(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+
+            return expect(_invokeHttp(wrappedHandler)).to.eventually.deep.equal({
+                statusCode: 204,
+                headers: {},
+                body: ''
+            });
+        });
+
+        it('should use http response objects returned by the handler', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = () => new HttpResponse('created', 201, {
+                Location: '/users/abc'
+            });
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME);
+
+            return expect(_invokeHttp(wrappedHandler)).to.eventually.deep.equal({
+                statusCode: 201,
+                headers: {
+                    Location: '/users/abc'
+                },
+                body: 'created'
+            });
+        });
+
+        it('should add CORS headers from the configuration to the response', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = () => new HttpResponse('foo', 200, {
+                'Access-Control-Max-Age': '10'
+            });
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME, {
+                middleware: [_createCorsMiddleware({
+                    allowOrigin: '*',
+                    allowMethods: ['GET', 'POST'],
+                    allowHeaders: ['Content-Type', 'Authorization'],
+                    allowCredentials: true,
+                    maxAge: 300,
+                    exposeHeaders: null
+                })]
+            });
+
+            return _invokeHttp(wrappedHandler).then((result) => {
+                expect(result.headers).to.deep.equal({
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET,POST',
+                    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+                    'Access-Control-Allow-Credentials': 'true',
+                    'Access-Control-Max-Age': '10'
+                });
+            });
+        });
+
+        it('should map typed errors to responses with the corresponding status code', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = () => {
+                throw new _errors.NotFoundError('No such user', {
+                    id: 'abc'
+                });
+            };
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME, {
+                middleware: [_createCorsMiddleware({
+                    allowOrigin: '*'
+                })]
+            });
+
+            return expect(_invokeHttp(wrappedHandler)).to.eventually.deep.equal({
+                statusCode: 404,
+                headers: {
+                    'Access-Control-Allow-Origin': '*',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    type: 'NotFoundError',
+                    message: 'No such user',
+                    details: {
+                        id: 'abc'
+                    }
+                })
+            });
+        });
+
+        it('should return a bad request response if the request body cannot be parsed', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = _sinon.spy();
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME);
+
+            return _invokeHttp(wrappedHandler, {
+                body: '{bad json'
+            }).then((result) => {
+                expect(actualHandler).to.not.have.been.called;
+                expect(result.statusCode).to.equal(400);
+                expect(JSON.parse(result.body).type).to.equal('BadRequestError');
+            });
+        });
+
+        it('should log unknown errors and return an internal error response', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = () => Promise.reject(new Error('database is down'));
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME);
+
+            return _invokeHttp(wrappedHandler).then((result) => {
+                expect(_loggerProviderMock._logger.error).to.have.been.calledOnce;
+                expect(result.statusCode).to.equal(500);
+                expect(JSON.parse(result.body)).to.deep.equal({
+                    type: 'InternalError',
+                    message: 'Internal error'
+                });
+            });
+        });
+
+        it('should map typed errors thrown by middleware to responses', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = _sinon.spy();
+            wrapper.use((invocation, next) => {
+                throw new _errors.UnauthorizedError('Invalid token');
+            });
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME, {
+                middleware: [_createCorsMiddleware({
+                    allowOrigin: '*'
+                })]
+            });
+
+            return _invokeHttp(wrappedHandler).then((result) => {
+                expect(actualHandler).to.not.have.been.called;
+                expect(result.statusCode).to.equal(401);
+                expect(JSON.parse(result.body)).to.deep.equal({
+                    type: 'UnauthorizedError',
+                    message: 'Invalid token'
+                });
+            });
+        });
+
+        it('should map event schema validation errors to bad request responses', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = _sinon.spy();
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME, {
+                eventSchema: {
+                    type: 'object',
+                    required: ['body']
+                }
+            });
+
+            return _invokeHttp(wrappedHandler, {
+                body: undefined
+            }).then((result) => {
+                expect(actualHandler).to.not.have.been.called;
+                expect(result.statusCode).to.equal(400);
+                expect(JSON.parse(result.body).type).to.equal('ValidationError');
+            });
+        });
+
+        it('should map result schema validation errors to internal error responses', () => {
+            const wrapper = _createWrapper();
+            const wrappedHandler = wrapper.wrapHttp(() => ({
+                id: 'abc'
+            }), DEFAULT_LAMBDA_NAME, {
+                resultSchema: {
+                    type: 'object',
+                    required: ['foo']
+                }
+            });
+
+            return _invokeHttp(wrappedHandler).then((result) => {
+                expect(result.statusCode).to.equal(500);
+                expect(JSON.parse(result.body)).to.deep.equal({
+                    type: 'InternalError',
+                    message: 'Result failed schema validation'
+                });
+            });
+        });
+
+        it('should map errors that fail the invocation before the handler is invoked to responses', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = _sinon.spy();
+            const callback = _sinon.spy();
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME, {
+                init: () => Promise.reject(new Error('database is down'))
+            });
+
+            _consoleHelper.mute();
+            const ret = wrappedHandler({}, new LambdaTestContext({
+                alias: 'dev'
+            }).context, callback);
+            _consoleHelper.unmute();
+
+            return ret.then((result) => {
+                expect(actualHandler).to.not.have.been.called;
+                expect(result.statusCode).to.equal(500);
+                expect(callback).to.have.been.calledOnce;
+                expect(callback).to.have.been.calledWithExactly(null, result);
+            });
+        });
+
+        it('should record failed invocations as errors', () => {
+            const wrapper = _createWrapper();
+            const actualHandler = () => {
+                throw new _errors.NotFoundError();
+            };
+            const wrappedHandler = wrapper.wrapHttp(actualHandler, DEFAULT_LAMBDA_NAME);
+            const infoMethod = _loggerProviderMock._logger.info;
+
+            return _invokeHttp(wrappedHandler).then((result) => {
+                expect(result.statusCode).to.equal(404);
+                const metrics = infoMethod.args.map((args) => args[0] && args[0].metric);
+                expect(metrics).to.include('ERRORS');
+                expect(metrics).to.include('ERRORS.NotFoundError');
+            });
+        });
+    });
+
+    describe('wrapRouter()', () => {
+        let _loggerProviderMock = null;
+
+        function _invokeHttp(wrappedHandler, method, path) {
+            _consoleHelper.mute();
+            const ret = wrappedHandler({
+                httpMethod: method,
+                path: path
+            }, new LambdaTestContext({
+                alias: 'dev'
+            }).context);
+            _consoleHelper.unmute();
+
+            return ret;
+        }
+
+        beforeEach(() => {
+            _loggerProviderMock = _initLoggerProviderMock();
+        });
+
+        it('should throw an error if invoked without a valid router', () => {
+            const error = 'Invalid router specified (arg #1)';
+            _testValueProvider.allButObject().concat({}).forEach((router) => {
+                const testCase = () => {
+                    const wrapper = _createWrapper();
+                    wrapper.wrapRouter(router, DEFAULT_LAMBDA_NAME);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should dispatch requests to the matching route with the extension object', () => {
+            const wrapper = _createWrapper();
+            const handler = _sinon.stub().returns({
+                id: 'abc'
+            });
+            const router = new Router().add('GET', '/users/{id}', handler);
+            const wrappedHandler = wrapper.wrapRouter(router, DEFAULT_LAMBDA_NAME);
+
+            return _invokeHttp(wrappedHandler, 'GET', '/users/abc').then((result) => {
+                expect(result.statusCode).to.equal(200);
+                expect(result.body).to.equal('{"id":"abc"}');
+
+                expect(handler).to.have.been.calledOnce;
+                expect(handler.args[0][0].pathParameters.id).to.equal('abc');
+                const ext = handler.args[0][1];
+                expect(ext.logger).to.equal(_loggerProviderMock._logger);
+                expect(ext.env).to.equal('dev');
+                expect(ext.config).to.deep.equal(new ConfigLoader().load('dev'));
+            });
+        });
+
+        it('should return a 404 response if no route matches the request', () => {
+            const wrapper = _createWrapper();
+            const router = new Router().add('GET', '/users/{id}', DEFAULT_HANDLER);
+            const wrappedHandler = wrapper.wrapRouter(router, DEFAULT_LAMBDA_NAME);
+
+            return _invokeHttp(wrappedHandler, 'GET', '/orders').then((result) => {
+                expect(result.statusCode).to.equal(404);
+                expect(JSON.parse(result.body).type).to.equal('NotFoundError');
+            });
+        });
+
+        it('should return a 405 response if the route does not support the request method', () => {
+            const wrapper = _createWrapper();
+            const router = new Router().add('GET', '/users/{id}', DEFAULT_HANDLER);
+            const wrappedHandler = wrapper.wrapRouter(router, DEFAULT_LAMBDA_NAME);
+
+            return _invokeHttp(wrappedHandler, 'DELETE', '/users/abc').then((result) => {
+                expect(result.statusCode).to.equal(405);
+                expect(result.headers.Allow).to.equal('GET');
+            });
+        });
+    });
+
+    describe('wrapRecords()', () => {
+        let _loggerProviderMock = null;
+
+        function _createSqsEvent(count) {
+            const records = [];
+            for (let index = 0; index < count; index++) {
+                records.push({
+                    eventSource: 'aws:sqs',
+                    messageId: `message-${index}`,
+                    body: JSON.stringify({
+                        index
+                    })
+                });
+            }
+            return {
+                Records: records
+            };
+        }
+
+        function _invokeRecords(wrappedHandler, event) {
+            _consoleHelper.mute();
+            const ret = wrappedHandler(event, new LambdaTestContext({
+                alias: 'dev'
+            }).context);
+            _consoleHelper.unmute();
+
+            return ret;
+        }
+
+        beforeEach(() => {
+            _loggerProviderMock = _initLoggerProviderMock();
+        });
+
+        it('should throw an error if invoked without a valid handler', () => {
+            const error = 'Invalid handler specified (arg #1)';
+            _testValueProvider.allButFunction().forEach((handler) => {
+                const testCase = () => {
+                    const wrapper = _createWrapper();
+                    wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid concurrency', () => {
+            const error = 'Invalid concurrency specified (options.concurrency)';
+            _testValueProvider.allButNumber().filter((value) => value !== undefined)
+                .concat([0, -1, 1.5])
+                .forEach((concurrency) => {
+                    const testCase = () => {
+                        const wrapper = _createWrapper();
+                        wrapper.wrapRecords(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME, {
+                            concurrency
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should invoke the handler once for each decoded record', () => {
+            const wrapper = _createWrapper();
+            const handler = _sinon.spy();
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+
+            return _invokeRecords(wrappedHandler, _createSqsEvent(3)).then((result) => {
+                expect(result).to.deep.equal({
+                    batchItemFailures: []
+                });
+                expect(handler).to.have.been.calledThrice;
+                handler.args.forEach((args, index) => {
+                    expect(args[0]).to.be.an.instanceof(EventRecord);
+                    expect(args[0].id).to.equal(`message-${index}`);
+                    expect(args[0].data).to.deep.equal({
+                        index
+                    });
+                });
+            });
+        });
+
+        it('should provide each record handler with a logger that includes the record id', () => {
+            const wrapper = _createWrapper();
+            const handler = _sinon.spy();
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+            const logger = _loggerProviderMock._logger;
+
+            return _invokeRecords(wrappedHandler, _createSqsEvent(2)).then(() => {
+                expect(logger.child).to.have.been.calledTwice;
+                expect(logger.child.args[0][0]).to.deep.equal({
+                    recordId: 'message-0'
+                });
+                expect(logger.child.args[1][0]).to.deep.equal({
+                    recordId: 'message-1'
+                });
+
+                const ext = handler.args[0][1];
+                expect(ext.logger).to.equal(logger.child.returnValues[0]);
+                expect(ext.logger.metrics).to.be.a('function');
+                expect(ext.logger.timespan).to.be.a('function');
+                expect(ext.env).to.equal('dev');
+                expect(ext.config).to.deep.equal(new ConfigLoader().load('dev'));
+            });
+        });
+
+        it('should record metrics logged by record handlers in the metrics buffer of the invocation', () => {
+            const wrapper = _createWrapper();
+            const write = _sinon.spy();
+            const handler = (record, ext) => {
+                ext.logger.metrics('PROCESSED', 1);
+                ext.logger.timespan('PROCESSING_TIME');
+            };
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME, {
+                metrics: {
+                    format: 'emf',
+                    auto: false,
+                    write
+                }
+            });
+            const logger = _loggerProviderMock._logger;
+
+            return _invokeRecords(wrappedHandler, _createSqsEvent(2)).then(() => {
+                logger.child.returnValues.forEach((recordLogger) => {
+                    expect(recordLogger.info).to.not.have.been.called;
+                });
+                const docs = write.args.map((args) => JSON.parse(args[0]));
+                expect(docs).to.have.length(1);
+                expect(docs[0].PROCESSED).to.deep.equal([1, 1]);
+                expect(docs[0].PROCESSING_TIME).to.have.length(2);
+            });
+        });
+
+        it('should report failed records as batch item failures without failing the batch', () => {
+            const wrapper = _createWrapper();
+            const handler = (record) => {
+                if (record.data.index === 1) {
+                    throw new Error('something went wrong');
+                }
+                if (record.data.index === 2) {
+                    return Promise.reject(new Error('something else went wrong'));
+                }
+                return Promise.resolve();
+            };
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+            const logger = _loggerProviderMock._logger;
+
+            return _invokeRecords(wrappedHandler, _createSqsEvent(4)).then((result) => {
+                expect(result).to.deep.equal({
+                    batchItemFailures: [{
+                        itemIdentifier: 'message-1'
+                    }, {
+                        itemIdentifier: 'message-2'
+                    }]
+                });
+                expect(logger.child.returnValues[1].error).to.have.been.calledOnce;
+                expect(logger.child.returnValues[2].error).to.have.been.calledOnce;
+            });
+        });
+
+        it('should limit the number of records processed concurrently', () => {
+            const wrapper = _createWrapper();
+            let pending = 0;
+            let maxPending = 0;
+            const handler = () => {
+                pending++;
+                maxPending = Math.max(pending, maxPending);
+                return new Promise((resolve) => setTimeout(resolve, 1)).then(() => {
+                    pending--;
+                });
+            };
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME, {
+                concurrency: 3
+            });
+
+            return _invokeRecords(wrappedHandler, _createSqsEvent(10)).then(() => {
+                expect(maxPending).to.equal(3);
+            });
+        });
+
+        it('should stop processing records from FIFO queues at the first failure', () => {
+            const wrapper = _createWrapper();
+            const event = _createSqsEvent(4);
+            event.Records.forEach((record) => {
+                record.eventSourceARN = 'arn:aws:sqs:us-east-1:111111111111:orders.fifo';
+            });
+            const handler = _sinon.spy((record) => {
+                if (record.data.index === 1) {
+                    throw new Error('something went wrong');
+                }
+            });
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+            const logger = _loggerProviderMock._logger;
+
+            return _invokeRecords(wrappedHandler, event).then((result) => {
+                expect(handler).to.have.been.calledTwice;
+                expect(result).to.deep.equal({
+                    batchItemFailures: [{
+                        itemIdentifier: 'message-1'
+                    }, {
+                        itemIdentifier: 'message-2'
+                    }, {
+                        itemIdentifier: 'message-3'
+                    }]
+                });
+                const completion = logger.info.args.find((args) => args[1] === 'Record processing completed');
+                expect(completion[0]).to.deep.equal({
+                    recordCount: 4,
+                    failureCount: 3,
+                    skippedCount: 2
+                });
+            });
+        });
+
+        it('should continue processing records from standard queues after a failure', () => {
+            const wrapper = _createWrapper();
+            const event = _createSqsEvent(3);
+            event.Records.forEach((record) => {
+                record.eventSourceARN = 'arn:aws:sqs:us-east-1:111111111111:orders';
+            });
+            const handler = _sinon.spy((record) => {
+                if (record.data.index === 0) {
+                    throw new Error('something went wrong');
+                }
+            });
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+
+            return _invokeRecords(wrappedHandler, event).then((result) => {
+                expect(handler).to.have.been.calledThrice;
+                expect(result).to.deep.equal({
+                    batchItemFailures: [{
+                        itemIdentifier: 'message-0'
+                    }]
+                });
+            });
+        });
+
+        it('should fail the invocation if records from FIFO queues would be processed concurrently', () => {
+            const wrapper = _createWrapper();
+            const event = _createSqsEvent(2);
+            event.Records.forEach((record) => {
+                record.eventSourceARN = 'arn:aws:sqs:us-east-1:111111111111:orders.fifo';
+            });
+            const handler = _sinon.spy();
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME, {
+                concurrency: 2
+            });
+
+            return expect(_invokeRecords(wrappedHandler, event))
+                .to.be.rejectedWith(/Invalid concurrency specified for records from FIFO queues \(options.concurrency\)/)
+                .then(() => {
+                    expect(handler).to.not.have.been.called;
+                });
+        });
+
+        it('should fail the batch if a record from an unknown source fails processing', () => {
+            const wrapper = _createWrapper();
+            const handler = () => {
+                throw new Error('something went wrong');
+            };
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+
+            return expect(_invokeRecords(wrappedHandler, {
+                Records: [{
+                    foo: 'bar'
+                }]
+            })).to.be.rejectedWith(/Unable to report failure for record from unknown source/);
+        });
+
+        it('should fail the invocation if an SNS record fails processing', () => {
+            const wrapper = _createWrapper();
+            const handler = _sinon.spy((record) => {
+                if (record.id === 'm1') {
+                    throw new Error('something went wrong');
+                }
+            });
+            const wrappedHandler = wrapper.wrapRecords(handler, DEFAULT_LAMBDA_NAME);
+
+            return expect(_invokeRecords(wrappedHandler, {
+                Records: ['m0', 'm1'].map((messageId) => {
+                    return {
+                        EventSource: 'aws:sns',
+                        Sns: {
+                            MessageId: messageId,
+                            Message: '{"foo":"bar"}'
+                        }
+                    };
+                })
+            })).to.be.rejectedWith(/Unable to report failure for record from sns source. Details: something went wrong/)
+                .then(() => {
+                    expect(handler).to.have.been.calledTwice;
+                });
+        });
+
+        it('should fail if the event does not contain records', () => {
+            const wrapper = _createWrapper();
+            const wrappedHandler = wrapper.wrapRecords(DEFAULT_HANDLER, DEFAULT_LAMBDA_NAME);
+
+            return expect(_invokeRecords(wrappedHandler, {})).to.be.rejectedWith(_errors.BadRequestError);
         });
     });
 });
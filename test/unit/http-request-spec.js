@@ -0,0 +1,186 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const HttpRequest = require('../../lib/http-request');
+const BadRequestError = require('../../lib/errors').BadRequestError;
+
+describe('HttpRequest', () => {
+    function _createEvent(props) {
+        return Object.assign({
+            httpMethod: 'get',
+            path: '/users/123',
+            resource: '/users/{id}',
+            pathParameters: {
+                id: '123'
+            },
+            queryStringParameters: {
+                expand: 'true'
+            },
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Api-Key': 'abc'
+            },
+            requestContext: {
+                stage: 'dev'
+            },
+            body: null
+        }, props);
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without a valid event', () => {
+            const error = 'Invalid event specified (arg #1)';
+            _testValueProvider.allButObject().forEach((event) => {
+                const testCase = () => {
+                    return new HttpRequest(event);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return an object with the required properties and methods', () => {
+            const request = new HttpRequest(_createEvent());
+
+            expect(request).to.be.an('object');
+            expect(request.getHeader).to.be.a('function');
+        });
+    });
+
+    describe('[properties]', () => {
+        it('should expose normalized request parameters from the event', () => {
+            const event = _createEvent();
+            const request = new HttpRequest(event);
+
+            expect(request.event).to.equal(event);
+            expect(request.method).to.equal('GET');
+            expect(request.path).to.equal('/users/123');
+            expect(request.resource).to.equal('/users/{id}');
+            expect(request.pathParameters).to.deep.equal({
+                id: '123'
+            });
+            expect(request.query).to.deep.equal({
+                expand: 'true'
+            });
+            expect(request.requestContext).to.deep.equal({
+                stage: 'dev'
+            });
+        });
+
+        it('should return empty objects if the event does not define parameters', () => {
+            const request = new HttpRequest({});
+
+            expect(request.method).to.equal('');
+            expect(request.pathParameters).to.deep.equal({});
+            expect(request.query).to.deep.equal({});
+            expect(request.headers).to.deep.equal({});
+            expect(request.requestContext).to.deep.equal({});
+            expect(request.body).to.be.undefined;
+            expect(request.rawBody).to.be.undefined;
+        });
+
+        it('should convert header names to lower case', () => {
+            const request = new HttpRequest(_createEvent());
+
+            expect(request.headers).to.deep.equal({
+                'content-type': 'application/json',
+                'x-api-key': 'abc'
+            });
+        });
+    });
+
+    describe('getHeader()', () => {
+        it('should throw an error if invoked without a valid header name', () => {
+            const error = 'Invalid header name specified (arg #1)';
+            _testValueProvider.allButString('').forEach((name) => {
+                const testCase = () => {
+                    const request = new HttpRequest(_createEvent());
+                    request.getHeader(name);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return header values using a case insensitive match', () => {
+            const request = new HttpRequest(_createEvent());
+
+            expect(request.getHeader('x-api-key')).to.equal('abc');
+            expect(request.getHeader('X-API-KEY')).to.equal('abc');
+            expect(request.getHeader('x-missing')).to.be.undefined;
+        });
+    });
+
+    describe('body', () => {
+        it('should parse JSON bodies', () => {
+            const request = new HttpRequest(_createEvent({
+                body: '{"foo":"bar"}'
+            }));
+
+            expect(request.body).to.deep.equal({
+                foo: 'bar'
+            });
+            expect(request.rawBody).to.equal('{"foo":"bar"}');
+        });
+
+        it('should parse JSON bodies if no content type is specified', () => {
+            const request = new HttpRequest(_createEvent({
+                headers: {},
+                body: '[1, 2]'
+            }));
+
+            expect(request.body).to.deep.equal([1, 2]);
+        });
+
+        it('should return the raw body if no content type is specified and the body is not JSON', () => {
+            const request = new HttpRequest(_createEvent({
+                headers: {},
+                body: 'foo'
+            }));
+
+            expect(request.body).to.equal('foo');
+        });
+
+        it('should return the raw body if the content type is not JSON', () => {
+            const request = new HttpRequest(_createEvent({
+                headers: {
+                    'content-type': 'text/plain'
+                },
+                body: '{"foo":"bar"}'
+            }));
+
+            expect(request.body).to.equal('{"foo":"bar"}');
+        });
+
+        it('should decode base64 encoded bodies', () => {
+            const request = new HttpRequest(_createEvent({
+                body: Buffer.from('{"foo":"bar"}').toString('base64'),
+                isBase64Encoded: true
+            }));
+
+            expect(request.rawBody).to.equal('{"foo":"bar"}');
+            expect(request.body).to.deep.equal({
+                foo: 'bar'
+            });
+        });
+
+        it('should throw a bad request error if a JSON body cannot be parsed', () => {
+            const testCase = () => {
+                return new HttpRequest(_createEvent({
+                    headers: {
+                        'content-type': 'application/vnd.api+json'
+                    },
+                    body: '{foo'
+                }));
+            };
+
+            expect(testCase).to.throw(BadRequestError, '[BadRequestError] Request body is not valid JSON');
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const HttpResponse = require('../../lib/http-response');
+
+describe('HttpResponse', () => {
+    describe('ctor()', () => {
+        it('should return an object with the required properties and methods', () => {
+            const response = new HttpResponse();
+
+            expect(response).to.be.an('object');
+            expect(response.setHeader).to.be.a('function');
+            expect(response.toResult).to.be.a('function');
+        });
+
+        it('should expose the body, status code and headers of the response', () => {
+            const body = {
+                foo: 'bar'
+            };
+            const headers = {
+                'X-Foo': 'bar'
+            };
+            const response = new HttpResponse(body, 201, headers);
+
+            expect(response.body).to.equal(body);
+            expect(response.statusCode).to.equal(201);
+            expect(response.headers).to.deep.equal(headers);
+            expect(response.headers).to.not.equal(headers);
+        });
+
+        it('should default the status code to 200 if the response has a body', () => {
+            _testValueProvider.allButNumber().forEach((statusCode) => {
+                const response = new HttpResponse('foo', statusCode);
+                expect(response.statusCode).to.equal(200);
+            });
+        });
+
+        it('should default the status code to 204 if the response has no body', () => {
+            const response = new HttpResponse();
+            expect(response.statusCode).to.equal(204);
+        });
+
+        it('should default the headers to an empty object if valid headers are not specified', () => {
+            _testValueProvider.allButObject().forEach((headers) => {
+                const response = new HttpResponse('foo', 200, headers);
+                expect(response.headers).to.deep.equal({});
+            });
+        });
+    });
+
+    describe('setHeader()', () => {
+        it('should throw an error if invoked without a valid header name', () => {
+            const error = 'Invalid header name specified (arg #1)';
+            _testValueProvider.allButString('').forEach((name) => {
+                const testCase = () => {
+                    const response = new HttpResponse();
+                    response.setHeader(name, 'foo');
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should set the header value and return a reference to the response', () => {
+            const response = new HttpResponse();
+            const ret = response.setHeader('X-Foo', 'bar');
+
+            expect(ret).to.equal(response);
+            expect(response.headers['X-Foo']).to.equal('bar');
+        });
+    });
+
+    describe('toResult()', () => {
+        it('should JSON encode object bodies and set the content type', () => {
+            const response = new HttpResponse({
+                foo: 'bar'
+            }, 201);
+
+            expect(response.toResult()).to.deep.equal({
+                statusCode: 201,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: '{"foo":"bar"}'
+            });
+        });
+
+        it('should not override an existing content type', () => {
+            const response = new HttpResponse({
+                foo: 'bar'
+            }, 200, {
+                'content-type': 'application/hal+json'
+            });
+
+            expect(response.toResult().headers).to.deep.equal({
+                'content-type': 'application/hal+json'
+            });
+        });
+
+        it('should return string bodies without modification', () => {
+            const response = new HttpResponse('<p>foo</p>', 200, {
+                'Content-Type': 'text/html'
+            });
+
+            expect(response.toResult().body).to.equal('<p>foo</p>');
+        });
+
+        it('should base64 encode buffer bodies', () => {
+            const response = new HttpResponse(Buffer.from('foo'));
+            const result = response.toResult();
+
+            expect(result.body).to.equal(Buffer.from('foo').toString('base64'));
+            expect(result.isBase64Encoded).to.be.true;
+        });
+
+        it('should return an empty body if the response has no body', () => {
+            const response = new HttpResponse();
+
+            expect(response.toResult()).to.deep.equal({
+                statusCode: 204,
+                headers: {},
+                body: ''
+            });
+        });
+
+        it('should include default headers, unless overridden by response headers', () => {
+            const response = new HttpResponse(undefined, 204, {
+                'X-Foo': 'bar'
+            });
+            const result = response.toResult({
+                'X-Foo': 'baz',
+                'X-Bar': 'foo'
+            });
+
+            expect(result.headers).to.deep.equal({
+                'X-Foo': 'bar',
+                'X-Bar': 'foo'
+            });
+        });
+    });
+});
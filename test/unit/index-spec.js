@@ -12,10 +12,48 @@ describe('index', function() {
     it('should implement methods required by the interface', function() {
         expect(_index.HandlerWrapper).to.be.a('function');
         expect(_index.Environment).to.be.a('function');
+        expect(_index.SchemaValidator).to.be.a('function');
+        expect(_index.HttpRequest).to.be.a('function');
+        expect(_index.HttpResponse).to.be.a('function');
+        expect(_index.Router).to.be.a('function');
+        expect(_index.EventRecord).to.be.a('function');
+        expect(_index.KeepWarmDetector).to.be.a('function');
+        expect(_index.Deadline).to.be.a('function');
+        expect(_index.EnvResolver).to.be.a('function');
+        expect(_index.ConfigLoader).to.be.a('function');
+        expect(_index.SecretResolver).to.be.a('function');
+        expect(_index.validateConfig).to.be.a('function');
+        expect(_index.Arn).to.be.a('function');
+        expect(_index.CorrelationResolver).to.be.a('function');
+        expect(_index.LogLevelResolver).to.be.a('function');
+        expect(_index.Redactor).to.be.a('function');
+        expect(_index.MetricsBuffer).to.be.a('function');
+        expect(_index.MetricsCollector).to.be.a('function');
+        expect(_index.LocalInvoker).to.be.a('function');
+        expect(_index.errors).to.be.an('object');
     });
 
     it('should return the correct class for HandlerWrapper', function() {
         expect(_index.HandlerWrapper).to.equal(require('../../lib/handler-wrapper'));
         expect(_index.Environment).to.equal(require('../../lib/environment'));
+        expect(_index.SchemaValidator).to.equal(require('../../lib/schema-validator'));
+        expect(_index.HttpRequest).to.equal(require('../../lib/http-request'));
+        expect(_index.HttpResponse).to.equal(require('../../lib/http-response'));
+        expect(_index.Router).to.equal(require('../../lib/router'));
+        expect(_index.EventRecord).to.equal(require('../../lib/event-record'));
+        expect(_index.KeepWarmDetector).to.equal(require('../../lib/keep-warm-detector'));
+        expect(_index.Deadline).to.equal(require('../../lib/deadline'));
+        expect(_index.EnvResolver).to.equal(require('../../lib/env-resolver'));
+        expect(_index.ConfigLoader).to.equal(require('../../lib/config-loader'));
+        expect(_index.SecretResolver).to.equal(require('../../lib/secret-resolver'));
+        expect(_index.validateConfig).to.equal(require('../../lib/validate-config'));
+        expect(_index.Arn).to.equal(require('../../lib/arn'));
+        expect(_index.CorrelationResolver).to.equal(require('../../lib/correlation-resolver'));
+        expect(_index.LogLevelResolver).to.equal(require('../../lib/log-level-resolver'));
+        expect(_index.Redactor).to.equal(require('../../lib/redactor'));
+        expect(_index.MetricsBuffer).to.equal(require('../../lib/metrics-buffer'));
+        expect(_index.MetricsCollector).to.equal(require('../../lib/metrics-collector'));
+        expect(_index.LocalInvoker).to.equal(require('../../lib/local-invoker'));
+        expect(_index.errors).to.equal(require('../../lib/errors'));
     });
 });
@@ -0,0 +1,163 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const KeepWarmDetector = require('../../lib/keep-warm-detector');
+
+describe('KeepWarmDetector', () => {
+    const RULE_ARN = 'arn:aws:events:us-east-1:123456789012:rule/keep-warm';
+
+    function _createScheduledEvent(ruleArn) {
+        return {
+            source: 'aws.events',
+            'detail-type': 'Scheduled Event',
+            resources: [ruleArn]
+        };
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify an invalid flag', () => {
+            const error = 'Invalid keep warm flag specified (options.flag)';
+            _testValueProvider.allButString('').filter((value) => value !== undefined).forEach((flag) => {
+                const testCase = () => {
+                    return new KeepWarmDetector({
+                        flag
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify invalid schedule rules', () => {
+            const error = 'Invalid schedule rules specified (options.scheduleRules)';
+            _testValueProvider.allButArray().filter((value) => !!value)
+                .concat([[''], [1]])
+                .forEach((scheduleRules) => {
+                    const testCase = () => {
+                        return new KeepWarmDetector({
+                            scheduleRules
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid detect function', () => {
+            const error = 'Invalid detect function specified (options.detect)';
+            _testValueProvider.allButFunction().filter((value) => value !== undefined).forEach((detect) => {
+                const testCase = () => {
+                    return new KeepWarmDetector({
+                        detect
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return an object with the required methods', () => {
+            _testValueProvider.allButObject().forEach((options) => {
+                const detector = new KeepWarmDetector(options);
+
+                expect(detector).to.be.an('object');
+                expect(detector.isKeepWarm).to.be.a('function');
+            });
+        });
+    });
+
+    describe('isKeepWarm()', () => {
+        it('should return false if the event is not an object', () => {
+            const detector = new KeepWarmDetector();
+            [undefined, null, 123, 'abc', true].forEach((event) => {
+                expect(detector.isKeepWarm(event)).to.be.false;
+            });
+        });
+
+        it('should return true if the default flag is set on the event', () => {
+            const detector = new KeepWarmDetector();
+
+            expect(detector.isKeepWarm({
+                __LAMBDA_KEEP_WARM: true
+            })).to.be.true;
+            expect(detector.isKeepWarm({
+                __LAMBDA_KEEP_WARM: false
+            })).to.be.false;
+            expect(detector.isKeepWarm({})).to.be.false;
+        });
+
+        it('should use a custom flag if specified', () => {
+            const detector = new KeepWarmDetector({
+                flag: 'warmer'
+            });
+
+            expect(detector.isKeepWarm({
+                warmer: true
+            })).to.be.true;
+            expect(detector.isKeepWarm({
+                __LAMBDA_KEEP_WARM: true
+            })).to.be.false;
+        });
+
+        it('should detect warmup plugin payloads only if enabled', () => {
+            const event = {
+                source: 'serverless-plugin-warmup'
+            };
+
+            expect(new KeepWarmDetector().isKeepWarm(event)).to.be.false;
+            expect(new KeepWarmDetector({
+                warmupPlugin: true
+            }).isKeepWarm(event)).to.be.true;
+        });
+
+        it('should detect scheduled events from configured rules using rule names or arns', () => {
+            const event = _createScheduledEvent(RULE_ARN);
+
+            expect(new KeepWarmDetector().isKeepWarm(event)).to.be.false;
+            expect(new KeepWarmDetector({
+                scheduleRules: ['keep-warm']
+            }).isKeepWarm(event)).to.be.true;
+            expect(new KeepWarmDetector({
+                scheduleRules: [RULE_ARN]
+            }).isKeepWarm(event)).to.be.true;
+        });
+
+        it('should not detect scheduled events from other rules or sources', () => {
+            const detector = new KeepWarmDetector({
+                scheduleRules: ['keep-warm']
+            });
+
+            expect(detector.isKeepWarm(_createScheduledEvent(
+                'arn:aws:events:us-east-1:123456789012:rule/nightly-job'))).to.be.false;
+            expect(detector.isKeepWarm(Object.assign(_createScheduledEvent(RULE_ARN), {
+                source: 'custom'
+            }))).to.be.false;
+            expect(detector.isKeepWarm({
+                source: 'aws.events'
+            })).to.be.false;
+        });
+
+        it('should use the custom detect function if specified', () => {
+            const detect = _sinon.stub();
+            const detector = new KeepWarmDetector({
+                detect
+            });
+            const event = {
+                foo: 'bar'
+            };
+
+            detect.returns(true);
+            expect(detector.isKeepWarm(event)).to.be.true;
+            expect(detect).to.have.been.calledWithExactly(event);
+
+            detect.returns(undefined);
+            expect(detector.isKeepWarm(event)).to.be.false;
+        });
+    });
+});
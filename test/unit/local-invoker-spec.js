@@ -0,0 +1,406 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const LocalInvoker = require('../../lib/local-invoker');
+
+describe('LocalInvoker', () => {
+    const DEFAULT_FUNCTION_NAME = 'my_function';
+
+    function _createInvoker(options) {
+        return new LocalInvoker(Object.assign({
+            functionName: DEFAULT_FUNCTION_NAME
+        }, options));
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without valid options', () => {
+            const error = 'Invalid options specified (arg #1)';
+            _testValueProvider.allButObject().forEach((options) => {
+                const testCase = () => {
+                    return new LocalInvoker(options);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options do not specify a valid function name', () => {
+            const error = 'Invalid function name specified (options.functionName)';
+            _testValueProvider.allButString('').forEach((functionName) => {
+                const testCase = () => {
+                    return new LocalInvoker({
+                        functionName
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid timeout', () => {
+            const error = 'Invalid timeout specified (options.timeout)';
+            _testValueProvider.allButNumber().filter((value) => value !== undefined)
+                .concat([NaN, 0, -1])
+                .forEach((timeout) => {
+                    const testCase = () => {
+                        return _createInvoker({
+                            timeout
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options cannot be used to build a function ARN', () => {
+            const error = 'Invalid function ARN options specified. Details: ';
+            [{
+                region: 1
+            }, {
+                accountId: 1
+            }, {
+                alias: ''
+            }].forEach((options) => {
+                const testCase = () => {
+                    return _createInvoker(options);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected properties and methods', () => {
+            const invoker = _createInvoker();
+
+            expect(invoker).to.be.an('object');
+            expect(invoker.functionArn).to.be.a('string');
+            expect(invoker.createContext).to.be.a('function');
+            expect(invoker.invoke).to.be.a('function');
+        });
+    });
+
+    describe('parseArgs()', () => {
+        it('should throw an error if invoked without a valid argument list', () => {
+            const error = 'Invalid arguments specified (arg #1)';
+            _testValueProvider.allButArray().forEach((args) => {
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(args);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the command is not supported', () => {
+            [undefined, 'run', '--event'].forEach((command) => {
+                const args = (command === undefined) ? [] : [command, 'index.js'];
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(args);
+                };
+                expect(testCase).to.throw(`Unknown command specified (${command})`);
+            });
+        });
+
+        it('should throw an error if the handler is not specified or is invalid', () => {
+            [[], ['--event', 'event.json']].forEach((args) => {
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(['invoke'].concat(args));
+                };
+                expect(testCase).to.throw('Handler not specified. Expected <module>#<export>');
+            });
+            ['#handler', 'index.js#'].forEach((target) => {
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(['invoke', target]);
+                };
+                expect(testCase).to.throw(`Invalid handler specified (${target})`);
+            });
+        });
+
+        it('should throw an error if an unknown option is specified', () => {
+            ['event', '--foo', '--constructor'].forEach((arg) => {
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(['invoke', 'index.js', arg, 'bar']);
+                };
+                expect(testCase).to.throw(`Unknown option specified (${arg})`);
+            });
+        });
+
+        it('should throw an error if an option does not have a valid value', () => {
+            ['--event', '--alias', '--timeout'].forEach((arg) => {
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(['invoke', 'index.js', arg]);
+                };
+                expect(testCase).to.throw(`Value not specified for option (${arg})`);
+            });
+            ['foo', '-1', '1.5'].forEach((value) => {
+                const testCase = () => {
+                    return LocalInvoker.parseArgs(['invoke', 'index.js', '--timeout', value]);
+                };
+                expect(testCase).to.throw('Invalid value specified for option (--timeout)');
+            });
+        });
+
+        it('should return the module path and export name of the handler', () => {
+            expect(LocalInvoker.parseArgs(['invoke', './dist/index.js#main'])).to.deep.equal({
+                command: 'invoke',
+                modulePath: './dist/index.js',
+                exportName: 'main',
+                options: {}
+            });
+        });
+
+        it('should use "handler" as the export name if one is not specified', () => {
+            expect(LocalInvoker.parseArgs(['invoke', 'index.js']).exportName).to.equal('handler');
+        });
+
+        it('should return the options specified on the command line', () => {
+            const args = [
+                'invoke', 'index.js#handler',
+                '--event', 'event.json',
+                '--alias', 'qa',
+                '--timeout', '5000',
+                '--region', 'us-west-2',
+                '--account', '000000000000',
+                '--name', 'foo',
+                '--raw'
+            ];
+
+            expect(LocalInvoker.parseArgs(args).options).to.deep.equal({
+                event: 'event.json',
+                alias: 'qa',
+                timeout: 5000,
+                region: 'us-west-2',
+                account: '000000000000',
+                name: 'foo',
+                raw: true
+            });
+        });
+
+        it('should not modify the input arguments', () => {
+            const args = ['invoke', 'index.js', '--raw'];
+
+            LocalInvoker.parseArgs(args);
+
+            expect(args).to.deep.equal(['invoke', 'index.js', '--raw']);
+        });
+    });
+
+    describe('formatLogLine()', () => {
+        function _createRecord(props) {
+            return JSON.stringify(Object.assign({
+                name: 'my_app',
+                hostname: 'localhost',
+                pid: 1234,
+                level: 30,
+                msg: 'Hello',
+                time: '2016-08-01T10:20:30.456Z',
+                v: 0
+            }, props));
+        }
+
+        it('should return lines that are not log records without modification', () => {
+            ['', 'Hello world', '{"foo": ', '1', 'null', '{"msg": "Hello"}'].forEach((line) => {
+                expect(LocalInvoker.formatLogLine(line)).to.equal(line);
+            });
+        });
+
+        it('should include the time, level, group and message of log records', () => {
+            expect(LocalInvoker.formatLogLine(_createRecord({
+                group: 'handler'
+            }))).to.equal('[10:20:30.456] INFO handler: Hello');
+            expect(LocalInvoker.formatLogLine(_createRecord({
+                level: 50
+            }))).to.equal('[10:20:30.456] ERROR: Hello');
+        });
+
+        it('should include the remaining fields of the log record on the next line', () => {
+            const output = LocalInvoker.formatLogLine(_createRecord({
+                awsRequestId: 'abc',
+                data: {
+                    id: 1
+                }
+            }));
+
+            expect(output.split('\n')).to.deep.equal([
+                '[10:20:30.456] INFO: Hello',
+                '    { awsRequestId: \'abc\', data: { id: 1 } }'
+            ]);
+        });
+
+        it('should include the error stack of the log record, if one is present', () => {
+            const output = LocalInvoker.formatLogLine(_createRecord({
+                err: {
+                    message: 'Something went wrong',
+                    stack: 'Error: Something went wrong\n    at foo'
+                }
+            }));
+
+            expect(output.split('\n')).to.deep.equal([
+                '[10:20:30.456] INFO: Hello',
+                '    Error: Something went wrong',
+                '        at foo'
+            ]);
+        });
+    });
+
+    describe('createContext()', () => {
+        let _clock = null;
+
+        beforeEach(() => {
+            _clock = _sinon.useFakeTimers(new Date('2016-08-01T10:20:30.456Z').getTime());
+        });
+
+        afterEach(() => {
+            _clock.restore();
+        });
+
+        it('should return a context with the function name, version and ARN', () => {
+            const invoker = _createInvoker();
+            const context = invoker.createContext();
+
+            expect(context.functionName).to.equal(DEFAULT_FUNCTION_NAME);
+            expect(context.functionVersion).to.equal('$LATEST');
+            expect(context.memoryLimitInMB).to.equal('128');
+            expect(context.callbackWaitsForEmptyEventLoop).to.be.true;
+            expect(context.invokedFunctionArn).to.equal(
+                `arn:aws:lambda:us-east-1:123456789012:function:${DEFAULT_FUNCTION_NAME}`);
+            expect(context.invokedFunctionArn).to.equal(invoker.functionArn);
+        });
+
+        it('should qualify the function ARN with the region, account id and alias', () => {
+            const context = _createInvoker({
+                alias: 'qa',
+                region: 'us-west-2',
+                accountId: '000000000000'
+            }).createContext();
+
+            expect(context.invokedFunctionArn).to.equal(
+                `arn:aws:lambda:us-west-2:000000000000:function:${DEFAULT_FUNCTION_NAME}:qa`);
+        });
+
+        it('should include the log group and log stream names', () => {
+            const context = _createInvoker().createContext();
+
+            expect(context.logGroupName).to.equal(`/aws/lambda/${DEFAULT_FUNCTION_NAME}`);
+            expect(context.logStreamName).to.match(/^2016\/08\/01\/\[\$LATEST\][0-9a-f]{32}$/);
+        });
+
+        it('should generate a unique request id for each context', () => {
+            const invoker = _createInvoker();
+            const first = invoker.createContext().awsRequestId;
+            const second = invoker.createContext().awsRequestId;
+
+            expect(first).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+            expect(second).to.not.equal(first);
+        });
+
+        it('should compute the remaining time based on the timeout', () => {
+            const context = _createInvoker({
+                timeout: 5000
+            }).createContext();
+
+            expect(context.getRemainingTimeInMillis()).to.equal(5000);
+            _clock.tick(1200);
+            expect(context.getRemainingTimeInMillis()).to.equal(3800);
+            _clock.tick(10000);
+            expect(context.getRemainingTimeInMillis()).to.equal(0);
+        });
+
+        it('should compute the remaining time from the start time, if one is specified', () => {
+            const context = _createInvoker({
+                timeout: 5000
+            }).createContext(Date.now() - 2000);
+
+            expect(context.getRemainingTimeInMillis()).to.equal(3000);
+        });
+    });
+
+    describe('invoke()', () => {
+        it('should throw an error if invoked without a valid handler', () => {
+            const error = 'Invalid handler specified (arg #1)';
+            _testValueProvider.allButFunction().forEach((handler) => {
+                const testCase = () => {
+                    return _createInvoker().invoke(handler);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should invoke the handler with the event, a new context and a callback', () => {
+            const handler = _sinon.spy((event, context, callback) => callback(null));
+            const invoker = _createInvoker({
+                alias: 'qa'
+            });
+            const event = {
+                foo: 'bar'
+            };
+
+            const ret = invoker.invoke(handler, event);
+
+            expect(handler).to.have.been.calledOnce;
+            const args = handler.args[0];
+            expect(args[0]).to.equal(event);
+            expect(args[1].invokedFunctionArn).to.equal(invoker.functionArn);
+            expect(args[2]).to.be.a('function');
+            return expect(ret).to.be.fulfilled;
+        });
+
+        it('should resolve or reject the promise based on the callback', () => {
+            const invoker = _createInvoker();
+            const error = new Error('Something went wrong');
+
+            return Promise.all([
+                expect(invoker.invoke((event, context, callback) => {
+                    callback(null, {
+                        id: 1
+                    });
+                })).to.eventually.deep.equal({
+                    id: 1
+                }),
+                expect(invoker.invoke((event, context, callback) => {
+                    callback(error);
+                })).to.be.rejectedWith(error)
+            ]);
+        });
+
+        it('should settle the promise based on the promise returned by the handler', () => {
+            const invoker = _createInvoker();
+            const error = new Error('Something went wrong');
+
+            return Promise.all([
+                expect(invoker.invoke(() => Promise.resolve('foo'))).to.eventually.equal('foo'),
+                expect(invoker.invoke(() => Promise.reject(error))).to.be.rejectedWith(error)
+            ]);
+        });
+
+        it('should reject the promise if the handler throws an error', () => {
+            const error = new Error('Something went wrong');
+
+            return expect(_createInvoker().invoke(() => {
+                throw error;
+            })).to.be.rejectedWith(error);
+        });
+
+        it('should ignore all but the first result reported by the handler', () => {
+            const ret = _createInvoker().invoke((event, context, callback) => {
+                callback(null, 'foo');
+                callback(new Error('Something went wrong'));
+                return Promise.resolve('bar');
+            });
+
+            return expect(ret).to.eventually.equal('foo');
+        });
+
+        it('should reject the promise if the handler does not complete within the timeout', () => {
+            const ret = _createInvoker({
+                timeout: 20
+            }).invoke(() => undefined);
+
+            return expect(ret).to.be.rejectedWith('Task timed out after 0.02 seconds');
+        });
+    });
+});
@@ -0,0 +1,290 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const LogLevelResolver = require('../../lib/log-level-resolver');
+
+describe('LogLevelResolver', () => {
+    let _randomMethod = null;
+
+    function _createSqsEvent(attributes) {
+        return {
+            Records: [{
+                eventSource: 'aws:sqs',
+                messageAttributes: attributes
+            }]
+        };
+    }
+
+    function _createSnsEvent(attributes) {
+        return {
+            Records: [{
+                EventSource: 'aws:sns',
+                Sns: {
+                    MessageAttributes: attributes
+                }
+            }]
+        };
+    }
+
+    beforeEach(() => {
+        _randomMethod = _sinon.stub(Math, 'random').returns(0.5);
+    });
+
+    afterEach(() => {
+        _randomMethod.restore();
+    });
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify invalid source names', () => {
+            ['header', 'attribute', 'field'].forEach((prop) => {
+                const error = `Invalid ${prop} name specified (options.${prop})`;
+                _testValueProvider.allButString('').filter((value) => value !== undefined && typeof value !== 'boolean')
+                    .forEach((value) => {
+                        const testCase = () => {
+                            return new LogLevelResolver({
+                                [prop]: value
+                            });
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+            });
+        });
+
+        it('should throw an error if the options specify an invalid sample rate', () => {
+            const error = 'Invalid sample rate specified (options.sampleRate)';
+            _testValueProvider.allButNumber().filter((value) => value !== undefined)
+                .concat([NaN, -0.1, 1.1])
+                .forEach((sampleRate) => {
+                    const testCase = () => {
+                        return new LogLevelResolver({
+                            sampleRate
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid sample level', () => {
+            const error = 'Invalid sample level specified (options.sampleLevel)';
+            _testValueProvider.allButString().filter((value) => value !== undefined)
+                .concat(['', 'verbose', 'DEBUG'])
+                .forEach((sampleLevel) => {
+                    const testCase = () => {
+                        return new LogLevelResolver({
+                            sampleLevel
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should expose the expected methods', () => {
+            const resolver = new LogLevelResolver();
+
+            expect(resolver).to.be.an('object');
+            expect(resolver.resolve).to.be.a('function');
+        });
+    });
+
+    describe('LEVELS', () => {
+        it('should return the list of log levels, from most to least verbose', () => {
+            expect(LogLevelResolver.LEVELS).to.deep.equal(['trace', 'debug', 'info', 'warn', 'error', 'fatal']);
+        });
+    });
+
+    describe('resolve()', () => {
+        it('should return the configured level if the event does not request a level', () => {
+            const resolver = new LogLevelResolver();
+
+            [undefined, null, {}, 'foo'].forEach((event) => {
+                expect(resolver.resolve(event, 'warn')).to.equal('warn');
+            });
+        });
+
+        it('should use "info" if the configured level is not valid', () => {
+            const resolver = new LogLevelResolver();
+
+            [undefined, null, 1, '', 'verbose'].forEach((level) => {
+                expect(resolver.resolve({}, level)).to.equal('info');
+            });
+        });
+
+        it('should ignore the header, message attribute and event field by default', () => {
+            const resolver = new LogLevelResolver();
+
+            expect(resolver.resolve(Object.assign(_createSqsEvent({
+                logLevel: {
+                    stringValue: 'debug'
+                }
+            }), {
+                headers: {
+                    'x-log-level': 'trace'
+                },
+                logLevel: 'trace'
+            }), 'info')).to.equal('info');
+        });
+
+        it('should return the level from the request header, regardless of case', () => {
+            const resolver = new LogLevelResolver({
+                header: true
+            });
+
+            ['x-log-level', 'X-Log-Level'].forEach((header) => {
+                expect(resolver.resolve({
+                    headers: {
+                        [header]: 'DEBUG'
+                    }
+                }, 'info')).to.equal('debug');
+            });
+        });
+
+        it('should return the level from the message attributes of SQS and SNS records', () => {
+            const resolver = new LogLevelResolver({
+                attribute: true
+            });
+
+            expect(resolver.resolve(_createSqsEvent({
+                logLevel: {
+                    stringValue: 'trace',
+                    dataType: 'String'
+                }
+            }), 'info')).to.equal('trace');
+            expect(resolver.resolve(_createSnsEvent({
+                logLevel: {
+                    Type: 'String',
+                    Value: 'debug'
+                }
+            }), 'info')).to.equal('debug');
+        });
+
+        it('should return the level from the event field', () => {
+            const resolver = new LogLevelResolver({
+                field: 'detail.meta.logLevel'
+            });
+
+            expect(resolver.resolve({
+                detail: {
+                    meta: {
+                        logLevel: 'debug'
+                    }
+                }
+            }, 'info')).to.equal('debug');
+        });
+
+        it('should use custom header and attribute names if specified', () => {
+            const resolver = new LogLevelResolver({
+                header: 'x-debug',
+                attribute: 'debugLevel'
+            });
+
+            expect(resolver.resolve({
+                headers: {
+                    'X-Debug': 'debug',
+                    'x-log-level': 'trace'
+                }
+            }, 'info')).to.equal('debug');
+            expect(resolver.resolve(_createSqsEvent({
+                debugLevel: {
+                    stringValue: 'trace'
+                }
+            }), 'info')).to.equal('trace');
+        });
+
+        it('should check the header, message attribute and event field in order', () => {
+            const resolver = new LogLevelResolver({
+                header: true,
+                attribute: true,
+                field: true
+            });
+            const event = Object.assign(_createSqsEvent({
+                logLevel: {
+                    stringValue: 'debug'
+                }
+            }), {
+                logLevel: 'warn'
+            });
+
+            expect(resolver.resolve(Object.assign({
+                headers: {
+                    'x-log-level': 'trace'
+                }
+            }, event), 'info')).to.equal('trace');
+            expect(resolver.resolve(event, 'info')).to.equal('debug');
+            expect(resolver.resolve({
+                logLevel: 'debug'
+            }, 'info')).to.equal('debug');
+        });
+
+        it('should ignore sources that have been disabled, and values that are not valid levels', () => {
+            const resolver = new LogLevelResolver({
+                header: false,
+                attribute: false,
+                field: true
+            });
+
+            expect(resolver.resolve(Object.assign(_createSqsEvent({
+                logLevel: {
+                    stringValue: 'debug'
+                }
+            }), {
+                headers: {
+                    'x-log-level': 'debug'
+                },
+                logLevel: 'verbose'
+            }), 'info')).to.equal('info');
+        });
+
+        it('should not reduce the configured level', () => {
+            const resolver = new LogLevelResolver({
+                field: true,
+                sampleRate: 1,
+                sampleLevel: 'warn'
+            });
+
+            expect(resolver.resolve({
+                logLevel: 'error'
+            }, 'debug')).to.equal('debug');
+        });
+
+        it('should apply the sample level to a random percentage of invocations', () => {
+            const resolver = new LogLevelResolver({
+                sampleRate: 0.25
+            });
+
+            _randomMethod.returns(0.1);
+            expect(resolver.resolve({}, 'info')).to.equal('debug');
+
+            _randomMethod.returns(0.25);
+            expect(resolver.resolve({}, 'info')).to.equal('info');
+        });
+
+        it('should use the most verbose of the requested and sampled levels', () => {
+            const resolver = new LogLevelResolver({
+                field: true,
+                sampleRate: 1,
+                sampleLevel: 'trace'
+            });
+
+            _randomMethod.returns(0);
+            expect(resolver.resolve({
+                logLevel: 'debug'
+            }, 'info')).to.equal('trace');
+        });
+
+        it('should not sample invocations by default', () => {
+            const resolver = new LogLevelResolver();
+
+            _randomMethod.returns(0);
+            expect(resolver.resolve({}, 'info')).to.equal('info');
+        });
+    });
+});
@@ -0,0 +1,325 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const MetricsBuffer = require('../../lib/metrics-buffer');
+
+describe('MetricsBuffer', () => {
+    const DEFAULT_NAMESPACE = 'my-app';
+    const DEFAULT_DIMENSIONS = {
+        app: 'my-app',
+        env: 'dev'
+    };
+
+    function _createBuffer(options) {
+        return new MetricsBuffer(Object.assign({
+            namespace: DEFAULT_NAMESPACE,
+            dimensions: DEFAULT_DIMENSIONS,
+            write: _sinon.spy()
+        }, options));
+    }
+
+    function _getDocuments(buffer) {
+        return buffer._write.args.map((args) => JSON.parse(args[0]));
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without valid options', () => {
+            const error = 'Invalid options specified (arg #1)';
+            _testValueProvider.allButObject().concat([[]]).forEach((options) => {
+                const testCase = () => {
+                    return new MetricsBuffer(options);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify an invalid namespace', () => {
+            const error = 'Invalid namespace specified (options.namespace)';
+            _testValueProvider.allButString('').concat(['foo:bar', 'a'.repeat(256)]).forEach((namespace) => {
+                const testCase = () => {
+                    return _createBuffer({
+                        namespace
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the options specify invalid dimensions', () => {
+            const error = 'Invalid dimensions specified (options.dimensions)';
+            const tooMany = {};
+            for (let index = 0; index < 31; index++) {
+                tooMany[`dim${index}`] = 'foo';
+            }
+            _testValueProvider.allButObject().filter((value) => value !== undefined)
+                .concat([[], {
+                    env: 1
+                }, {
+                    env: ''
+                }, tooMany])
+                .forEach((dimensions) => {
+                    const testCase = () => {
+                        return _createBuffer({
+                            dimensions
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify invalid units', () => {
+            const error = 'Invalid units specified (options.units)';
+            _testValueProvider.allButObject().filter((value) => value !== undefined)
+                .concat([[], {
+                    COUNT: 'Apples'
+                }])
+                .forEach((units) => {
+                    const testCase = () => {
+                        return _createBuffer({
+                            units
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid write function', () => {
+            const error = 'Invalid write function specified (options.write)';
+            _testValueProvider.allButFunction().filter((value) => value !== undefined).forEach((write) => {
+                const testCase = () => {
+                    return _createBuffer({
+                        write
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected methods', () => {
+            const buffer = _createBuffer();
+
+            expect(buffer).to.be.an('object');
+            expect(buffer.add).to.be.a('function');
+            expect(buffer.flush).to.be.a('function');
+        });
+    });
+
+    describe('UNITS', () => {
+        it('should return the list of CloudWatch units', () => {
+            expect(MetricsBuffer.UNITS).to.include.members(['Count', 'Milliseconds', 'Bytes/Second', 'None']);
+        });
+    });
+
+    describe('isMetricValue()', () => {
+        it('should return true for finite numbers and non empty arrays of finite numbers', () => {
+            [0, -1, 1.5, [1], [1, 2, 3]].forEach((value) => {
+                expect(MetricsBuffer.isMetricValue(value)).to.be.true;
+            });
+        });
+
+        it('should return false for all other values', () => {
+            _testValueProvider.allButNumber().concat([NaN, Infinity, [], [1, 'a']]).forEach((value) => {
+                expect(MetricsBuffer.isMetricValue(value)).to.be.false;
+            });
+        });
+    });
+
+    describe('add()', () => {
+        it('should throw an error if invoked without a valid metric', () => {
+            const error = 'Invalid metric specified (arg #1)';
+            _testValueProvider.allButString('').forEach((metric) => {
+                const testCase = () => {
+                    return _createBuffer().add(metric, 1);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid value', () => {
+            const error = 'Invalid value specified (arg #2)';
+            _testValueProvider.allButNumber().concat([NaN, []]).forEach((value) => {
+                const testCase = () => {
+                    return _createBuffer().add('ITEMS', value);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked with an invalid unit', () => {
+            const error = 'Invalid unit specified (arg #3)';
+            [null, 1, 'Apples'].forEach((unit) => {
+                const testCase = () => {
+                    return _createBuffer().add('ITEMS', 1, unit);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should not write metrics until the buffer is flushed', () => {
+            const buffer = _createBuffer();
+
+            buffer.add('ITEMS', 1);
+
+            expect(buffer._write).to.not.have.been.called;
+        });
+
+        it('should write metrics immediately if the buffer has been flushed', () => {
+            const buffer = _createBuffer();
+
+            buffer.flush();
+            buffer.add('ITEMS', 1);
+            buffer.add('ITEMS', 2);
+
+            const docs = _getDocuments(buffer);
+            expect(docs).to.have.length(2);
+            expect(docs[0].ITEMS).to.equal(1);
+            expect(docs[1].ITEMS).to.equal(2);
+        });
+    });
+
+    describe('flush()', () => {
+        it('should not write anything if no metrics have been recorded', () => {
+            const buffer = _createBuffer();
+
+            buffer.flush();
+
+            expect(buffer._write).to.not.have.been.called;
+        });
+
+        it('should write all metrics in a single embedded metric format document', () => {
+            const buffer = _createBuffer({
+                units: {
+                    ITEMS: 'Count'
+                }
+            });
+
+            buffer.add('ITEMS', 1);
+            buffer.add('ITEMS', [2, 3]);
+            buffer.add('LATENCY', 12, 'Milliseconds');
+            buffer.add('RATIO', 0.5);
+            buffer.flush();
+
+            expect(buffer._write).to.have.been.calledOnce;
+            const doc = _getDocuments(buffer)[0];
+            expect(doc._aws.Timestamp).to.be.a('number');
+            expect(doc._aws.CloudWatchMetrics).to.deep.equal([{
+                Namespace: DEFAULT_NAMESPACE,
+                Dimensions: [['app', 'env']],
+                Metrics: [{
+                    Name: 'ITEMS',
+                    Unit: 'Count'
+                }, {
+                    Name: 'LATENCY',
+                    Unit: 'Milliseconds'
+                }, {
+                    Name: 'RATIO',
+                    Unit: 'None'
+                }]
+            }]);
+            expect(doc.app).to.equal('my-app');
+            expect(doc.env).to.equal('dev');
+            expect(doc.ITEMS).to.deep.equal([1, 2, 3]);
+            expect(doc.LATENCY).to.equal(12);
+            expect(doc.RATIO).to.equal(0.5);
+        });
+
+        it('should write metrics with different properties in separate documents', () => {
+            const buffer = _createBuffer();
+
+            buffer.add('ITEMS', 1, undefined, {
+                orderId: 'abc',
+                env: 'override'
+            });
+            buffer.add('ITEMS', 2, undefined, {
+                orderId: 'def'
+            });
+            buffer.add('LATENCY', 12, 'Milliseconds');
+            buffer.add('ITEMS', 3, undefined, {
+                env: 'override',
+                orderId: 'abc'
+            });
+            buffer.flush();
+
+            const docs = _getDocuments(buffer);
+            expect(docs).to.have.length(3);
+            expect(docs[0].orderId).to.equal('abc');
+            expect(docs[0].env).to.equal('dev');
+            expect(docs[0].ITEMS).to.deep.equal([1, 3]);
+            expect(docs[1].orderId).to.equal('def');
+            expect(docs[1].ITEMS).to.equal(2);
+            expect(docs[2]).to.not.have.property('orderId');
+            expect(docs[2]).to.not.have.property('ITEMS');
+            expect(docs[2].LATENCY).to.equal(12);
+        });
+
+        it('should clear the buffer after writing metrics', () => {
+            const buffer = _createBuffer();
+
+            buffer.add('ITEMS', 1);
+            buffer.flush();
+            buffer.flush();
+
+            expect(buffer._write).to.have.been.calledOnce;
+        });
+
+        it('should split metrics across documents to honor CloudWatch limits', () => {
+            const buffer = _createBuffer();
+            const values = [];
+            for (let index = 0; index < 150; index++) {
+                values.push(index);
+            }
+
+            for (let index = 0; index < 101; index++) {
+                buffer.add(`METRIC_${index}`, 1);
+            }
+            buffer.add('ITEMS', values);
+            buffer.flush();
+
+            const docs = _getDocuments(buffer);
+            expect(docs).to.have.length(3);
+            expect(docs[0]._aws.CloudWatchMetrics[0].Metrics).to.have.length(100);
+            expect(docs[1]._aws.CloudWatchMetrics[0].Metrics).to.deep.equal([{
+                Name: 'METRIC_100',
+                Unit: 'None'
+            }, {
+                Name: 'ITEMS',
+                Unit: 'None'
+            }]);
+            expect(docs[1].ITEMS).to.deep.equal(values.slice(0, 100));
+            expect(docs[2]._aws.CloudWatchMetrics[0].Metrics).to.deep.equal([{
+                Name: 'ITEMS',
+                Unit: 'None'
+            }]);
+            expect(docs[2].ITEMS).to.deep.equal(values.slice(100));
+            expect(docs[2]).to.not.have.property('METRIC_100');
+        });
+
+        it('should write documents using console.log by default', () => {
+            const buffer = new MetricsBuffer({
+                namespace: DEFAULT_NAMESPACE
+            });
+            const logMethod = _sinon.stub(console, 'log');
+
+            try {
+                buffer.add('ITEMS', 1);
+                buffer.flush();
+            } finally {
+                logMethod.restore();
+            }
+
+            expect(logMethod).to.have.been.calledOnce;
+            const doc = JSON.parse(logMethod.args[0][0]);
+            expect(doc._aws.CloudWatchMetrics[0].Dimensions).to.deep.equal([[]]);
+            expect(doc.ITEMS).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const MetricsCollector = require('../../lib/metrics-collector');
+
+describe('MetricsCollector', () => {
+    function _createCollector() {
+        return new MetricsCollector(_sinon.spy());
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without a valid write function', () => {
+            const error = 'Invalid write function specified (arg #1)';
+            _testValueProvider.allButFunction().forEach((write) => {
+                const testCase = () => {
+                    return new MetricsCollector(write);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected methods', () => {
+            const collector = _createCollector();
+
+            expect(collector).to.be.an('object');
+            expect(collector.increment).to.be.a('function');
+            expect(collector.gauge).to.be.a('function');
+            expect(collector.timing).to.be.a('function');
+            expect(collector.startTimer).to.be.a('function');
+            expect(collector.flush).to.be.a('function');
+        });
+    });
+
+    describe('[validation]', () => {
+        it('should throw an error if a method is invoked without a valid metric', () => {
+            const error = 'Invalid metric specified (arg #1)';
+            const collector = _createCollector();
+            _testValueProvider.allButString('').forEach((metric) => {
+                expect(() => collector.increment(metric)).to.throw(error);
+                expect(() => collector.gauge(metric, 1)).to.throw(error);
+                expect(() => collector.timing(metric, 1)).to.throw(error);
+                expect(() => collector.startTimer(metric)).to.throw(error);
+            });
+        });
+
+        it('should throw an error if a method is invoked without a valid value', () => {
+            const error = 'Invalid value specified (arg #2)';
+            const collector = _createCollector();
+            _testValueProvider.allButNumber().concat([NaN, Infinity]).forEach((value) => {
+                if (value !== undefined) {
+                    expect(() => collector.increment('COUNT', value)).to.throw(error);
+                }
+                expect(() => collector.gauge('DEPTH', value)).to.throw(error);
+                expect(() => collector.timing('DB_TIME', value)).to.throw(error);
+            });
+            expect(() => collector.timing('DB_TIME', -1)).to.throw(error);
+        });
+
+        it('should throw an error if a gauge is set with an invalid unit', () => {
+            const error = 'Invalid unit specified (arg #3)';
+            const collector = _createCollector();
+            [null, 1, 'Apples'].forEach((unit) => {
+                expect(() => collector.gauge('DEPTH', 1, unit)).to.throw(error);
+            });
+        });
+
+        it('should throw an error if a metric is recorded as more than one type', () => {
+            const collector = _createCollector();
+
+            collector.increment('COUNT');
+
+            expect(() => collector.gauge('COUNT', 1)).to.throw('Metric has already been recorded as a counter (COUNT)');
+            expect(() => collector.timing('COUNT', 1)).to.throw('Metric has already been recorded as a counter (COUNT)');
+        });
+    });
+
+    describe('flush()', () => {
+        it('should not write anything if no metrics have been recorded', () => {
+            const collector = _createCollector();
+
+            collector.flush();
+
+            expect(collector._write).to.not.have.been.called;
+        });
+
+        it('should write the sum of all increments for counters', () => {
+            const collector = _createCollector();
+
+            collector.increment('COUNT');
+            collector.increment('COUNT', 4);
+            collector.increment('COUNT', 0);
+            expect(collector._write).to.not.have.been.called;
+            collector.flush();
+
+            expect(collector._write).to.have.been.calledOnce;
+            expect(collector._write).to.have.been.calledWithExactly('COUNT', 5, 'Count');
+        });
+
+        it('should write the last value for gauges', () => {
+            const collector = _createCollector();
+
+            collector.gauge('DEPTH', 4);
+            collector.gauge('DEPTH', 2, 'Percent');
+            collector.gauge('SIZE', 10, 'Bytes');
+            collector.flush();
+
+            expect(collector._write).to.have.been.calledTwice;
+            expect(collector._write.args[0]).to.deep.equal(['DEPTH', 2, 'Percent']);
+            expect(collector._write.args[1]).to.deep.equal(['SIZE', 10, 'Bytes']);
+        });
+
+        it('should write all values along with summary statistics for timings', () => {
+            const collector = _createCollector();
+
+            collector.timing('DB_TIME', 10);
+            collector.timing('DB_TIME', 0);
+            collector.timing('DB_TIME', 50);
+            collector.flush();
+
+            expect(collector._write).to.have.been.calledOnce;
+            expect(collector._write.args[0]).to.deep.equal(['DB_TIME', [10, 0, 50], 'Milliseconds', {
+                count: 3,
+                min: 0,
+                max: 50,
+                sum: 60,
+                avg: 20
+            }]);
+        });
+
+        it('should record the elapsed time when a timer is stopped', () => {
+            const collector = _createCollector();
+            const startTime = Date.now();
+
+            const stop = collector.startTimer('DB_TIME');
+            const elapsed = stop();
+            const maxElapsed = Date.now() - startTime;
+            collector.flush();
+
+            expect(elapsed).to.be.within(0, maxElapsed);
+            expect(collector._write.args[0][1]).to.deep.equal([elapsed]);
+        });
+
+        it('should write metrics in the order in which they were first recorded', () => {
+            const collector = _createCollector();
+
+            collector.timing('DB_TIME', 1);
+            collector.increment('COUNT');
+            collector.gauge('DEPTH', 1);
+            collector.increment('COUNT');
+            collector.flush();
+
+            expect(collector._write.args.map((args) => args[0])).to.deep.equal(['DB_TIME', 'COUNT', 'DEPTH']);
+        });
+
+        it('should clear the collector after writing metrics', () => {
+            const collector = _createCollector();
+
+            collector.increment('COUNT');
+            collector.flush();
+            collector.flush();
+
+            expect(collector._write).to.have.been.calledOnce;
+        });
+
+        it('should write metrics immediately if the collector has been flushed', () => {
+            const collector = _createCollector();
+
+            collector.flush();
+            collector.increment('COUNT');
+            collector.increment('COUNT', 2);
+
+            expect(collector._write).to.have.been.calledTwice;
+            expect(collector._write.args[0]).to.deep.equal(['COUNT', 1, 'Count']);
+            expect(collector._write.args[1]).to.deep.equal(['COUNT', 2, 'Count']);
+        });
+    });
+});
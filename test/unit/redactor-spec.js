@@ -0,0 +1,243 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+const _errors = require('../../lib/errors');
+
+const Redactor = require('../../lib/redactor');
+
+describe('Redactor', () => {
+    const MASK = '[REDACTED]';
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify invalid keys or paths', () => {
+            ['keys', 'paths'].forEach((prop) => {
+                const error = `Invalid ${prop} specified (options.${prop})`;
+                _testValueProvider.allButArray().filter((value) => value !== undefined)
+                    .concat([[1], ['']])
+                    .forEach((value) => {
+                        const testCase = () => {
+                            return new Redactor({
+                                [prop]: value
+                            });
+                        };
+                        expect(testCase).to.throw(error);
+                    });
+            });
+        });
+
+        it('should throw an error if the options specify invalid patterns', () => {
+            const error = 'Invalid patterns specified (options.patterns)';
+            _testValueProvider.allButArray().filter((value) => value !== undefined)
+                .concat([[1], [''], ['[a-']])
+                .forEach((patterns) => {
+                    const testCase = () => {
+                        return new Redactor({
+                            patterns
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid mask', () => {
+            const error = 'Invalid mask specified (options.mask)';
+            _testValueProvider.allButString().filter((value) => value !== undefined).forEach((mask) => {
+                const testCase = () => {
+                    return new Redactor({
+                        mask
+                    });
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should expose the expected methods', () => {
+            const redactor = new Redactor();
+
+            expect(redactor).to.be.an('object');
+            expect(redactor.redact).to.be.a('function');
+        });
+    });
+
+    describe('PATTERNS', () => {
+        it('should return the names of the built in patterns', () => {
+            expect(Redactor.PATTERNS).to.deep.equal(['email', 'cardNumber']);
+        });
+    });
+
+    describe('redact()', () => {
+        it('should return values that do not contain sensitive data without modification', () => {
+            const redactor = new Redactor();
+
+            [undefined, null, 1, true, 'foo', [1, 'foo'], {
+                user: 'jdoe',
+                items: [{
+                    id: 1
+                }]
+            }].forEach((value) => {
+                expect(redactor.redact(value)).to.deep.equal(value);
+            });
+        });
+
+        it('should mask common credential keys by default, regardless of case and depth', () => {
+            const redactor = new Redactor();
+
+            expect(redactor.redact({
+                password: 'p@ss',
+                headers: {
+                    Authorization: 'Bearer abc',
+                    Cookie: 'session=abc'
+                },
+                records: [{
+                    token: 'abc',
+                    id: 1
+                }],
+                secret: undefined
+            })).to.deep.equal({
+                password: MASK,
+                headers: {
+                    Authorization: MASK,
+                    Cookie: MASK
+                },
+                records: [{
+                    token: MASK,
+                    id: 1
+                }],
+                secret: undefined
+            });
+        });
+
+        it('should mask the configured keys and paths using the configured mask', () => {
+            const redactor = new Redactor({
+                keys: ['ssn'],
+                paths: ['body.card', 'items.*.price'],
+                mask: '***'
+            });
+
+            expect(redactor.redact({
+                ssn: '123-45-6789',
+                password: 'p@ss',
+                card: 'visible',
+                body: {
+                    card: {
+                        number: '4111'
+                    }
+                },
+                items: [{
+                    price: 10,
+                    name: 'foo'
+                }, {
+                    price: 20
+                }]
+            })).to.deep.equal({
+                ssn: '***',
+                password: 'p@ss',
+                card: 'visible',
+                body: {
+                    card: '***'
+                },
+                items: [{
+                    price: '***',
+                    name: 'foo'
+                }, {
+                    price: '***'
+                }]
+            });
+        });
+
+        it('should mask matches for the configured patterns in all strings', () => {
+            const redactor = new Redactor({
+                patterns: ['email', 'cardNumber', /order-[0-9]+/i]
+            });
+
+            expect(redactor.redact({
+                msg: 'Sent receipt to jdoe@example.com for ORDER-123',
+                payment: {
+                    card: '4111 1111 1111 1111',
+                    amount: 1234
+                },
+                notes: ['call jane@example.org']
+            })).to.deep.equal({
+                msg: `Sent receipt to ${MASK} for ${MASK}`,
+                payment: {
+                    card: MASK,
+                    amount: 1234
+                },
+                notes: [`call ${MASK}`]
+            });
+            expect(redactor.redact('4111-1111-1111-1111')).to.equal(MASK);
+        });
+
+        it('should convert errors into plain objects, and redact their properties', () => {
+            const redactor = new Redactor({
+                patterns: ['email']
+            });
+            const error = new _errors.BadRequestError('Invalid user jdoe@example.com', {
+                password: 'p@ss'
+            });
+
+            const result = redactor.redact({
+                err: error
+            });
+
+            expect(result.err).to.not.be.an.instanceof(Error);
+            expect(result.err.name).to.equal('BadRequestError');
+            expect(result.err.message).to.equal(`[BadRequestError] Invalid user ${MASK}`);
+            expect(result.err.stack).to.be.a('string').and.to.not.contain('jdoe@example.com');
+            expect(result.err.statusCode).to.equal(400);
+            expect(result.err.details).to.deep.equal({
+                password: MASK
+            });
+        });
+
+        it('should use the serialized representation of objects that define toJSON()', () => {
+            const redactor = new Redactor();
+            const time = new Date();
+
+            expect(redactor.redact({
+                time,
+                user: {
+                    toJSON: () => ({
+                        password: 'p@ss'
+                    })
+                }
+            })).to.deep.equal({
+                time: time.toJSON(),
+                user: {
+                    password: MASK
+                }
+            });
+        });
+
+        it('should replace circular references', () => {
+            const redactor = new Redactor();
+            const data = {
+                id: 1
+            };
+            data.self = data;
+
+            expect(redactor.redact(data)).to.deep.equal({
+                id: 1,
+                self: '[Circular]'
+            });
+        });
+
+        it('should not modify the original value', () => {
+            const redactor = new Redactor();
+            const data = {
+                password: 'p@ss'
+            };
+
+            redactor.redact(data);
+
+            expect(data.password).to.equal('p@ss');
+        });
+    });
+});
@@ -0,0 +1,215 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const Router = require('../../lib/router');
+const HttpRequest = require('../../lib/http-request');
+const HttpResponse = require('../../lib/http-response');
+
+describe('Router', () => {
+    const DEFAULT_HANDLER = () => {
+    };
+
+    function _createRequest(method, path, props) {
+        return new HttpRequest(Object.assign({
+            httpMethod: method,
+            path: path
+        }, props));
+    }
+
+    describe('ctor()', () => {
+        it('should return an object with the required properties and methods', () => {
+            const router = new Router();
+
+            expect(router).to.be.an('object');
+            expect(router.add).to.be.a('function');
+            expect(router.route).to.be.a('function');
+        });
+    });
+
+    describe('add()', () => {
+        it('should throw an error if invoked without a valid method', () => {
+            const error = 'Invalid method specified (arg #1)';
+            _testValueProvider.allButString('').forEach((method) => {
+                const testCase = () => {
+                    const router = new Router();
+                    router.add(method, '/foo', DEFAULT_HANDLER);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid path pattern', () => {
+            const error = 'Invalid path pattern specified (arg #2)';
+            _testValueProvider.allButString('').concat('foo').forEach((pattern) => {
+                const testCase = () => {
+                    const router = new Router();
+                    router.add('GET', pattern, DEFAULT_HANDLER);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid handler', () => {
+            const error = 'Invalid handler specified (arg #3)';
+            _testValueProvider.allButFunction().forEach((handler) => {
+                const testCase = () => {
+                    const router = new Router();
+                    router.add('GET', '/foo', handler);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return a reference to the router', () => {
+            const router = new Router();
+            const ret = router.add('GET', '/foo', DEFAULT_HANDLER);
+
+            expect(ret).to.equal(router);
+        });
+    });
+
+    describe('route()', () => {
+        it('should throw an error if invoked without a valid request', () => {
+            const error = 'Invalid request specified (arg #1)';
+            _testValueProvider.allButObject().concat({}).forEach((request) => {
+                const testCase = () => {
+                    const router = new Router();
+                    router.route(request, {});
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should invoke the handler of the matching route with the request and extension object', () => {
+            const handler = _sinon.stub().returns('foo');
+            const otherHandler = _sinon.spy();
+            const router = new Router()
+                .add('GET', '/users', otherHandler)
+                .add('get', '/users/{id}', handler);
+            const ext = {
+                env: 'dev'
+            };
+            const request = _createRequest('GET', '/users/abc', {
+                body: '{"foo":"bar"}'
+            });
+
+            const ret = router.route(request, ext);
+
+            expect(ret).to.equal('foo');
+            expect(otherHandler).to.not.have.been.called;
+            expect(handler).to.have.been.calledOnce;
+            expect(handler.args[0][0]).to.be.an.instanceof(HttpRequest);
+            expect(handler.args[0][0].body).to.deep.equal({
+                foo: 'bar'
+            });
+            expect(handler.args[0][1]).to.equal(ext);
+        });
+
+        it('should extract path parameters from the request path', () => {
+            const handler = _sinon.spy();
+            const router = new Router().add('GET', '/users/{userId}/orders/{orderId}', handler);
+
+            router.route(_createRequest('GET', '/users/a b/orders/123', {
+                pathParameters: {
+                    proxy: 'users/a b/orders/123'
+                }
+            }), {});
+
+            expect(handler.args[0][0].pathParameters).to.deep.equal({
+                proxy: 'users/a b/orders/123',
+                userId: 'a b',
+                orderId: '123'
+            });
+        });
+
+        it('should not decode path parameters', () => {
+            const handler = _sinon.spy();
+            const router = new Router().add('GET', '/files/{name}', handler);
+
+            ['100%', '%2525', 'a%20b'].forEach((name) => {
+                router.route(_createRequest('GET', `/files/${name}`), {});
+            });
+
+            expect(handler.args.map((args) => args[0].pathParameters.name))
+                .to.deep.equal(['100%', '%2525', 'a%20b']);
+        });
+
+        it('should support greedy path parameters', () => {
+            const handler = _sinon.spy();
+            const router = new Router().add('GET', '/files/{path+}', handler);
+
+            router.route(_createRequest('GET', '/files/foo/bar/baz.txt'), {});
+
+            expect(handler.args[0][0].pathParameters).to.deep.equal({
+                path: 'foo/bar/baz.txt'
+            });
+        });
+
+        it('should ignore trailing slashes and escape special characters in patterns', () => {
+            const handler = _sinon.spy();
+            const router = new Router()
+                .add('GET', '/v1.0/users/', handler);
+
+            router.route(_createRequest('GET', '/v1.0/users/'), {});
+            expect(handler).to.have.been.calledOnce;
+
+            const response = router.route(_createRequest('GET', '/v1x0/users'), {});
+            expect(handler).to.have.been.calledOnce;
+            expect(response.statusCode).to.equal(404);
+        });
+
+        it('should match routes with the ANY method for all request methods', () => {
+            const handler = _sinon.spy();
+            const router = new Router().add('ANY', '/', handler);
+
+            ['GET', 'POST', 'DELETE'].forEach((method) => {
+                router.route(_createRequest(method, '/'), {});
+            });
+
+            expect(handler).to.have.been.calledThrice;
+        });
+
+        it('should return a not found response if no route matches the request path', () => {
+            const router = new Router().add('GET', '/users/{id}', DEFAULT_HANDLER);
+
+            const response = router.route(_createRequest('GET', '/orders/abc'), {});
+
+            expect(response).to.be.an.instanceof(HttpResponse);
+            expect(response.statusCode).to.equal(404);
+            expect(response.body).to.deep.equal({
+                type: 'NotFoundError',
+                message: 'No route found for GET /orders/abc'
+            });
+        });
+
+        it('should return a method not allowed response if the path matches, but the method does not', () => {
+            const router = new Router()
+                .add('GET', '/users/{id}', DEFAULT_HANDLER)
+                .add('PUT', '/users/{id}', DEFAULT_HANDLER);
+
+            const response = router.route(_createRequest('POST', '/users/abc'), {});
+
+            expect(response).to.be.an.instanceof(HttpResponse);
+            expect(response.statusCode).to.equal(405);
+            expect(response.headers).to.deep.equal({
+                Allow: 'GET,PUT'
+            });
+            expect(response.body).to.deep.equal({
+                type: 'MethodNotAllowedError',
+                message: 'Method POST is not supported for /users/abc',
+                details: {
+                    allowedMethods: ['GET', 'PUT']
+                }
+            });
+        });
+    });
+});
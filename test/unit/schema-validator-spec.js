@@ -0,0 +1,194 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const SchemaValidator = require('../../lib/schema-validator');
+const ValidationError = require('../../lib/errors').ValidationError;
+
+describe('SchemaValidator', () => {
+    const DEFAULT_SCHEMA = {
+        type: 'object',
+        required: ['id', 'tags'],
+        properties: {
+            id: {
+                type: 'string'
+            },
+            tags: {
+                type: 'array',
+                items: {
+                    type: 'string'
+                }
+            },
+            address: {
+                type: 'object',
+                required: ['city'],
+                properties: {
+                    city: {
+                        type: 'string'
+                    }
+                }
+            }
+        }
+    };
+
+    function _createValidator(schema) {
+        schema = schema || DEFAULT_SCHEMA;
+        return new SchemaValidator(schema);
+    }
+
+    describe('ctor()', () => {
+        it('should throw an error if invoked without a valid schema', () => {
+            const error = 'Invalid schema specified (arg #1)';
+            _testValueProvider.allButObject().forEach((schema) => {
+                const testCase = () => {
+                    return new SchemaValidator(schema);
+                };
+                expect(testCase).to.throw(error);
+            });
+        });
+
+        it('should return an object with the required properties and methods', () => {
+            const validator = _createValidator();
+
+            expect(validator).to.be.an('object');
+            expect(validator.validate).to.be.a('function');
+            expect(validator.assert).to.be.a('function');
+        });
+    });
+
+    describe('validate()', () => {
+        it('should return an empty array if the data is valid', () => {
+            const validator = _createValidator();
+            const errors = validator.validate({
+                id: 'foo',
+                tags: ['bar']
+            });
+
+            expect(errors).to.deep.equal([]);
+        });
+
+        it('should return an error for each offending path in the data', () => {
+            const validator = _createValidator();
+            const errors = validator.validate({
+                tags: ['bar', 1],
+                address: {}
+            });
+
+            expect(errors).to.deep.equal([{
+                path: '/id',
+                message: 'is required'
+            }, {
+                path: '/tags/1',
+                message: 'should be string'
+            }, {
+                path: '/address/city',
+                message: 'is required'
+            }]);
+        });
+
+        it('should report errors at the root of the data using the root path', () => {
+            const validator = _createValidator();
+            const errors = validator.validate('foo');
+
+            expect(errors).to.deep.equal([{
+                path: '/',
+                message: 'should be object'
+            }]);
+        });
+    });
+
+    describe('[defaults]', () => {
+        const SCHEMA_WITH_DEFAULTS = {
+            type: 'object',
+            properties: {
+                region: {
+                    type: 'string',
+                    default: 'us-east-1'
+                }
+            }
+        };
+
+        it('should not assign default values to the data by default', () => {
+            const validator = _createValidator(SCHEMA_WITH_DEFAULTS);
+            const data = {};
+
+            expect(validator.validate(data)).to.deep.equal([]);
+            expect(data).to.deep.equal({});
+        });
+
+        it('should assign default values to the data if the useDefaults option is set', () => {
+            const validator = new SchemaValidator(SCHEMA_WITH_DEFAULTS, {
+                useDefaults: true
+            });
+            const data = {};
+            const otherData = {
+                region: 'us-west-2'
+            };
+
+            expect(validator.validate(data)).to.deep.equal([]);
+            expect(validator.validate(otherData)).to.deep.equal([]);
+            expect(data).to.deep.equal({
+                region: 'us-east-1'
+            });
+            expect(otherData).to.deep.equal({
+                region: 'us-west-2'
+            });
+        });
+    });
+
+    describe('assert()', () => {
+        it('should not throw an error if the data is valid', () => {
+            const validator = _createValidator();
+            const testCase = () => {
+                validator.assert({
+                    id: 'foo',
+                    tags: []
+                });
+            };
+
+            expect(testCase).to.not.throw();
+        });
+
+        it('should throw a validation error if the data is not valid', () => {
+            const validator = _createValidator();
+            const testCase = () => {
+                validator.assert({
+                    tags: []
+                }, 'Event failed schema validation');
+            };
+
+            expect(testCase).to.throw(ValidationError,
+                '[ValidationError] Event failed schema validation. Details: /id: is required');
+        });
+
+        it('should use a default message if a valid message is not specified', () => {
+            _testValueProvider.allButString('').forEach((message) => {
+                const validator = _createValidator();
+                const testCase = () => {
+                    validator.assert({}, message);
+                };
+
+                expect(testCase).to.throw(ValidationError, /^\[ValidationError\] Schema validation failed\. /);
+            });
+        });
+
+        it('should include the list of validation errors in the error', () => {
+            const validator = _createValidator();
+            let error = null;
+            try {
+                validator.assert({});
+            } catch (ex) {
+                error = ex;
+            }
+
+            expect(error.errors).to.deep.equal(validator.validate({}));
+        });
+    });
+});
@@ -0,0 +1,431 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _sinon = require('sinon');
+const _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+const expect = _chai.expect;
+
+const _rewire = require('rewire');
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+let SecretResolver = null;
+
+describe('SecretResolver', () => {
+    const VARIABLE_NAME = '__SECRET_RESOLVER_TEST_VAR';
+
+    function _createStore(values) {
+        return _sinon.spy((path) => values[path]);
+    }
+
+    function _createConfig() {
+        return require('config').util.attachProtoDeep({
+            region: 'us-east-1',
+            db: {
+                host: 'ssm:/app/db/host',
+                password: 'secret:app/db#password',
+                ports: [5432, 'ssm:/app/db/port']
+            },
+            url: 'http://example.com'
+        });
+    }
+
+    beforeEach(() => {
+        SecretResolver = _rewire('../../lib/secret-resolver');
+    });
+
+    afterEach(() => {
+        delete process.env[VARIABLE_NAME];
+    });
+
+    describe('ctor()', () => {
+        it('should throw an error if the options specify invalid providers', () => {
+            const error = 'Invalid providers specified (options.providers)';
+            _testValueProvider.allButObject().filter((value) => value !== undefined)
+                .concat([[], {
+                    ssm: 'foo'
+                }, {
+                    'bad-scheme': () => undefined
+                }])
+                .forEach((providers) => {
+                    const testCase = () => {
+                        return new SecretResolver({
+                            providers
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should throw an error if the options specify an invalid ttl', () => {
+            const error = 'Invalid ttl specified (options.ttl)';
+            _testValueProvider.allButNumber().filter((value) => value !== undefined)
+                .concat([NaN, -1])
+                .forEach((ttl) => {
+                    const testCase = () => {
+                        return new SecretResolver({
+                            ttl
+                        });
+                    };
+                    expect(testCase).to.throw(error);
+                });
+        });
+
+        it('should expose the expected methods', () => {
+            const resolver = new SecretResolver();
+
+            expect(resolver.hasReferences).to.be.a('function');
+            expect(resolver.resolveValue).to.be.a('function');
+            expect(resolver.resolve).to.be.a('function');
+            expect(resolver.clearCache).to.be.a('function');
+        });
+    });
+
+    describe('hasReferences()', () => {
+        it('should return true if the value is a reference to a supported scheme', () => {
+            const resolver = new SecretResolver();
+
+            expect(resolver.hasReferences('ssm:/foo')).to.be.true;
+            expect(resolver.hasReferences('secret:foo#bar')).to.be.true;
+            expect(resolver.hasReferences('env:FOO')).to.be.true;
+        });
+
+        it('should return false if the value is not a reference to a supported scheme', () => {
+            const resolver = new SecretResolver();
+
+            expect(resolver.hasReferences('http://example.com')).to.be.false;
+            expect(resolver.hasReferences('ssm:')).to.be.false;
+            expect(resolver.hasReferences('foo')).to.be.false;
+            expect(resolver.hasReferences(1)).to.be.false;
+            expect(resolver.hasReferences(null)).to.be.false;
+            expect(resolver.hasReferences(undefined)).to.be.false;
+        });
+
+        it('should return true if an object or array contains nested references', () => {
+            const resolver = new SecretResolver();
+
+            expect(resolver.hasReferences(_createConfig())).to.be.true;
+            expect(resolver.hasReferences(['foo', ['env:FOO']])).to.be.true;
+            expect(resolver.hasReferences({
+                foo: {
+                    bar: 'baz'
+                }
+            })).to.be.false;
+        });
+
+        it('should recognize custom schemes', () => {
+            const resolver = new SecretResolver({
+                providers: {
+                    vault: () => 'foo'
+                }
+            });
+
+            expect(resolver.hasReferences('vault:kv/foo')).to.be.true;
+        });
+    });
+
+    describe('resolveValue()', () => {
+        it('should reject the promise if the value is not a valid reference', () => {
+            const resolver = new SecretResolver();
+
+            return expect(resolver.resolveValue('foo')).to.be.rejectedWith('Invalid reference specified: foo');
+        });
+
+        it('should resolve environment variable references using process.env by default', () => {
+            const resolver = new SecretResolver();
+            process.env[VARIABLE_NAME] = 'bar';
+
+            return expect(resolver.resolveValue(`env:${VARIABLE_NAME}`)).to.eventually.equal('bar');
+        });
+
+        it('should reject the promise if the reference cannot be resolved', () => {
+            const resolver = new SecretResolver();
+            const reference = `env:${VARIABLE_NAME}`;
+
+            return expect(resolver.resolveValue(reference))
+                .to.be.rejectedWith(`Unable to resolve reference: ${reference}`);
+        });
+
+        it('should resolve references using the provider for the reference scheme', () => {
+            const ssm = _createStore({
+                '/app/db/host': 'db.example.com'
+            });
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm
+                }
+            });
+
+            return expect(resolver.resolveValue('ssm:/app/db/host')).to.eventually.equal('db.example.com')
+                .then(() => {
+                    expect(ssm).to.have.been.calledOnce;
+                    expect(ssm).to.have.been.calledWithExactly('/app/db/host');
+                });
+        });
+
+        it('should extract keys from JSON values if the reference specifies a key', () => {
+            const secret = _createStore({
+                'app/db': JSON.stringify({
+                    username: 'admin',
+                    password: 'p@ss'
+                }),
+                'app/other': {
+                    password: 'other'
+                }
+            });
+            const resolver = new SecretResolver({
+                providers: {
+                    secret
+                }
+            });
+
+            return Promise.all([
+                expect(resolver.resolveValue('secret:app/db#password')).to.eventually.equal('p@ss'),
+                expect(resolver.resolveValue('secret:app/other#password')).to.eventually.equal('other')
+            ]).then(() => {
+                expect(secret).to.have.been.calledWith('app/db');
+            });
+        });
+
+        it('should reject the promise if the key cannot be extracted from the value', () => {
+            const resolver = new SecretResolver({
+                providers: {
+                    secret: _createStore({
+                        'not-json': 'foo',
+                        json: '{"foo":"bar"}'
+                    })
+                }
+            });
+
+            return Promise.all([
+                expect(resolver.resolveValue('secret:not-json#foo'))
+                    .to.be.rejectedWith('Value is not valid JSON, unable to extract key from reference: secret:not-json#foo'),
+                expect(resolver.resolveValue('secret:json#bar'))
+                    .to.be.rejectedWith('Key not found in value of reference: secret:json#bar')
+            ]);
+        });
+
+        it('should return cached values for references that have been resolved previously', () => {
+            const ssm = _createStore({
+                '/foo': 'bar'
+            });
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm
+                }
+            });
+
+            return Promise.all([
+                resolver.resolveValue('ssm:/foo'),
+                resolver.resolveValue('ssm:/foo')
+            ]).then(() => resolver.resolveValue('ssm:/foo')).then((value) => {
+                expect(value).to.equal('bar');
+                expect(ssm).to.have.been.calledOnce;
+            });
+        });
+
+        it('should refresh cached values once the ttl has expired', () => {
+            const values = {
+                '/foo': 'bar'
+            };
+            const ssm = _createStore(values);
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm
+                },
+                ttl: 10
+            });
+
+            return resolver.resolveValue('ssm:/foo').then((value) => {
+                expect(value).to.equal('bar');
+                values['/foo'] = 'baz';
+                return resolver.resolveValue('ssm:/foo');
+            }).then((value) => {
+                expect(value).to.equal('bar');
+                return new Promise((resolve) => setTimeout(resolve, 20));
+            }).then(() => resolver.resolveValue('ssm:/foo')).then((value) => {
+                expect(value).to.equal('baz');
+                expect(ssm).to.have.been.calledTwice;
+            });
+        });
+
+        it('should not cache values for references that could not be resolved', () => {
+            const ssm = _sinon.stub();
+            ssm.onFirstCall().returns(Promise.reject(new Error('something went wrong')));
+            ssm.onSecondCall().returns(Promise.resolve('bar'));
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm
+                }
+            });
+
+            return expect(resolver.resolveValue('ssm:/foo')).to.be.rejectedWith('something went wrong')
+                .then(() => resolver.resolveValue('ssm:/foo')).then((value) => {
+                expect(value).to.equal('bar');
+                expect(ssm).to.have.been.calledTwice;
+            });
+        });
+
+        it('should read SSM parameters with decryption using the AWS SDK by default', () => {
+            const send = _sinon.stub().returns(Promise.resolve({
+                Parameter: {
+                    Value: 'bar'
+                }
+            }));
+            const SSMClient = _sinon.stub().returns({
+                send
+            });
+            const GetParameterCommand = _sinon.spy(function(input) {
+                this.input = input;
+            });
+            const requireSdkModule = _sinon.stub().returns({
+                SSMClient,
+                GetParameterCommand
+            });
+            SecretResolver.__set__('_requireSdkModule', requireSdkModule);
+            const resolver = new SecretResolver();
+
+            return resolver.resolveValue('ssm:/foo').then((value) => {
+                expect(value).to.equal('bar');
+                return resolver.resolveValue('ssm:/baz');
+            }).then(() => {
+                expect(requireSdkModule).to.have.been.calledWithExactly('@aws-sdk/client-ssm');
+                expect(SSMClient).to.have.been.calledOnce;
+                expect(send).to.have.been.calledTwice;
+                expect(send.args[0][0]).to.be.an.instanceof(GetParameterCommand);
+                expect(send.args[0][0].input).to.deep.equal({
+                    Name: '/foo',
+                    WithDecryption: true
+                });
+            });
+        });
+
+        it('should read secrets using the AWS SDK by default', () => {
+            const send = _sinon.stub();
+            send.onFirstCall().returns(Promise.resolve({
+                SecretString: '{"password":"p@ss"}'
+            }));
+            send.onSecondCall().returns(Promise.resolve({
+                SecretBinary: new Uint8Array(Buffer.from('binary-secret'))
+            }));
+            const SecretsManagerClient = _sinon.stub().returns({
+                send
+            });
+            const GetSecretValueCommand = _sinon.spy(function(input) {
+                this.input = input;
+            });
+            const requireSdkModule = _sinon.stub().returns({
+                SecretsManagerClient,
+                GetSecretValueCommand
+            });
+            SecretResolver.__set__('_requireSdkModule', requireSdkModule);
+            const resolver = new SecretResolver();
+
+            return resolver.resolveValue('secret:app/db#password').then((value) => {
+                expect(value).to.equal('p@ss');
+                return resolver.resolveValue('secret:app/binary');
+            }).then((value) => {
+                expect(value).to.equal('binary-secret');
+                expect(requireSdkModule).to.have.been.calledWithExactly('@aws-sdk/client-secrets-manager');
+                expect(SecretsManagerClient).to.have.been.calledOnce;
+                expect(send.args[0][0].input).to.deep.equal({
+                    SecretId: 'app/db'
+                });
+            });
+        });
+
+        it('should report a descriptive error if an AWS SDK module is not installed', () => {
+            const requireSdkModule = SecretResolver.__get__('_requireSdkModule');
+            const testCase = () => {
+                return requireSdkModule('@aws-sdk/__missing_module__');
+            };
+
+            expect(testCase).to.throw('Unable to load AWS SDK module (@aws-sdk/__missing_module__). The module must be installed to use the default provider. Details: ');
+        });
+    });
+
+    describe('resolve()', () => {
+        it('should reject the promise if invoked without a valid config object', () => {
+            const error = 'Invalid config specified (arg #1)';
+            const resolver = new SecretResolver();
+
+            return Promise.all(_testValueProvider.allButObject().map((config) => {
+                return expect(resolver.resolve(config)).to.be.rejectedWith(error);
+            }));
+        });
+
+        it('should return the original config object if it does not contain references', () => {
+            const resolver = new SecretResolver();
+            const config = require('config').util.attachProtoDeep({
+                foo: 'bar'
+            });
+
+            return expect(resolver.resolve(config)).to.eventually.equal(config);
+        });
+
+        it('should return a new config object with all references resolved', () => {
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm: _createStore({
+                        '/app/db/host': 'db.example.com',
+                        '/app/db/port': '5433'
+                    }),
+                    secret: _createStore({
+                        'app/db': '{"password":"p@ss"}'
+                    })
+                }
+            });
+            const config = _createConfig();
+
+            return resolver.resolve(config).then((resolved) => {
+                expect(resolved).to.not.equal(config);
+                expect(resolved).to.deep.equal({
+                    region: 'us-east-1',
+                    db: {
+                        host: 'db.example.com',
+                        password: 'p@ss',
+                        ports: [5432, '5433']
+                    },
+                    url: 'http://example.com'
+                });
+                expect(resolved.get('db.password')).to.equal('p@ss');
+                expect(resolved.has('db.host')).to.be.true;
+                expect(resolved.db.ports).to.be.an('array');
+                expect(config.get('db.password')).to.equal('secret:app/db#password');
+            });
+        });
+
+        it('should reject the promise if any of the references cannot be resolved', () => {
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm: _createStore({}),
+                    secret: _createStore({})
+                }
+            });
+
+            return expect(resolver.resolve(_createConfig())).to.be.rejectedWith('Unable to resolve reference');
+        });
+    });
+
+    describe('clearCache()', () => {
+        it('should cause references to be resolved again when they are next requested', () => {
+            const ssm = _createStore({
+                '/foo': 'bar'
+            });
+            const resolver = new SecretResolver({
+                providers: {
+                    ssm
+                }
+            });
+
+            return resolver.resolveValue('ssm:/foo').then(() => {
+                resolver.clearCache();
+                return resolver.resolveValue('ssm:/foo');
+            }).then(() => {
+                expect(ssm).to.have.been.calledTwice;
+            });
+        });
+    });
+});
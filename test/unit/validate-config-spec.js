@@ -0,0 +1,168 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+const _fs = require('fs');
+const _os = require('os');
+const _path = require('path');
+const _chai = require('chai');
+const expect = _chai.expect;
+
+const _testHelper = require('wysknd-test');
+const _testValueProvider = _testHelper.testValueProvider;
+
+const validateConfig = require('../../lib/validate-config');
+const SchemaValidator = require('../../lib/schema-validator');
+const ValidationError = require('../../lib/errors').ValidationError;
+
+describe('validateConfig()', () => {
+    const CONFIG_SCHEMA = {
+        type: 'object',
+        required: ['table', 'log'],
+        properties: {
+            table: {
+                type: 'string'
+            },
+            log: {
+                type: 'object',
+                required: ['level'],
+                properties: {
+                    level: {
+                        type: 'string'
+                    }
+                }
+            },
+            retries: {
+                type: 'number',
+                default: 3
+            },
+            cache: {
+                type: 'object',
+                default: {
+                    ttl: 60
+                }
+            }
+        }
+    };
+
+    function _createConfig(data) {
+        return require('config').util.attachProtoDeep(data);
+    }
+
+    it('should throw an error if invoked without a valid config', () => {
+        const error = 'Invalid config specified (arg #1)';
+        _testValueProvider.allButObject().filter((value) => typeof value !== 'string' || value.length <= 0)
+            .forEach((config) => {
+                const testCase = () => {
+                    return validateConfig(config, CONFIG_SCHEMA);
+                };
+                expect(testCase).to.throw(error);
+            });
+    });
+
+    it('should throw an error if invoked without a valid schema', () => {
+        const error = 'Invalid schema specified (arg #2)';
+        _testValueProvider.allButObject().forEach((schema) => {
+            const testCase = () => {
+                return validateConfig({}, schema);
+            };
+            expect(testCase).to.throw(error);
+        });
+    });
+
+    it('should return the config object if it is valid', () => {
+        const config = _createConfig({
+            table: 'foo',
+            log: {
+                level: 'info'
+            }
+        });
+
+        expect(validateConfig(config, CONFIG_SCHEMA)).to.equal(config);
+    });
+
+    it('should assign default values to missing keys, and expose the config methods on them', () => {
+        const config = validateConfig(_createConfig({
+            table: 'foo',
+            log: {
+                level: 'info'
+            },
+            retries: 5
+        }), CONFIG_SCHEMA);
+
+        expect(config.get('retries')).to.equal(5);
+        expect(config.get('cache.ttl')).to.equal(60);
+        expect(config.get('cache').get('ttl')).to.equal(60);
+    });
+
+    it('should throw a single validation error that lists every missing or invalid key', () => {
+        const testCase = () => {
+            validateConfig(_createConfig({
+                log: {},
+                retries: 'foo'
+            }), CONFIG_SCHEMA);
+        };
+
+        expect(testCase).to.throw(ValidationError, '[ValidationError] Config failed schema validation. ' +
+            'Details: /table: is required; /log/level: is required; /retries: should be number');
+    });
+
+    it('should accept a schema validator instead of a schema', () => {
+        const validator = new SchemaValidator(CONFIG_SCHEMA, {
+            useDefaults: true
+        });
+        const config = validateConfig(_createConfig({
+            table: 'foo',
+            log: {
+                level: 'info'
+            }
+        }), validator);
+
+        expect(config.get('retries')).to.equal(3);
+    });
+
+    describe('[environment]', () => {
+        let _configDir = null;
+
+        function _writeConfig(baseName, data) {
+            _fs.writeFileSync(_path.join(_configDir, `${baseName}.json`), JSON.stringify(data));
+        }
+
+        beforeEach(() => {
+            _configDir = _fs.mkdtempSync(_path.join(_os.tmpdir(), 'validate-config-'));
+            _writeConfig('default', {
+                log: {
+                    level: 'debug'
+                }
+            });
+            _writeConfig('prod', {
+                table: 'prod-table'
+            });
+        });
+
+        afterEach(() => {
+            _fs.readdirSync(_configDir).forEach((fileName) => {
+                _fs.unlinkSync(_path.join(_configDir, fileName));
+            });
+            _fs.rmdirSync(_configDir);
+        });
+
+        it('should load and validate the configuration for an environment if an environment name is specified', () => {
+            const config = validateConfig('prod', CONFIG_SCHEMA, {
+                configDir: _configDir
+            });
+
+            expect(config.get('table')).to.equal('prod-table');
+            expect(config.get('log.level')).to.equal('debug');
+        });
+
+        it('should throw a validation error if the configuration for an environment is not valid', () => {
+            const testCase = () => {
+                validateConfig('qa', CONFIG_SCHEMA, {
+                    configDir: _configDir
+                });
+            };
+
+            expect(testCase).to.throw(ValidationError, 'Details: /table: is required');
+        });
+    });
+});